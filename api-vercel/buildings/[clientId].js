@@ -1,23 +1,17 @@
 // Vercel Serverless Function: GET /api/buildings/[clientId]
 // Returns buildings for a specific client
 
-import { kv } from "@vercel/kv";
 import { getBuildings } from "../../lib/co-client.js";
+import { stripBuildingSecrets } from "../../lib/co-schema.js";
+import { applyHeaderPolicy } from "../../lib/http-policy.js";
+import { createLogger } from "../../lib/logger.js";
+import { cache } from "../../lib/services/cache.js";
 
-// Check if KV is available (has required env vars)
-const isKvAvailable = () => {
-  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
-};
+const log = createLogger("buildings-api");
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -30,41 +24,32 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Buildings API] Fetching buildings for clientId: ${clientId}`);
-
-    const cacheKey = `buildings:${clientId}`;
-    let data = null;
-
-    // Check cache
-    if (isKvAvailable()) {
-      console.log(`[Buildings API] Checking cache...`);
-      data = await kv.get(cacheKey);
-
-      if (data) {
-        console.log(`[Buildings API] ✓ Cache hit!`);
-        return res.status(200).json({ buildings: data, cached: true });
-      }
-
-      console.log(`[Buildings API] Cache miss, fetching fresh data`);
-    }
-
-    // Fetch buildings
-    const buildings = await getBuildings(Number(clientId));
-    console.log(`[Buildings API] ✓ Fetched ${buildings.length} buildings`);
+    log.info("Fetching buildings", { clientId });
 
     // Cache for 5 minutes
-    if (isKvAvailable()) {
-      await kv.set(cacheKey, buildings, { ex: 300 });
-      console.log(`[Buildings API] ✓ Cached for 5 minutes`);
-      res.setHeader(
-        "Cache-Control",
-        "s-maxage=300, stale-while-revalidate=600"
-      );
+    const { value, status } = await cache.lookup(
+      `buildings:${clientId}`,
+      async () => {
+        log.debug("Cache miss, fetching fresh data");
+        const buildings = await getBuildings(Number(clientId));
+        log.info("Fetched buildings", { count: buildings.length });
+        return stripBuildingSecrets(buildings);
+      },
+      { ex: 300, tags: [`client:${clientId}`] }
+    );
+    // Pelican logins stay server-side (see credential-vault.js). Stripped
+    // again on the way out, since entries cached before the vault kept them.
+    const buildings = stripBuildingSecrets(value);
+
+    if (status !== "miss") {
+      log.info("Cache hit");
+      return res.status(200).json({ buildings, cached: true });
     }
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
 
     return res.status(200).json({ buildings });
   } catch (error) {
-    console.error("[Buildings API] Error:", error);
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -74,4 +59,3 @@ export default async function handler(req, res) {
 export const config = {
   maxDuration: 20,
 };
-
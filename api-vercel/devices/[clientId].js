@@ -1,23 +1,16 @@
 // Vercel Serverless Function: GET /api/devices/[clientId]
 // Returns devices for a specific client
 
-import { kv } from "@vercel/kv";
 import { getDevices } from "../../lib/co-client.js";
+import { applyHeaderPolicy } from "../../lib/http-policy.js";
+import { createLogger } from "../../lib/logger.js";
+import { cache } from "../../lib/services/cache.js";
 
-// Check if KV is available (has required env vars)
-const isKvAvailable = () => {
-  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
-};
+const log = createLogger("devices-api");
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -30,41 +23,29 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Devices API] Fetching devices for clientId: ${clientId}`);
-
-    const cacheKey = `devices:${clientId}`;
-    let data = null;
-
-    // Check cache
-    if (isKvAvailable()) {
-      console.log(`[Devices API] Checking cache...`);
-      data = await kv.get(cacheKey);
-
-      if (data) {
-        console.log(`[Devices API] ✓ Cache hit!`);
-        return res.status(200).json({ devices: data, cached: true });
-      }
-
-      console.log(`[Devices API] Cache miss, fetching fresh data`);
-    }
-
-    // Fetch devices
-    const devices = await getDevices(Number(clientId));
-    console.log(`[Devices API] ✓ Fetched ${devices.length} devices`);
+    log.info("Fetching devices", { clientId });
 
     // Cache for 5 minutes
-    if (isKvAvailable()) {
-      await kv.set(cacheKey, devices, { ex: 300 });
-      console.log(`[Devices API] ✓ Cached for 5 minutes`);
-      res.setHeader(
-        "Cache-Control",
-        "s-maxage=300, stale-while-revalidate=600"
-      );
+    const { value: devices, status } = await cache.lookup(
+      `devices:${clientId}`,
+      async () => {
+        log.debug("Cache miss, fetching fresh data");
+        const devices = await getDevices(Number(clientId));
+        log.info("Fetched devices", { count: devices.length });
+        return devices;
+      },
+      { ex: 300, tags: [`client:${clientId}`] }
+    );
+
+    if (status !== "miss") {
+      log.info("Cache hit");
+      return res.status(200).json({ devices, cached: true });
     }
+    res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
 
     return res.status(200).json({ devices });
   } catch (error) {
-    console.error("[Devices API] Error:", error);
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
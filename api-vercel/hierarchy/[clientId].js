@@ -0,0 +1,88 @@
+// Vercel Serverless Function: GET /api/hierarchy/[clientId]
+// Returns the campus hierarchy as a nested tree (campus → building → meter → device)
+//
+// Query params:
+//   node - "<categoryId>:<elementId>" to return only that subtree plus its path
+
+import { HierarchyTree, parseNodeKey } from "../../lib/hierarchy.js";
+import { applyHeaderPolicy } from "../../lib/http-policy.js";
+import { createLogger } from "../../lib/logger.js";
+import { cache } from "../../lib/services/cache.js";
+
+const log = createLogger("hierarchy-api");
+
+export default async function handler(req, res) {
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { clientId, node } = req.query;
+
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required" });
+    }
+
+    const from = node ? parseNodeKey(node) : null;
+    if (node && !from) {
+      return res
+        .status(400)
+        .json({ error: "node must look like <categoryId>:<elementId>" });
+    }
+
+    log.info("Fetching hierarchy", { clientId });
+
+    if (!from) {
+      // The cache holds JSON, so store the full nested tree rather than the
+      // instance. Cache for 5 minutes.
+      const { value, status } = await cache.lookup(
+        `hierarchy:${clientId}`,
+        async () => {
+          const tree = await HierarchyTree.load(Number(clientId));
+          log.info("Built tree", { nodes: tree.size });
+          return tree.toJSON();
+        },
+        { ex: 300, tags: [`client:${clientId}`] }
+      );
+
+      if (status !== "miss") {
+        log.info("Cache hit");
+        return res.status(200).json({ tree: value, cached: true });
+      }
+      res.setHeader(
+        "Cache-Control",
+        "s-maxage=300, stale-while-revalidate=600"
+      );
+
+      return res.status(200).json({ tree: value });
+    }
+
+    // Subtrees aren't cached
+    const tree = await HierarchyTree.load(Number(clientId));
+    log.info("Built tree", { nodes: tree.size });
+
+    if (!tree.get(from.id, from.category)) {
+      return res.status(404).json({ error: `Node ${node} not found` });
+    }
+    return res.status(200).json({
+      tree: tree.toJSON(from),
+      path: tree.path(from.id, from.category).map((n) => ({
+        id: n.elementId,
+        category: n.categoryId,
+        name: tree.element(n.elementId, n.categoryId)?.Name ?? n.name,
+      })),
+    });
+  } catch (error) {
+    log.error("Request failed", error);
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 30,
+};
@@ -1,6 +1,12 @@
-import { getBuildings } from "../../../campus-optimizer/co-api.js";
+import { applyHeaderPolicy } from "../../../lib/http-policy.js";
+import { createLogger } from "../../../lib/logger.js";
+import { pelicanApiUrl } from "../../../lib/pelican-url.js";
+import { resolveSiteCredentials } from "../../../lib/services/credential-vault.js";
+import { cache } from "../../../lib/services/cache.js";
 import { DEFAULT_HISTORY_FIELDS } from "../../../pelican/history.js";
 
+const log = createLogger("pelican-history-api");
+
 // History value template (matching pelican/history.js)
 const HISTORY_VALUE_TEMPLATE = Object.freeze({
   timestamp: "",
@@ -48,22 +54,6 @@ function buildHistoryTransaction(selection, fields) {
   ];
 }
 
-const isKvAvailable = () => {
-  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
-};
-
-// Lazy load KV client
-async function getKv() {
-  if (!isKvAvailable()) return null;
-  try {
-    const { kv } = await import("@vercel/kv");
-    return kv;
-  } catch (error) {
-    console.warn("[Pelican History API] KV import failed:", error.message);
-    return null;
-  }
-}
-
 /**
  * Convert date to Pelican datetime format (YYYY-MM-DDTHH:mm:ss)
  */
@@ -72,34 +62,6 @@ function toPelicanDateTime(date) {
   return local.toISOString().slice(0, 19);
 }
 
-/**
- * Fetch credentials for a site from buildings
- */
-async function getCredentialsForSite(clientId, siteSlug) {
-  const buildings = await getBuildings(clientId);
-
-  // Find building with matching PelicanSubdomain
-  const building = buildings.find(
-    (b) =>
-      String(b?.PelicanSubdomain || "")
-        .trim()
-        .toLowerCase() === siteSlug.toLowerCase()
-  );
-
-  if (!building) {
-    throw new Error(`No building found for siteSlug: ${siteSlug}`);
-  }
-
-  const username = String(building?.PelicanUsername || "").trim();
-  const password = String(building?.PelicanPassword || "").trim();
-
-  if (!username || !password) {
-    throw new Error(`Missing credentials for siteSlug: ${siteSlug}`);
-  }
-
-  return { username, password };
-}
-
 /**
  * Call Pelican API to fetch history data
  */
@@ -130,17 +92,14 @@ async function fetchPelicanHistory(
   );
 
   // Call Pelican API
-  const response = await fetch(
-    `https://${siteSlug}.officeclimatecontrol.net/api.cgi`,
-    {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        accept: "application/json",
-      },
-      body: JSON.stringify({ username, password, transactions }),
-    }
-  );
+  const response = await fetch(pelicanApiUrl(siteSlug), {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      accept: "application/json",
+    },
+    body: JSON.stringify({ username, password, transactions }),
+  });
 
   if (!response.ok) {
     const details = await response.text().catch(() => "");
@@ -188,14 +147,8 @@ async function fetchPelicanHistory(
 }
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -223,91 +176,88 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log(`[Pelican History API] Query:`, {
+    log.info("Fetching thermostat history", {
       clientId,
       siteSlug,
       serialNo,
       date,
     });
 
-    // Check cache (single day = simple cache key)
+    // Cache for 1 hour (single day data doesn't change)
     const cacheKey = `pelican:history:${clientId}:${siteSlug}:${serialNo}:${date}`;
-    let cachedData = null;
+    const { value: response, status } = await cache.lookup(
+      cacheKey,
+      async () => {
+        // Get credentials for this site
+        const { username, password } = await resolveSiteCredentials(
+          Number(clientId),
+          siteSlug,
+          { actor: "vercel", purpose: "thermostat-history" }
+        );
 
-    const kv = await getKv();
-    if (kv) {
-      try {
-        cachedData = await kv.get(cacheKey);
-        if (cachedData) {
-          console.log(`[Pelican History API] ✓ Cache hit!`);
-          res.setHeader(
-            "Cache-Control",
-            "s-maxage=3600, stale-while-revalidate=86400"
+        // Fetch data directly from Pelican API
+        let data = [];
+        try {
+          data = await fetchPelicanHistory(
+            siteSlug,
+            username,
+            password,
+            serialNo,
+            date
           );
-          return res.status(200).json({ ...cachedData, cached: true });
+        } catch (error) {
+          log.warn("Pelican fetch failed", error);
+          // If it's a "no data" scenario, return empty array instead of error
+          if (
+            error.message.includes("404") ||
+            error.message.includes("not found")
+          ) {
+            data = [];
+          } else {
+            throw error;
+          }
         }
-      } catch (error) {
-        console.warn("[Pelican History API] Cache read error:", error.message);
-      }
-    }
 
-    // Get credentials for this site
-    const { username, password } = await getCredentialsForSite(
-      Number(clientId),
-      siteSlug
+        return {
+          data,
+          query: {
+            clientId,
+            siteSlug,
+            serialNo,
+            date,
+          },
+          count: data.length,
+        };
+      },
+      { ex: 3600, tags: [`client:${clientId}`] }
     );
 
-    // Fetch data directly from Pelican API
-    let data = [];
-    try {
-      data = await fetchPelicanHistory(
-        siteSlug,
-        username,
-        password,
-        serialNo,
-        date
+    if (status !== "miss") {
+      log.info("Cache hit");
+      res.setHeader(
+        "Cache-Control",
+        "s-maxage=3600, stale-while-revalidate=86400"
       );
-    } catch (error) {
-      console.error("[Pelican History API] Fetch error:", error);
-      // If it's a "no data" scenario, return empty array instead of error
-      if (
-        error.message.includes("404") ||
-        error.message.includes("not found")
-      ) {
-        data = [];
-      } else {
-        throw error;
-      }
+      return res.status(200).json({ ...response, cached: true });
     }
 
-    const response = {
-      data,
-      query: {
-        clientId,
-        siteSlug,
-        serialNo,
-        date,
-      },
-      count: data.length,
-    };
-
-    // Cache for 1 hour (single day data doesn't change)
-    if (kv && data.length > 0) {
-      try {
-        await kv.set(cacheKey, response, { ex: 3600 });
-        console.log(`[Pelican History API] ✓ Cached for 1 hour`);
-        res.setHeader(
-          "Cache-Control",
-          "s-maxage=3600, stale-while-revalidate=86400"
-        );
-      } catch (error) {
-        console.warn("[Pelican History API] Cache write error:", error.message);
-      }
+    // An empty day may still fill in, so don't keep it
+    if (response.count === 0) {
+      await cache.delete(cacheKey);
+    } else {
+      res.setHeader(
+        "Cache-Control",
+        "s-maxage=3600, stale-while-revalidate=86400"
+      );
     }
 
     return res.status(200).json(response);
   } catch (error) {
-    console.error("[Pelican History API] Error:", error);
+    // The site isn't on one of this client's buildings
+    if (error.code === "UNKNOWN_SITE") {
+      return res.status(404).json({ error: error.message });
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -1,6 +1,11 @@
-import { getBuildings } from "../../../campus-optimizer/co-api.js";
+import { applyHeaderPolicy } from "../../../lib/http-policy.js";
+import { createLogger } from "../../../lib/logger.js";
+import { pelicanApiUrl } from "../../../lib/pelican-url.js";
+import { resolveSiteCredentials } from "../../../lib/services/credential-vault.js";
 import { DEFAULT_HISTORY_FIELDS } from "../../../pelican/history.js";
 
+const log = createLogger("pelican-thermostats-api");
+
 /**
  * Build history transaction for Pelican API (without serialNo filter to discover all thermostats)
  */
@@ -31,34 +36,6 @@ function toPelicanDateTime(date) {
   return local.toISOString().slice(0, 19);
 }
 
-/**
- * Fetch credentials for a site from buildings
- */
-async function getCredentialsForSite(clientId, siteSlug) {
-  const buildings = await getBuildings(clientId);
-
-  // Find building with matching PelicanSubdomain
-  const building = buildings.find(
-    (b) =>
-      String(b?.PelicanSubdomain || "")
-        .trim()
-        .toLowerCase() === siteSlug.toLowerCase()
-  );
-
-  if (!building) {
-    throw new Error(`No building found for siteSlug: ${siteSlug}`);
-  }
-
-  const username = String(building?.PelicanUsername || "").trim();
-  const password = String(building?.PelicanPassword || "").trim();
-
-  if (!username || !password) {
-    throw new Error(`Missing credentials for siteSlug: ${siteSlug}`);
-  }
-
-  return { username, password };
-}
-
 /**
  * Discover all thermostats for a site by querying Pelican API
  */
@@ -83,17 +60,14 @@ async function discoverThermostats(siteSlug, username, password, date) {
   );
 
   // Call Pelican API
-  const response = await fetch(
-    `https://${siteSlug}.officeclimatecontrol.net/api.cgi`,
-    {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        accept: "application/json",
-      },
-      body: JSON.stringify({ username, password, transactions }),
-    }
-  );
+  const response = await fetch(pelicanApiUrl(siteSlug), {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      accept: "application/json",
+    },
+    body: JSON.stringify({ username, password, transactions }),
+  });
 
   if (!response.ok) {
     const details = await response.text().catch(() => "");
@@ -124,14 +98,8 @@ async function discoverThermostats(siteSlug, username, password, date) {
 }
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -161,16 +129,17 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log(`[Pelican Thermostats API] Discovering thermostats for:`, {
+    log.info("Discovering thermostats", {
       clientId,
       siteSlug,
       date: queryDate,
     });
 
     // Get credentials for this site
-    const { username, password } = await getCredentialsForSite(
+    const { username, password } = await resolveSiteCredentials(
       Number(clientId),
-      siteSlug
+      siteSlug,
+      { actor: "vercel", purpose: "thermostat-discovery" }
     );
 
     // Discover thermostats
@@ -181,9 +150,7 @@ export default async function handler(req, res) {
       queryDate
     );
 
-    console.log(
-      `[Pelican Thermostats API] Found ${serialNos.length} thermostats for ${siteSlug}`
-    );
+    log.info("Found thermostats", { siteSlug, count: serialNos.length });
 
     return res.status(200).json({
       siteSlug,
@@ -192,7 +159,11 @@ export default async function handler(req, res) {
       date: queryDate,
     });
   } catch (error) {
-    console.error("[Pelican Thermostats API] Error:", error);
+    // The site isn't on one of this client's buildings
+    if (error.code === "UNKNOWN_SITE") {
+      return res.status(404).json({ error: error.message });
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -2,24 +2,16 @@
 // Returns schedule details for a SINGLE date only
 // ONE database query per request
 
-import { kv } from "@vercel/kv";
+import { getScheduleDetails } from "../../../lib/co-client.js";
+import { applyHeaderPolicy } from "../../../lib/http-policy.js";
+import { createLogger } from "../../../lib/logger.js";
+import { cache } from "../../../lib/services/cache.js";
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
-
-// Check if KV is available (has required env vars)
-const isKvAvailable = () => {
-  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
-};
+const log = createLogger("schedule-details-api");
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -36,84 +28,34 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "date is required" });
     }
 
-    console.log(
-      `[Schedule Details API] Fetching schedule details for clientId: ${clientId}, date: ${date}`
-    );
-
-    const cacheKey = `schedule-details:${clientId}:${date}`;
+    log.info("Fetching schedule details", { clientId, date });
 
-    // Check cache
-    if (isKvAvailable()) {
-      const data = await kv.get(cacheKey);
-
-      if (data) {
-        console.log(`[Schedule Details API] ✓ Cache hit!`);
-        return res.status(200).json({ scheduleDetails: data, cached: true });
-      }
-    }
-
-    // Fetch schedule details for this ONE date
-    const url = `${uri}/schedule-details?client=${clientId}&date=${date}`;
-    console.log(`[Schedule Details API] Fetching from URL: ${url}`);
-
-    const response = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
+    // Cache for 1 hour (historical data doesn't change)
+    const { value: scheduleDetails, status } = await cache.lookup(
+      `schedule-details:${clientId}:${date}`,
+      async () => {
+        // Fetch schedule details for this ONE date
+        const scheduleDetails = await getScheduleDetails(clientId, date);
+        log.info("Fetched schedule detail rows", {
+          count: scheduleDetails.length,
+        });
+        return scheduleDetails;
       },
-    });
-
-    if (!response.ok) {
-      console.error(
-        `[Schedule Details API] ✗ HTTP ${response.status}: ${response.statusText}`
-      );
-      throw new Error(
-        `Failed to fetch schedule details: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const bodyText = await response.text();
-    console.log(
-      `[Schedule Details API] Response body length: ${bodyText.length} chars`
-    );
-    console.log(
-      `[Schedule Details API] Response body preview: ${bodyText.substring(
-        0,
-        200
-      )}`
+      { ex: 3600, tags: [`client:${clientId}`] }
     );
 
-    // Handle "no schedule" or empty response
-    if (bodyText === "no schedule" || bodyText === "" || bodyText === "null") {
-      console.log(
-        `[Schedule Details API] ✓ No schedule details for date ${date}, returning empty array`
-      );
-      return res.status(200).json({ scheduleDetails: [] });
+    if (status !== "miss") {
+      log.info("Cache hit");
+      return res.status(200).json({ scheduleDetails, cached: true });
     }
-
-    const scheduleDetails = JSON.parse(bodyText);
-    console.log(
-      `[Schedule Details API] ✓ Fetched ${scheduleDetails.length} schedule detail rows`
+    res.setHeader(
+      "Cache-Control",
+      "s-maxage=3600, stale-while-revalidate=7200"
     );
 
-    if (scheduleDetails.length > 0) {
-      console.log(
-        `[Schedule Details API] First row sample:`,
-        JSON.stringify(scheduleDetails[0]).substring(0, 200)
-      );
-    }
-
-    // Cache for 1 hour (historical data doesn't change)
-    if (isKvAvailable()) {
-      await kv.set(cacheKey, scheduleDetails, { ex: 3600 });
-      res.setHeader(
-        "Cache-Control",
-        "s-maxage=3600, stale-while-revalidate=7200"
-      );
-    }
-
     return res.status(200).json({ scheduleDetails });
   } catch (error) {
-    console.error("[Schedule Details API] Error:", error);
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
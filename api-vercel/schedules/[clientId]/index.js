@@ -0,0 +1,81 @@
+// Vercel Serverless Function: GET /api/schedules/[clientId]?start=&end=
+// Returns optimal schedules for every report date in the range (YYYY-MM-DD, both
+// optional) in one response; format=ndjson streams one line per date
+
+import { getOptimalSchedules, getReportDates } from "../../../lib/co-client.js";
+import { applyHeaderPolicy } from "../../../lib/http-policy.js";
+import { createLogger } from "../../../lib/logger.js";
+import { cache } from "../../../lib/services/cache.js";
+import {
+  datesInRange,
+  parseDateRange,
+  sendDateBatch,
+  wantsNdjson,
+} from "../../../lib/services/date-batch.js";
+
+const log = createLogger("schedules-api");
+
+export default async function handler(req, res) {
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Stop starting new dates once the caller goes away
+  const controller = new AbortController();
+  req.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { clientId } = req.query;
+    const range = parseDateRange(req.query);
+
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required" });
+    }
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    log.info("Fetching optimal schedules", {
+      clientId,
+      start: range.start,
+      end: range.end,
+    });
+
+    // Same cache entries as /api/dates and the single-date function
+    const reportDates = await cache.getOrSet(
+      `dates:${clientId}`,
+      () => getReportDates(Number(clientId)),
+      { ex: 300, tags: [`client:${clientId}`] }
+    );
+
+    await sendDateBatch(res, {
+      dates: datesInRange(reportDates, range),
+      field: "schedules",
+      lookupDate: (date) =>
+        cache.lookup(
+          `schedules:${clientId}:${date}`,
+          () => getOptimalSchedules(clientId, date),
+          { ex: 3600, tags: [`client:${clientId}`] }
+        ),
+      ndjson: wantsNdjson(req),
+      signal: controller.signal,
+      log,
+    });
+  } catch (error) {
+    log.error("Request failed", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 60,
+};
@@ -1,66 +1,51 @@
 // Vercel Serverless Function: GET /api/units
 // Returns units (cooling and heating conversion factors)
 
-import { kv } from "@vercel/kv";
 import { getUnits } from "../../lib/co-client.js";
+import { applyHeaderPolicy } from "../../lib/http-policy.js";
+import { createLogger } from "../../lib/logger.js";
+import { cache } from "../../lib/services/cache.js";
 
-// Check if KV is available (has required env vars)
-const isKvAvailable = () => {
-  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
-};
+const log = createLogger("units-api");
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+  // CORS and security headers (lib/http-policy.js); answers preflights
+  if (applyHeaderPolicy(req, res)) return;
 
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
   try {
-    console.log(`[Units API] Fetching units...`);
-
-    const cacheKey = `units:all`;
-    let data = null;
-
-    // Check cache
-    if (isKvAvailable()) {
-      console.log(`[Units API] Checking cache...`);
-      data = await kv.get(cacheKey);
-
-      if (data) {
-        console.log(`[Units API] ✓ Cache hit!`);
-        return res.status(200).json({ units: data, cached: true });
-      }
+    log.info("Fetching units");
 
-      console.log(`[Units API] Cache miss, fetching fresh data`);
-    }
-
-    // Fetch units
-    const units = await getUnits();
-    console.log(
-      `[Units API] ✓ Fetched ${units.cool?.length} cooling units, ${units.heat?.length} heating units`
+    // Cache for 1 hour (units rarely change)
+    const { value: units, status } = await cache.lookup(
+      "units:all",
+      async () => {
+        log.debug("Cache miss, fetching fresh data");
+        const units = await getUnits();
+        log.info("Fetched units", {
+          cooling: units.cool?.length,
+          heating: units.heat?.length,
+        });
+        return units;
+      },
+      { ex: 3600 }
     );
 
-    // Cache for 1 hour (units rarely change)
-    if (isKvAvailable()) {
-      await kv.set(cacheKey, units, { ex: 3600 });
-      console.log(`[Units API] ✓ Cached for 1 hour`);
-      res.setHeader(
-        "Cache-Control",
-        "s-maxage=3600, stale-while-revalidate=7200"
-      );
+    if (status !== "miss") {
+      log.info("Cache hit");
+      return res.status(200).json({ units, cached: true });
     }
+    res.setHeader(
+      "Cache-Control",
+      "s-maxage=3600, stale-while-revalidate=7200"
+    );
 
     return res.status(200).json({ units });
   } catch (error) {
-    console.error("[Units API] Error:", error);
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
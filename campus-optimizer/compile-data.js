@@ -1,35 +1,47 @@
 import dotenv from "dotenv";
 import fs from "node:fs";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { requireConfig } from "../lib/config.js";
+import { DataAggregationService } from "../lib/services/aggregation.js";
+import { defaultCheckpointStore } from "../lib/services/checkpoints.js";
 import {
   actualEnergyUse,
   expectedEnergyUse,
   getDevices,
-  getOptimalSchedules,
   getReportDates,
-  getUnits,
 } from "./co-api.js";
 
-dotenv.config();
-
-async function main() {
-  const clientId = 1420;
-
-  const dataDir = path.resolve("./campus-optimizer/data");
+export const DEFAULT_DATA_DIR = path.resolve("./campus-optimizer/data");
+
+/**
+ * Compile a client's device metrics and energy use into
+ * <dataDir>/compiled.json, the input of generate-html.js. Per-date runtime
+ * totals are checkpointed, so a daily rerun only fetches schedules for new
+ * report dates; full refetches everything.
+ * @param {number} clientId
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Ignore checkpoints
+ * @param {string} [options.dataDir] - Output directory
+ * @returns {Promise<{outPath: string, meta: Object}>}
+ */
+export async function compileData(
+  clientId,
+  { full = false, dataDir = DEFAULT_DATA_DIR } = {}
+) {
+  const aggregationService = new DataAggregationService({
+    checkpoints: defaultCheckpointStore(),
+  });
   fs.mkdirSync(dataDir, { recursive: true });
+  const outPath = path.join(dataDir, "compiled.json");
 
-  const units = await getUnits();
   const devices = await getDevices(clientId);
   const dates = await getReportDates(clientId);
 
   if (!Array.isArray(dates) || dates.length === 0) {
     const empty = { meta: { clientId, reportsCount: 0 }, devices: [] };
-    fs.writeFileSync(
-      path.join(dataDir, "compiled.json"),
-      JSON.stringify({ report: empty }, null, 2)
-    );
-    console.log("No report dates available. Wrote empty compiled.json");
-    return;
+    fs.writeFileSync(outPath, JSON.stringify({ report: empty }, null, 2));
+    return { outPath, meta: empty.meta };
   }
 
   const sortedDates = [...dates]
@@ -37,92 +49,14 @@ async function main() {
     .filter(Boolean)
     .sort((a, b) => new Date(a) - new Date(b));
 
-  const totalSchedules = sortedDates.length;
-  const schedulesByDate = await Promise.all(
-    sortedDates.map((d, i) =>
-      getOptimalSchedules(clientId, d, {
-        label: `schedule ${i + 1}/${totalSchedules}`,
-      })
-    )
-  );
-
   const mostRecentDate = sortedDates[sortedDates.length - 1];
 
-  function toKW(capacity, unitId, unitList) {
-    const unit = unitList.find((u) => u.Id === unitId);
-    return capacity * (unit?.KWConversionFactor ?? 1);
-  }
-
-  const deviceAggregates = new Map();
-
-  devices.forEach((device) => {
-    deviceAggregates.set(device.Id, {
-      Id: device.Id,
-      Name: device.Name,
-      Description: device.Description,
-      HeatingKW: toKW(device.HeatingCapacity, device.HeatingUnitId, units.heat),
-      CoolingKW: toKW(device.CoolingCapacity, device.CoolingUnitId, units.cool),
-      sumRuntimeMin: 0,
-      sumRamptimeMin: 0,
-      daysCounted: 0,
-      RuntimeWeekly: [],
-      RamptimeWeekly: [],
-      Runtime: 0,
-      Ramptime: 0,
-    });
-  });
-
-  schedulesByDate.forEach((daySchedules, dayIndex) => {
-    const dateString = sortedDates[dayIndex];
-    devices.forEach((device) => {
-      const scheduleForDevice = daySchedules.filter(
-        (s) => s.DeviceId === device.Id
-      );
-      const runtimeMin =
-        scheduleForDevice.reduce(
-          (acc, curr) => acc + (curr.EndDateEpoch - curr.StartDateEpoch),
-          0
-        ) /
-        1000 /
-        60;
-      const ramptimeMin = scheduleForDevice.reduce(
-        (acc, curr) => acc + (curr.RampTime || 0),
-        0
-      );
-
-      const agg = deviceAggregates.get(device.Id);
-      agg.sumRuntimeMin += runtimeMin;
-      agg.sumRamptimeMin += ramptimeMin;
-      agg.daysCounted += 1;
-
-      if (dayIndex % 7 === 0) {
-        agg.RuntimeWeekly.push({ date: dateString, minutes: runtimeMin });
-        agg.RamptimeWeekly.push({ date: dateString, minutes: ramptimeMin });
-      }
-
-      if (dayIndex === schedulesByDate.length - 1) {
-        agg.Runtime = runtimeMin;
-        agg.Ramptime = ramptimeMin;
-      }
-    });
-  });
-
-  const report = devices.map((device) => {
-    const agg = deviceAggregates.get(device.Id);
-    const days = Math.max(1, agg.daysCounted);
-    return {
-      Name: agg.Name,
-      Description: agg.Description,
-      HeatingKW: agg.HeatingKW,
-      CoolingKW: agg.CoolingKW,
-      Runtime: agg.Runtime,
-      Ramptime: agg.Ramptime,
-      RuntimeAvg: agg.sumRuntimeMin / days,
-      RamptimeAvg: agg.sumRamptimeMin / days,
-      RuntimeWeekly: agg.RuntimeWeekly,
-      RamptimeWeekly: agg.RamptimeWeekly,
-    };
-  });
+  const deviceMetrics = await aggregationService.aggregateDeviceMetrics(
+    devices,
+    dates,
+    clientId,
+    { full }
+  );
 
   // Meter-level energy use (expected vs actual)
   const [energyExpected, energyActual] = await Promise.all([
@@ -137,18 +71,7 @@ async function main() {
       firstReportDate: sortedDates[0],
       mostRecentDate,
     },
-    devices: report.map((d) => ({
-      name: d.Name,
-      description: d.Description,
-      coolingKW: d.CoolingKW,
-      heatingKW: d.HeatingKW,
-      runtimeAvgMin: d.RuntimeAvg,
-      ramptimeAvgMin: d.RamptimeAvg,
-      runtimeLatestMin: d.Runtime,
-      ramptimeLatestMin: d.Ramptime,
-      runtimeWeekly: d.RuntimeWeekly,
-      ramptimeWeekly: d.RamptimeWeekly,
-    })),
+    devices: deviceMetrics,
     energy: {
       expected: energyExpected,
       actual: energyActual,
@@ -156,12 +79,27 @@ async function main() {
   };
 
   const out = { report: llmPayload };
-  const outPath = path.join(dataDir, "compiled.json");
   fs.writeFileSync(outPath, JSON.stringify(out, null, 2));
-  console.log(`Wrote ${outPath}`);
+  return { outPath, meta: llmPayload.meta };
+}
+
+// Pass --full to refetch every report date
+async function main() {
+  dotenv.config();
+  const { clientId } = requireConfig("clientId");
+  const { outPath, meta } = await compileData(clientId, {
+    full: process.argv.includes("--full"),
+  });
+  if (meta.reportsCount === 0) {
+    console.log("No report dates available. Wrote empty compiled.json");
+  } else {
+    console.log(`Wrote ${outPath}`);
+  }
 }
 
-main().catch((err) => {
-  console.error("compile-data failed:", err);
-  process.exitCode = 1;
-});
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error("compile-data failed:", err);
+    process.exitCode = 1;
+  });
+}
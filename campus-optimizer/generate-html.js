@@ -1,12 +1,19 @@
 import fs from "node:fs";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+export const DEFAULT_INPUT = path.resolve(
+  "./campus-optimizer/data/compiled.json"
+);
+export const DEFAULT_OUTPUT = path.resolve(
+  "./campus-optimizer/reports/report.html"
+);
 
 function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
-function loadCompiled() {
-  const inputPath = path.resolve("./campus-optimizer/data/compiled.json");
+function loadCompiled(inputPath) {
   if (!fs.existsSync(inputPath)) {
     throw new Error(
       `Missing compiled data at ${inputPath}. Run the compile step first.`
@@ -663,17 +670,33 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
-async function main() {
-  const compiled = loadCompiled();
-  const outDir = path.resolve("./campus-optimizer/reports");
-  ensureDir(outDir);
+/**
+ * Render compiled.json (from compile-data.js) as a standalone HTML report
+ * @param {Object} [options]
+ * @param {string} [options.input] - Compiled data file
+ * @param {string} [options.output] - HTML file to write
+ * @returns {{outPath: string, bytes: number}}
+ */
+export function generateHtmlReport({
+  input = DEFAULT_INPUT,
+  output = DEFAULT_OUTPUT,
+} = {}) {
+  const compiled = loadCompiled(path.resolve(input));
+  const outPath = path.resolve(output);
+  ensureDir(path.dirname(outPath));
   const html = buildHtml(compiled);
-  const outPath = path.join(outDir, "report.html");
   fs.writeFileSync(outPath, html, "utf8");
+  return { outPath, bytes: Buffer.byteLength(html) };
+}
+
+async function main() {
+  const { outPath } = generateHtmlReport();
   console.log(`Wrote ${outPath}`);
 }
 
-main().catch((err) => {
-  console.error("generate-html failed:", err);
-  process.exitCode = 1;
-});
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error("generate-html failed:", err);
+    process.exitCode = 1;
+  });
+}
@@ -1,337 +1,705 @@
 // Campus Optimizer API Client
-// Edge-compatible version (no Node.js specific features)
+// Runs on Node.js (the Express server, the scripts and the Node runtime of
+// the Vercel functions): settings come from lib/config.js, which reads the
+// config file with fs, and .env through dotenv.
+//
+// One client shared by the CLI scripts in campus-optimizer/, the Express
+// routes, the Vercel functions and scripts/precompute-reports.js. Import the
+// named endpoint functions (bound to the default client) or construct a
+// CampusOptimizerClient when a different base URL, key or limit is needed.
 
 import dotenv from "dotenv";
+import {
+  KvLimiterStore,
+  MemoryLimiterStore,
+  TokenBucketLimiter,
+  abortReason,
+} from "./rate-limiter.js";
+import {
+  SchemaWarnings,
+  normalizeIntervalTrends,
+  normalizeList,
+  normalizeUnits,
+} from "./co-schema.js";
+import {
+  computeActualEnergy,
+  computeExpectedEnergy,
+  toReportDays,
+} from "./energy.js";
+import { requireConfig } from "./config.js";
+import { createLogger, currentRequestId } from "./logger.js";
+import { upstreamRequestDuration, upstreamRetries } from "./metrics.js";
+import { cache, isKvAvailable } from "./services/cache.js";
 dotenv.config();
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
-
-// Rate limiting state (persists across warm function invocations)
-const _rateLimiterState = new Map();
-
-function _getLimiterState(key, intervalMs) {
-  if (!_rateLimiterState.has(key)) {
-    _rateLimiterState.set(key, {
-      intervalMs,
-      lastRunMs: 0,
-      queue: [],
-      running: false,
+const log = createLogger("co-client");
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries] - Extra attempts after the first one (default: 3)
+ * @property {number} [baseDelayMs] - Delay before the first retry in ms (default: 250)
+ * @property {number} [maxDelayMs] - Upper bound for any backoff delay in ms (default: 10000)
+ * @property {number} [maxRetryAfterMs] - Longest Retry-After worth waiting
+ *   for; a response asking for longer is returned as is (default: 60000)
+ * @property {number} [factor] - Backoff multiplier per attempt (default: 2)
+ * @property {boolean} [jitter] - Randomize delays ("full jitter") (default: true)
+ * @property {number[]} [retryOn] - HTTP statuses worth retrying
+ */
+
+/**
+ * @typedef {Object} RequestOutcome
+ * @property {"ok"|"empty"|"failed"} status - "empty" means the API answered
+ *   "no schedule"; "failed" means every attempt errored
+ * @property {Array} rows - Parsed rows ([] unless status is "ok")
+ * @property {number} attempts - Number of HTTP attempts made
+ * @property {number|null} httpStatus - Status of the last response, if any
+ * @property {string|null} error - Failure message when status is "failed"
+ */
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {string} [baseUrl] - API base URL (default: co.baseUrl from
+ *   lib/config.js, i.e. CO_BASE_URL or derived from CO_ENVIRONMENT)
+ * @property {string} [authKey] - Authorization key (default: co.masterKey,
+ *   i.e. CO_MASTER_KEY)
+ * @property {number} [qps] - Queries per second per client key (default: 10)
+ * @property {number} [burst] - Requests allowed back-to-back before throttling (default: qps)
+ * @property {Object<string, number>} [clientQps] - Per-clientId QPS overrides
+ * @property {number} [globalQps] - QPS for endpoints without a client parameter
+ * @property {TokenBucketLimiter} [limiter] - Limiter to use (default: shared process limiter)
+ * @property {number} [timeoutMs] - Per-request timeout in ms, body included (default: 10000)
+ * @property {RetryPolicy} [retry] - Retry policy for failed requests
+ * @property {(warning: import("./co-schema.js").SchemaWarning) => void} [onSchemaWarning] -
+ *   Receives schema drift warnings (default: logged once per distinct warning)
+ * @property {{record: (requestPath: string, response: Response) => Promise<void>}|null} [recorder] -
+ *   Captures every response (default: a fixture recorder when CO_RECORD_DIR is set)
+ */
+
+/**
+ * @typedef {Object} FetchOptions
+ * @property {string} [label] - Label used in progress logging
+ * @property {AbortSignal} [signal] - Cancels the request; queued requests are
+ *   dropped without spending rate-limit budget
+ */
+
+const DEFAULT_QPS = 10;
+const DEFAULT_MAX_CONCURRENT = 10;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY = Object.freeze({
+  retries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 60000,
+  factor: 2,
+  jitter: true,
+  retryOn: Object.freeze([408, 429, 500, 502, 503, 504]),
+});
+const GLOBAL_KEY = "__global__";
+
+export const BUILDING_TYPE = 2;
+export const METER_TYPE = 3;
+export const GROUP_TYPE = 4;
+export const DEVICE_TYPE = 5;
+export const ROOM_TYPE = 8;
+
+export { resolveBaseUrl } from "./config.js";
+
+// One limiter per process, shared by every client instance so limits hold
+// per clientId rather than per instance. Created on first use so the KV env
+// vars loaded by dotenv are visible when picking the store.
+let _sharedLimiter = null;
+
+/**
+ * The process-wide limiter used by clients without their own `limiter`.
+ * Uses the KV-backed store when Vercel KV is configured so every instance
+ * draws from the same QPS budget.
+ * @returns {TokenBucketLimiter}
+ */
+export function getSharedLimiter() {
+  if (!_sharedLimiter) {
+    const store = isKvAvailable()
+      ? new KvLimiterStore(cache)
+      : new MemoryLimiterStore();
+    _sharedLimiter = new TokenBucketLimiter({
+      rate: DEFAULT_QPS,
+      maxConcurrent: DEFAULT_MAX_CONCURRENT,
+      store,
     });
   }
-  const state = _rateLimiterState.get(key);
-  state.intervalMs = intervalMs;
-  return state;
-}
-
-function _runQueue(state) {
-  if (state.queue.length === 0) {
-    state.running = false;
-    console.log(`[Rate Limiter] Queue empty, stopping`);
-    return;
-  }
-  const now = Date.now();
-  const waitMs = Math.max(0, state.lastRunMs + state.intervalMs - now);
-
-  setTimeout(async () => {
-    const item = state.queue.shift();
-    const remaining = state.queue.length;
-    if (remaining % 50 === 0 || remaining < 5) {
-      console.log(
-        `[Rate Limiter] Processing request, ${remaining} remaining in queue`
-      );
-    }
-    state.lastRunMs = Date.now();
-    try {
-      const result = await Promise.race([
-        item.task(),
-        new Promise((_, reject) =>
-          setTimeout(
-            () => reject(new Error("Request timeout after 10s")),
-            10000
-          )
-        ),
-      ]);
-      item.resolve(result);
-    } catch (error) {
-      console.error(`[Rate Limiter] Task failed:`, error.message);
-      item.reject(error);
-    } finally {
-      _runQueue(state);
-    }
-  }, waitMs);
-}
-
-function _enqueueWithRateLimit(key, intervalMs, task) {
-  const state = _getLimiterState(key, intervalMs);
-  return new Promise((resolve, reject) => {
-    state.queue.push({ task, resolve, reject });
-    if (!state.running) {
-      state.running = true;
-      _runQueue(state);
-    }
-  });
+  return _sharedLimiter;
 }
 
 function _extractClientKeyFromUrl(urlString) {
   try {
     const url = new URL(urlString);
     const clientParam = url.searchParams.get("client");
-    return clientParam || "__global__";
+    return clientParam || GLOBAL_KEY;
   } catch (_e) {
-    return "__global__";
+    return GLOBAL_KEY;
   }
 }
 
-async function coFetch(url, options = {}) {
-  const clientKey = _extractClientKeyFromUrl(url);
-  const qps = 10; // Queries per second
-  const intervalMs = Math.max(1, Math.floor(1000 / Math.max(1, qps)));
-
-  return _enqueueWithRateLimit(clientKey, intervalMs, async () => {
-    const res = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
-      },
-    });
-    return res;
+function _sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
   });
 }
 
-export async function getReportDates(client) {
-  const response = await coFetch(
-    `${uri}/optimal-schedules/dates?client=${client}`
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || String(value).trim() === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const dateMs = Date.parse(value);
+  if (Number.isNaN(dateMs)) return null;
+  return Math.max(0, dateMs - now);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based), honoring Retry-After when given
+ * @param {RetryPolicy} policy
+ * @param {number} attempt
+ * @param {number|null} retryAfterMs
+ * @returns {number}
+ */
+export function computeBackoffDelay(policy, attempt, retryAfterMs = null) {
+  const exponential = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * policy.factor ** (attempt - 1)
   );
-  const data = await response.json();
-  return data;
+  const backoff = policy.jitter ? Math.random() * exponential : exponential;
+  if (retryAfterMs != null) {
+    // The server told us when to come back; never retry earlier than that,
+    // even past maxDelayMs (_requestWithRetry gives up on waits longer than
+    // maxRetryAfterMs instead)
+    return Math.max(retryAfterMs, backoff);
+  }
+  return backoff;
 }
 
-export async function getOptimalSchedules(client, date) {
-  try {
-    const response = await coFetch(
-      `${uri}/optimal-schedules?client=${client}&date=${date}`
-    );
-    const bodyText = await response.text();
+// Bodies the API sends instead of an empty JSON array
+function _isEmptyBody(bodyText) {
+  return bodyText === "no schedule" || bodyText === "" || bodyText === "null";
+}
 
-    if (bodyText === "no schedule") {
-      return [];
+export class CampusOptimizerClient {
+  /**
+   * @param {ClientOptions} [options]
+   */
+  constructor(options = {}) {
+    this._baseUrl = options.baseUrl;
+    this._authKey = options.authKey;
+    this.qps = options.qps ?? DEFAULT_QPS;
+    this.clientQps = { 1841: 10, ...(options.clientQps || {}) };
+    this.globalQps = options.globalQps ?? this.qps;
+    this.burst = options.burst;
+    this._limiter = options.limiter;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.retry = { ...DEFAULT_RETRY, ...(options.retry || {}) };
+    if (!Array.isArray(this.retry.retryOn)) {
+      this.retry.retryOn = DEFAULT_RETRY.retryOn;
     }
+    this.onSchemaWarning =
+      options.onSchemaWarning ?? ((warning) => this._logSchemaWarning(warning));
+    this._loggedSchemaWarnings = new Set();
+    this._recorder = options.recorder;
+  }
 
-    if (!response.ok) {
-      console.error(
-        `Failed to fetch schedule for ${date}: ${response.status} ${response.statusText}`
-      );
-      throw new Error(`Failed to fetch optimal schedules (${response.status})`);
-    }
+  /**
+   * API base URL; falls back to the configured co.baseUrl (CO_BASE_URL, e.g.
+   * the mock server, or CO_ENVIRONMENT's URL)
+   * @returns {string}
+   */
+  get baseUrl() {
+    return this._baseUrl ?? requireConfig("co.baseUrl").co.baseUrl;
+  }
 
-    return JSON.parse(bodyText);
-  } catch (error) {
-    console.error(
-      `Error in getOptimalSchedules for date ${date}:`,
-      error.message
-    );
-    throw error;
+  /**
+   * @returns {TokenBucketLimiter}
+   */
+  get limiter() {
+    return this._limiter ?? getSharedLimiter();
   }
-}
 
-export async function getDevices(client) {
-  const response = await coFetch(
-    `${uri}/project/devices?client=${client}&all=true`
-  );
-  const data = await response.json();
-  return data;
-}
+  /**
+   * Authorization key; falls back to the configured co.masterKey
+   * (CO_MASTER_KEY)
+   * @returns {string}
+   */
+  get authKey() {
+    return this._authKey ?? requireConfig("co.masterKey").co.masterKey;
+  }
 
-export async function getBuildings(client) {
-  const response = await coFetch(
-    `${uri}/project/buildings?client=${client}&all=true`
-  );
-  const data = await response.json();
-  return data;
-}
+  /**
+   * Rate-limited fetch against the Campus Optimizer API
+   * @param {string} path - Endpoint path including query (e.g. "/hierarchy?client=1420")
+   * @param {FetchOptions} [options]
+   * @returns {Promise<Response>}
+   */
+  async coFetch(path, options = {}) {
+    // Resolved up front so missing configuration fails without retries
+    const url = `${this.baseUrl}${path}`;
+    const { response } = await this._requestWithRetry(url, {
+      ...options,
+      authKey: this.authKey,
+    });
+    return response;
+  }
 
-export async function expectedEnergyUse(client) {
-  // 1) Load actuals to mirror the exact output shape (per meter, flat Interval list)
-  const actual = await actualEnergyUse(client);
-
-  // 2) Get all report dates, normalized and sorted asc (YYYY-MM-DD)
-  const reportDatesRaw = await getReportDates(client);
-  const reportDays = Array.from(
-    new Set(
-      (reportDatesRaw || [])
-        .map((d) => d?.report_date)
-        .filter(Boolean)
-        .map((s) => String(s).split("T")[0])
-    )
-  ).sort((a, b) => new Date(a) - new Date(b));
-
-  if (reportDays.length === 0) {
-    // No reports; return zeros aligned to actuals
-    return actual.map(({ Id, Name, Interval }) => ({
-      Id,
-      Name,
-      Interval: (Interval || []).map(({ date, interval }) => ({
-        date,
-        interval,
-        value: 0,
-      })),
-    }));
-  }
-
-  // 3) Fetch schedule-details for each report date and extract first 96 values per meter
-  const schedulesByDate = await Promise.all(
-    reportDays.map((d, i) =>
-      coFetch(`${uri}/schedule-details?client=${client}&date=${d}`, {
-        label: `schedule-details ${i + 1}/${reportDays.length}`,
-      }).then((res) => res.json())
-    )
-  );
+  // Runs the request through the rate limiter, retrying network errors,
+  // timeouts and retryable statuses. Resolves with the final response and
+  // the number of attempts; rejects with an Error carrying `attempts` once
+  // the retry budget is spent on network errors. Aborts are never retried.
+  async _requestWithRetry(url, options = {}) {
+    const policy = this.retry;
+    const { signal } = options;
+    const clientKey = _extractClientKeyFromUrl(url);
+    const limits = this._limitsFor(clientKey);
+    let attempts = 0;
+    while (true) {
+      attempts += 1;
+      let response = null;
+      let failure = null;
+      try {
+        response = await this.limiter.schedule(
+          clientKey,
+          () => this._fetchOnce(url, options),
+          limits,
+          { signal }
+        );
+      } catch (error) {
+        if (signal?.aborted) throw abortReason(signal);
+        failure = error;
+      }
 
-  // Helper to coerce value from a schedule-details row
-  function valueFromRow(row) {
-    const candidates = [row?.total_demand_LR, row?.total_demand];
-    for (const v of candidates) {
-      const n = Number(v);
-      if (Number.isFinite(n)) return n;
-    }
-    return 0;
-  }
-
-  // Build: reportDate -> Map(meterId -> first96Values[])
-  const reportToMeterValues = new Map();
-  schedulesByDate.forEach((rows, idx) => {
-    const dateKey = reportDays[idx];
-    const perMeter = new Map();
-    const byMeter = new Map();
-    for (const row of rows || []) {
-      const id = row?.meter_id;
-      if (!id) continue;
-      if (!byMeter.has(id)) byMeter.set(id, []);
-      byMeter.get(id).push(row);
-    }
-    for (const [id, meterRows] of byMeter.entries()) {
-      perMeter.set(id, meterRows.slice(0, 96).map(valueFromRow));
+      const retryable = failure
+        ? true
+        : policy.retryOn.includes(response.status);
+      if (!retryable || attempts > policy.retries) {
+        if (failure) {
+          failure.attempts = attempts;
+          throw failure;
+        }
+        return { response, attempts };
+      }
+
+      const retryAfterMs = response
+        ? parseRetryAfter(response.headers.get("retry-after"))
+        : null;
+      if (retryAfterMs != null && retryAfterMs > policy.maxRetryAfterMs) {
+        log.warn("Not retrying; Retry-After is beyond maxRetryAfterMs", {
+          url,
+          status: response.status,
+          retryAfterMs,
+          maxRetryAfterMs: policy.maxRetryAfterMs,
+        });
+        return { response, attempts };
+      }
+      const delayMs = computeBackoffDelay(policy, attempts, retryAfterMs);
+      upstreamRetries.inc({ upstream: "co", endpoint: this._endpointOf(url) });
+      log.warn("Retrying request", {
+        url,
+        attempt: attempts,
+        retries: policy.retries,
+        delayMs: Math.round(delayMs),
+        reason: failure ? failure.message : `HTTP ${response.status}`,
+      });
+      // Drain the body so the connection can be reused
+      await response?.body?.cancel?.().catch(() => {});
+      await _sleep(delayMs, signal);
     }
-    reportToMeterValues.set(dateKey, perMeter);
-  });
+  }
+
+  _limitsFor(clientKey) {
+    const rate =
+      clientKey === GLOBAL_KEY
+        ? this.globalQps
+        : this.clientQps[clientKey] || this.qps;
+    return { rate, burst: this.burst ?? rate };
+  }
 
-  // 4) Build a map: calendar-day -> nearest-report-day (for days missing reports)
-  const allDaysSet = new Set();
-  for (const { Interval } of actual) {
-    for (const { date } of Interval || []) {
-      allDaysSet.add(date);
+  // Record mode: loaded lazily so only recording runs load the fixture writer
+  async _getRecorder() {
+    if (this._recorder === undefined) {
+      const dir = process.env.CO_RECORD_DIR;
+      this._recorder = dir
+        ? (await import("./co-fixtures.js")).createFixtureRecorder(dir)
+        : null;
     }
+    return this._recorder;
   }
-  const allDays = Array.from(allDaysSet).sort(
-    (a, b) => new Date(a) - new Date(b)
-  );
-  const dateToReport = new Map();
-  allDays.forEach((day) => {
-    let closest = reportDays[0];
-    let minDiff = Math.abs(new Date(day) - new Date(reportDays[0]));
-    for (let j = 1; j < reportDays.length; j++) {
-      const diff = Math.abs(new Date(day) - new Date(reportDays[j]));
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = reportDays[j];
+
+  // Path without the query string, a low-cardinality metrics label
+  _endpointOf(url) {
+    return url.slice(this.baseUrl.length).split("?")[0];
+  }
+
+  async _fetchOnce(url, options) {
+    if (options?.label) {
+      log.debug("Fetching", { label: options.label });
+    }
+    const endTimer = upstreamRequestDuration.startTimer({
+      upstream: "co",
+      endpoint: this._endpointOf(url),
+    });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onCallerAbort = () => controller.abort(abortReason(options.signal));
+    options?.signal?.addEventListener("abort", onCallerAbort, { once: true });
+    try {
+      const requestId = currentRequestId();
+      const streamed = await fetch(url, {
+        headers: {
+          Authorization: options.authKey ?? this.authKey,
+          ...(requestId && { "X-Request-Id": requestId }),
+        },
+        signal: controller.signal,
+      });
+      // Read the body while the timeout still runs, so a body that stalls
+      // mid-stream times out (and is retried) like a slow response would
+      const body = await streamed.arrayBuffer();
+      // null for empty bodies: Response rejects any body on a 204 or 304
+      const res = new Response(body.byteLength > 0 ? body : null, {
+        status: streamed.status,
+        statusText: streamed.statusText,
+        headers: streamed.headers,
+      });
+      endTimer({ status: res.status });
+      if (options?.label) {
+        log.debug("Fetched", { label: options.label, status: res.status });
       }
+      const recorder = await this._getRecorder();
+      if (recorder) {
+        try {
+          await recorder.record(url.slice(this.baseUrl.length), res.clone());
+        } catch (error) {
+          log.error("Failed to record fixture", { url, error });
+        }
+      }
+      return res;
+    } catch (error) {
+      if (options?.label) {
+        log.debug("Fetch failed", {
+          label: options.label,
+          error: String(error),
+        });
+      }
+      if (options?.signal?.aborted) {
+        throw abortReason(options.signal);
+      }
+      endTimer({ status: controller.signal.aborted ? "timeout" : "error" });
+      if (controller.signal.aborted) {
+        throw new Error(`Request timeout after ${this.timeoutMs / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      options?.signal?.removeEventListener("abort", onCallerAbort);
     }
-    dateToReport.set(day, closest);
-  });
+  }
 
-  // 5) Build expected output in the same shape as actuals
-  const expected = actual.map(({ Id, Name, Interval }) => {
-    const out = [];
-    for (const { date, interval } of Interval || []) {
-      const reportForDay = dateToReport.get(date) || reportDays[0];
-      const perMeter = reportToMeterValues.get(reportForDay);
-      const values96 = perMeter?.get(Id) || [];
-      const idx = Number(interval);
-      const value =
-        Number.isFinite(idx) && idx >= 0 && idx < values96.length
-          ? values96[idx] * 0.25 // convert kW (15-min) to kWh
-          : 0;
-      out.push({ date, interval, value });
-    }
-    return { Id, Name, Interval: out };
-  });
+  _logSchemaWarning(warning) {
+    const key = `${warning.resource}:${warning.code}:${warning.field ?? ""}`;
+    if (this._loggedSchemaWarnings.has(key)) return;
+    this._loggedSchemaWarnings.add(key);
+    log.warn("Schema drift", {
+      resource: warning.resource,
+      code: warning.code,
+      ...(warning.field && { field: warning.field }),
+      detail: warning.message,
+    });
+  }
 
-  return expected;
-}
+  /**
+   * Normalize a raw payload to the canonical camelCase model, reporting drift
+   * through `onSchemaWarning`
+   * @param {"device"|"building"|"meter"|"reportDate"|"schedule"|"scheduleDetail"|"hierarchyNode"|"unit"|"intervalTrend"|"units"} resource
+   * @param {any} payload - Response body as returned by the matching getter
+   * @returns {{items: any, warnings: import("./co-schema.js").SchemaWarning[]}}
+   */
+  normalize(resource, payload) {
+    const options = { warnings: new SchemaWarnings(this.onSchemaWarning) };
+    if (resource === "intervalTrend") {
+      return normalizeIntervalTrends(payload, options);
+    }
+    if (resource === "units") {
+      return normalizeUnits(payload, options);
+    }
+    return normalizeList(resource, payload, options);
+  }
 
-export async function actualEnergyUse(client) {
-  const meters = await coFetch(`${uri}/project/meters?client=${client}`);
-  const metersData = await meters.json();
-  const response = await coFetch(`${uri}/trends/interval?client=${client}`);
-  const data = await response.json();
-
-  function pad(n) {
-    const num = Number(n);
-    return num.toString().padStart(2, "0");
-  }
-
-  function normalizedDate(y, m, d) {
-    const yearNum = Number(y);
-    const monthZero = Number(m);
-    const dayZero = Number(d);
-    if (
-      !Number.isFinite(yearNum) ||
-      !Number.isFinite(monthZero) ||
-      !Number.isFinite(dayZero)
-    )
-      return null;
-    // Source data uses 0-indexed month and day; convert to calendar values
-    const monthNum = monthZero + 1;
-    const dayNum = dayZero + 1;
-    // Validate with Date
-    const dt = new Date(Date.UTC(yearNum, monthNum - 1, dayNum));
-    if (
-      dt.getUTCFullYear() !== yearNum ||
-      dt.getUTCMonth() + 1 !== monthNum ||
-      dt.getUTCDate() !== dayNum
-    ) {
-      return null;
+  async _getJson(path, description, options) {
+    const response = await this.coFetch(path, options);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch ${description}: ${response.status} ${response.statusText}`
+      );
     }
-    return `${yearNum}-${pad(monthNum)}-${pad(dayNum)}`;
-  }
-
-  const result = metersData.map(({ Id, Name }) => {
-    const meterIntervals = data.find(({ meterName }) => meterName === Name);
-    const byYear = meterIntervals?.data || {};
-    const flat = [];
-
-    for (const [year, byMonth] of Object.entries(byYear)) {
-      for (const [month, byDay] of Object.entries(byMonth)) {
-        for (const [day, byInterval] of Object.entries(byDay)) {
-          const date = normalizedDate(year, month, day);
-          if (!date) continue; // skip invalid combos after normalization
-          for (const [intervalKey, value] of Object.entries(byInterval)) {
-            const interval = Number.isFinite(Number(intervalKey))
-              ? Number(intervalKey)
-              : intervalKey;
-            flat.push({ date, interval, value });
-          }
-        }
+    return response.json();
+  }
+
+  // Schedule endpoints answer "no schedule" (or an empty body) for dates
+  // without a report, so read text first and map those to an empty outcome
+  async _getScheduleRowsOutcome(path, description, options = {}) {
+    const url = `${this.baseUrl}${path}`;
+    let attempts = 0;
+    let httpStatus = null;
+    try {
+      const result = await this._requestWithRetry(url, {
+        ...options,
+        authKey: this.authKey,
+      });
+      attempts = result.attempts;
+      httpStatus = result.response.status;
+      const bodyText = await result.response.text();
+      if (
+        bodyText === "no schedule" ||
+        (result.response.ok && _isEmptyBody(bodyText))
+      ) {
+        return { status: "empty", rows: [], attempts, httpStatus, error: null };
       }
+      if (!result.response.ok) {
+        throw new Error(
+          `Failed to fetch ${description} (${httpStatus}): ${bodyText.slice(
+            0,
+            200
+          )}`
+        );
+      }
+      let rows;
+      try {
+        rows = JSON.parse(bodyText);
+      } catch (error) {
+        throw new Error(
+          `Unable to parse ${description} JSON: ${String(error)}`
+        );
+      }
+      return { status: "ok", rows, attempts, httpStatus, error: null };
+    } catch (error) {
+      // Cancellation is the caller's decision, not an outcome to report
+      if (options.signal?.aborted) throw abortReason(options.signal);
+      return {
+        status: "failed",
+        rows: [],
+        attempts: attempts || error.attempts || 1,
+        httpStatus,
+        error: error.message,
+      };
     }
+  }
 
-    return {
-      Id,
-      Name,
-      Interval: flat,
-    };
-  });
+  async _getScheduleRows(path, description, options) {
+    const outcome = await this._getScheduleRowsOutcome(
+      path,
+      description,
+      options
+    );
+    if (outcome.status === "failed") {
+      const error = new Error(outcome.error);
+      error.status = outcome.httpStatus;
+      error.attempts = outcome.attempts;
+      throw error;
+    }
+    return outcome.rows;
+  }
 
-  return result;
-}
+  async getReportDates(client, options) {
+    return this._getJson(
+      `/optimal-schedules/dates?client=${client}`,
+      "report dates",
+      options
+    );
+  }
 
-export async function getUnits() {
-  const [coolUnits, heatUnits] = await Promise.all([
-    coFetch(`${uri}/types/cool-units`).then((r) => r.json()),
-    coFetch(`${uri}/types/heat-units`).then((r) => r.json()),
-  ]);
+  async getOptimalSchedules(client, date, options) {
+    return this._getScheduleRows(
+      `/optimal-schedules?client=${client}&date=${date}`,
+      "optimal schedules",
+      options
+    );
+  }
+
+  /**
+   * Like getOptimalSchedules, but never throws: resolves with a
+   * RequestOutcome so callers can tell "no schedule" from "failed to fetch"
+   * @returns {Promise<RequestOutcome>}
+   */
+  async getOptimalSchedulesOutcome(client, date, options) {
+    return this._getScheduleRowsOutcome(
+      `/optimal-schedules?client=${client}&date=${date}`,
+      "optimal schedules",
+      options
+    );
+  }
 
-  return {
-    cool: coolUnits,
-    heat: heatUnits,
-  };
+  async getScheduleDetails(client, date, options) {
+    return this._getScheduleRows(
+      `/schedule-details?client=${client}&date=${date}`,
+      "schedule details",
+      options
+    );
+  }
+
+  /**
+   * @returns {Promise<RequestOutcome>}
+   */
+  async getScheduleDetailsOutcome(client, date, options) {
+    return this._getScheduleRowsOutcome(
+      `/schedule-details?client=${client}&date=${date}`,
+      "schedule details",
+      options
+    );
+  }
+
+  async getDevices(client, options) {
+    return this._getJson(
+      `/project/devices?client=${client}&all=true`,
+      "devices",
+      options
+    );
+  }
+
+  async getBuildings(client, options) {
+    return this._getJson(
+      `/project/buildings?client=${client}&all=true`,
+      "buildings",
+      options
+    );
+  }
+
+  /**
+   * @param {string|number} client - Client ID
+   * @param {FetchOptions & { all?: boolean }} [options] - `all` includes
+   *   inactive meters (default: true)
+   */
+  async getMeters(client, { all = true, ...options } = {}) {
+    return this._getJson(
+      `/project/meters?client=${client}${all ? "&all=true" : ""}`,
+      "meters",
+      options
+    );
+  }
+
+  async getGroups(client, options) {
+    return this._getJson(
+      `/project/groups?client=${client}&all=true`,
+      "groups",
+      options
+    );
+  }
+
+  async getRooms(client, options) {
+    return this._getJson(
+      `/project/rooms?client=${client}&all=true`,
+      "rooms",
+      options
+    );
+  }
+
+  async getIntervals(client, options) {
+    return this._getJson(
+      `/trends/interval?client=${client}`,
+      "intervals",
+      options
+    );
+  }
+
+  async getHierarchy(client, options) {
+    return this._getJson(`/hierarchy?client=${client}`, "hierarchy", options);
+  }
+
+  async getUnits(options) {
+    const [cool, heat, coolSources, heatSources] = await Promise.all([
+      this._getJson(`/types/cool-units`, "cooling units", options),
+      this._getJson(`/types/heat-units`, "heating units", options),
+      this._getJson(`/types/cool`, "cooling sources", options),
+      this._getJson(`/types/heat`, "heating sources", options),
+    ]);
+    return { cool, heat, coolSources, heatSources };
+  }
+
+  async actualEnergyUse(client, options = {}) {
+    const [metersData, data] = await Promise.all([
+      this.getMeters(client, { ...options, all: false }),
+      this.getIntervals(client, options),
+    ]);
+    return computeActualEnergy(metersData, data, {
+      onWarning: this.onSchemaWarning,
+    });
+  }
+
+  async expectedEnergyUse(client, options = {}) {
+    const warnings = new SchemaWarnings(this.onSchemaWarning);
+    const actual = await this.actualEnergyUse(client, options);
+    const reportDays = toReportDays(
+      await this.getReportDates(client, options),
+      { warnings }
+    );
+
+    const detailsByReportDay = new Map();
+    await Promise.all(
+      reportDays.map(async (d, i) => {
+        const rows = await this.getScheduleDetails(client, d, {
+          ...options,
+          label: `schedule-details ${i + 1}/${reportDays.length}`,
+        });
+        detailsByReportDay.set(d, rows);
+      })
+    );
+
+    return computeExpectedEnergy(actual, reportDays, detailsByReportDay, {
+      warnings,
+    });
+  }
 }
+
+// Default client configured from the environment
+export const coClient = new CampusOptimizerClient();
+
+export const coFetch = (path, options) => coClient.coFetch(path, options);
+export const getReportDates = (client, options) =>
+  coClient.getReportDates(client, options);
+export const getOptimalSchedules = (client, date, options) =>
+  coClient.getOptimalSchedules(client, date, options);
+export const getOptimalSchedulesOutcome = (client, date, options) =>
+  coClient.getOptimalSchedulesOutcome(client, date, options);
+export const getScheduleDetails = (client, date, options) =>
+  coClient.getScheduleDetails(client, date, options);
+export const getScheduleDetailsOutcome = (client, date, options) =>
+  coClient.getScheduleDetailsOutcome(client, date, options);
+export const getDevices = (client, options) =>
+  coClient.getDevices(client, options);
+export const getBuildings = (client, options) =>
+  coClient.getBuildings(client, options);
+export const getMeters = (client, options) =>
+  coClient.getMeters(client, options);
+export const getGroups = (client, options) =>
+  coClient.getGroups(client, options);
+export const getRooms = (client, options) => coClient.getRooms(client, options);
+export const getIntervals = (client, options) =>
+  coClient.getIntervals(client, options);
+export const getHierarchy = (client, options) =>
+  coClient.getHierarchy(client, options);
+export const getUnits = (options) => coClient.getUnits(options);
+export const actualEnergyUse = (client, options) =>
+  coClient.actualEnergyUse(client, options);
+export const expectedEnergyUse = (client, options) =>
+  coClient.expectedEnergyUse(client, options);
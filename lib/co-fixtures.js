@@ -0,0 +1,116 @@
+// Campus Optimizer fixture files
+// Node.js only (uses the filesystem)
+//
+// One JSON file per request, laid out by endpoint path and query so a
+// recorded session can be replayed by mock/co-server.js:
+//
+//   <dir>/optimal-schedules/client=1420&date=2025-01-06.json
+//   <dir>/optimal-schedules/dates/client=1420.json
+//   <dir>/types/cool-units/index.json
+//
+// Each file holds { status, contentType, body } for JSON responses or
+// { status, contentType, text } for plain-text ones (e.g. "no schedule").
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createLogger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger("co-record");
+
+export const DEFAULT_FIXTURES_DIR = path.resolve(
+  __dirname,
+  "../mock/fixtures/co"
+);
+
+// Keep recorded keys filesystem-safe and confined to the fixtures dir
+function _safeSegment(segment) {
+  return segment.replace(/[^\w.=,-]/g, "_").replace(/^\.+/, "_");
+}
+
+/**
+ * Path of the fixture file for a request
+ * @param {string} dir - Fixtures root
+ * @param {string} requestPath - Path and query relative to the API base URL
+ *   (e.g. "/schedule-details?client=1420&date=2025-01-06")
+ * @returns {string}
+ */
+export function fixturePath(dir, requestPath) {
+  const url = new URL(requestPath, "http://fixture.local");
+  const segments = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((s) => _safeSegment(decodeURIComponent(s)));
+  const params = [...url.searchParams.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${_safeSegment(key)}=${_safeSegment(value)}`);
+  const fileName = params.length > 0 ? params.join("&") : "index";
+  return path.join(dir, ...segments, `${fileName}.json`);
+}
+
+/**
+ * Read the fixture recorded for a request
+ * @param {string} dir - Fixtures root
+ * @param {string} requestPath - Path and query relative to the API base URL
+ * @returns {Promise<{status: number, contentType: string, body?: any, text?: string}|null>}
+ */
+export async function readFixture(dir, requestPath) {
+  try {
+    const raw = await fs.readFile(fixturePath(dir, requestPath), "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a fixture for a request, storing JSON bodies parsed so diffs stay readable
+ * @param {string} dir - Fixtures root
+ * @param {string} requestPath - Path and query relative to the API base URL
+ * @param {{status: number, contentType: string|null, bodyText: string}} response
+ * @returns {Promise<string>} Written file path
+ */
+export async function writeFixture(dir, requestPath, response) {
+  const filePath = fixturePath(dir, requestPath);
+  const fixture = {
+    status: response.status,
+    contentType: response.contentType || "text/plain",
+  };
+  try {
+    fixture.body = JSON.parse(response.bodyText);
+    fixture.contentType = "application/json";
+  } catch (_e) {
+    fixture.text = response.bodyText;
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+  return filePath;
+}
+
+/**
+ * Recorder for CampusOptimizerClient's record mode. Server errors are not
+ * recorded so a flaky session does not overwrite good fixtures.
+ * @param {string} dir - Fixtures root
+ * @returns {{dir: string, record: (requestPath: string, response: Response) => Promise<void>}}
+ */
+export function createFixtureRecorder(dir) {
+  const root = path.resolve(dir);
+  return {
+    dir: root,
+    async record(requestPath, response) {
+      if (response.status >= 500) return;
+      const filePath = await writeFixture(root, requestPath, {
+        status: response.status,
+        contentType: response.headers.get("content-type"),
+        bodyText: await response.text(),
+      });
+      log.info("Recorded fixture", {
+        path: requestPath,
+        file: path.relative(root, filePath),
+      });
+    },
+  };
+}
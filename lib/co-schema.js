@@ -0,0 +1,407 @@
+// Campus Optimizer response schemas
+// Edge- and browser-compatible (no Node.js specific features)
+//
+// Describes the shape each CO endpoint is expected to return, normalizes
+// records to one canonical camelCase model and reports schema drift (renamed
+// fields, missing keys, wrong types, unexpected payload shapes) as structured
+// warnings instead of silently turning bad data into zeros.
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string[]} from - Source field names; the first is the documented
+ *   one, the rest are aliases seen in the wild
+ * @property {"number"|"string"|"date"|"boolean"|"any"} type
+ * @property {boolean} [required] - Records missing this field are dropped
+ * @property {boolean} [expected] - Warn when missing, but keep the record
+ */
+
+/**
+ * @typedef {Object} SchemaWarning
+ * @property {string} resource - Schema name (e.g. "scheduleDetail")
+ * @property {"alias-field"|"missing-field"|"type-mismatch"|"dropped-record"|"unexpected-shape"|"invalid-date"} code
+ * @property {string|null} field - Canonical field name, when field-specific
+ * @property {number|null} index - Record index in the payload, when known
+ * @property {string} message - Human-readable description
+ */
+
+/** @type {Object<string, Object<string, FieldSpec>>} */
+export const SCHEMAS = Object.freeze({
+  device: {
+    id: { from: ["Id"], type: "number", required: true },
+    name: { from: ["Name"], type: "string" },
+    description: { from: ["Description"], type: "string" },
+    clientId: { from: ["ClientId"], type: "number" },
+    heatingCapacity: { from: ["HeatingCapacity"], type: "number" },
+    heatingUnitId: { from: ["HeatingUnitId"], type: "number" },
+    coolingCapacity: { from: ["CoolingCapacity"], type: "number" },
+    coolingUnitId: { from: ["CoolingUnitId"], type: "number" },
+  },
+  building: {
+    id: { from: ["Id"], type: "number", required: true },
+    name: { from: ["Name"], type: "string" },
+    clientId: { from: ["ClientId"], type: "number" },
+    pelicanSubdomain: { from: ["PelicanSubdomain"], type: "string" },
+  },
+  meter: {
+    id: { from: ["Id"], type: "number", required: true },
+    name: { from: ["Name"], type: "string", required: true },
+    clientId: { from: ["ClientId"], type: "number" },
+  },
+  reportDate: {
+    reportDate: { from: ["report_date"], type: "date", required: true },
+  },
+  schedule: {
+    deviceId: { from: ["DeviceId"], type: "number", required: true },
+    startEpoch: { from: ["StartDateEpoch"], type: "number", required: true },
+    endEpoch: { from: ["EndDateEpoch"], type: "number", required: true },
+    rampTimeMin: { from: ["RampTime"], type: "number" },
+  },
+  scheduleDetail: {
+    meterId: {
+      from: ["meter_id", "MeterId", "MeterID", "meterID"],
+      type: "number",
+      required: true,
+    },
+    demandKw: {
+      from: ["total_demand_LR", "total_demand"],
+      type: "number",
+      expected: true,
+    },
+  },
+  hierarchyNode: {
+    elementId: { from: ["ElementTableId"], type: "number", required: true },
+    categoryId: { from: ["CategoryId"], type: "number", required: true },
+    parentElementId: { from: ["ParentElementTableId"], type: "number" },
+    parentCategoryId: { from: ["ParentCategoryId"], type: "number" },
+    clientId: { from: ["ClientId"], type: "number" },
+    name: { from: ["Name", "ElementName"], type: "string" },
+  },
+  unit: {
+    id: { from: ["Id"], type: "number", required: true },
+    name: { from: ["Name"], type: "string" },
+    kwConversionFactor: { from: ["KWConversionFactor"], type: "number" },
+  },
+});
+
+/**
+ * Collects warnings, reporting each distinct (resource, code, field) once to
+ * `onWarning` so a drifted field on 10k rows does not flood the logs.
+ */
+export class SchemaWarnings {
+  /**
+   * @param {(warning: SchemaWarning) => void} [onWarning]
+   */
+  constructor(onWarning) {
+    this.onWarning = onWarning;
+    this.items = [];
+    this.counts = new Map();
+  }
+
+  /**
+   * @param {SchemaWarning} warning
+   */
+  add(warning) {
+    const key = `${warning.resource}:${warning.code}:${warning.field ?? ""}`;
+    const seen = this.counts.get(key) || 0;
+    this.counts.set(key, seen + 1);
+    if (seen === 0) {
+      this.items.push(warning);
+      this.onWarning?.(warning);
+    }
+  }
+
+  /**
+   * Distinct warnings with the number of records each one applied to
+   * @returns {Array<SchemaWarning & {count: number}>}
+   */
+  summary() {
+    return this.items.map((w) => ({
+      ...w,
+      count: this.counts.get(`${w.resource}:${w.code}:${w.field ?? ""}`),
+    }));
+  }
+}
+
+function _pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Normalize a date-ish value to YYYY-MM-DD
+ * @param {any} value
+ * @returns {string|null}
+ */
+export function toIsoDate(value) {
+  if (value == null || value === "") return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.valueOf())) return null;
+  return parsed.toISOString().split("T")[0];
+}
+
+/**
+ * Convert /trends/interval keys to a calendar date. The endpoint nests data
+ * by year, then 0-indexed month, then 0-indexed day.
+ * @returns {string|null} YYYY-MM-DD, or null when the combination is invalid
+ */
+export function trendDateFromKeys(year, monthZero, dayZero) {
+  const yearNum = Number(year);
+  const monthNum = Number(monthZero) + 1;
+  const dayNum = Number(dayZero) + 1;
+  if (
+    !Number.isFinite(yearNum) ||
+    !Number.isFinite(monthNum) ||
+    !Number.isFinite(dayNum)
+  ) {
+    return null;
+  }
+  const dt = new Date(Date.UTC(yearNum, monthNum - 1, dayNum));
+  if (
+    dt.getUTCFullYear() !== yearNum ||
+    dt.getUTCMonth() + 1 !== monthNum ||
+    dt.getUTCDate() !== dayNum
+  ) {
+    return null;
+  }
+  return `${yearNum}-${_pad(monthNum)}-${_pad(dayNum)}`;
+}
+
+function _coerce(value, type) {
+  switch (type) {
+    case "number": {
+      if (typeof value === "string" && value.trim() === "") return undefined;
+      const n = Number(value);
+      return Number.isFinite(n) ? n : undefined;
+    }
+    case "string":
+      return typeof value === "string" ? value : String(value);
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (value === 1 || value === "1" || value === "true") return true;
+      if (value === 0 || value === "0" || value === "false") return false;
+      return undefined;
+    case "date":
+      return toIsoDate(value) ?? undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Normalize one record against a schema
+ * @param {string} resource - Key of SCHEMAS
+ * @param {Object} raw - Record as returned by the API
+ * @param {SchemaWarnings} warnings
+ * @param {number|null} [index]
+ * @returns {Object|null} Canonical record, or null if a required field is unusable
+ */
+export function normalizeRecord(resource, raw, warnings, index = null) {
+  const schema = SCHEMAS[resource];
+  if (!schema) {
+    throw new Error(`Unknown CO schema: ${resource}`);
+  }
+  if (raw == null || typeof raw !== "object" || Array.isArray(raw)) {
+    warnings.add({
+      resource,
+      code: "unexpected-shape",
+      field: null,
+      index,
+      message: `Expected an object, got ${Array.isArray(raw) ? "array" : typeof raw}`,
+    });
+    return null;
+  }
+
+  const out = {};
+  let dropped = false;
+  for (const [field, spec] of Object.entries(schema)) {
+    const sourceName = spec.from.find(
+      (name) => raw[name] !== undefined && raw[name] !== null
+    );
+    if (sourceName === undefined) {
+      out[field] = null;
+      if (spec.required) dropped = true;
+      if (spec.required || spec.expected) {
+        warnings.add({
+          resource,
+          code: "missing-field",
+          field,
+          index,
+          message: `Missing ${spec.required ? "required" : "expected"} field ${
+            spec.from[0]
+          }`,
+        });
+      }
+      continue;
+    }
+    if (sourceName !== spec.from[0]) {
+      warnings.add({
+        resource,
+        code: "alias-field",
+        field,
+        index,
+        message: `Found ${sourceName} instead of ${spec.from[0]}`,
+      });
+    }
+    const value = _coerce(raw[sourceName], spec.type);
+    if (value === undefined) {
+      out[field] = null;
+      warnings.add({
+        resource,
+        code: spec.type === "date" ? "invalid-date" : "type-mismatch",
+        field,
+        index,
+        message: `${sourceName} is not a valid ${spec.type}: ${JSON.stringify(
+          raw[sourceName]
+        ).slice(0, 60)}`,
+      });
+      if (spec.required) dropped = true;
+      continue;
+    }
+    out[field] = value;
+  }
+
+  if (dropped) {
+    warnings.add({
+      resource,
+      code: "dropped-record",
+      field: null,
+      index,
+      message: `Dropped ${resource} record missing required data`,
+    });
+    return null;
+  }
+  return out;
+}
+
+/**
+ * Normalize a list payload (devices, buildings, schedules, ...)
+ * @param {string} resource - Key of SCHEMAS
+ * @param {any} payload - Response body
+ * @param {Object} [options]
+ * @param {SchemaWarnings} [options.warnings] - Collector to append to
+ * @param {(warning: SchemaWarning) => void} [options.onWarning]
+ * @returns {{items: Object[], warnings: SchemaWarning[]}}
+ */
+export function normalizeList(resource, payload, options = {}) {
+  const warnings = options.warnings ?? new SchemaWarnings(options.onWarning);
+  if (!Array.isArray(payload)) {
+    warnings.add({
+      resource,
+      code: "unexpected-shape",
+      field: null,
+      index: null,
+      message: `Expected an array of ${resource} records, got ${
+        payload === null ? "null" : typeof payload
+      }`,
+    });
+    return { items: [], warnings: warnings.items };
+  }
+  const items = [];
+  payload.forEach((raw, index) => {
+    const record = normalizeRecord(resource, raw, warnings, index);
+    if (record) items.push(record);
+  });
+  return { items, warnings: warnings.items };
+}
+
+/**
+ * Normalize the /trends/interval payload to flat per-meter points with
+ * calendar dates (the source nests 0-indexed month and day keys)
+ * @param {any} payload - Response body
+ * @param {Object} [options]
+ * @param {SchemaWarnings} [options.warnings]
+ * @param {(warning: SchemaWarning) => void} [options.onWarning]
+ * @returns {{items: Array<{meterName: string, points: Array<{date: string, interval: number|string, value: any}>}>, warnings: SchemaWarning[]}}
+ */
+export function normalizeIntervalTrends(payload, options = {}) {
+  const resource = "intervalTrend";
+  const warnings = options.warnings ?? new SchemaWarnings(options.onWarning);
+  if (!Array.isArray(payload)) {
+    warnings.add({
+      resource,
+      code: "unexpected-shape",
+      field: null,
+      index: null,
+      message: `Expected an array of meter trends, got ${
+        payload === null ? "null" : typeof payload
+      }`,
+    });
+    return { items: [], warnings: warnings.items };
+  }
+
+  const items = payload.map((series, index) => {
+    const meterName = series?.meterName;
+    if (meterName == null) {
+      warnings.add({
+        resource,
+        code: "missing-field",
+        field: "meterName",
+        index,
+        message: "Missing meterName",
+      });
+    }
+    const points = [];
+    for (const [year, byMonth] of Object.entries(series?.data || {})) {
+      for (const [month, byDay] of Object.entries(byMonth || {})) {
+        for (const [day, byInterval] of Object.entries(byDay || {})) {
+          const date = trendDateFromKeys(year, month, day);
+          if (!date) {
+            warnings.add({
+              resource,
+              code: "invalid-date",
+              field: "date",
+              index,
+              message: `Invalid year/month/day keys ${year}/${month}/${day}`,
+            });
+            continue;
+          }
+          for (const [intervalKey, value] of Object.entries(byInterval || {})) {
+            const interval = Number.isFinite(Number(intervalKey))
+              ? Number(intervalKey)
+              : intervalKey;
+            points.push({ date, interval, value });
+          }
+        }
+      }
+    }
+    return { meterName, points };
+  });
+  return { items, warnings: warnings.items };
+}
+
+/**
+ * Normalize the /types/* unit lists returned by getUnits
+ * @param {Object} payload - { cool, heat, coolSources, heatSources }
+ * @param {Object} [options]
+ * @returns {{items: {cool: Object[], heat: Object[]}, warnings: SchemaWarning[]}}
+ */
+export function normalizeUnits(payload, options = {}) {
+  const warnings = options.warnings ?? new SchemaWarnings(options.onWarning);
+  const cool = normalizeList("unit", payload?.cool, { warnings }).items;
+  const heat = normalizeList("unit", payload?.heat, { warnings }).items;
+  return { items: { cool, heat }, warnings: warnings.items };
+}
+
+// Building fields holding Pelican site logins. They stay on the server; the
+// credential vault (services/credential-vault.js) resolves them by site.
+export const BUILDING_SECRET_FIELDS = Object.freeze([
+  "PelicanUsername",
+  "PelicanPassword",
+]);
+
+/**
+ * Copy building records without their credential fields, for anything that
+ * leaves the server or goes into a shared cache
+ * @param {Object[]} buildings - Raw getBuildings payload
+ * @returns {Object[]}
+ */
+export function stripBuildingSecrets(buildings) {
+  if (!Array.isArray(buildings)) return buildings;
+  return buildings.map((building) => {
+    if (!building || typeof building !== "object") return building;
+    const safe = { ...building };
+    for (const field of BUILDING_SECRET_FIELDS) delete safe[field];
+    return safe;
+  });
+}
@@ -0,0 +1,319 @@
+// Configuration
+// Settings shared by the scripts, the Express server and the Vercel
+// functions, resolved from (later wins):
+//
+//   1. The config file: CONFIG_FILE, else campus.config.yaml, .yml or .json
+//      in the project root (see campus.config.example.yaml)
+//   2. The file's profile: profiles.<name> merged over the top level, where
+//      the name comes from CONFIG_PROFILE or the file's `profile` key
+//   3. Environment variables (SETTINGS below), so deployments that only set
+//      env vars keep working
+//
+// getConfig() validates everything once and throws a single Error listing
+// every problem; requireConfig() also checks that the settings a caller
+// needs are present. Call them when the value is needed, not at import
+// time, so .env has been loaded by then.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parse as parseYaml } from "yaml";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PROJECT_ROOT = path.resolve(__dirname, "..");
+
+const CONFIG_FILES = [
+  "campus.config.yaml",
+  "campus.config.yml",
+  "campus.config.json",
+];
+
+/**
+ * Every setting: its dotted key in the config file, the env var that
+ * overrides it, and its type
+ */
+const SETTINGS = [
+  { key: "co.environment", env: "CO_ENVIRONMENT", type: "string" },
+  { key: "co.baseUrl", env: "CO_BASE_URL", type: "url" },
+  { key: "co.masterKey", env: "CO_MASTER_KEY", type: "string" },
+  { key: "clientId", env: "CO_CLIENT_ID", type: "integer" },
+  { key: "reports.checkpointDir", env: "REPORT_CHECKPOINT_DIR", type: "path" },
+  { key: "pelican.historyDir", env: "PELICAN_HISTORY_DIR", type: "path" },
+  { key: "pelican.sync.startDate", env: "PELICAN_SYNC_START", type: "date" },
+  { key: "pelican.sync.endDate", env: "PELICAN_SYNC_END", type: "date" },
+  { key: "server.port", env: "PORT", type: "port" },
+];
+
+// Keys that only exist once another is set, with the hint shown when missing
+const REQUIRED_HINTS = {
+  "co.baseUrl": "set CO_ENVIRONMENT (or CO_BASE_URL), or co.environment",
+};
+
+/**
+ * @typedef {Object} CampusConfig
+ * @property {string|null} file - Config file used, if any
+ * @property {string|null} profile - Profile applied, if any
+ * @property {{environment: string|null, baseUrl: string|null, masterKey: string|null}} co
+ * @property {number|null} clientId - Client the scripts work on
+ * @property {{checkpointDir: string|null}} reports
+ * @property {{historyDir: string|null, sync: {startDate: string|null, endDate: string|null}}} pelican
+ * @property {{port: number}} server
+ */
+
+let _cached = null;
+
+/**
+ * Campus Optimizer API base URL for an environment
+ * @param {string} environment - e.g. "portal"
+ * @returns {string}
+ */
+export function resolveBaseUrl(environment) {
+  return `https://${environment}.idealimpactinc.com/api`;
+}
+
+// Marked so callers (e.g. scripts/campus-cli.js) can tell them apart
+function _configError(message) {
+  const error = new Error(message);
+  error.code = "ERR_CONFIG";
+  return error;
+}
+
+function _findConfigFile(env) {
+  if (env.CONFIG_FILE) {
+    const file = path.resolve(env.CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+      throw _configError(`CONFIG_FILE ${file} does not exist`);
+    }
+    return file;
+  }
+  for (const name of CONFIG_FILES) {
+    const file = path.join(PROJECT_ROOT, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function _readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  let data;
+  try {
+    data = file.endsWith(".json") ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw _configError(`Could not parse ${file}: ${error.message}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw _configError(`${file} must contain a mapping of settings`);
+  }
+  return data;
+}
+
+function _isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Flatten nested settings to dotted keys ({ co: { qps } } -> "co.qps")
+function _flatten(data, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(data)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (_isObject(value)) {
+      _flatten(value, dotted, out);
+    } else {
+      out[dotted] = value;
+    }
+  }
+  return out;
+}
+
+function _coerce(setting, raw, baseDir) {
+  const text = typeof raw === "string" ? raw.trim() : raw;
+  switch (setting.type) {
+    case "string":
+      if (typeof text !== "string" && typeof text !== "number") {
+        throw new Error("expected a string");
+      }
+      return String(text);
+    case "integer": {
+      const value = Number(text);
+      if (text === "" || !Number.isInteger(value) || value <= 0) {
+        throw new Error("expected a positive integer");
+      }
+      return value;
+    }
+    case "port": {
+      const value = Number(text);
+      if (
+        text === "" ||
+        !Number.isInteger(value) ||
+        value < 0 ||
+        value > 65535
+      ) {
+        throw new Error("expected a port number (0-65535)");
+      }
+      return value;
+    }
+    case "url":
+      try {
+        return new URL(String(text)).toString().replace(/\/+$/, "");
+      } catch {
+        throw new Error("expected an absolute URL");
+      }
+    case "date": {
+      // YAML reads an unquoted 2025-08-30 as a Date
+      const value =
+        text instanceof Date ? text.toISOString().slice(0, 10) : text;
+      if (
+        typeof value !== "string" ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+        Number.isNaN(Date.parse(value))
+      ) {
+        throw new Error("expected a date (YYYY-MM-DD)");
+      }
+      return value;
+    }
+    case "path":
+      if (typeof text !== "string" || text === "") {
+        throw new Error("expected a path");
+      }
+      return path.resolve(baseDir, text);
+    default:
+      throw new Error(`unknown type ${setting.type}`);
+  }
+}
+
+// Relative to the working directory when the file is under it
+function _displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith("..") ? file : relative;
+}
+
+function _describeValue(value) {
+  return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+}
+
+function _set(target, dotted, value) {
+  const keys = dotted.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function _deepFreeze(value) {
+  if (_isObject(value)) {
+    Object.values(value).forEach(_deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Load and validate the configuration. Prefer getConfig(), which caches.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.env] - Environment (default: process.env)
+ * @returns {CampusConfig}
+ */
+export function loadConfig({ env = process.env } = {}) {
+  const problems = [];
+  const file = _findConfigFile(env);
+  const fileData = file ? _readConfigFile(file) : {};
+  const fileLabel = file ? _displayPath(file) : null;
+
+  const { profile: fileProfile, profiles = {}, ...base } = fileData;
+  const profile = env.CONFIG_PROFILE || fileProfile || null;
+  let profileData = {};
+  if (profile) {
+    if (!file) {
+      problems.push(`CONFIG_PROFILE=${profile} but there is no config file`);
+    } else if (!_isObject(profiles) || !_isObject(profiles[profile])) {
+      const names = _isObject(profiles) ? Object.keys(profiles) : [];
+      problems.push(
+        `Unknown profile "${profile}" (${fileLabel} has: ${
+          names.join(", ") || "none"
+        })`
+      );
+    } else {
+      profileData = profiles[profile];
+    }
+  }
+
+  const fromFile = { ..._flatten(base), ..._flatten(profileData) };
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  for (const key of Object.keys(fromFile)) {
+    if (!known.has(key)) {
+      problems.push(`Unknown setting "${key}" in ${fileLabel}`);
+    }
+  }
+
+  const config = {
+    file,
+    profile,
+    co: { environment: null, baseUrl: null, masterKey: null },
+    clientId: null,
+    reports: { checkpointDir: null },
+    pelican: { historyDir: null, sync: { startDate: null, endDate: null } },
+    server: { port: 3001 },
+  };
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env];
+    const useEnv = fromEnv !== undefined && fromEnv !== "";
+    const raw = useEnv ? fromEnv : fromFile[setting.key];
+    if (raw === undefined || raw === null) continue;
+
+    try {
+      // File paths are relative to the file; env paths to the working dir
+      const baseDir = useEnv ? process.cwd() : path.dirname(file);
+      _set(config, setting.key, _coerce(setting, raw, baseDir));
+    } catch (error) {
+      const source = useEnv ? setting.env : `${setting.key} in ${fileLabel}`;
+      problems.push(`${source}: ${error.message}, got ${_describeValue(raw)}`);
+    }
+  }
+
+  if (!config.co.baseUrl && config.co.environment) {
+    config.co.baseUrl = resolveBaseUrl(config.co.environment);
+  }
+
+  if (problems.length > 0) {
+    throw _configError(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+  }
+  return _deepFreeze(config);
+}
+
+/**
+ * The process's configuration, loaded and validated on first use
+ * @returns {CampusConfig}
+ */
+export function getConfig() {
+  if (!_cached) {
+    _cached = loadConfig();
+  }
+  return _cached;
+}
+
+/**
+ * getConfig(), throwing one Error that names every missing setting and how
+ * to set it
+ * @param {...string} keys - Dotted keys (e.g. "co.masterKey", "clientId")
+ * @returns {CampusConfig}
+ */
+export function requireConfig(...keys) {
+  const config = getConfig();
+  const missing = keys.filter((key) => {
+    const value = key.split(".").reduce((node, part) => node?.[part], config);
+    return value === null || value === undefined;
+  });
+  if (missing.length === 0) return config;
+
+  const lines = missing.map((key) => {
+    const setting = SETTINGS.find((s) => s.key === key);
+    const hint = REQUIRED_HINTS[key] ?? `set ${setting?.env ?? key}, or ${key}`;
+    return `  - ${key}: ${hint} in campus.config.yaml`;
+  });
+  throw _configError(`Missing configuration:\n${lines.join("\n")}`);
+}
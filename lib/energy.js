@@ -0,0 +1,174 @@
+// Energy computations
+// Edge- and browser-compatible (no Node.js specific features)
+//
+// Pure functions behind actualEnergyUse / expectedEnergyUse, shared by
+// lib/co-client.js and the dashboard (src/services/api.js) so both produce
+// the same numbers from the same raw CO payloads.
+
+import {
+  SchemaWarnings,
+  normalizeIntervalTrends,
+  normalizeList,
+  normalizeRecord,
+} from "./co-schema.js";
+
+// Schedule details hold one row per 15-minute interval of the report day
+export const INTERVALS_PER_DAY = 96;
+// kW held for one 15-minute interval, in kWh
+export const KWH_PER_KW_INTERVAL = 0.25;
+
+/**
+ * @typedef {Object} EnergyPoint
+ * @property {string} date - YYYY-MM-DD
+ * @property {number|string} interval - 15-minute slot index within the day
+ * @property {any} value
+ */
+
+/**
+ * @typedef {Object} MeterEnergy
+ * @property {number} Id
+ * @property {string} Name
+ * @property {EnergyPoint[]} Interval
+ */
+
+/**
+ * @typedef {Object} EnergyOptions
+ * @property {SchemaWarnings} [warnings] - Collector for schema drift
+ * @property {(warning: import("./co-schema.js").SchemaWarning) => void} [onWarning]
+ */
+
+function _warnings(options) {
+  return options.warnings ?? new SchemaWarnings(options.onWarning);
+}
+
+/**
+ * Actual energy per meter: the /trends/interval payload flattened to one
+ * point per interval. Meters without trend data get an empty Interval list.
+ * @param {Array} meters - /project/meters payload
+ * @param {Array} intervalData - /trends/interval payload
+ * @param {EnergyOptions} [options]
+ * @returns {MeterEnergy[]}
+ */
+export function computeActualEnergy(meters, intervalData, options = {}) {
+  const warnings = _warnings(options);
+  const meterList = normalizeList("meter", meters, { warnings }).items;
+  const trends = normalizeIntervalTrends(intervalData, { warnings }).items;
+
+  return meterList.map(({ id, name }) => {
+    const meterTrend = trends.find(({ meterName }) => meterName === name);
+    return {
+      Id: id,
+      Name: name,
+      Interval: meterTrend?.points || [],
+    };
+  });
+}
+
+/**
+ * Report dates as unique YYYY-MM-DD strings, ascending
+ * @param {Array} dates - /optimal-schedules/dates payload ({ report_date })
+ * @param {EnergyOptions} [options]
+ * @returns {string[]}
+ */
+export function toReportDays(dates, options = {}) {
+  const warnings = _warnings(options);
+  const days = normalizeList("reportDate", dates || [], { warnings }).items.map(
+    (d) => d.reportDate
+  );
+  return Array.from(new Set(days)).sort();
+}
+
+/**
+ * First INTERVALS_PER_DAY demand values (kW) per meter, in row order.
+ * Rows without demand keep their slot as 0 so later intervals stay aligned.
+ * @param {Array} rows - /schedule-details payload for one report date
+ * @param {EnergyOptions} [options]
+ * @returns {Map<number, number[]>} meterId -> values
+ */
+export function demandByMeter(rows, options = {}) {
+  const warnings = _warnings(options);
+  const perMeter = new Map();
+  (Array.isArray(rows) ? rows : []).forEach((raw, index) => {
+    const row = normalizeRecord("scheduleDetail", raw, warnings, index);
+    if (!row) return;
+    if (!perMeter.has(row.meterId)) perMeter.set(row.meterId, []);
+    const values = perMeter.get(row.meterId);
+    if (values.length < INTERVALS_PER_DAY) values.push(row.demandKw ?? 0);
+  });
+  return perMeter;
+}
+
+/**
+ * Map each calendar day to the latest report day on or before it. Days
+ * before the first report fall back to the first report.
+ * @param {string[]} days - YYYY-MM-DD
+ * @param {string[]} reportDays - YYYY-MM-DD, ascending
+ * @returns {Map<string, string>}
+ */
+export function mapDaysToReports(days, reportDays) {
+  const dayToReport = new Map();
+  if (reportDays.length === 0) return dayToReport;
+  let j = 0;
+  for (const day of Array.from(new Set(days)).sort()) {
+    while (j + 1 < reportDays.length && reportDays[j + 1] <= day) {
+      j += 1;
+    }
+    dayToReport.set(day, reportDays[0] > day ? reportDays[0] : reportDays[j]);
+  }
+  return dayToReport;
+}
+
+/**
+ * Expected energy per meter, aligned point-for-point with the actuals. Each
+ * point takes the demand for its interval index from the report mapped to
+ * its day (see mapDaysToReports), converted to kWh. Intervals past the 96
+ * values of a report (e.g. the long day when DST ends), meters missing from
+ * the report and days with no reports at all are 0.
+ * @param {MeterEnergy[]} actual - Output of computeActualEnergy
+ * @param {string[]} reportDays - Output of toReportDays
+ * @param {Map<string, Array>|Array<{date: string, details: Array}>} detailsByReportDay -
+ *   /schedule-details rows per report day
+ * @param {EnergyOptions} [options]
+ * @returns {MeterEnergy[]}
+ */
+export function computeExpectedEnergy(
+  actual,
+  reportDays,
+  detailsByReportDay,
+  options = {}
+) {
+  const warnings = _warnings(options);
+  const entries =
+    detailsByReportDay instanceof Map
+      ? Array.from(detailsByReportDay.entries())
+      : (detailsByReportDay || []).map(({ date, details }) => [date, details]);
+
+  const reportToMeterValues = new Map();
+  for (const [date, rows] of entries) {
+    reportToMeterValues.set(
+      String(date).split("T")[0],
+      demandByMeter(rows, { warnings })
+    );
+  }
+
+  const days = [];
+  for (const { Interval } of actual) {
+    for (const { date } of Interval || []) days.push(date);
+  }
+  const dayToReport = mapDaysToReports(days, reportDays);
+
+  return actual.map(({ Id, Name, Interval }) => ({
+    Id,
+    Name,
+    Interval: (Interval || []).map(({ date, interval }) => {
+      const perMeter = reportToMeterValues.get(dayToReport.get(date));
+      const values = perMeter?.get(Number(Id)) || [];
+      const idx = Number(interval);
+      const value =
+        Number.isInteger(idx) && idx >= 0 && idx < values.length
+          ? values[idx] * KWH_PER_KW_INTERVAL
+          : 0;
+      return { date, interval, value };
+    }),
+  }));
+}
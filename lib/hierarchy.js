@@ -0,0 +1,364 @@
+// Campus hierarchy tree
+// Built once from /hierarchy (plus the element lists for names), then
+// answers descendant/ancestor/path queries and subtree rollups in memory.
+// Nodes are keyed by "<categoryId>:<elementId>", since element ids are only
+// unique within a category.
+
+import {
+  BUILDING_TYPE,
+  DEVICE_TYPE,
+  GROUP_TYPE,
+  METER_TYPE,
+  ROOM_TYPE,
+  coClient,
+} from "./co-client.js";
+import {
+  SchemaWarnings,
+  normalizeList,
+  stripBuildingSecrets,
+} from "./co-schema.js";
+
+export const CATEGORY_NAMES = Object.freeze({
+  [BUILDING_TYPE]: "building",
+  [METER_TYPE]: "meter",
+  [GROUP_TYPE]: "group",
+  [DEVICE_TYPE]: "device",
+  [ROOM_TYPE]: "room",
+});
+
+/**
+ * @typedef {Object} HierarchyNode
+ * @property {number} elementId
+ * @property {number} categoryId
+ * @property {number|null} parentElementId
+ * @property {number|null} parentCategoryId
+ * @property {number|null} clientId
+ * @property {string|null} name
+ */
+
+/**
+ * @typedef {Object} HierarchyJson
+ * @property {number} id
+ * @property {number} category
+ * @property {string} type - Category name (e.g. "building")
+ * @property {string|null} name
+ * @property {Object<string, number>} counts - Descendants per category name
+ * @property {HierarchyJson[]} children
+ */
+
+/**
+ * Node key for an element
+ * @param {number|string} id - Element id
+ * @param {number|string} category - Category id
+ * @returns {string}
+ */
+export function nodeKey(id, category) {
+  return `${Number(category)}:${Number(id)}`;
+}
+
+/**
+ * Parse a "<categoryId>:<elementId>" key
+ * @param {string} key
+ * @returns {{id: number, category: number}|null}
+ */
+export function parseNodeKey(key) {
+  const match = String(key ?? "").match(/^(\d+):(\d+)$/);
+  return match ? { category: Number(match[1]), id: Number(match[2]) } : null;
+}
+
+function _categoryName(category) {
+  return CATEGORY_NAMES[category] ?? `category-${category}`;
+}
+
+export class HierarchyTree {
+  /**
+   * @param {Array} hierarchy - /hierarchy payload
+   * @param {Object<number, Array>} [elements] - Element lists by category id
+   *   (e.g. { [BUILDING_TYPE]: buildings }) used for names and lookups
+   * @param {Object} [options]
+   * @param {(warning: import("./co-schema.js").SchemaWarning) => void} [options.onWarning]
+   */
+  constructor(hierarchy, elements = {}, options = {}) {
+    const warnings = new SchemaWarnings(options.onWarning);
+    this._nodes = new Map(); // key -> HierarchyNode
+    this._children = new Map(); // key -> child keys
+    this._elements = new Map(); // key -> raw element record
+
+    for (const node of normalizeList("hierarchyNode", hierarchy, {
+      warnings,
+    }).items) {
+      this._nodes.set(nodeKey(node.elementId, node.categoryId), node);
+    }
+    for (const [key, node] of this._nodes) {
+      const parentKey = this._parentKey(node);
+      if (!parentKey) continue;
+      if (!this._children.has(parentKey)) this._children.set(parentKey, []);
+      this._children.get(parentKey).push(key);
+    }
+    for (const [category, list] of Object.entries(elements)) {
+      for (const element of Array.isArray(list) ? list : []) {
+        if (element?.Id != null) {
+          this._elements.set(nodeKey(element.Id, category), element);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fetch /hierarchy and every element list once and build the tree
+   * @param {string|number} clientId
+   * @param {Object} [options]
+   * @param {import("./co-client.js").CampusOptimizerClient} [options.client] -
+   *   CO client to use (default: the shared client)
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<HierarchyTree>}
+   */
+  static async load(clientId, { client = coClient, signal } = {}) {
+    return HierarchyTree.fromSource(
+      await HierarchyTree.fetchSource(clientId, { client, signal }),
+      { client }
+    );
+  }
+
+  /**
+   * Fetch the raw payloads a tree is built from. Unlike the tree itself they
+   * are plain JSON, so they can be cached anywhere.
+   * @param {string|number} clientId
+   * @param {Object} [options]
+   * @param {import("./co-client.js").CampusOptimizerClient} [options.client]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{hierarchy: Array, elements: Object<number, Array>}>}
+   */
+  static async fetchSource(clientId, { client = coClient, signal } = {}) {
+    const options = { signal };
+    const [hierarchy, buildings, meters, groups, rooms, devices] =
+      await Promise.all([
+        client.getHierarchy(clientId, options),
+        client.getBuildings(clientId, options),
+        client.getMeters(clientId, options),
+        client.getGroups(clientId, options),
+        client.getRooms(clientId, options),
+        client.getDevices(clientId, options),
+      ]);
+    return {
+      hierarchy,
+      elements: {
+        // Sources get cached; the tree never needs the Pelican logins
+        [BUILDING_TYPE]: stripBuildingSecrets(buildings),
+        [METER_TYPE]: meters,
+        [GROUP_TYPE]: groups,
+        [ROOM_TYPE]: rooms,
+        [DEVICE_TYPE]: devices,
+      },
+    };
+  }
+
+  /**
+   * @param {{hierarchy: Array, elements: Object<number, Array>}} source -
+   *   From fetchSource()
+   * @param {Object} [options]
+   * @param {import("./co-client.js").CampusOptimizerClient} [options.client] -
+   *   Client whose onSchemaWarning receives warnings
+   * @returns {HierarchyTree}
+   */
+  static fromSource({ hierarchy, elements }, { client = coClient } = {}) {
+    return new HierarchyTree(hierarchy, elements, {
+      onWarning: client.onSchemaWarning,
+    });
+  }
+
+  _parentKey(node) {
+    if (node.parentElementId == null || node.parentCategoryId == null) {
+      return null;
+    }
+    return nodeKey(node.parentElementId, node.parentCategoryId);
+  }
+
+  /**
+   * @returns {number} Number of nodes
+   */
+  get size() {
+    return this._nodes.size;
+  }
+
+  /**
+   * @param {number} id - Element id
+   * @param {number} category - Category id
+   * @returns {HierarchyNode|null}
+   */
+  get(id, category) {
+    return this._nodes.get(nodeKey(id, category)) ?? null;
+  }
+
+  /**
+   * Element record (from /project/*) behind a node, if loaded
+   * @returns {Object|null}
+   */
+  element(id, category) {
+    return this._elements.get(nodeKey(id, category)) ?? null;
+  }
+
+  /**
+   * Nodes whose parent is missing from the hierarchy
+   * @returns {HierarchyNode[]}
+   */
+  roots() {
+    const roots = [];
+    for (const node of this._nodes.values()) {
+      const parentKey = this._parentKey(node);
+      if (!parentKey || !this._nodes.has(parentKey)) roots.push(node);
+    }
+    return roots;
+  }
+
+  /**
+   * @returns {HierarchyNode[]}
+   */
+  children(id, category) {
+    return (this._children.get(nodeKey(id, category)) || []).map((key) =>
+      this._nodes.get(key)
+    );
+  }
+
+  /**
+   * @returns {HierarchyNode|null}
+   */
+  parent(id, category) {
+    const node = this.get(id, category);
+    const parentKey = node && this._parentKey(node);
+    return (parentKey && this._nodes.get(parentKey)) ?? null;
+  }
+
+  /**
+   * Every node below an element, depth first, each listed once
+   * @param {number} id - Element id
+   * @param {number} category - Category id
+   * @param {Object} [options]
+   * @param {number} [options.category] - Only return nodes of this category
+   * @returns {HierarchyNode[]}
+   */
+  descendants(id, category, { category: only } = {}) {
+    const results = [];
+    const visited = new Set([nodeKey(id, category)]);
+    const stack = [...(this._children.get(nodeKey(id, category)) || [])];
+    stack.reverse();
+    while (stack.length > 0) {
+      const key = stack.pop();
+      if (visited.has(key)) continue;
+      visited.add(key);
+      const node = this._nodes.get(key);
+      if (only == null || node.categoryId === only) results.push(node);
+      const childKeys = this._children.get(key) || [];
+      for (let i = childKeys.length - 1; i >= 0; i -= 1) {
+        stack.push(childKeys[i]);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Nodes above an element, nearest first
+   * @param {number} id - Element id
+   * @param {number} category - Category id
+   * @param {Object} [options]
+   * @param {number} [options.category] - Only return nodes of this category
+   * @returns {HierarchyNode[]}
+   */
+  ancestors(id, category, { category: only } = {}) {
+    const results = [];
+    const visited = new Set([nodeKey(id, category)]);
+    let current = this.get(id, category);
+    while (current) {
+      const parentKey = this._parentKey(current);
+      if (!parentKey || visited.has(parentKey)) break;
+      visited.add(parentKey);
+      current = this._nodes.get(parentKey);
+      if (current && (only == null || current.categoryId === only)) {
+        results.push(current);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Nodes from the root down to (and including) an element
+   * @returns {HierarchyNode[]}
+   */
+  path(id, category) {
+    const node = this.get(id, category);
+    if (!node) return [];
+    return [...this.ancestors(id, category).reverse(), node];
+  }
+
+  /**
+   * Sum a value over an element and everything below it
+   * @param {number} id - Element id
+   * @param {number} category - Category id
+   * @param {(node: HierarchyNode, element: Object|null) => number} valueOf
+   * @returns {number}
+   */
+  rollup(id, category, valueOf) {
+    const node = this.get(id, category);
+    if (!node) return 0;
+    let total = 0;
+    for (const n of [node, ...this.descendants(id, category)]) {
+      const value = Number(valueOf(n, this.element(n.elementId, n.categoryId)));
+      if (Number.isFinite(value)) total += value;
+    }
+    return total;
+  }
+
+  /**
+   * Descendant counts per category name (e.g. { meter: 3, device: 12 })
+   * @returns {Object<string, number>}
+   */
+  counts(id, category) {
+    const counts = {};
+    for (const node of this.descendants(id, category)) {
+      const name = _categoryName(node.categoryId);
+      counts[name] = (counts[name] || 0) + 1;
+    }
+    return counts;
+  }
+
+  _nodeJson(node, visited) {
+    const key = nodeKey(node.elementId, node.categoryId);
+    visited.add(key);
+    const children = (this._children.get(key) || [])
+      .filter((childKey) => !visited.has(childKey))
+      .map((childKey) => this._nodeJson(this._nodes.get(childKey), visited));
+
+    const counts = {};
+    for (const child of children) {
+      counts[child.type] = (counts[child.type] || 0) + 1;
+      for (const [name, count] of Object.entries(child.counts)) {
+        counts[name] = (counts[name] || 0) + count;
+      }
+    }
+
+    return {
+      id: node.elementId,
+      category: node.categoryId,
+      type: _categoryName(node.categoryId),
+      name:
+        this.element(node.elementId, node.categoryId)?.Name ?? node.name ?? null,
+      counts,
+      children,
+    };
+  }
+
+  /**
+   * Nested export, one entry per root (or just the subtree under an element)
+   * @param {{id: number, category: number}} [from] - Subtree root
+   * @returns {HierarchyJson[]}
+   */
+  toJSON(from) {
+    const visited = new Set();
+    // JSON.stringify passes the property name here; only honor real selectors
+    const roots =
+      from && typeof from === "object"
+        ? [this.get(from.id, from.category)]
+        : this.roots();
+    return roots.filter(Boolean).map((node) => this._nodeJson(node, visited));
+  }
+}
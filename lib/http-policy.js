@@ -0,0 +1,172 @@
+// HTTP header policy
+// CORS and security headers shared by the Express server (as middleware) and
+// every Vercel function (applyHeaderPolicy at the top of the handler), so both
+// deployments answer with the same policy.
+//
+//   CORS_ORIGINS           - Allowed origins, comma-separated; "*" (default)
+//                            allows any, "https://*.example.com" any subdomain
+//   CORS_METHODS           - Allowed methods (default: GET, POST, DELETE, OPTIONS)
+//   CORS_HEADERS           - Allowed request headers
+//                            (default: Content-Type, Authorization)
+//   CORS_CREDENTIALS       - "true" to allow cookies cross-origin (needs
+//                            explicit CORS_ORIGINS)
+//   CORS_MAX_AGE           - Seconds browsers may cache a preflight (default: 600)
+//   SECURITY_CSP           - Content-Security-Policy, or "off" (default: the
+//                            dashboard's policy below)
+//   SECURITY_HSTS_MAX_AGE  - Strict-Transport-Security max-age in seconds
+//                            (default: 180 days, 0 = off)
+//   SECURITY_FRAME_OPTIONS - X-Frame-Options (default: DENY, "off" to omit)
+
+// The dashboard only loads its own bundle; Tailwind and Chart.js need inline
+// styles, chart exports need data:/blob: images
+export const DEFAULT_CSP = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob:",
+  "font-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+/**
+ * @typedef {Object} HeaderPolicy
+ * @property {string[]} origins - Allowed origins ("*" for any)
+ * @property {string} methods
+ * @property {string} headers
+ * @property {boolean} credentials
+ * @property {number} maxAge
+ * @property {string|null} csp
+ * @property {number} hstsMaxAge
+ * @property {string|null} frameOptions
+ */
+
+function _list(value, fallback) {
+  const items = String(value ?? fallback)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return items.length ? items : fallback.split(", ");
+}
+
+function _number(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number)
+    ? number
+    : fallback;
+}
+
+function _optional(value, fallback) {
+  if (value === "off") return null;
+  return value || fallback;
+}
+
+/**
+ * Read the policy from env vars
+ * @param {Object<string, string|undefined>} [env]
+ * @returns {HeaderPolicy}
+ */
+export function headerPolicy(env = globalThis.process?.env ?? {}) {
+  const origins = _list(env.CORS_ORIGINS, "*");
+  const credentials = env.CORS_CREDENTIALS === "true";
+  if (credentials && origins.includes("*")) {
+    throw new Error(
+      'CORS_CREDENTIALS=true needs explicit CORS_ORIGINS, not "*"'
+    );
+  }
+
+  return {
+    origins,
+    methods: _list(env.CORS_METHODS, "GET, POST, DELETE, OPTIONS").join(", "),
+    headers: _list(env.CORS_HEADERS, "Content-Type, Authorization").join(", "),
+    credentials,
+    maxAge: _number(env.CORS_MAX_AGE, 600),
+    csp: _optional(env.SECURITY_CSP, DEFAULT_CSP),
+    hstsMaxAge: _number(env.SECURITY_HSTS_MAX_AGE, DEFAULT_HSTS_MAX_AGE),
+    frameOptions: _optional(env.SECURITY_FRAME_OPTIONS, "DENY"),
+  };
+}
+
+function _originAllowed(origins, origin) {
+  return origins.some((allowed) => {
+    if (allowed === "*" || allowed === origin) return true;
+    // "https://*.example.com" matches any subdomain, not the apex
+    const wildcard = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+    return (
+      !!wildcard &&
+      origin.startsWith(wildcard[1]) &&
+      origin.endsWith(`.${wildcard[2]}`)
+    );
+  });
+}
+
+/**
+ * Set the CORS and security headers, and answer OPTIONS requests
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {HeaderPolicy} [policy]
+ * @returns {boolean} true when the request was a preflight and has been
+ *   answered; the handler should return without doing anything else
+ */
+export function applyHeaderPolicy(req, res, policy = defaultPolicy()) {
+  const origin = req.headers.origin;
+  const anyOrigin = policy.origins.includes("*");
+  // The response depends on Origin, even when it's rejected
+  if (!anyOrigin) res.setHeader("Vary", "Origin");
+
+  if (origin && _originAllowed(policy.origins, origin)) {
+    res.setHeader("Access-Control-Allow-Origin", anyOrigin ? "*" : origin);
+    if (policy.credentials) {
+      res.setHeader("Access-Control-Allow-Credentials", "true");
+    }
+    res.setHeader("Access-Control-Allow-Methods", policy.methods);
+    res.setHeader("Access-Control-Allow-Headers", policy.headers);
+    res.setHeader("Access-Control-Max-Age", String(policy.maxAge));
+  }
+
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+  if (policy.frameOptions) {
+    res.setHeader("X-Frame-Options", policy.frameOptions);
+  }
+  if (policy.csp) {
+    res.setHeader("Content-Security-Policy", policy.csp);
+  }
+  if (policy.hstsMaxAge > 0) {
+    res.setHeader(
+      "Strict-Transport-Security",
+      `max-age=${policy.hstsMaxAge}; includeSubDomains`
+    );
+  }
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    res.end();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Express middleware applying the policy to every response
+ * @param {HeaderPolicy} [policy]
+ * @returns {import("express").RequestHandler}
+ */
+export function headerPolicyMiddleware(policy = headerPolicy()) {
+  return (req, res, next) => {
+    if (!applyHeaderPolicy(req, res, policy)) next();
+  };
+}
+
+let _defaultPolicy = null;
+
+// Env vars don't change within a process (or a warm Vercel instance)
+function defaultPolicy() {
+  if (!_defaultPolicy) _defaultPolicy = headerPolicy();
+  return _defaultPolicy;
+}
@@ -0,0 +1,255 @@
+// Structured logger
+// One JSON line per entry with a level, the module's scope, the ID of the
+// request being served (see runWithRequestContext) and any fields. Values
+// under credential-like keys, and keys or passwords embedded in strings, are
+// redacted before anything is written.
+//
+//   LOG_LEVEL  - "debug", "info" (default), "warn", "error" or "silent"
+//   LOG_FORMAT - "json" (default in production) or "pretty" (default
+//                otherwise): one readable, colored line per entry
+//   LOG_STREAM - "stderr" to write every entry to stderr, for commands whose
+//                stdout is their output (default: debug and info go to stdout)
+//
+//   const log = createLogger("buildings-api");
+//   log.info("Fetched buildings", { clientId, count: buildings.length });
+//   log.error("Request failed", error);
+
+// node: prefix so edge runtimes that support AsyncLocalStorage resolve it too
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+});
+
+const REDACTED = "[redacted]";
+
+// Keys whose values are never logged (matched case-insensitively)
+const SECRET_KEY =
+  /^(pass|pwd)$|password|secret|token|authorization|cookie|credential|(auth|api|master|vault)[-_]?key/i;
+
+// Credentials inside strings: JSON bodies, query strings, auth headers
+const SECRET_PATTERNS = [
+  [/("(?:password|secret|token|key)"\s*:\s*)"[^"]*"/gi, `$1"${REDACTED}"`],
+  [/([?&](?:password|secret|token|key)=)[^&\s"]*/gi, `$1${REDACTED}`],
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/g, `$1 ${REDACTED}`],
+];
+
+// Env vars whose values are redacted wherever they show up
+const SECRET_ENV_VARS = ["CO_MASTER_KEY", "AUTH_SECRET", "PELICAN_VAULT_KEY"];
+
+const COLORS = {
+  debug: "\x1b[90m",
+  info: "\x1b[36m",
+  warn: "\x1b[33m",
+  error: "\x1b[31m",
+};
+const RESET = "\x1b[0m";
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with a request context; every entry logged while it runs (including
+ * from async work it starts) carries the context's requestId
+ * @template T
+ * @param {{requestId: string}} context
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * ID of the request being served, if any
+ * @returns {string|undefined}
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+function _env(name) {
+  return globalThis.process?.env?.[name];
+}
+
+function _threshold() {
+  return LEVELS[_env("LOG_LEVEL")?.toLowerCase()] ?? LEVELS.info;
+}
+
+function _pretty() {
+  const format = _env("LOG_FORMAT");
+  return format ? format === "pretty" : _env("NODE_ENV") !== "production";
+}
+
+/**
+ * Redact credentials from a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactText(text) {
+  let result = String(text);
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  for (const name of SECRET_ENV_VARS) {
+    const secret = _env(name);
+    // Short values would match too much unrelated text
+    if (secret && secret.length >= 8) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+function _serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(error.message),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.stack && { stack: redactText(error.stack) }),
+  };
+}
+
+/**
+ * Copy a value for logging with credentials redacted
+ * @param {any} value
+ * @param {number} [depth]
+ * @returns {any}
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return _serializeError(value);
+  if (typeof value === "string") return redactText(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 5) return "[nested]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const copy = {};
+  for (const [key, v] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) ? REDACTED : redact(v, depth + 1);
+  }
+  return copy;
+}
+
+function _prettyValue(value) {
+  if (typeof value === "string") {
+    return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  }
+  return JSON.stringify(value);
+}
+
+function _formatPretty(entry) {
+  const { time, level, scope, msg, requestId, error, ...fields } = entry;
+  const color = COLORS[level] ?? "";
+  const useColor = !!globalThis.process?.stdout?.isTTY;
+  const label = level.toUpperCase().padEnd(5);
+
+  let line = `${time.slice(11, 23)} ${
+    useColor ? `${color}${label}${RESET}` : label
+  } ${scope} ${msg}`;
+  for (const [key, value] of Object.entries(fields)) {
+    line += ` ${key}=${_prettyValue(value)}`;
+  }
+  if (requestId) line += ` (req ${requestId})`;
+  if (typeof error === "object" && error !== null) {
+    line += `\n  ${error.stack || `${error.name}: ${error.message}`}`;
+  } else if (error !== undefined) {
+    line += ` error=${_prettyValue(error)}`;
+  }
+  return line;
+}
+
+export class Logger {
+  /**
+   * @param {string} scope - Module or route name (e.g. "buildings-api")
+   * @param {Object} [bindings] - Fields added to every entry
+   */
+  constructor(scope, bindings = {}) {
+    this.scope = scope;
+    this.bindings = bindings;
+  }
+
+  /**
+   * A logger adding more fields to every entry
+   * @param {Object} bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger(this.scope, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object|Error} [fields] - An Error is logged as { error }
+   */
+  debug(msg, fields) {
+    this._write("debug", msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object|Error} [fields]
+   */
+  info(msg, fields) {
+    this._write("info", msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object|Error} [fields]
+   */
+  warn(msg, fields) {
+    this._write("warn", msg, fields);
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Object|Error} [fields]
+   */
+  error(msg, fields) {
+    this._write("error", msg, fields);
+  }
+
+  /**
+   * Whether entries at this level are written
+   * @param {"debug"|"info"|"warn"|"error"} level
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= _threshold();
+  }
+
+  _write(level, msg, fields) {
+    if (!this.isEnabled(level)) return;
+
+    const requestId = currentRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      scope: this.scope,
+      msg: redactText(msg),
+      ...(requestId && { requestId }),
+      ...redact(this.bindings),
+      ...redact(fields instanceof Error ? { error: fields } : fields ?? {}),
+    };
+
+    const line = _pretty() ? _formatPretty(entry) : JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn || _env("LOG_STREAM") === "stderr") {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * @param {string} scope - Module or route name (e.g. "buildings-api")
+ * @param {Object} [bindings] - Fields added to every entry
+ * @returns {Logger}
+ */
+export function createLogger(scope, bindings) {
+  return new Logger(scope, bindings);
+}
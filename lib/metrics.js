@@ -0,0 +1,386 @@
+// Prometheus metrics
+// A small in-process registry rendered in the Prometheus text format
+// (version 0.0.4) by GET /api/metrics on the Express server. Counters and
+// histograms are updated where the work happens; gauges (and counters kept
+// elsewhere) can instead read their values at scrape time through `collect`.
+//
+// The instruments shared across modules are defined at the bottom of this
+// file. Labels must stay low-cardinality: endpoint paths without query
+// strings, route templates, client IDs at most.
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger("metrics");
+
+/**
+ * @typedef {Object<string, string|number>} Labels
+ */
+
+/**
+ * @typedef {Object} MetricOptions
+ * @property {string} name - Metric name (e.g. "upstream_request_duration_seconds")
+ * @property {string} help - One-line description
+ * @property {string[]} [labelNames]
+ * @property {(metric: Metric) => void|Promise<void>} [collect] - Called before
+ *   each render, after the metric's previous values are cleared
+ */
+
+/**
+ * Default histogram buckets for durations in seconds
+ */
+export const DURATION_BUCKETS = Object.freeze([
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+]);
+
+function _escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function _formatLabels(pairs) {
+  if (pairs.length === 0) return "";
+  const inner = pairs
+    .map(([name, value]) => `${name}="${_escapeLabel(value)}"`)
+    .join(",");
+  return `{${inner}}`;
+}
+
+function _formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+class Metric {
+  /**
+   * @param {string} type - "counter", "gauge" or "histogram"
+   * @param {MetricOptions} options
+   */
+  constructor(type, { name, help, labelNames = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this._collect = collect;
+    this._series = new Map(); // label values key -> { labels, ... }
+  }
+
+  /**
+   * Drop every recorded series
+   */
+  reset() {
+    this._series.clear();
+  }
+
+  _seriesFor(labels = {}) {
+    const values = this.labelNames.map((name) => String(labels[name] ?? ""));
+    const key = values.join("\u0000");
+    let series = this._series.get(key);
+    if (!series) {
+      series = {
+        labels: this.labelNames.map((name, i) => [name, values[i]]),
+        ...this._initialState(),
+      };
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  _initialState() {
+    return { value: 0 };
+  }
+
+  async _refresh() {
+    if (!this._collect) return;
+    this.reset();
+    await this._collect(this);
+  }
+
+  _renderSeries() {
+    const lines = [];
+    for (const series of this._series.values()) {
+      lines.push(
+        `${this.name}${_formatLabels(series.labels)} ${_formatValue(
+          series.value
+        )}`
+      );
+    }
+    return lines;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\n/g, " ")}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._renderSeries(),
+    ].join("\n");
+  }
+}
+
+export class Counter extends Metric {
+  /**
+   * @param {MetricOptions} options
+   */
+  constructor(options) {
+    super("counter", options);
+  }
+
+  /**
+   * @param {Labels} [labels]
+   * @param {number} [amount] - Must not be negative (default: 1)
+   */
+  inc(labels, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} can't be decreased`);
+    }
+    this._seriesFor(labels).value += amount;
+  }
+
+  /**
+   * Set a total kept elsewhere; for use from `collect`
+   * @param {Labels} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._seriesFor(labels).value = value;
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {MetricOptions} options
+   */
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  /**
+   * @param {Labels} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._seriesFor(labels).value = value;
+  }
+
+  /**
+   * @param {Labels} [labels]
+   * @param {number} [amount] - May be negative (default: 1)
+   */
+  inc(labels, amount = 1) {
+    this._seriesFor(labels).value += amount;
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {MetricOptions & {buckets?: number[]}} options - `buckets` are
+   *   upper bounds in ascending order (default: DURATION_BUCKETS)
+   */
+  constructor({ buckets = DURATION_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  _initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /**
+   * @param {Labels} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const series = this._seriesFor(labels);
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i] += 1;
+    }
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {Labels} [labels]
+   * @returns {(extraLabels?: Labels) => number} Records the elapsed seconds
+   *   (with any labels only known at the end) and returns them
+   */
+  startTimer(labels = {}) {
+    const startedAt = performance.now();
+    return (extraLabels = {}) => {
+      const seconds = (performance.now() - startedAt) / 1000;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  _renderSeries() {
+    const lines = [];
+    for (const series of this._series.values()) {
+      this.buckets.forEach((bound, i) => {
+        const labels = _formatLabels([...series.labels, ["le", bound]]);
+        lines.push(`${this.name}_bucket${labels} ${series.counts[i]}`);
+      });
+      const labels = _formatLabels(series.labels);
+      const infLabels = _formatLabels([...series.labels, ["le", "+Inf"]]);
+      lines.push(`${this.name}_bucket${infLabels} ${series.count}`);
+      lines.push(`${this.name}_sum${labels} ${_formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${labels} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this._metrics = new Map(); // name -> Metric
+  }
+
+  /**
+   * @param {MetricOptions} options
+   * @returns {Counter}
+   */
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  /**
+   * @param {MetricOptions} options
+   * @returns {Gauge}
+   */
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  /**
+   * @param {MetricOptions & {buckets?: number[]}} options
+   * @returns {Histogram}
+   */
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Metric|undefined}
+   */
+  get(name) {
+    return this._metrics.get(name);
+  }
+
+  /**
+   * Every metric in the Prometheus text format. A failing `collect` leaves
+   * its metric empty rather than failing the scrape.
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const blocks = [];
+    for (const metric of this._metrics.values()) {
+      try {
+        await metric._refresh();
+      } catch (error) {
+        log.warn("Metric collect failed", { metric: metric.name, error });
+        metric.reset();
+      }
+      blocks.push(metric.render());
+    }
+    return `${blocks.join("\n")}\n`;
+  }
+
+  _register(metric) {
+    if (this._metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this._metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+/**
+ * Content-Type of render()'s output
+ */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * The process-wide registry served by /api/metrics
+ */
+export const metrics = new MetricsRegistry();
+
+/**
+ * Latency of calls to the Campus Optimizer ("co") and Pelican ("pelican")
+ * APIs. `endpoint` is the CO path without its query string, or the Pelican
+ * object requested; `status` is the HTTP status, "timeout" or "error".
+ */
+export const upstreamRequestDuration = metrics.histogram({
+  name: "upstream_request_duration_seconds",
+  help: "Latency of Campus Optimizer and Pelican API calls",
+  labelNames: ["upstream", "endpoint", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+});
+
+export const upstreamRetries = metrics.counter({
+  name: "upstream_retries_total",
+  help: "Upstream requests retried after a network error or retryable status",
+  labelNames: ["upstream", "endpoint"],
+});
+
+/**
+ * Cache reads by the first segment of the key ("buildings", "pelican", ...)
+ * and result: "hit", "stale" (served while refreshing) or "miss"
+ */
+export const cacheRequests = metrics.counter({
+  name: "cache_requests_total",
+  help: "Cache reads by key prefix and result",
+  labelNames: ["prefix", "result"],
+});
+
+export const pelicanStreamBytes = metrics.counter({
+  name: "pelican_stream_bytes_total",
+  help: "Bytes streamed from Pelican history responses",
+});
+
+export const pelicanStreamThroughput = metrics.histogram({
+  name: "pelican_stream_throughput_bytes_per_second",
+  help: "Throughput of each streamed Pelican history response",
+  buckets: [16384, 65536, 262144, 1048576, 4194304, 16777216, 67108864],
+});
+
+export const httpRequestDuration = metrics.histogram({
+  name: "http_request_duration_seconds",
+  help: "Express server response time by route template",
+  labelNames: ["method", "route", "status"],
+});
+
+/**
+ * fetch() that records its latency in upstream_request_duration_seconds.
+ * Requests the caller aborted are left out.
+ * @param {string} upstream - "co" or "pelican"
+ * @param {string} endpoint
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithMetrics(upstream, endpoint, url, init) {
+  const endTimer = upstreamRequestDuration.startTimer({ upstream, endpoint });
+  try {
+    const response = await fetch(url, init);
+    endTimer({ status: response.status });
+    return response;
+  } catch (error) {
+    if (!init?.signal?.aborted) endTimer({ status: "error" });
+    throw error;
+  }
+}
+
+/**
+ * Record one streamed Pelican response
+ * @param {number} bytes
+ * @param {number} durationMs - Time from the first read to the last
+ */
+export function recordPelicanStream(bytes, durationMs) {
+  pelicanStreamBytes.inc({}, bytes);
+  if (durationMs > 0) {
+    pelicanStreamThroughput.observe({}, bytes / (durationMs / 1000));
+  }
+}
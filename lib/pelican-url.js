@@ -0,0 +1,21 @@
+// Pelican api.cgi endpoint
+// Edge-compatible version (no Node.js specific features)
+
+/**
+ * URL of a site's Pelican api.cgi. PELICAN_BASE_URL points every site at one
+ * host instead (e.g. the mock server), as `${base}/${siteSlug}/api.cgi`.
+ * @param {string} siteSlug - Pelican subdomain
+ * @param {string} [baseUrl] - Override base (default: PELICAN_BASE_URL)
+ * @returns {string}
+ */
+export function pelicanApiUrl(
+  siteSlug,
+  baseUrl = globalThis.process?.env?.PELICAN_BASE_URL
+) {
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, "")}/${encodeURIComponent(
+      siteSlug
+    )}/api.cgi`;
+  }
+  return `https://${siteSlug}.officeclimatecontrol.net/api.cgi`;
+}
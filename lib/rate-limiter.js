@@ -0,0 +1,236 @@
+// Token-bucket rate limiter
+// Runs on Node.js (the logger uses async_hooks); the bucket state lives in a
+// pluggable store so several processes (Express server, Vercel functions,
+// scripts) can share one budget.
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger("rate-limiter");
+
+/**
+ * @typedef {Object} BucketLimits
+ * @property {number} rate - Tokens added per second (sustained QPS)
+ * @property {number} burst - Bucket capacity (max requests sent back-to-back)
+ */
+
+/**
+ * @typedef {Object} LimiterStore
+ * @property {(key: string, limits: BucketLimits) => Promise<number>} take -
+ *   Try to take one token; resolves 0 when granted, otherwise the ms to wait
+ */
+
+/**
+ * The error a signal was aborted with, as a DOMException("AbortError")
+ * when the caller did not supply a reason
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+export function abortReason(signal) {
+  return signal.reason ?? new DOMException("Request aborted", "AbortError");
+}
+
+/**
+ * In-process bucket state. Default store; limits hold per process only.
+ */
+export class MemoryLimiterStore {
+  constructor() {
+    this._buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  async take(key, { rate, burst }, now = Date.now()) {
+    let bucket = this._buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this._buckets.set(key, bucket);
+    }
+
+    const elapsedSec = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(burst, bucket.tokens + elapsedSec * rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / rate) * 1000);
+  }
+
+  /**
+   * Return a token taken for a request that was then not sent
+   * @param {string} key
+   * @param {BucketLimits} limits
+   */
+  giveBack(key, { burst }) {
+    const bucket = this._buckets.get(key);
+    if (bucket) bucket.tokens = Math.min(burst, bucket.tokens + 1);
+  }
+}
+
+/**
+ * Shared budget backed by CacheService (Vercel KV / Redis).
+ *
+ * Bursts are shaped by a local bucket first; each granted token is then
+ * counted against a per-second window in KV so the sum across every
+ * instance stays within `rate`. If KV is unreachable the local bucket alone
+ * decides, so an outage degrades to per-process limits instead of stalling.
+ */
+export class KvLimiterStore {
+  /**
+   * @param {import("./services/cache.js").CacheService} cache
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key prefix in KV (default: "ratelimit")
+   */
+  constructor(cache, { prefix = "ratelimit" } = {}) {
+    this.cache = cache;
+    this.prefix = prefix;
+    this._local = new MemoryLimiterStore();
+  }
+
+  async take(key, limits, now = Date.now()) {
+    const localWait = await this._local.take(key, limits, now);
+    if (localWait > 0) return localWait;
+
+    const windowStart = Math.floor(now / 1000);
+    const count = await this.cache.incr(
+      `${this.prefix}:${key}:${windowStart}`,
+      2
+    );
+    if (count == null || count <= limits.rate) {
+      return 0;
+    }
+    // Global budget for this second is spent; try again in the next window.
+    // Nothing was sent, so the local bucket gets its token back rather than
+    // throttling this instance a second time.
+    this._local.giveBack(key, limits);
+    return 1000 - (now % 1000);
+  }
+}
+
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.rate] - Default tokens per second (default: 10)
+   * @param {number} [options.burst] - Default bucket capacity (default: rate)
+   * @param {number} [options.maxConcurrent] - Max in-flight tasks per key (default: 10)
+   * @param {LimiterStore} [options.store] - Bucket state backend (default: in-memory)
+   */
+  constructor({
+    rate = 10,
+    burst,
+    maxConcurrent = 10,
+    store = new MemoryLimiterStore(),
+  } = {}) {
+    this.rate = rate;
+    this.burst = burst ?? rate;
+    this.maxConcurrent = maxConcurrent;
+    this.store = store;
+    this._rateLimiterState = new Map(); // key -> { queue, inFlight, pumping, timer, limits }
+  }
+
+  _getState(key) {
+    if (!this._rateLimiterState.has(key)) {
+      this._rateLimiterState.set(key, {
+        queue: [],
+        inFlight: 0,
+        pumping: false,
+        timer: null,
+        limits: { rate: this.rate, burst: this.burst },
+      });
+    }
+    return this._rateLimiterState.get(key);
+  }
+
+  /**
+   * Queue a task under `key`; it runs once a token is available and fewer
+   * than maxConcurrent tasks for that key are in flight.
+   * @param {string} key - Bucket key (e.g. clientId)
+   * @param {() => Promise<any>} task
+   * @param {Partial<BucketLimits>} [limits] - Per-key overrides
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Drops the task from the queue when aborted
+   * @returns {Promise<any>}
+   */
+  schedule(key, task, limits = {}, { signal } = {}) {
+    const state = this._getState(key);
+    const rate = Math.max(0.001, limits.rate ?? this.rate);
+    // A rate override without a burst bursts at that rate
+    const burst =
+      limits.burst ?? (limits.rate === undefined ? this.burst : rate);
+    state.limits = { rate, burst: Math.max(1, burst) };
+
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = { task, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        // Still queued when aborted: remove it so it never spends a token
+        item.onAbort = () => {
+          const index = state.queue.indexOf(item);
+          if (index !== -1) {
+            state.queue.splice(index, 1);
+            reject(abortReason(signal));
+          }
+        };
+        signal.addEventListener("abort", item.onAbort, { once: true });
+      }
+      state.queue.push(item);
+      this._pump(state, key);
+    });
+  }
+
+  async _pump(state, key) {
+    if (state.pumping || state.timer) return;
+    state.pumping = true;
+    try {
+      while (state.queue.length > 0 && state.inFlight < this.maxConcurrent) {
+        let waitMs;
+        try {
+          waitMs = await this.store.take(key, state.limits);
+        } catch (error) {
+          // A broken store must not wedge the queue; fall through unthrottled
+          log.error("Limiter store failed", { key, error });
+          waitMs = 0;
+        }
+        if (waitMs > 0) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this._pump(state, key);
+          }, waitMs);
+          return;
+        }
+        const item = state.queue.shift();
+        if (!item) break;
+        this._run(state, key, item);
+      }
+    } finally {
+      state.pumping = false;
+    }
+  }
+
+  async _run(state, key, item) {
+    item.signal?.removeEventListener("abort", item.onAbort);
+    state.inFlight += 1;
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      state.inFlight -= 1;
+      this._pump(state, key);
+    }
+  }
+
+  /**
+   * Queue depth and in-flight count per key
+   * @returns {Object<string, {queued: number, inFlight: number}>}
+   */
+  stats() {
+    const out = {};
+    for (const [key, state] of this._rateLimiterState) {
+      out[key] = { queued: state.queue.length, inFlight: state.inFlight };
+    }
+    return out;
+  }
+}
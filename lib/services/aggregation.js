@@ -1,108 +1,158 @@
 // Data Aggregation Service
 // Extracted and refactored logic from generate-html.js and compile-data.js
 
-import {
-  getOptimalSchedules,
-  getUnits,
-} from "../../campus-optimizer/co-api.js";
+import { getOptimalSchedulesOutcome, getUnits } from "../co-client.js";
+import { createLogger } from "../logger.js";
+import { checkpointKey, emptyCheckpoints } from "./checkpoints.js";
+
+const log = createLogger("aggregation");
 
 export class DataAggregationService {
   /**
-   * Aggregate device metrics across multiple report dates
+   * @param {Object} [options]
+   * @param {{load: Function, save: Function}} [options.checkpoints] - Store
+   *   for per-date results (see FileCheckpointStore); without one every
+   *   date is fetched on every run
+   */
+  constructor(options = {}) {
+    this.checkpoints = options.checkpoints ?? null;
+  }
+
+  /**
+   * Aggregate device metrics across multiple report dates.
+   * Dates whose schedules could not be fetched are left out of the averages
+   * rather than counted as zero runtime; pass `onOutcome` to see them.
+   * With a checkpoint store, only dates missing from it are fetched; the
+   * rest are replayed from their stored per-device totals (their outcome
+   * has `checkpoint: true` and no rows).
+   * @param {Array} devices - Device list
+   * @param {Array} dates - Report dates ({ report_date })
+   * @param {number} clientId - Client ID
+   * @param {Object} [options]
+   * @param {Function} [options.onOutcome] - Called with (date, RequestOutcome) per date
+   * @param {AbortSignal} [options.signal] - Cancels outstanding schedule fetches
+   * @param {boolean} [options.full] - Refetch every date and overwrite its
+   *   checkpoint
    */
-  async aggregateDeviceMetrics(devices, dates, clientId) {
+  async aggregateDeviceMetrics(devices, dates, clientId, options = {}) {
     if (!Array.isArray(dates) || dates.length === 0) {
-      console.log(`   ↳ No dates to process, returning empty array`);
+      log.debug("No dates to process");
       return [];
     }
 
-    console.log(`   ↳ [1/4] Fetching units...`);
-    const units = await getUnits();
-    console.log(`   ↳ [1/4] ✓ Units fetched`);
+    const units = await getUnits({ signal: options.signal });
 
-    console.log(`   ↳ [2/4] Sorting ${dates.length} dates...`);
     const sortedDates = [...dates]
       .map((d) => d.report_date)
       .filter(Boolean)
       .sort((a, b) => new Date(a) - new Date(b));
-    console.log(`   ↳ [2/4] ✓ ${sortedDates.length} dates sorted`);
 
-    console.log(
-      `   ↳ [3/4] Fetching schedules for ${sortedDates.length} dates...`
-    );
-    console.log(
-      `   ↳ [3/4] Note: Rate limited to 10 QPS, estimated time: ~${Math.ceil(
-        sortedDates.length / 10
-      )}s`
-    );
+    const checkpoints = this.checkpoints
+      ? await this.checkpoints.load(clientId)
+      : emptyCheckpoints(clientId);
+    const toFetch = options.full
+      ? sortedDates
+      : sortedDates.filter((d) => !checkpoints.dates[checkpointKey(d)]);
+    const fetching = new Set(toFetch);
+
+    log.info("Fetching schedules", {
+      clientId,
+      dates: toFetch.length,
+      fromCheckpoints: sortedDates.length - toFetch.length,
+      // The CO client is rate limited to 10 QPS
+      estimatedSeconds: Math.ceil(toFetch.length / 10),
+    });
 
-    const schedulePromises = sortedDates.map(async (d, i) => {
-      if ((i + 1) % 10 === 0 || i === 0 || i === sortedDates.length - 1) {
-        console.log(
-          `   ↳ [3/4] Starting schedule fetch ${i + 1}/${sortedDates.length}`
-        );
-      }
-      try {
-        const schedules = await getOptimalSchedules(clientId, d);
-        if ((i + 1) % 10 === 0 || i === 0 || i === sortedDates.length - 1) {
-          console.log(
-            `   ↳ [3/4] ✓ Completed schedule ${i + 1}/${sortedDates.length}`
-          );
+    const daysByDate = new Map(); // date -> { status, devices: Map } | null
+    for (const d of sortedDates) {
+      const day = checkpoints.dates[checkpointKey(d)];
+      if (!day || fetching.has(d)) continue;
+      daysByDate.set(d, {
+        status: day.status,
+        devices: new Map(
+          Object.entries(day.devices).map(([id, totals]) => [
+            Number(id),
+            totals,
+          ])
+        ),
+      });
+      options.onOutcome?.(d, {
+        status: day.status,
+        rows: [],
+        attempts: 0,
+        httpStatus: null,
+        error: null,
+        checkpoint: true,
+      });
+    }
+
+    const schedulePromises = toFetch.map(async (d, i) => {
+      const outcome = await getOptimalSchedulesOutcome(clientId, d, {
+        signal: options.signal,
+      });
+      if (outcome.status === "failed") {
+        log.warn("Schedule fetch failed", {
+          date: d,
+          attempts: outcome.attempts,
+          error: outcome.error,
+        });
+        daysByDate.set(d, null);
+      } else {
+        if ((i + 1) % 10 === 0 || i === 0 || i === toFetch.length - 1) {
+          log.debug("Fetched schedule", {
+            date: d,
+            index: i + 1,
+            total: toFetch.length,
+          });
         }
-        return schedules;
-      } catch (error) {
-        console.error(
-          `   ↳ [3/4] ⚠️ Error fetching schedule for date ${d}:`,
-          error.message
-        );
-        // Return empty array on error instead of failing entire request
-        return [];
+        const day = {
+          status: outcome.status,
+          devices: this._dayTotals(outcome.rows),
+        };
+        daysByDate.set(d, day);
+        checkpoints.dates[checkpointKey(d)] = {
+          status: day.status,
+          devices: Object.fromEntries(day.devices),
+        };
       }
+      options.onOutcome?.(d, outcome);
+      return outcome;
     });
 
-    console.log(
-      `   ↳ [3/4] All promises created (${schedulePromises.length}), waiting for completion...`
-    );
-    const schedulesByDate = await Promise.all(schedulePromises);
-    console.log(
-      `   ↳ [3/4] ✓ Promise.all completed with ${schedulesByDate.length} results`
-    );
+    const outcomes = await Promise.all(schedulePromises);
+    const failedCount = outcomes.filter((o) => o.status === "failed").length;
+    log.info("Fetched schedules", {
+      clientId,
+      dates: outcomes.length,
+      failed: failedCount,
+    });
 
-    console.log(
-      `   ↳ [4/4] Aggregating data for ${devices.length} devices across ${sortedDates.length} days...`
-    );
+    // Failed dates stay out of the checkpoints so the next run retries them
+    if (this.checkpoints && outcomes.length > failedCount) {
+      await this.checkpoints.save(clientId, checkpoints);
+      log.debug("Saved checkpoints", {
+        clientId,
+        dates: Object.keys(checkpoints.dates).length,
+      });
+    }
+
+    log.debug("Aggregating", {
+      devices: devices.length,
+      days: sortedDates.length,
+    });
     const deviceAggregates = this._initializeDeviceAggregates(devices, units);
 
-    // Process each day's schedules
-    schedulesByDate.forEach((daySchedules, dayIndex) => {
-      if (
-        (dayIndex + 1) % 10 === 0 ||
-        dayIndex === 0 ||
-        dayIndex === sortedDates.length - 1
-      ) {
-        console.log(
-          `   ↳ [4/4] Processing day ${dayIndex + 1}/${sortedDates.length}`
-        );
-      }
-      const dateString = sortedDates[dayIndex];
+    // Process each day's totals
+    sortedDates.forEach((dateString, dayIndex) => {
+      // A failed fetch says nothing about the day's runtime; skip it
+      const day = daysByDate.get(dateString);
+      if (!day) return;
 
       devices.forEach((device) => {
-        const scheduleForDevice = daySchedules.filter(
-          (s) => s.DeviceId === device.Id
-        );
-
-        const runtimeMin =
-          scheduleForDevice.reduce(
-            (acc, curr) => acc + (curr.EndDateEpoch - curr.StartDateEpoch),
-            0
-          ) /
-          1000 /
-          60;
-
-        const ramptimeMin = scheduleForDevice.reduce(
-          (acc, curr) => acc + (curr.RampTime || 0),
-          0
-        );
+        const { runtimeMin, ramptimeMin } = day.devices.get(device.Id) ?? {
+          runtimeMin: 0,
+          ramptimeMin: 0,
+        };
 
         const agg = deviceAggregates.get(device.Id);
         agg.sumRuntimeMin += runtimeMin;
@@ -115,20 +165,17 @@ export class DataAggregationService {
           agg.ramptimeWeekly.push({ date: dateString, minutes: ramptimeMin });
         }
 
-        // Latest day values
-        if (dayIndex === schedulesByDate.length - 1) {
-          agg.runtimeLatest = runtimeMin;
-          agg.ramptimeLatest = ramptimeMin;
-        }
+        // Latest day values (last successfully fetched day wins)
+        agg.runtimeLatest = runtimeMin;
+        agg.ramptimeLatest = ramptimeMin;
       });
     });
 
-    console.log(`   ↳ [4/4] ✓ Aggregation complete`);
-
     // Format output
     return Array.from(deviceAggregates.values()).map((agg) => {
       const days = Math.max(1, agg.daysCounted);
       return {
+        id: agg.id,
         name: agg.name,
         description: agg.description,
         coolingKW: agg.coolingKW,
@@ -322,6 +369,21 @@ export class DataAggregationService {
     return aggregates;
   }
 
+  // Runtime and ramp time (minutes) per DeviceId for one day's schedules
+  _dayTotals(daySchedules) {
+    const totals = new Map();
+    for (const s of daySchedules || []) {
+      const day = totals.get(s.DeviceId) ?? { runtimeMs: 0, ramptimeMin: 0 };
+      day.runtimeMs += s.EndDateEpoch - s.StartDateEpoch;
+      day.ramptimeMin += s.RampTime || 0;
+      totals.set(s.DeviceId, day);
+    }
+    for (const [deviceId, { runtimeMs, ramptimeMin }] of totals) {
+      totals.set(deviceId, { runtimeMin: runtimeMs / 1000 / 60, ramptimeMin });
+    }
+    return totals;
+  }
+
   _toKW(capacity, unitId, unitList) {
     const unit = unitList.find((u) => u.Id === unitId);
     return capacity * (unit?.KWConversionFactor ?? 1);
@@ -1,36 +1,138 @@
-// Vercel KV Cache Wrapper
-// Provides a consistent cache interface using Vercel KV
+// Unified Cache
+// One async cache interface for the Vercel functions and the Express server,
+// over a pluggable adapter: Vercel KV (./cache/kv.js) or the in-memory,
+// filesystem and SQLite drivers next to it.
+//
+// Values are stored in an envelope with the time they go stale, so
+// getOrSet can keep serving an entry past its TTL while it is refreshed in
+// the background (stale-while-revalidate). Concurrent misses for the same
+// key share one fetch (single-flight), as do refreshes. Each tag keeps the
+// set of keys written with it, which invalidateTag deletes.
 
-import { kv } from "@vercel/kv";
+import { createLogger } from "../logger.js";
+import { cacheRequests } from "../metrics.js";
+import { KvCacheAdapter, isKvAvailable } from "./cache/kv.js";
+import { MemoryCacheDriver } from "./cache/memory.js";
+
+export { isKvAvailable };
+
+// Marks an envelope; values written before envelopes existed read as fresh
+const ENVELOPE = "__cache";
+
+const TAG_PREFIX = "_tags:";
+
+const log = createLogger("cache");
+
+// Tag sets outlive the entries in them; deleting an expired key is harmless
+const TAG_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Storage backend. Adapters without sadd/smembers or incr must be
+ * synchronous: tag sets and counters then fall back to read-modify-write,
+ * which is only safe when nothing can interleave.
+ * @typedef {Object} CacheAdapter
+ * @property {string} name
+ * @property {(key: string) => any} get - Stored value, or null
+ * @property {(key: string, value: any, expiresAt: number) => void} set
+ * @property {(key: string) => void} del
+ * @property {(key: string, expiresAt: number) => number} [incr]
+ * @property {(key: string, member: string, expiresAt: number) => void} [sadd]
+ * @property {(key: string) => string[]} [smembers]
+ * @property {() => void} [clear]
+ * @property {() => void} [prune] - Drop expired entries
+ * @property {() => Object} [stats]
+ * @property {number} [maxEntries]
+ * @property {number} [maxBytes]
+ */
+
+/**
+ * @typedef {Object} CacheSetOptions
+ * @property {number} [ex] - Seconds the value stays fresh (default: 300)
+ * @property {number} [swr] - Further seconds it may be served stale while
+ *   getOrSet refreshes it (default: 0)
+ * @property {string[]} [tags] - Tags for invalidateTag()
+ */
+
+/**
+ * @typedef {Object} CacheLookupOptions
+ * @property {number} [ex]
+ * @property {number} [swr]
+ * @property {string[]} [tags]
+ * @property {AbortSignal} [signal] - Stops waiting when aborted. The shared
+ *   fetch itself is only aborted once every caller waiting on it has gone.
+ */
+
+/**
+ * @typedef {Object} CacheLookup
+ * @property {any} value
+ * @property {"hit"|"stale"|"miss"} status - "stale" values are being
+ *   refreshed in the background
+ */
 
 export class CacheService {
   /**
-   * Get value from cache
+   * @param {CacheAdapter|(() => CacheAdapter|Promise<CacheAdapter>)} adapter -
+   *   Adapter, or a factory called on first use so env vars loaded by dotenv
+   *   are visible when picking one
+   */
+  constructor(adapter) {
+    this._adapterSource = adapter;
+    this._adapterPromise = null;
+    this._inflight = new Map(); // key -> { promise, controller, waiters }
+  }
+
+  /**
+   * Resolve the adapter now, so a misconfiguration fails at startup
+   * @returns {Promise<CacheAdapter>}
+   */
+  ready() {
+    if (!this._adapterPromise) {
+      const source = this._adapterSource;
+      this._adapterPromise = Promise.resolve(
+        typeof source === "function" ? source() : source
+      );
+    }
+    return this._adapterPromise;
+  }
+
+  /**
+   * Get a fresh value from cache
    * @param {string} key - Cache key
-   * @returns {Promise<any>} Cached value or null
+   * @returns {Promise<any>} Cached value, or null if missing or stale
    */
   async get(key) {
     try {
-      const value = await kv.get(key);
-      return value;
+      const entry = await this._read(key);
+      const fresh = entry && !entry.stale;
+      this._count(key, fresh ? "hit" : "miss");
+      return fresh ? entry.value : null;
     } catch (error) {
-      console.error(`Cache get error for key ${key}:`, error);
+      log.error("Cache get failed", { key, error });
       return null;
     }
   }
 
   /**
-   * Set value in cache with TTL
+   * Set value in cache
    * @param {string} key - Cache key
-   * @param {any} value - Value to cache
-   * @param {number} ttlSeconds - Time to live in seconds (default: 300 = 5 min)
+   * @param {any} value - Value to cache (must be JSON-serializable)
+   * @param {CacheSetOptions} [options]
    * @returns {Promise<void>}
    */
-  async set(key, value, ttlSeconds = 300) {
+  async set(key, value, { ex = 300, swr = 0, tags = [] } = {}) {
     try {
-      await kv.set(key, value, { ex: ttlSeconds });
+      const adapter = await this.ready();
+      const staleAt = Date.now() + ex * 1000;
+      await adapter.set(
+        key,
+        { [ENVELOPE]: 1, value, staleAt },
+        staleAt + swr * 1000
+      );
+      for (const tag of tags) {
+        await this._addToTag(adapter, tag, key);
+      }
     } catch (error) {
-      console.error(`Cache set error for key ${key}:`, error);
+      log.error("Cache set failed", { key, error });
     }
   }
 
@@ -41,76 +143,251 @@ export class CacheService {
    */
   async delete(key) {
     try {
-      await kv.del(key);
+      await (await this.ready()).del(key);
     } catch (error) {
-      console.error(`Cache delete error for key ${key}:`, error);
+      log.error("Cache delete failed", { key, error });
     }
   }
 
   /**
-   * Delete all keys matching a pattern
-   * @param {string} pattern - Pattern to match (e.g., "report:*")
+   * Delete every key set with a tag
+   * @param {string} tag - Tag passed to set()/getOrSet() (e.g. "client:1420")
    * @returns {Promise<number>} Number of keys deleted
    */
-  async invalidate(pattern) {
+  async invalidateTag(tag) {
     try {
-      // Vercel KV doesn't support pattern matching directly
-      // You'll need to track keys or use a different approach
+      const adapter = await this.ready();
+      const tagKey = `${TAG_PREFIX}${tag}`;
+      const keys =
+        (adapter.smembers
+          ? await adapter.smembers(tagKey)
+          : adapter.get(tagKey)) ?? [];
 
-      // Option 1: Track keys in a set
-      const keysSetName = `_keys:${pattern.replace("*", "")}`;
-      const keys = await kv.smembers(keysSetName);
+      for (const key of keys) {
+        await adapter.del(key);
+      }
+      await adapter.del(tagKey);
+      return keys.length;
+    } catch (error) {
+      log.error("Cache invalidate failed", { tag, error });
+      return 0;
+    }
+  }
 
-      if (keys && keys.length > 0) {
-        await kv.del(...keys);
-        await kv.del(keysSetName);
-        return keys.length;
+  /**
+   * Atomically increment a counter, setting its TTL when first created
+   * @param {string} key - Counter key
+   * @param {number} ttlSeconds - Time to live in seconds
+   * @returns {Promise<number|null>} New value, or null if the cache is unreachable
+   */
+  async incr(key, ttlSeconds) {
+    try {
+      const adapter = await this.ready();
+      const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : Infinity;
+      if (adapter.incr) {
+        return await adapter.incr(key, expiresAt);
       }
 
-      return 0;
+      const current = adapter.get(key);
+      const counter = {
+        count: (current?.count ?? 0) + 1,
+        expiresAt: current?.expiresAt ?? expiresAt,
+      };
+      adapter.set(key, counter, counter.expiresAt);
+      return counter.count;
     } catch (error) {
-      console.error(`Cache invalidate error for pattern ${pattern}:`, error);
-      return 0;
+      log.error("Cache incr failed", { key, error });
+      return null;
     }
   }
 
   /**
-   * Check if key exists
+   * Check if a fresh value exists
    * @param {string} key - Cache key
    * @returns {Promise<boolean>}
    */
   async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  /**
+   * Like getOrSet, but also says where the value came from
+   * @param {string} key - Cache key
+   * @param {(signal: AbortSignal) => Promise<any>} fetchFn - Fetches the
+   *   value if not cached; shared by every concurrent caller for the key
+   * @param {CacheLookupOptions} [options]
+   * @returns {Promise<CacheLookup>}
+   */
+  async lookup(key, fetchFn, options = {}) {
+    let entry = null;
     try {
-      const value = await kv.get(key);
-      return value !== null;
+      entry = await this._read(key);
     } catch (error) {
-      console.error(`Cache has error for key ${key}:`, error);
-      return false;
+      log.error("Cache get failed", { key, error });
+    }
+
+    if (entry && !entry.stale) {
+      this._count(key, "hit");
+      return { value: entry.value, status: "hit" };
+    }
+    if (entry) {
+      this._count(key, "stale");
+      this._join(this._flight(key, fetchFn, options)).catch((error) => {
+        log.error("Cache revalidate failed", { key, error });
+      });
+      return { value: entry.value, status: "stale" };
     }
+
+    this._count(key, "miss");
+    const value = await this._join(
+      this._flight(key, fetchFn, options),
+      options.signal
+    );
+    return { value, status: "miss" };
   }
 
   /**
-   * Get or set pattern: fetch from cache or compute and cache
+   * Get or set pattern: fetch from cache or compute and cache. Stale values
+   * (within options.swr) are returned immediately and refreshed behind the
+   * scenes.
    * @param {string} key - Cache key
-   * @param {Function} fetchFn - Async function to fetch data if not cached
-   * @param {number} ttlSeconds - TTL in seconds
+   * @param {(signal: AbortSignal) => Promise<any>} fetchFn - Async function
+   *   to fetch data if not cached
+   * @param {CacheLookupOptions} [options]
    * @returns {Promise<any>}
    */
-  async getOrSet(key, fetchFn, ttlSeconds = 300) {
-    // Try to get from cache
-    let value = await this.get(key);
+  async getOrSet(key, fetchFn, options = {}) {
+    return (await this.lookup(key, fetchFn, options)).value;
+  }
+
+  /**
+   * Wait for the fetches in progress, including background refreshes of
+   * stale entries, so a short-lived process doesn't exit before they are
+   * stored
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    while (this._inflight.size > 0) {
+      const flights = [...this._inflight.values()];
+      await Promise.allSettled(flights.map((flight) => flight.promise));
+    }
+  }
+
+  /**
+   * Drop every entry (local drivers only)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const adapter = await this.ready();
+    if (!adapter.clear) {
+      throw new Error(`The ${adapter.name} cache adapter can't be cleared`);
+    }
+    await adapter.clear();
+  }
+
+  /**
+   * Drop expired entries, for adapters that don't expire keys themselves
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    try {
+      await (await this.ready()).prune?.();
+    } catch (error) {
+      log.error("Cache prune failed", error);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} Adapter name, entry counts, limits and fetches
+   *   in progress
+   */
+  async stats() {
+    const adapter = await this.ready();
+    return {
+      driver: adapter.name,
+      ...(await adapter.stats?.()),
+      inflight: this._inflight.size,
+      ...(adapter.maxEntries !== undefined && {
+        maxEntries: adapter.maxEntries,
+      }),
+      ...(adapter.maxBytes !== undefined && { maxBytes: adapter.maxBytes }),
+    };
+  }
 
-    if (value !== null) {
-      return value;
+  // Hit/miss counts per key prefix ("buildings:1420" -> "buildings")
+  _count(key, result) {
+    cacheRequests.inc({ prefix: key.split(":")[0], result });
+  }
+
+  async _read(key) {
+    const stored = await (await this.ready()).get(key);
+    if (stored == null) return null;
+    if (stored[ENVELOPE]) {
+      return { value: stored.value, stale: Date.now() > stored.staleAt };
     }
+    return { value: stored, stale: false };
+  }
+
+  async _addToTag(adapter, tag, key) {
+    const tagKey = `${TAG_PREFIX}${tag}`;
+    const expiresAt = Date.now() + TAG_TTL_SECONDS * 1000;
+    if (adapter.sadd) {
+      await adapter.sadd(tagKey, key, expiresAt);
+      return;
+    }
+
+    const keys = adapter.get(tagKey) ?? [];
+    if (!keys.includes(key)) {
+      adapter.set(tagKey, [...keys, key], expiresAt);
+    }
+  }
+
+  // Start the fetch for a key, or return the one already running. Callers
+  // that wait on it register through _join().
+  _flight(key, fetchFn, options) {
+    let flight = this._inflight.get(key);
+    // An aborted flight is on its way out; don't hand it to a new caller
+    if (!flight || flight.controller.signal.aborted) {
+      const controller = new AbortController();
+      flight = { controller, waiters: 0, promise: null };
+      flight.promise = (async () => {
+        const value = await fetchFn(controller.signal);
+        await this.set(key, value, options);
+        return value;
+      })().finally(() => {
+        // A replacement may have started after this one was aborted
+        if (this._inflight.get(key) === flight) this._inflight.delete(key);
+      });
+      this._inflight.set(key, flight);
+    }
+    return flight;
+  }
+
+  // Wait for a flight. A caller without a signal (e.g. a background
+  // refresh) never leaves, so its flight is never aborted.
+  _join(flight, signal) {
+    flight.waiters += 1;
+    if (!signal) return flight.promise;
 
-    // Not in cache, fetch and store
-    value = await fetchFn();
-    await this.set(key, value, ttlSeconds);
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        flight.waiters -= 1;
+        if (flight.waiters === 0) flight.controller.abort();
+        reject(signal.reason);
+      };
+      if (signal.aborted) return leave();
 
-    return value;
+      signal.addEventListener("abort", leave, { once: true });
+      flight.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener("abort", leave);
+      });
+    });
   }
 }
 
-// Export singleton instance
-export const cache = new CacheService();
+// Shared instance: Vercel KV when configured, otherwise per-process memory
+export const cache = new CacheService(() =>
+  isKvAvailable()
+    ? new KvCacheAdapter()
+    : new MemoryCacheDriver({ maxEntries: 1000 })
+);
@@ -0,0 +1,215 @@
+// Filesystem cache driver
+// One JSON file per key, named by the SHA-256 of the key. The first line of
+// each file is the entry metadata ({ key, expiresAt }), the rest is the
+// value, so the index can be rebuilt on startup without parsing values.
+//
+// Files are read and written synchronously, like the other local drivers,
+// so a get never interleaves with a set. The index lives in memory in
+// least-recently-used order; file mtimes carry that order across restarts.
+// A get goes to the key's file even when the index doesn't know it, and
+// takes the expiry from the file, so entries another process wrote since
+// startup (e.g. `campus-cli cache warm`) are served too.
+
+import { createHash } from "crypto";
+import {
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+  utimesSync,
+  writeFileSync,
+} from "fs";
+import path from "path";
+import { createLogger } from "../../logger.js";
+
+const log = createLogger("cache");
+
+export class FileCacheDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for cache files
+   * @param {number} [options.maxEntries] - LRU entry limit (0 = unlimited)
+   * @param {number} [options.maxBytes] - LRU size limit (0 = unlimited)
+   */
+  constructor({ dir, maxEntries = 0, maxBytes = 0 }) {
+    this.name = "filesystem";
+    this.dir = path.resolve(dir);
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._index = new Map(); // key -> { file, expiresAt, size }, oldest first
+    this._bytes = 0;
+
+    mkdirSync(this.dir, { recursive: true });
+    this._load();
+    this._evict();
+  }
+
+  get(key) {
+    const file = this._fileFor(key);
+    let contents;
+    let meta;
+    try {
+      contents = readFileSync(file, "utf8");
+      meta = JSON.parse(contents.slice(0, contents.indexOf("\n")));
+    } catch {
+      // Never written, or removed or rewritten behind our back; a miss
+      this._forget(key);
+      return null;
+    }
+
+    // JSON writes Infinity (never expires) as null
+    const expiresAt = meta.expiresAt ?? Infinity;
+    if (meta.key !== key || Date.now() > expiresAt) {
+      this.del(key);
+      return null;
+    }
+
+    const known = this._index.has(key);
+    this._forget(key);
+    const size = Buffer.byteLength(contents);
+    this._index.set(key, { file, expiresAt, size });
+    this._bytes += size;
+    try {
+      const now = new Date();
+      utimesSync(file, now, now);
+    } catch {
+      // Recency across restarts is best effort
+    }
+    if (!known) this._evict();
+
+    return JSON.parse(contents.slice(contents.indexOf("\n") + 1));
+  }
+
+  set(key, value, expiresAt) {
+    const file = this._fileFor(key);
+    const contents = `${JSON.stringify({ key, expiresAt })}\n${JSON.stringify(
+      value
+    )}`;
+
+    // Write to a temp file and rename so readers never see partial JSON
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, contents);
+    renameSync(tmp, file);
+
+    this._forget(key);
+    const size = Buffer.byteLength(contents);
+    this._index.set(key, { file, expiresAt, size });
+    this._bytes += size;
+    this._evict();
+  }
+
+  del(key) {
+    this._forget(key);
+    this._unlink(this._fileFor(key));
+  }
+
+  clear() {
+    for (const { file } of this._index.values()) {
+      this._unlink(file);
+    }
+    this._index.clear();
+    this._bytes = 0;
+  }
+
+  stats() {
+    let valid = 0;
+    let expired = 0;
+    const now = Date.now();
+
+    for (const [, entry] of this._index) {
+      if (now > entry.expiresAt) {
+        expired++;
+      } else {
+        valid++;
+      }
+    }
+
+    return { valid, expired, total: this._index.size, bytes: this._bytes };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this._index) {
+      if (now > entry.expiresAt) {
+        this.del(key);
+      }
+    }
+  }
+
+  _fileFor(key) {
+    const hash = createHash("sha256").update(key).digest("hex");
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  _forget(key) {
+    const entry = this._index.get(key);
+    if (!entry) return;
+    this._bytes -= entry.size;
+    this._index.delete(key);
+  }
+
+  _unlink(file) {
+    try {
+      unlinkSync(file);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Rebuild the index from the files on disk, least recently used first
+  _load() {
+    const entries = [];
+    const now = Date.now();
+
+    for (const name of readdirSync(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(this.dir, name);
+
+      try {
+        const contents = readFileSync(file, "utf8");
+        const meta = JSON.parse(contents.slice(0, contents.indexOf("\n")));
+        const { key } = meta;
+        // JSON writes Infinity (never expires) as null
+        const expiresAt = meta.expiresAt ?? Infinity;
+        if (now > expiresAt || this._fileFor(key) !== file) {
+          this._unlink(file);
+          continue;
+        }
+        entries.push({
+          key,
+          file,
+          expiresAt,
+          size: Buffer.byteLength(contents),
+          mtimeMs: statSync(file).mtimeMs,
+        });
+      } catch (error) {
+        log.warn("Removing unreadable cache file", {
+          file,
+          error: error.message,
+        });
+        this._unlink(file);
+      }
+    }
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { key, file, expiresAt, size } of entries) {
+      this._index.set(key, { file, expiresAt, size });
+      this._bytes += size;
+    }
+  }
+
+  _evict() {
+    const overLimit = () =>
+      (this.maxEntries && this._index.size > this.maxEntries) ||
+      (this.maxBytes && this._bytes > this.maxBytes);
+
+    if (!overLimit()) return;
+    this.prune();
+    for (const key of this._index.keys()) {
+      if (!overLimit()) break;
+      this.del(key);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+// Vercel KV cache adapter
+// Shared across every serverless instance. Counters and tag sets use KV's
+// atomic INCR and SADD instead of read-modify-write.
+
+import { kv } from "@vercel/kv";
+
+/**
+ * @returns {boolean} Whether the Vercel KV env vars are set
+ */
+export function isKvAvailable() {
+  return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+export class KvCacheAdapter {
+  constructor() {
+    this.name = "kv";
+  }
+
+  async get(key) {
+    return kv.get(key);
+  }
+
+  async set(key, value, expiresAt) {
+    await kv.set(key, value, { pxat: expiresAt });
+  }
+
+  async del(key) {
+    await kv.del(key);
+  }
+
+  async incr(key, expiresAt) {
+    const value = await kv.incr(key);
+    if (value === 1 && Number.isFinite(expiresAt)) {
+      await kv.pexpireat(key, expiresAt);
+    }
+    return value;
+  }
+
+  async sadd(key, member, expiresAt) {
+    await kv.sadd(key, member);
+    await kv.pexpireat(key, expiresAt);
+  }
+
+  async smembers(key) {
+    return kv.smembers(key);
+  }
+
+  async stats() {
+    return { total: await kv.dbsize() };
+  }
+}
@@ -0,0 +1,78 @@
+// In-memory cache driver
+// Entries live in a Map kept in least-recently-used order, so the oldest
+// key is evicted first once maxEntries is reached. Lost on every restart.
+
+export class MemoryCacheDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - LRU limit (0 = unlimited)
+   */
+  constructor({ maxEntries = 0 } = {}) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this._entries = new Map(); // key -> { value, expiresAt }, oldest first
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this._entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, expiresAt) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt });
+    this._evict();
+  }
+
+  del(key) {
+    this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  stats() {
+    let valid = 0;
+    let expired = 0;
+    const now = Date.now();
+
+    for (const [, entry] of this._entries) {
+      if (now > entry.expiresAt) {
+        expired++;
+      } else {
+        valid++;
+      }
+    }
+
+    return { valid, expired, total: this._entries.size };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this._entries) {
+      if (now > entry.expiresAt) {
+        this._entries.delete(key);
+      }
+    }
+  }
+
+  _evict() {
+    if (!this.maxEntries || this._entries.size <= this.maxEntries) return;
+    this.prune();
+    for (const key of this._entries.keys()) {
+      if (this._entries.size <= this.maxEntries) break;
+      this._entries.delete(key);
+    }
+  }
+}
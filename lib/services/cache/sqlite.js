@@ -0,0 +1,187 @@
+// SQLite cache driver
+// Entries live in a single table, with the last access time used for LRU
+// eviction. Uses the built-in node:sqlite module (Node.js 22.5+), whose
+// synchronous API matches the other local drivers.
+//
+// Entry count and size are tracked as writes happen, so a set doesn't scan
+// the table. Other processes sharing the file (e.g. campus-cli) make those
+// totals drift, so they are recounted every RECOUNT_EVERY writes and before
+// evicting.
+
+import { mkdirSync } from "fs";
+import { DatabaseSync } from "node:sqlite";
+import path from "path";
+
+const RECOUNT_EVERY = 1000;
+
+// Bumped when the table changes; older tables are dropped (it's a cache)
+const SCHEMA_VERSION = 2;
+
+export class SqliteCacheDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Database file
+   * @param {number} [options.maxEntries] - LRU entry limit (0 = unlimited)
+   * @param {number} [options.maxBytes] - LRU size limit (0 = unlimited)
+   */
+  constructor({ file, maxEntries = 0, maxBytes = 0 }) {
+    this.name = "sqlite";
+    this.file = path.resolve(file);
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._clock = 0;
+
+    mkdirSync(path.dirname(this.file), { recursive: true });
+    this._db = new DatabaseSync(this.file);
+    this._db.exec("PRAGMA journal_mode = WAL;");
+    const { user_version: version } = this._db
+      .prepare("PRAGMA user_version")
+      .get();
+    if (version < SCHEMA_VERSION) {
+      // Earlier tables stored entries that never expire as Infinity in a
+      // NOT NULL column
+      this._db.exec(`
+        DROP TABLE IF EXISTS cache_entries;
+        PRAGMA user_version = ${SCHEMA_VERSION};
+      `);
+    }
+    this._db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        expires_at INTEGER, -- NULL: never expires
+        accessed_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS cache_entries_accessed_at
+        ON cache_entries (accessed_at);
+    `);
+
+    this._statements = {
+      get: this._db.prepare(
+        "SELECT value, expires_at FROM cache_entries WHERE key = ?"
+      ),
+      size: this._db.prepare("SELECT size FROM cache_entries WHERE key = ?"),
+      touch: this._db.prepare(
+        "UPDATE cache_entries SET accessed_at = ? WHERE key = ?"
+      ),
+      set: this._db.prepare(`
+        INSERT INTO cache_entries (key, value, size, expires_at, accessed_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET
+          value = excluded.value,
+          size = excluded.size,
+          expires_at = excluded.expires_at,
+          accessed_at = excluded.accessed_at
+      `),
+      del: this._db.prepare(
+        "DELETE FROM cache_entries WHERE key = ? RETURNING size"
+      ),
+      clear: this._db.prepare("DELETE FROM cache_entries"),
+      prune: this._db.prepare("DELETE FROM cache_entries WHERE expires_at < ?"),
+      totals: this._db.prepare(`
+        SELECT COUNT(*) AS total,
+          COALESCE(SUM(expires_at < ?), 0) AS expired,
+          COALESCE(SUM(size), 0) AS bytes
+        FROM cache_entries
+      `),
+      oldest: this._db.prepare(
+        "SELECT key, size FROM cache_entries ORDER BY accessed_at LIMIT ?"
+      ),
+    };
+
+    this._recount();
+    this._evict();
+  }
+
+  get(key) {
+    const row = this._statements.get.get(key);
+    if (!row) return null;
+
+    if (row.expires_at !== null && Date.now() > row.expires_at) {
+      this.del(key);
+      return null;
+    }
+
+    this._statements.touch.run(this._tick(), key);
+    return JSON.parse(row.value);
+  }
+
+  set(key, value, expiresAt) {
+    const json = JSON.stringify(value);
+    const size = Buffer.byteLength(json);
+    const previous = this._statements.size.get(key);
+    this._statements.set.run(
+      key,
+      json,
+      size,
+      Number.isFinite(expiresAt) ? expiresAt : null,
+      this._tick()
+    );
+    this._total += previous ? 0 : 1;
+    this._bytes += size - (previous?.size ?? 0);
+
+    this._writes += 1;
+    if (this._writes % RECOUNT_EVERY === 0) this._recount();
+    this._evict();
+  }
+
+  del(key) {
+    const removed = this._statements.del.get(key);
+    if (removed) {
+      this._total -= 1;
+      this._bytes -= removed.size;
+    }
+  }
+
+  clear() {
+    this._statements.clear.run();
+    this._recount();
+  }
+
+  stats() {
+    const { total, expired, bytes } = this._statements.totals.get(Date.now());
+    return { valid: total - expired, expired, total, bytes };
+  }
+
+  prune() {
+    this._statements.prune.run(Date.now());
+    this._recount();
+  }
+
+  // Strictly increasing access time, so entries touched in the same
+  // millisecond still evict in order
+  _tick() {
+    this._clock = Math.max(Date.now(), this._clock + 1);
+    return this._clock;
+  }
+
+  _recount() {
+    const { total, bytes } = this._statements.totals.get(Date.now());
+    this._total = total;
+    this._bytes = bytes;
+    this._writes = 0;
+  }
+
+  _overLimit() {
+    return (
+      (this.maxEntries && this._total > this.maxEntries) ||
+      (this.maxBytes && this._bytes > this.maxBytes)
+    );
+  }
+
+  _evict() {
+    if (!this._overLimit()) return;
+    // Drops expired entries first and corrects any drift in the totals
+    this.prune();
+
+    while (this._overLimit()) {
+      const batch = this._statements.oldest.all(100);
+      if (batch.length === 0) break;
+      for (const row of batch) {
+        if (!this._overLimit()) break;
+        this.del(row.key);
+      }
+    }
+  }
+}
@@ -0,0 +1,126 @@
+// Aggregation Checkpoints
+// Per-date device runtime/ramptime totals, persisted so a recompile only
+// fetches schedules for report dates it hasn't seen. Past schedules don't
+// change, so a checkpointed day never needs refetching.
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getConfig } from "../config.js";
+import { createLogger } from "../logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger("checkpoints");
+
+export const CHECKPOINT_VERSION = 1;
+
+export const DEFAULT_CHECKPOINT_DIR = path.resolve(
+  __dirname,
+  "../../campus-optimizer/data/checkpoints"
+);
+
+/**
+ * @typedef {Object} DayCheckpoint
+ * @property {"ok"|"empty"} status - Fetch outcome for the day ("failed"
+ *   days are never checkpointed)
+ * @property {Object<string, {runtimeMin: number, ramptimeMin: number}>} devices -
+ *   Totals per DeviceId, for every device with schedules that day
+ */
+
+/**
+ * @typedef {Object} ClientCheckpoints
+ * @property {number} version
+ * @property {number} clientId
+ * @property {string|null} updatedAt
+ * @property {Object<string, DayCheckpoint>} dates - Keyed by YYYY-MM-DD
+ */
+
+/**
+ * Checkpoint key for a report date
+ * @param {string} date - YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss
+ * @returns {string} YYYY-MM-DD
+ */
+export function checkpointKey(date) {
+  return String(date).split("T")[0];
+}
+
+/**
+ * @param {number} clientId
+ * @returns {ClientCheckpoints}
+ */
+export function emptyCheckpoints(clientId) {
+  return {
+    version: CHECKPOINT_VERSION,
+    clientId: Number(clientId),
+    updatedAt: null,
+    dates: {},
+  };
+}
+
+/**
+ * JSON file per client: {dir}/{clientId}.json
+ */
+export class FileCheckpointStore {
+  /**
+   * @param {string} dir - Directory for checkpoint files
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  _file(clientId) {
+    return path.join(this.dir, `${Number(clientId)}.json`);
+  }
+
+  /**
+   * @param {number} clientId
+   * @returns {Promise<ClientCheckpoints>} Empty checkpoints when there is no
+   *   file or it was written by another format version
+   */
+  async load(clientId) {
+    try {
+      const data = JSON.parse(await readFile(this._file(clientId), "utf8"));
+      if (data?.version === CHECKPOINT_VERSION && data.dates) return data;
+      log.warn("Ignoring checkpoints with another version", {
+        file: this._file(clientId),
+        version: data?.version,
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        log.warn("Could not read checkpoints", {
+          file: this._file(clientId),
+          error: error.message,
+        });
+      }
+    }
+    return emptyCheckpoints(clientId);
+  }
+
+  /**
+   * Write atomically so a crash mid-write can't leave a truncated file
+   * @param {number} clientId
+   * @param {ClientCheckpoints} checkpoints
+   */
+  async save(clientId, checkpoints) {
+    await mkdir(this.dir, { recursive: true });
+    const file = this._file(clientId);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(
+      tmp,
+      JSON.stringify({ ...checkpoints, updatedAt: new Date().toISOString() })
+    );
+    await rename(tmp, file);
+  }
+}
+
+/**
+ * Store in the configured reports.checkpointDir (REPORT_CHECKPOINT_DIR), or
+ * campus-optimizer/data/checkpoints
+ * @returns {FileCheckpointStore}
+ */
+export function defaultCheckpointStore() {
+  return new FileCheckpointStore(
+    getConfig().reports.checkpointDir ?? DEFAULT_CHECKPOINT_DIR
+  );
+}
@@ -0,0 +1,391 @@
+// Pelican Credential Vault
+// Site logins for the Pelican api.cgi, kept server-side in a file encrypted
+// with AES-256-GCM under a key derived (scrypt) from a master secret. Routes
+// and scripts resolve credentials by site slug here instead of reading
+// PelicanUsername/PelicanPassword out of building payloads, only for sites on
+// the client's own buildings, and every use is audited (who, which site, what
+// for, where the credentials came from).
+//
+//   PELICAN_VAULT_KEY        - Master secret; without it the vault is off
+//   PELICAN_VAULT_FILE       - Encrypted vault (default:
+//                              pelican/data/credentials.vault.json)
+//   PELICAN_VAULT_AUDIT_FILE - Also append audit records here as JSON lines
+//   PELICAN_VAULT_FALLBACK   - "false" to stop falling back to the CO building
+//                              records for sites missing from the vault
+//
+// Manage entries with `pnpm pelican:vault` (scripts/pelican-vault.js).
+
+import crypto from "crypto";
+import {
+  appendFile,
+  mkdir,
+  readFile,
+  rename,
+  stat,
+  writeFile,
+} from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getBuildings } from "../co-client.js";
+import { stripBuildingSecrets } from "../co-schema.js";
+import { createLogger, currentRequestId } from "../logger.js";
+import { cache as sharedCache } from "./cache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const VAULT_VERSION = 1;
+
+export const DEFAULT_VAULT_FILE = path.resolve(
+  __dirname,
+  "../../pelican/data/credentials.vault.json"
+);
+
+const KEY_LENGTH = 32;
+
+const log = createLogger("credential-vault");
+
+/**
+ * @typedef {Object} SiteCredentials
+ * @property {string} username
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} CredentialUse
+ * @property {string|number} [clientId]
+ * @property {string} [actor] - Who asked (a username, "vercel", a script name)
+ * @property {string} [purpose] - What for (e.g. "thermostat-history")
+ */
+
+function _siteKey(siteSlug) {
+  return String(siteSlug || "")
+    .trim()
+    .toLowerCase();
+}
+
+export class CredentialVault {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Master secret
+   * @param {string} [options.file] - Encrypted vault file
+   * @param {string} [options.auditFile] - JSON-lines audit log
+   */
+  constructor({ secret, file = DEFAULT_VAULT_FILE, auditFile } = {}) {
+    if (!secret) {
+      throw new Error("CredentialVault needs a master secret");
+    }
+    this.file = path.resolve(file);
+    this.auditFile = auditFile ? path.resolve(auditFile) : null;
+    this._secret = secret;
+    this._sites = null; // siteSlug -> { username, password, updatedAt }
+    this._salt = null;
+    this._mtimeMs = null;
+  }
+
+  /**
+   * @param {string} siteSlug
+   * @returns {Promise<SiteCredentials|null>}
+   */
+  async get(siteSlug) {
+    const entry = (await this._load()).get(_siteKey(siteSlug));
+    return entry
+      ? { username: entry.username, password: entry.password }
+      : null;
+  }
+
+  /**
+   * Add or replace a site's login
+   * @param {string} siteSlug
+   * @param {SiteCredentials} credentials
+   * @returns {Promise<void>}
+   */
+  async set(siteSlug, { username, password }) {
+    const key = _siteKey(siteSlug);
+    if (!key || !username || !password) {
+      throw new Error("siteSlug, username and password are required");
+    }
+    const sites = await this._load();
+    sites.set(key, { username, password, updatedAt: new Date().toISOString() });
+    await this._save();
+  }
+
+  /**
+   * @param {string} siteSlug
+   * @returns {Promise<boolean>} Whether the site was in the vault
+   */
+  async remove(siteSlug) {
+    const sites = await this._load();
+    const removed = sites.delete(_siteKey(siteSlug));
+    if (removed) await this._save();
+    return removed;
+  }
+
+  /**
+   * Sites in the vault, without their passwords
+   * @returns {Promise<Array<{siteSlug: string, username: string, updatedAt: string}>>}
+   */
+  async list() {
+    return [...(await this._load())]
+      .map(([siteSlug, { username, updatedAt }]) => ({
+        siteSlug,
+        username,
+        updatedAt,
+      }))
+      .sort((a, b) => a.siteSlug.localeCompare(b.siteSlug));
+  }
+
+  _key(salt) {
+    return crypto.scryptSync(this._secret, salt, KEY_LENGTH);
+  }
+
+  // Decrypted sites, re-read when the file changes (e.g. pnpm pelican:vault
+  // while the server runs)
+  async _load() {
+    let stored;
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = await stat(this.file));
+      if (this._sites && mtimeMs === this._mtimeMs) return this._sites;
+      // Until the new contents decrypt, nothing from the old file is served
+      this._sites = null;
+      stored = JSON.parse(await readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (!this._sites) {
+        this._salt = crypto.randomBytes(16);
+        this._sites = new Map();
+      }
+      return this._sites;
+    }
+
+    if (stored?.version !== VAULT_VERSION) {
+      throw new Error(`Unsupported vault version in ${this.file}`);
+    }
+    const salt = Buffer.from(stored.salt, "base64");
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this._key(salt),
+      Buffer.from(stored.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(stored.tag, "base64"));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([
+        decipher.update(Buffer.from(stored.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8");
+    } catch {
+      throw new Error(
+        `Can't decrypt ${this.file}: wrong PELICAN_VAULT_KEY or corrupted file`
+      );
+    }
+
+    const sites = new Map(Object.entries(JSON.parse(plaintext).sites || {}));
+    this._salt = salt;
+    this._mtimeMs = mtimeMs;
+    this._sites = sites;
+    return this._sites;
+  }
+
+  async _save() {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this._key(this._salt),
+      iv
+    );
+    const data = Buffer.concat([
+      cipher.update(
+        JSON.stringify({ sites: Object.fromEntries(this._sites) }),
+        "utf8"
+      ),
+      cipher.final(),
+    ]);
+
+    const stored = {
+      version: VAULT_VERSION,
+      kdf: "scrypt",
+      cipher: "aes-256-gcm",
+      salt: this._salt.toString("base64"),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await writeFile(tmp, `${JSON.stringify(stored, null, 2)}\n`, {
+      mode: 0o600,
+    });
+    await rename(tmp, this.file);
+    this._mtimeMs = (await stat(this.file)).mtimeMs;
+  }
+}
+
+/**
+ * Log an audit record, and append it to auditFile when given
+ * @param {Object} record
+ * @param {string|null} [auditFile]
+ * @returns {Promise<void>}
+ */
+export async function writeAudit(record, auditFile) {
+  log[record.outcome === "used" ? "info" : "warn"]("Credential lookup", record);
+  if (!auditFile) return;
+
+  const requestId = currentRequestId();
+  const entry = {
+    at: new Date().toISOString(),
+    ...record,
+    ...(requestId && { requestId }),
+  };
+
+  try {
+    await mkdir(path.dirname(auditFile), { recursive: true });
+    await appendFile(auditFile, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    log.error("Audit write failed", { error: error.message });
+  }
+}
+
+let _defaultVault;
+
+/**
+ * The vault configured by PELICAN_VAULT_* env vars
+ * @returns {CredentialVault|null} null when PELICAN_VAULT_KEY isn't set
+ */
+export function defaultVault() {
+  if (_defaultVault === undefined) {
+    _defaultVault = process.env.PELICAN_VAULT_KEY
+      ? new CredentialVault({
+          secret: process.env.PELICAN_VAULT_KEY,
+          file: process.env.PELICAN_VAULT_FILE || DEFAULT_VAULT_FILE,
+          auditFile: process.env.PELICAN_VAULT_AUDIT_FILE,
+        })
+      : null;
+  }
+  return _defaultVault;
+}
+
+// The client's building for a site. Vault entries are keyed by site alone,
+// so this is what keeps one client from using another client's logins.
+async function _siteBuilding(
+  clientId,
+  siteSlug,
+  { signal, fetchBuildings = getBuildings } = {}
+) {
+  const buildings = await fetchBuildings(clientId, { signal });
+  const building = (buildings || []).find(
+    (b) => _siteKey(b?.PelicanSubdomain) === _siteKey(siteSlug)
+  );
+  if (!building) {
+    const error = new Error(`No building found for siteSlug: ${siteSlug}`);
+    error.code = "UNKNOWN_SITE";
+    throw error;
+  }
+  return building;
+}
+
+// Ownership only needs PelicanSubdomain, so it is checked against the
+// stripped buildings /api/buildings caches (same key, TTL and tags) rather
+// than spending a rate-limited CO request on every lookup
+function _cachedBuildings(cache) {
+  return (clientId, { signal }) =>
+    cache.getOrSet(
+      `buildings:${clientId}`,
+      async (upstreamSignal) =>
+        stripBuildingSecrets(
+          await getBuildings(clientId, { signal: upstreamSignal })
+        ),
+      { ex: 300, tags: [`client:${clientId}`], signal }
+    );
+}
+
+function _buildingCredentials(building) {
+  const username = String(building.PelicanUsername || "").trim();
+  const password = String(building.PelicanPassword || "").trim();
+  return username && password ? { username, password } : null;
+}
+
+/**
+ * Credentials from a client's building records (PelicanSubdomain match)
+ * @param {string|number} clientId
+ * @param {string} siteSlug
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(clientId: string|number, options: Object) => Promise<Object[]>} [options.fetchBuildings]
+ * @returns {Promise<SiteCredentials|null>}
+ * @throws {Error} With code "UNKNOWN_SITE" when no building has the site
+ */
+export async function credentialsFromBuildings(clientId, siteSlug, options) {
+  return _buildingCredentials(await _siteBuilding(clientId, siteSlug, options));
+}
+
+/**
+ * Resolve a Pelican site's login: the vault first, then (unless
+ * PELICAN_VAULT_FALLBACK=false) the client's building records. The site must
+ * be on one of the client's buildings either way. Every call is audited,
+ * including failures.
+ * @param {string|number} clientId - Client the site belongs to
+ * @param {string} siteSlug
+ * @param {CredentialUse & {signal?: AbortSignal, vault?: CredentialVault|null,
+ *   fetchBuildings?: Function,
+ *   cache?: import("./cache.js").CacheService}} [options] - fetchBuildings
+ *   replaces every buildings request; otherwise ownership is checked against
+ *   the buildings in cache (default: the shared cache), and only the
+ *   fallback fetches the records with their logins
+ * @returns {Promise<SiteCredentials>}
+ * @throws {Error} With code "UNKNOWN_SITE" when the site isn't the client's
+ */
+export async function resolveSiteCredentials(
+  clientId,
+  siteSlug,
+  {
+    signal,
+    actor,
+    purpose,
+    vault = defaultVault(),
+    fetchBuildings,
+    cache = sharedCache,
+  } = {}
+) {
+  const record = { siteSlug: _siteKey(siteSlug), clientId, actor, purpose };
+  const auditFile = vault?.auditFile ?? process.env.PELICAN_VAULT_AUDIT_FILE;
+
+  let credentials = null;
+  let source = null;
+  try {
+    await _siteBuilding(clientId, siteSlug, {
+      signal,
+      fetchBuildings: fetchBuildings ?? _cachedBuildings(cache),
+    });
+    credentials = vault ? await vault.get(siteSlug) : null;
+    source = credentials ? "vault" : null;
+
+    if (!credentials && process.env.PELICAN_VAULT_FALLBACK !== "false") {
+      credentials = await credentialsFromBuildings(clientId, siteSlug, {
+        signal,
+        fetchBuildings,
+      });
+      source = credentials ? "co-buildings" : null;
+    }
+  } catch (error) {
+    await writeAudit(
+      {
+        ...record,
+        outcome: error.code === "UNKNOWN_SITE" ? "denied" : "error",
+        error: error.message,
+      },
+      auditFile
+    );
+    throw error;
+  }
+
+  if (!credentials) {
+    await writeAudit({ ...record, outcome: "missing" }, auditFile);
+    throw new Error(`Missing credentials for siteSlug: ${siteSlug}`);
+  }
+
+  await writeAudit({ ...record, outcome: "used", source }, auditFile);
+  return credentials;
+}
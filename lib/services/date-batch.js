@@ -0,0 +1,156 @@
+// Date-Range Batches
+// Serves a range of report dates in one request for the per-date endpoints
+// (schedules, schedule-details). Every date goes through the endpoint's
+// per-date lookup, so batches reuse and fill the single-date cache entries.
+// Works with both Express and Vercel responses.
+
+import { createLogger } from "../logger.js";
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates resolved at once; the CO client's limiter still paces upstream calls
+const DEFAULT_CONCURRENCY = 10;
+
+const defaultLog = createLogger("date-batch");
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string|null} start - YYYY-MM-DD, inclusive
+ * @property {string|null} end - YYYY-MM-DD, inclusive
+ */
+
+/**
+ * Validate ?start=&end= (both optional)
+ * @param {{start?: string, end?: string}} query
+ * @returns {DateRange & {error?: string}}
+ */
+export function parseDateRange({ start, end }) {
+  for (const [name, value] of Object.entries({ start, end })) {
+    if (value !== undefined && !DATE_PATTERN.test(value)) {
+      return { start: null, end: null, error: `${name} must be YYYY-MM-DD` };
+    }
+  }
+  if (start && end && start > end) {
+    return { start: null, end: null, error: "start must not be after end" };
+  }
+  return { start: start ?? null, end: end ?? null };
+}
+
+/**
+ * The client's report dates within a range
+ * @param {Array<{report_date: string}>} reportDates - From getReportDates()
+ * @param {DateRange} range
+ * @returns {string[]} Unique YYYY-MM-DD dates, ascending
+ */
+export function datesInRange(reportDates, { start, end }) {
+  const dates = new Set(
+    (reportDates || [])
+      .map((d) => d?.report_date)
+      .filter(Boolean)
+      .map((d) => String(d).split("T")[0])
+      .filter((d) => (!start || d >= start) && (!end || d <= end))
+  );
+  return [...dates].sort();
+}
+
+/**
+ * Whether the caller asked for NDJSON (?format=ndjson or the Accept header)
+ * @param {import("http").IncomingMessage & {query: Object}} req
+ * @returns {boolean}
+ */
+export function wantsNdjson(req) {
+  return (
+    req.query?.format === "ndjson" ||
+    String(req.headers.accept || "").includes("application/x-ndjson")
+  );
+}
+
+/**
+ * Look up every date and write the response. As JSON, results come back
+ * in date order once all dates resolve. As NDJSON, each date is a line
+ * written as soon as it resolves, followed by a summary line
+ * ({ done, count, errors }). A date that fails doesn't fail the batch; its
+ * result carries an error instead of rows.
+ * @param {import("http").ServerResponse} res - Express or Vercel response
+ * @param {Object} options
+ * @param {string[]} options.dates - YYYY-MM-DD dates to resolve
+ * @param {string} options.field - Property for each date's rows (e.g. "schedules")
+ * @param {(date: string) => Promise<{value: any, status: string}>} options.lookupDate -
+ *   Per-date lookup, sharing the single-date endpoint's cache key
+ * @param {boolean} [options.ndjson]
+ * @param {AbortSignal} [options.signal] - Stops starting new dates
+ * @param {import("../logger.js").Logger} [options.log] - The endpoint's logger
+ * @param {number} [options.concurrency]
+ * @returns {Promise<void>}
+ */
+export async function sendDateBatch(
+  res,
+  {
+    dates,
+    field,
+    lookupDate,
+    ndjson = false,
+    signal,
+    log = defaultLog,
+    concurrency = DEFAULT_CONCURRENCY,
+  }
+) {
+  const results = new Array(dates.length);
+  let errors = 0;
+
+  if (ndjson) {
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+  }
+
+  const resolveDate = async (index) => {
+    const date = dates[index];
+    let result;
+    try {
+      const { value, status } = await lookupDate(date);
+      result = {
+        date,
+        [field]: value,
+        ...(status !== "miss" && { cached: true }),
+      };
+    } catch (error) {
+      if (signal?.aborted) return;
+      errors += 1;
+      log.warn("Date failed", { date, error: error.message });
+      result = { date, error: error.message || "Internal server error" };
+    }
+
+    results[index] = result;
+    if (ndjson) res.write(`${JSON.stringify(result)}\n`);
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < dates.length && !signal?.aborted) {
+      await resolveDate(next++);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, dates.length) }, worker)
+  );
+
+  if (signal?.aborted) {
+    log.info("Client disconnected, batch cancelled");
+    res.end();
+    return;
+  }
+
+  log.info("Resolved dates", { count: dates.length, failed: errors });
+
+  if (ndjson) {
+    res.end(`${JSON.stringify({ done: true, count: dates.length, errors })}\n`);
+    return;
+  }
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ results, count: dates.length, errors }));
+}
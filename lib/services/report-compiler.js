@@ -0,0 +1,221 @@
+// Report Compilation Pipeline
+// The server-side equivalent of fetchCompiledReportStream in
+// src/services/api.js: devices + report dates + per-date schedules become
+// device metrics, meters + intervals + schedule details become energy.
+// Used by the Express report job queue and scripts/precompute-reports.js.
+
+import {
+  getDevices,
+  getIntervals,
+  getMeters,
+  getReportDates,
+  getScheduleDetailsOutcome,
+} from "../co-client.js";
+import {
+  computeActualEnergy,
+  computeExpectedEnergy,
+  toReportDays,
+} from "../energy.js";
+import { createLogger } from "../logger.js";
+import { DataAggregationService } from "./aggregation.js";
+
+const log = createLogger("report-compiler");
+
+/**
+ * @typedef {Object} ReportProgress
+ * @property {"metadata"|"history"|"aggregation"|"energy"} stage
+ * @property {number} progress - 0-100 within the stage
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} CompiledReport
+ * @property {Object} meta - clientId, reportsCount, first/most recent report
+ *   date, generatedAt, plus emptyDates/failedDates for schedules and
+ *   failedDetailDates, the report dates whose expected energy is all zeros
+ *   because their schedule details failed to fetch
+ * @property {Array} devices - Device metrics (see DataAggregationService)
+ * @property {{expected: Array, actual: Array}} energy
+ */
+
+// Maps done/total onto [from, from + span] of a stage and reports only when
+// the percentage changes, so per-date callbacks don't flood listeners
+function _stageReporter(onProgress, stage, { from = 0, span = 100 } = {}) {
+  let last = -1;
+  return (done, total, message) => {
+    const progress =
+      from + (total > 0 ? Math.round((done / total) * span) : span);
+    if (progress === last) return;
+    last = progress;
+    onProgress?.({ stage, progress, message });
+  };
+}
+
+/**
+ * Compile the full report for a client
+ * @param {string|number} clientId
+ * @param {Object} [options]
+ * @param {(progress: ReportProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {DataAggregationService} [options.aggregationService] - e.g. one
+ *   with a checkpoint store, so only new report dates are fetched
+ * @param {boolean} [options.full] - Refetch every date despite checkpoints
+ * @returns {Promise<CompiledReport>}
+ */
+export async function compileReport(clientId, options = {}) {
+  const { onProgress, signal } = options;
+  const aggregationService =
+    options.aggregationService ?? new DataAggregationService();
+  const client = Number(clientId);
+  const logSchemaWarning = (warning) => log.warn("Schema warning", { warning });
+
+  // Stage 1: metadata
+  onProgress?.({
+    stage: "metadata",
+    progress: 0,
+    message: "Loading metadata...",
+  });
+  const [devices, dates] = await Promise.all([
+    getDevices(client, { signal }),
+    getReportDates(client, { signal }),
+  ]);
+  onProgress?.({
+    stage: "metadata",
+    progress: 100,
+    message: `Loaded ${devices.length} devices, ${dates.length} dates`,
+  });
+
+  // Stages 2-3: schedules per date, then device aggregation
+  const reportHistory = _stageReporter(onProgress, "history");
+  reportHistory(
+    0,
+    dates.length,
+    `Loading schedules for ${dates.length} dates...`
+  );
+  const failedDates = [];
+  const emptyDates = [];
+  let fetched = 0;
+  // Request schedules by YYYY-MM-DD like the dashboard does, so weekly sample
+  // dates match whichever side compiled the report
+  const scheduleDates = dates.map((d) => ({
+    ...d,
+    report_date: d.report_date && String(d.report_date).split("T")[0],
+  }));
+  const deviceMetrics = await aggregationService.aggregateDeviceMetrics(
+    devices,
+    scheduleDates,
+    client,
+    {
+      signal,
+      full: options.full,
+      onOutcome: (date, outcome) => {
+        if (outcome.status === "failed") failedDates.push(date);
+        if (outcome.status === "empty") emptyDates.push(date);
+        fetched += 1;
+        reportHistory(
+          fetched,
+          dates.length,
+          `Loading schedule ${fetched}/${dates.length}...`
+        );
+        if (fetched === dates.length) {
+          onProgress?.({
+            stage: "aggregation",
+            progress: 0,
+            message: "Aggregating device metrics...",
+          });
+        }
+      },
+    }
+  );
+  onProgress?.({
+    stage: "history",
+    progress: 100,
+    message: "All schedules loaded",
+  });
+  onProgress?.({
+    stage: "aggregation",
+    progress: 100,
+    message: "Aggregation complete",
+  });
+
+  // Stage 4: energy
+  onProgress?.({
+    stage: "energy",
+    progress: 0,
+    message: "Loading energy base data...",
+  });
+  const [meters, intervals] = await Promise.all([
+    getMeters(client, { all: false, signal }),
+    getIntervals(client, { signal }),
+  ]);
+  const actualEnergy = computeActualEnergy(meters, intervals, {
+    onWarning: logSchemaWarning,
+  });
+
+  const reportDays = toReportDays(dates, { onWarning: logSchemaWarning });
+  const reportDetails = _stageReporter(onProgress, "energy", {
+    from: 50,
+    span: 33,
+  });
+  reportDetails(
+    0,
+    reportDays.length,
+    `Fetching schedule details for ${reportDays.length} dates...`
+  );
+  let detailsFetched = 0;
+  const detailsByReportDay = new Map();
+  const failedDetailDates = [];
+  await Promise.all(
+    reportDays.map(async (date) => {
+      const outcome = await getScheduleDetailsOutcome(client, date, {
+        signal,
+      });
+      if (outcome.status === "failed") {
+        log.warn("Schedule details fetch failed", {
+          date,
+          error: outcome.error,
+        });
+        failedDetailDates.push(date);
+      }
+      detailsByReportDay.set(date, outcome.rows);
+      detailsFetched += 1;
+      reportDetails(
+        detailsFetched,
+        reportDays.length,
+        `Fetching schedule details ${detailsFetched}/${reportDays.length}...`
+      );
+    })
+  );
+
+  onProgress?.({
+    stage: "energy",
+    progress: 90,
+    message: "Computing expected energy...",
+  });
+  const expectedEnergy = computeExpectedEnergy(
+    actualEnergy,
+    reportDays,
+    detailsByReportDay,
+    { onWarning: logSchemaWarning }
+  );
+  onProgress?.({
+    stage: "energy",
+    progress: 100,
+    message: "Energy data complete",
+  });
+
+  return {
+    meta: {
+      clientId: client,
+      reportsCount: dates.length,
+      firstReportDate: dates[0]?.report_date,
+      mostRecentDate: dates[dates.length - 1]?.report_date,
+      generatedAt: new Date().toISOString(),
+      emptyDates: emptyDates.sort(),
+      failedDates: failedDates.sort(),
+      failedDetailDates: failedDetailDates.sort(),
+    },
+    devices: deviceMetrics,
+    energy: { expected: expectedEnergy, actual: actualEnergy },
+  };
+}
@@ -0,0 +1,99 @@
+// Mock Campus Optimizer API
+// Serves recorded fixtures (see lib/co-fixtures.js) so the dashboard, the
+// Express server, precompute and compile-data can run without a live key.
+//
+//   pnpm mock:co                      # http://localhost:4010/api
+//   CO_BASE_URL=http://localhost:4010/api pnpm server
+//
+// Record new fixtures against the real API with CO_RECORD_DIR=mock/fixtures/co.
+
+import express from "express";
+import { pathToFileURL } from "node:url";
+import { DEFAULT_FIXTURES_DIR, readFixture } from "../lib/co-fixtures.js";
+
+const ENDPOINTS = [
+  /^\/optimal-schedules$/,
+  /^\/optimal-schedules\/dates$/,
+  /^\/schedule-details$/,
+  /^\/project\/[\w-]+$/,
+  /^\/trends\/interval$/,
+  /^\/hierarchy$/,
+  /^\/types\/[\w-]+$/,
+];
+
+// Endpoints that answer "no schedule" for dates without a report
+const SCHEDULE_ENDPOINTS = new Set(["/optimal-schedules", "/schedule-details"]);
+
+function _sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the mock API app
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Fixtures root (default: mock/fixtures/co)
+ * @param {number} [options.latencyMs] - Artificial delay per response (default: 0)
+ * @returns {import("express").Express}
+ */
+export function createMockCoApp({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  latencyMs = 0,
+} = {}) {
+  const app = express();
+
+  app.get(/^\/api\/.+/, async (req, res) => {
+    const requestPath = req.originalUrl.slice("/api".length);
+    const endpoint = req.path.slice("/api".length);
+
+    if (!ENDPOINTS.some((pattern) => pattern.test(endpoint))) {
+      return res.status(404).json({ error: `Unknown endpoint ${endpoint}` });
+    }
+    if (!req.get("authorization")) {
+      return res.status(401).json({ error: "Missing Authorization header" });
+    }
+
+    try {
+      // Fall back to the `all=true` variant so both meter listings resolve
+      const fallbackUrl = new URL(requestPath, "http://mock.local");
+      fallbackUrl.searchParams.set("all", "true");
+      const fixture =
+        (await readFixture(fixturesDir, requestPath)) ??
+        (await readFixture(
+          fixturesDir,
+          `${fallbackUrl.pathname}${fallbackUrl.search}`
+        ));
+
+      if (latencyMs > 0) await _sleep(latencyMs);
+
+      if (!fixture) {
+        if (SCHEDULE_ENDPOINTS.has(endpoint)) {
+          return res.type("text/plain").send("no schedule");
+        }
+        console.warn(`[Mock CO] No fixture for ${requestPath}`);
+        return res.status(404).json({ error: `No fixture for ${requestPath}` });
+      }
+
+      res.status(fixture.status ?? 200);
+      if (fixture.text !== undefined) {
+        return res.type(fixture.contentType || "text/plain").send(fixture.text);
+      }
+      return res.json(fixture.body);
+    } catch (error) {
+      console.error(`[Mock CO] Error serving ${requestPath}:`, error);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_CO_PORT) || 4010;
+  const fixturesDir = process.env.MOCK_CO_FIXTURES || DEFAULT_FIXTURES_DIR;
+  const latencyMs = Number(process.env.MOCK_CO_LATENCY_MS) || 0;
+
+  createMockCoApp({ fixturesDir, latencyMs }).listen(port, () => {
+    console.log(`[Mock CO] Serving ${fixturesDir}`);
+    console.log(`[Mock CO] http://localhost:${port}/api`);
+  });
+}
@@ -0,0 +1,240 @@
+// Mock OpenID Connect issuer
+// A local stand-in for the identity provider behind AUTH_MODE=oidc, so the
+// login flow can be exercised end to end without a real tenant. Supports the
+// authorization code flow with PKCE and signs ID tokens with a per-process
+// RS256 key.
+//
+//   pnpm mock:oidc                    # http://localhost:4030
+//   AUTH_MODE=oidc AUTH_OIDC_ISSUER=http://localhost:4030 \
+//     AUTH_OIDC_CLIENT_ID=campus-optimizer AUTH_OIDC_CLIENT_SECRET=dev pnpm server
+//
+// Users sign in with the usernames and passwords in
+// mock/fixtures/auth/users.json; their clients become the campus_clients
+// claim.
+
+import express from "express";
+import crypto from "node:crypto";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { verifyPassword } from "../server/auth.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_USERS_FILE = path.resolve(
+  __dirname,
+  "fixtures/auth/users.json"
+);
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_SECONDS = 60 * 60;
+
+/**
+ * @typedef {Object} MockOidcOptions
+ * @property {string} issuer - Public base URL of the mock
+ * @property {Array<Object>} users - Users file entries
+ * @property {string} [clientId] - Accepted client_id (default: campus-optimizer)
+ * @property {string} [clientSecret] - Required client_secret, if any
+ */
+
+function _escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+function _loginPage(params, error) {
+  const hidden = Object.entries(params)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${_escapeHtml(name)}" value="${_escapeHtml(
+          value
+        )}">`
+    )
+    .join("\n      ");
+  return `<!doctype html>
+<html>
+  <head><title>Mock OIDC sign-in</title></head>
+  <body style="font-family: sans-serif; max-width: 20rem; margin: 4rem auto">
+    <h1>Mock OIDC</h1>
+    ${error ? `<p style="color: #b91c1c">${_escapeHtml(error)}</p>` : ""}
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Username <input name="username" autofocus></label></p>
+      <p><label>Password <input name="password" type="password"></label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * Build the mock issuer app
+ * @param {MockOidcOptions} options
+ * @returns {import("express").Express}
+ */
+export function createMockOidcApp({
+  issuer,
+  users,
+  clientId = "campus-optimizer",
+  clientSecret,
+}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map(); // code -> { user, redirectUri, nonce, challenge, expiresAt }
+
+  const signIdToken = (claims) => {
+    const header = Buffer.from(
+      JSON.stringify({ alg: "RS256", typ: "JWT", kid })
+    ).toString("base64url");
+    const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    const signature = crypto
+      .sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey)
+      .toString("base64url");
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid,
+          use: "sig",
+          alg: "RS256",
+        },
+      ],
+    });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, response_type, code_challenge } =
+      req.query;
+    if (client_id !== clientId || response_type !== "code" || !redirect_uri) {
+      return res.status(400).send("Invalid authorization request");
+    }
+    if (!code_challenge || req.query.code_challenge_method !== "S256") {
+      return res.status(400).send("PKCE (S256) is required");
+    }
+    res.type("html").send(_loginPage(req.query));
+  });
+
+  app.post("/authorize", (req, res) => {
+    const { username, password, ...params } = req.body;
+    const user = users.find((u) => u.username === username);
+    if (!user?.password || !verifyPassword(password, user.password)) {
+      return res
+        .status(401)
+        .type("html")
+        .send(_loginPage(params, "Invalid username or password"));
+    }
+
+    const code = crypto.randomBytes(16).toString("base64url");
+    codes.set(code, {
+      user,
+      redirectUri: params.redirect_uri,
+      nonce: params.nonce,
+      challenge: params.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+    console.log(`[Mock OIDC] ${username} signed in`);
+
+    const redirect = new URL(params.redirect_uri);
+    redirect.searchParams.set("code", code);
+    if (params.state) redirect.searchParams.set("state", params.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    if (req.body.client_id !== clientId) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    if (clientSecret && req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    if (grant_type !== "authorization_code") {
+      return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    const challenge = crypto
+      .createHash("sha256")
+      .update(String(code_verifier || ""))
+      .digest("base64url");
+    if (
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.redirectUri !== redirect_uri ||
+      grant.challenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { user } = grant;
+    res.json({
+      token_type: "Bearer",
+      access_token: crypto.randomBytes(16).toString("base64url"),
+      expires_in: ID_TOKEN_SECONDS,
+      id_token: signIdToken({
+        iss: issuer,
+        aud: clientId,
+        sub: `mock|${user.username}`,
+        iat: now,
+        exp: now + ID_TOKEN_SECONDS,
+        nonce: grant.nonce,
+        name: user.name,
+        email: user.email,
+        email_verified: true,
+        preferred_username: user.username,
+        campus_clients: user.clients,
+      }),
+    });
+  });
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_OIDC_PORT) || 4030;
+  const usersFile = process.env.MOCK_OIDC_USERS || DEFAULT_USERS_FILE;
+  const { users } = JSON.parse(await readFile(usersFile, "utf8"));
+
+  createMockOidcApp({
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    users,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET,
+  }).listen(port, () => {
+    console.log(`[Mock OIDC] Users from ${usersFile}`);
+    console.log(`[Mock OIDC] http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,345 @@
+// Mock Pelican api.cgi
+// Accepts the same { username, password, transactions } body as
+// {site}.officeclimatecontrol.net/api.cgi and streams ThermostatHistory
+// payloads in small, delayed chunks so pelican/history.js's stream parser and
+// range chunking can be exercised end to end.
+//
+//   pnpm mock:pelican                 # http://localhost:4020/{siteSlug}/api.cgi
+//   PELICAN_BASE_URL=http://localhost:4020 pnpm server
+//
+// Sites, credentials and thermostats come from mock/fixtures/pelican/sites.json.
+// History is read from a history-stream directory
+// ({siteSlug}/{serialNo}/{year}/{month}/{day}.json) when one is configured and
+// has data for the day, otherwise it is synthesized deterministically.
+
+import express from "express";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SITES_FILE = path.resolve(
+  __dirname,
+  "fixtures/pelican/sites.json"
+);
+
+const MAX_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} MockSite
+ * @property {string} username
+ * @property {string} password
+ * @property {Array<{serialNo: string, name?: string, groupName?: string}>} thermostats
+ * @property {number} [intervalMinutes] - Spacing of synthetic records (default: 15)
+ * @property {{afterEntries: number, message: string}} [errorTail] - End the
+ *   ThermostatHistory array early and report `message` in the tail
+ * @property {number} [truncateAfterBytes] - Drop the connection mid-stream
+ */
+
+/**
+ * @typedef {Object} MockPelicanOptions
+ * @property {Object<string, MockSite>} [sites] - Site config (default: sites.json)
+ * @property {string} [historyDir] - history-stream directory with recorded days
+ * @property {number} [chunkBytes] - Bytes per written chunk (default: 512)
+ * @property {number} [chunkDelayMs] - Delay between chunks (default: 5)
+ */
+
+function _sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function _pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Pelican datetimes are local wall-clock strings without an offset; treat them
+// as UTC here so the mock is independent of the host timezone
+function _parsePelicanDateTime(value) {
+  const match = String(value ?? "").match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/
+  );
+  if (!match) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0"] = match;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+}
+
+function _formatTimestamp(ms) {
+  const dt = new Date(ms);
+  return `${dt.getUTCFullYear()}-${_pad(dt.getUTCMonth() + 1)}-${_pad(
+    dt.getUTCDate()
+  )}T${_pad(dt.getUTCHours())}:${_pad(dt.getUTCMinutes())}`;
+}
+
+// Cheap deterministic noise so the same request always streams the same data
+function _noise(seed) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+function _seedFor(serialNo, ms) {
+  let hash = 0;
+  for (const char of serialNo) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return hash + ms / 60000;
+}
+
+function _syntheticRecord(thermostat, ms, fields) {
+  const hour = new Date(ms).getUTCHours();
+  const occupied = hour >= 7 && hour < 17;
+  const seed = _seedFor(thermostat.serialNo, ms);
+  const temperature =
+    Math.round(
+      (70 + 4 * Math.sin(((hour - 9) / 24) * 2 * Math.PI) + _noise(seed)) * 10
+    ) / 10;
+  const coolSetting = occupied ? 74 : 80;
+  const heatSetting = occupied ? 70 : 62;
+  const record = {
+    timestamp: _formatTimestamp(ms),
+    name: thermostat.name ?? thermostat.serialNo,
+    groupName: thermostat.groupName ?? "",
+    serialNo: thermostat.serialNo,
+    system: "Auto",
+    heatSetting,
+    coolSetting,
+    fan: "Auto",
+    status: "On",
+    temperature,
+    humidity: Math.round(40 + 10 * _noise(seed + 1)),
+    humidifySetting: "",
+    dehumidifySetting: "",
+    co2Setting: "",
+    co2Level: "",
+    setBy: occupied ? "Schedule" : "Setback",
+    frontKeypad: "On",
+    runStatus:
+      temperature > coolSetting
+        ? "Cool-Stage1"
+        : temperature < heatSetting
+        ? "Heat-Stage1"
+        : "Off",
+    auxStatus: "Off",
+    slaves: "",
+    setback: occupied ? "Off" : "On",
+  };
+  return Object.fromEntries(
+    ["timestamp", ...fields]
+      .filter((field) => field in record)
+      .map((field) => [field, record[field]])
+  );
+}
+
+async function _readRecordedDay(historyDir, siteSlug, serialNo, dayMs) {
+  if (!historyDir) return null;
+  const dt = new Date(dayMs);
+  const filePath = path.join(
+    historyDir,
+    siteSlug,
+    serialNo,
+    String(dt.getUTCFullYear()),
+    _pad(dt.getUTCMonth() + 1),
+    `${_pad(dt.getUTCDate())}.json`
+  );
+  try {
+    const records = JSON.parse(await readFile(filePath, "utf8"));
+    return Array.isArray(records) ? records : null;
+  } catch {
+    return null;
+  }
+}
+
+async function _historyFor(site, siteSlug, thermostat, range, options) {
+  const { startMs, endMs, fields } = range;
+  const stepMs = (site.intervalMinutes ?? 15) * 60000;
+  const history = [];
+  for (
+    let dayMs = startMs - (startMs % DAY_MS);
+    dayMs <= endMs;
+    dayMs += DAY_MS
+  ) {
+    const recorded = await _readRecordedDay(
+      options.historyDir,
+      siteSlug,
+      thermostat.serialNo,
+      dayMs
+    );
+    if (recorded) {
+      for (const record of recorded) {
+        const ms = _parsePelicanDateTime(record?.timestamp);
+        if (ms != null && ms >= startMs && ms <= endMs) history.push(record);
+      }
+      continue;
+    }
+    for (let ms = Math.max(dayMs, startMs); ms < dayMs + DAY_MS; ms += stepMs) {
+      if (ms > endMs) break;
+      history.push(_syntheticRecord(thermostat, ms, fields));
+    }
+  }
+  return history;
+}
+
+// Validates the transaction the clients send; returns an error message or a range
+function _parseTransactions(transactions) {
+  const transaction = Array.isArray(transactions) ? transactions[0] : null;
+  if (
+    transaction?.request !== "get" ||
+    transaction?.object !== "ThermostatHistory"
+  ) {
+    return { error: "Unsupported transaction" };
+  }
+  const selection = transaction.selection || {};
+  const startMs = _parsePelicanDateTime(selection.startDateTime);
+  const endMs = _parsePelicanDateTime(selection.endDateTime);
+  if (startMs == null || endMs == null || startMs > endMs) {
+    return { error: "Invalid startDateTime or endDateTime" };
+  }
+  if (endMs - startMs > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range exceeds ${MAX_RANGE_DAYS} days` };
+  }
+  const serials = selection.ThermostatSerialNo;
+  const serialFilter = serials
+    ? new Set(
+        (Array.isArray(serials) ? serials : [serials]).map((s) =>
+          String(s).trim().toLowerCase()
+        )
+      )
+    : null;
+  const fields = Object.keys(transaction.value || {});
+  return { startMs, endMs, serialFilter, fields };
+}
+
+/**
+ * Write `text` in fixed-size chunks with a delay between them. Resolves false
+ * once the client goes away or `state.budget` bytes have been written.
+ */
+async function _writeChunked(res, text, state, options) {
+  for (let offset = 0; offset < text.length; offset += options.chunkBytes) {
+    if (res.destroyed) return false;
+    const chunk = text.slice(offset, offset + options.chunkBytes);
+    if (state.budget != null && state.written + chunk.length > state.budget) {
+      res.write(chunk.slice(0, state.budget - state.written));
+      res.destroy();
+      return false;
+    }
+    state.written += chunk.length;
+    res.write(chunk);
+    if (options.chunkDelayMs > 0) await _sleep(options.chunkDelayMs);
+  }
+  return true;
+}
+
+/**
+ * Build the mock api.cgi app
+ * @param {MockPelicanOptions} [options]
+ * @returns {import("express").Express}
+ */
+export function createMockPelicanApp(options = {}) {
+  const settings = {
+    chunkBytes: Math.max(1, options.chunkBytes ?? 512),
+    chunkDelayMs: options.chunkDelayMs ?? 5,
+    historyDir: options.historyDir ? path.resolve(options.historyDir) : null,
+  };
+  const sitesPromise = options.sites
+    ? Promise.resolve(options.sites)
+    : readFile(DEFAULT_SITES_FILE, "utf8").then(JSON.parse);
+
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+
+  app.post("/:siteSlug/api.cgi", async (req, res) => {
+    const siteSlug = String(req.params.siteSlug).toLowerCase();
+    const { username, password, transactions } = req.body || {};
+
+    try {
+      const sites = await sitesPromise;
+      const site = sites[siteSlug];
+      if (!site) {
+        return res.status(404).type("text/plain").send("Unknown site");
+      }
+      if (username !== site.username || password !== site.password) {
+        return res.json({
+          result: [{ success: 0, message: "Invalid username or password" }],
+        });
+      }
+
+      const range = _parseTransactions(transactions);
+      if (range.error) {
+        return res.json({ result: [{ success: 0, message: range.error }] });
+      }
+
+      console.log(
+        `[Mock Pelican] ${siteSlug} ${_formatTimestamp(
+          range.startMs
+        )} → ${_formatTimestamp(range.endMs)}`
+      );
+
+      res.status(200).type("application/json");
+      const state = { written: 0, budget: site.truncateAfterBytes ?? null };
+      const head = '{"result":[{"ThermostatHistory":[';
+      if (!(await _writeChunked(res, head, state, settings))) return;
+
+      const thermostats = (site.thermostats || []).filter(
+        (t) =>
+          !range.serialFilter ||
+          range.serialFilter.has(String(t.serialNo).trim().toLowerCase())
+      );
+      let emitted = 0;
+      let tailMessage = null;
+      for (const thermostat of thermostats) {
+        if (site.errorTail && emitted >= site.errorTail.afterEntries) {
+          tailMessage = site.errorTail.message;
+          break;
+        }
+        const History = await _historyFor(
+          site,
+          siteSlug,
+          thermostat,
+          range,
+          settings
+        );
+        const entry = JSON.stringify({
+          serialNo: thermostat.serialNo,
+          name: thermostat.name ?? thermostat.serialNo,
+          History,
+        });
+        const text = emitted > 0 ? `,${entry}` : entry;
+        if (!(await _writeChunked(res, text, state, settings))) return;
+        emitted += 1;
+      }
+
+      const tail = `],"success":${tailMessage ? 0 : 1},"message":${JSON.stringify(
+        tailMessage
+      )}}]}`;
+      if (await _writeChunked(res, tail, state, settings)) res.end();
+    } catch (error) {
+      console.error(`[Mock Pelican] Error for ${siteSlug}:`, error);
+      if (!res.headersSent) {
+        res.status(500).type("text/plain").send(error.message);
+      } else {
+        res.destroy(error);
+      }
+    }
+  });
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_PELICAN_PORT) || 4020;
+  const sitesFile = process.env.MOCK_PELICAN_SITES;
+  const sites = sitesFile
+    ? JSON.parse(await readFile(path.resolve(sitesFile), "utf8"))
+    : undefined;
+
+  createMockPelicanApp({
+    sites,
+    historyDir: process.env.MOCK_PELICAN_HISTORY_DIR,
+    chunkBytes: Number(process.env.MOCK_PELICAN_CHUNK_BYTES) || undefined,
+    chunkDelayMs:
+      process.env.MOCK_PELICAN_CHUNK_DELAY_MS != null
+        ? Number(process.env.MOCK_PELICAN_CHUNK_DELAY_MS)
+        : undefined,
+  }).listen(port, () => {
+    console.log(`[Mock Pelican] http://localhost:${port}/{siteSlug}/api.cgi`);
+  });
+}
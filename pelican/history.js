@@ -1,9 +1,23 @@
 import dotenv from "dotenv";
 import { mkdir, readFile, writeFile } from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getConfig } from "../lib/config.js";
+import { createLogger } from "../lib/logger.js";
+import { fetchWithMetrics, recordPelicanStream } from "../lib/metrics.js";
+import { pelicanApiUrl } from "../lib/pelican-url.js";
 
 dotenv.config();
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger("pelican-history");
+
+export const DEFAULT_HISTORY_DIR = path.resolve(
+  __dirname,
+  "data/history-stream"
+);
+
 const HISTORY_VALUE_TEMPLATE = Object.freeze({
   timestamp: "",
   name: "",
@@ -36,6 +50,15 @@ const MAX_RANGE_DAYS = 30;
 const DEFAULT_CHUNK_DAYS = 30;
 const DEFAULT_HISTORY_YEARS = 2;
 
+/**
+ * Root of the local history store (pelican.historyDir or
+ * PELICAN_HISTORY_DIR, default: pelican/data/history-stream)
+ * @returns {string}
+ */
+export function historyStoreDir() {
+  return getConfig().pelican.historyDir ?? DEFAULT_HISTORY_DIR;
+}
+
 function normalizeSerial(value) {
   return String(value ?? "")
     .trim()
@@ -77,7 +100,7 @@ async function writeThermostatHistoryByDate({
 }) {
   const serialNo = entry?.serialNo;
   if (!serialNo) {
-    console.warn("history-stream:write:missing-serial", { entry });
+    log.warn("History entry without a serial number");
     return null;
   }
 
@@ -144,7 +167,7 @@ async function writeThermostatHistoryByDate({
     const payload = JSON.stringify(mergedRecords, null, 2);
     await writeFile(targetPath, payload, "utf8");
 
-    console.log("history-stream:write", {
+    log.debug("Wrote history file", {
       siteSlug,
       serialNo,
       date,
@@ -189,7 +212,7 @@ async function writeThermostatHistoryEntry({
   const targetPath = path.join(targetDir, fileName);
   const payload = raw ?? JSON.stringify(entry, null, 2);
   await writeFile(targetPath, payload, "utf8");
-  console.log("history-stream:write", {
+  log.debug("Wrote history file", {
     siteSlug,
     serialNo: entry?.serialNo ?? null,
     file: targetPath,
@@ -221,6 +244,7 @@ function createHistoryStreamParser({ onHistory, tailLimit = 10_000 }) {
   let escapeNext = false;
   let braceDepth = 0;
   let objectStart = -1;
+  let scanIndex = 0; // Buffer chars before this were already scanned
   let tailText = "";
   let entryIndex = 0;
 
@@ -229,8 +253,9 @@ function createHistoryStreamParser({ onHistory, tailLimit = 10_000 }) {
     try {
       parsed = JSON.parse(jsonSlice);
     } catch (error) {
-      console.error("history-stream:entry-parse-error", error, {
-        preview: jsonSlice.slice(0, 200),
+      log.error("Could not parse history entry", {
+        bytes: jsonSlice.length,
+        error,
       });
       throw error;
     }
@@ -241,7 +266,7 @@ function createHistoryStreamParser({ onHistory, tailLimit = 10_000 }) {
     entryIndex += 1;
     // Log progress every 100 entries instead of every entry
     if (entryIndex % 100 === 0) {
-      console.log("history-stream:entries:progress", {
+      log.debug("Parsing history entries", {
         entriesProcessed: entryIndex,
       });
     }
@@ -297,10 +322,13 @@ function createHistoryStreamParser({ onHistory, tailLimit = 10_000 }) {
         escapeNext = false;
         braceDepth = 0;
         objectStart = -1;
-        console.log("history-stream:array:start");
+        log.debug("Found the ThermostatHistory array");
       }
 
-      let index = 0;
+      // Resume where the previous feed stopped; brace/string state carries
+      // over, so rescanning retained chars would count them twice
+      let index = scanIndex;
+      scanIndex = 0;
       while (index < buffer.length) {
         const char = buffer[index];
 
@@ -368,6 +396,7 @@ function createHistoryStreamParser({ onHistory, tailLimit = 10_000 }) {
       }
 
       // Update buffer chunks at the end
+      scanIndex = buffer.length;
       bufferChunks = [buffer];
       bufferLength = buffer.length;
 
@@ -541,15 +570,15 @@ async function postPelican(
   password,
   options = {}
 ) {
-  // const { username, password } = getCredentials();
-  console.log("postPelican:start", {
+  log.debug("Calling Pelican API", {
     siteSlug,
-    transactionCount: transactions?.length ?? 0,
-    hasSignal: Boolean(signal),
+    transactions: transactions?.length ?? 0,
   });
   const startedAt = Date.now();
-  const response = await fetch(
-    `https://${siteSlug}.officeclimatecontrol.net/api.cgi`,
+  const response = await fetchWithMetrics(
+    "pelican",
+    transactions?.[0]?.object ?? "unknown",
+    pelicanApiUrl(siteSlug),
     {
       method: "POST",
       headers: {
@@ -561,15 +590,12 @@ async function postPelican(
     }
   );
 
-  console.log("postPelican:response", {
+  log.info("Pelican API responded", {
+    siteSlug,
     status: response.status,
-    ok: response.ok,
     durationMs: Date.now() - startedAt,
-    headers: {
-      "content-length": response.headers.get("content-length"),
-      "content-type": response.headers.get("content-type"),
-      "transfer-encoding": response.headers.get("transfer-encoding"),
-    },
+    contentLength: response.headers.get("content-length"),
+    transferEncoding: response.headers.get("transfer-encoding"),
   });
 
   if (!response.ok) {
@@ -590,7 +616,7 @@ async function postPelican(
   const collected = [];
 
   if (reader) {
-    console.log("postPelican:stream:start");
+    log.debug("Streaming response");
     const decoder = new TextDecoder();
 
     // Optional: stream raw response to file to avoid memory issues
@@ -598,8 +624,8 @@ async function postPelican(
     if (options.streamRawToFile) {
       const { open } = await import("node:fs/promises");
       rawResponseFileHandle = await open(options.streamRawToFile, "w");
-      console.log("postPelican:stream:raw-file", {
-        path: options.streamRawToFile,
+      log.debug("Copying raw response to file", {
+        file: options.streamRawToFile,
       });
     }
 
@@ -614,6 +640,7 @@ async function postPelican(
 
     let totalBytes = 0;
     let chunkCount = 0;
+    const streamStart = Date.now();
     while (true) {
       const { value, done } = await reader.read();
       if (done) break;
@@ -621,16 +648,13 @@ async function postPelican(
       chunkCount += 1;
       // Log first chunk to confirm streaming started
       if (chunkCount === 1) {
-        console.log("postPelican:stream:first-chunk", {
-          bytes: value?.length || 0,
-        });
+        log.debug("Received first chunk", { bytes: value?.length || 0 });
       }
       // Log progress every 10 chunks or every 100KB
       if (chunkCount % 10 === 0 || totalBytes % 100000 < (value?.length || 0)) {
-        console.log("postPelican:stream:progress", {
+        log.debug("Streaming progress", {
           chunks: chunkCount,
           bytesReceived: totalBytes,
-          mbReceived: (totalBytes / 1024 / 1024).toFixed(2),
         });
       }
       const chunkText = decoder.decode(value, { stream: true });
@@ -650,17 +674,17 @@ async function postPelican(
         await rawResponseFileHandle.write(tailText, "utf8");
       }
       await parser.feed(tailText);
-      console.log("history-stream:decoder:flushed");
     }
 
     // Close the raw response file
     if (rawResponseFileHandle) {
       await rawResponseFileHandle.close();
-      console.log("postPelican:stream:raw-file:closed");
     }
 
+    recordPelicanStream(totalBytes, Date.now() - streamStart);
+
     const summary = parser.finalize();
-    console.log("postPelican:stream:done", {
+    log.info("Streamed response", {
       bytes: totalBytes,
       entries: collected.length,
       historyFound: summary.historyFound,
@@ -678,7 +702,7 @@ async function postPelican(
 
     // If parsing failed to extract entries, try reading from the file
     if (collected.length === 0 && options.streamRawToFile) {
-      console.log("history-stream:fallback:file-parse:start", {
+      log.info("Stream parser found no entries, parsing the raw file", {
         file: options.streamRawToFile,
       });
       try {
@@ -695,13 +719,13 @@ async function postPelican(
               await options.onHistory(entry, rawEntry, { index });
             }
           }
-          console.log("history-stream:fallback:file-parse:emitted", {
+          log.info("Parsed entries from the raw file", {
             entries: entries.length,
           });
         }
         parsed = full;
       } catch (_e) {
-        console.log("history-stream:fallback:file-parse:failed");
+        log.warn("Could not parse the raw response file");
       }
     }
 
@@ -714,17 +738,15 @@ async function postPelican(
 
   // Fallback to non-streaming if a reader is not available
   const rawBody = await response.text();
-  console.log("postPelican:body", {
-    length: rawBody.length,
-    preview: rawBody.slice(0, 120),
-  });
+  log.debug("Read buffered response", { bytes: rawBody.length });
 
   let parsed;
   try {
     parsed = JSON.parse(rawBody);
   } catch (error) {
-    console.error("postPelican:parse-error", error, {
-      preview: rawBody.slice(0, 200),
+    log.error("Could not parse Pelican response", {
+      bytes: rawBody.length,
+      error,
     });
     throw error;
   }
@@ -805,7 +827,7 @@ export async function fetchThermostatHistory({
   const ranges = splitDateRange(startISO, endISO, chunkDays);
   let totalEntriesProcessed = 0;
 
-  console.log("fetchThermostatHistory:prepared", {
+  log.debug("Prepared history fetch", {
     siteSlug,
     serialNumber,
     serialNumbers: serialFilter,
@@ -819,7 +841,7 @@ export async function fetchThermostatHistory({
     : null;
 
   for (const [rangeIndex, range] of ranges.entries()) {
-    console.log("fetchThermostatHistory:range:start", range);
+    log.debug("Fetching range", range);
     const selection = { ...range };
     if (serialFilter) {
       selection.ThermostatSerialNo = serialFilter;
@@ -879,11 +901,8 @@ export async function fetchThermostatHistory({
           : undefined,
       }
     );
-    console.log("fetchThermostatHistory:range:received", {
-      range,
-      hasResult: Boolean(payload?.result?.length),
-    });
-    console.log("fetchThermostatHistory:range:payload", {
+    log.debug("Received range", {
+      ...range,
       hasResult: Boolean(payload?.result?.length),
       keys: payload ? Object.keys(payload) : null,
     });
@@ -904,8 +923,8 @@ export async function fetchThermostatHistory({
       streamWritesForRange === 0 &&
       entries.length > 0
     ) {
-      console.log("history-stream:fallback:range:write", {
-        range,
+      log.info("Writing range entries the stream didn't write", {
+        ...range,
         entries: entries.length,
       });
       for (let i = 0; i < entries.length; i += 1) {
@@ -941,7 +960,8 @@ export async function fetchThermostatHistory({
     }
   }
 
-  console.log("fetchThermostatHistory:completed", {
+  log.info("Fetched thermostat history", {
+    siteSlug,
     serialNumber,
     serialNumbers: serialFilter,
     entriesProcessed: totalEntriesProcessed,
@@ -1,4 +1,4 @@
-import { readFile, writeFile } from "node:fs/promises";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
 import path from "node:path";
 
 const METADATA_FILE = "metadata.json";
@@ -9,6 +9,11 @@ export async function loadMetadata(baseDir) {
     const content = await readFile(metadataPath, "utf8");
     return JSON.parse(content);
   } catch (error) {
+    // A store that can't be read must not be replaced by an empty index: the
+    // next save would drop every device and sync record
+    if (error.code !== "ENOENT") {
+      throw new Error(`Could not read ${metadataPath}: ${error.message}`);
+    }
     // Return empty metadata if file doesn't exist
     return {
       sites: {},
@@ -21,7 +26,12 @@ export async function loadMetadata(baseDir) {
 export async function saveMetadata(baseDir, metadata) {
   const metadataPath = path.join(baseDir, METADATA_FILE);
   metadata.lastUpdated = new Date().toISOString();
-  await writeFile(metadataPath, JSON.stringify(metadata, null, 2), "utf8");
+  // Saved after every sync chunk; write and rename so a crash mid-write
+  // leaves the previous index intact
+  await mkdir(baseDir, { recursive: true });
+  const tmp = `${metadataPath}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(metadata, null, 2), "utf8");
+  await rename(tmp, metadataPath);
 }
 
 export function updateMetadataForEntry(metadata, { siteSlug, serialNo, date, entryCount, filePath, baseDir }) {
@@ -64,6 +74,60 @@ export function updateMetadataForEntry(metadata, { siteSlug, serialNo, date, ent
   device.lastUpdated = new Date().toISOString();
 }
 
+/**
+ * @typedef {Object} SyncChunk
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {string} endDate - YYYY-MM-DD, inclusive
+ * @property {"complete"|"partial"|"failed"} status - partial: fetched, but
+ *   the range reaches today, so Pelican may still add to it
+ * @property {number} entries
+ * @property {string} fetchedAt
+ * @property {string} [error]
+ */
+
+/**
+ * A site's sync records in the index, created on first use
+ * @param {Object} metadata
+ * @param {string} siteSlug
+ * @returns {{chunks: SyncChunk[], lastRun: Object|null}}
+ */
+export function getSyncState(metadata, siteSlug) {
+  if (!metadata.sites[siteSlug]) {
+    metadata.sites[siteSlug] = { devices: {} };
+  }
+  const site = metadata.sites[siteSlug];
+  site.sync ??= { chunks: [], lastRun: null };
+  return site.sync;
+}
+
+/**
+ * Record a fetched (or failed) chunk. Replaces the record for the same days;
+ * a complete chunk also drops the failed or partial records it covers.
+ * @param {{chunks: SyncChunk[]}} state
+ * @param {SyncChunk} chunk
+ */
+export function recordSyncChunk(state, chunk) {
+  state.chunks = state.chunks.filter(
+    (existing) =>
+      !(
+        existing.startDate === chunk.startDate &&
+        existing.endDate === chunk.endDate
+      ) &&
+      !(
+        chunk.status === "complete" &&
+        existing.status !== "complete" &&
+        existing.startDate >= chunk.startDate &&
+        existing.endDate <= chunk.endDate
+      )
+  );
+  state.chunks.push(chunk);
+  state.chunks.sort(
+    (a, b) =>
+      a.startDate.localeCompare(b.startDate) ||
+      a.endDate.localeCompare(b.endDate)
+  );
+}
+
 let baseDirCache = null;
 
 export function setBaseDir(baseDir) {
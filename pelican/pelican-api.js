@@ -1,105 +1,131 @@
 import path from "node:path";
+import { pathToFileURL } from "node:url";
 import { getBuildings } from "../campus-optimizer/co-api.js";
-import { fetchThermostatHistory } from "./history.js";
-import {
-  loadMetadata,
-  saveMetadata,
-  updateMetadataForEntry,
-} from "./metadata.js";
+import { getConfig, requireConfig } from "../lib/config.js";
+import { createLogger } from "../lib/logger.js";
+import { resolveSiteCredentials } from "../lib/services/credential-vault.js";
+import { historyStoreDir } from "./history.js";
+import { loadMetadata } from "./metadata.js";
+import { syncSiteHistory } from "./sync.js";
+
+const log = createLogger("pelican-sync");
+
+/**
+ * Sync a client's Pelican sites into the local history store. Each site
+ * resumes from what metadata.json records: without a start date it fetches
+ * since its last run (a DEFAULT_HISTORY_YEARS backfill the first time), and
+ * with one it skips the chunks an earlier run already completed.
+ * @param {Object} options
+ * @param {number} options.clientId
+ * @param {string[]} [options.sites] - Site slugs to sync (default: every
+ *   site on the client's buildings)
+ * @param {string} [options.startDate] - YYYY-MM-DD (default: pelican.sync,
+ *   else since the last run)
+ * @param {string} [options.endDate] - YYYY-MM-DD (default: pelican.sync,
+ *   else today)
+ * @param {boolean} [options.refetch] - Fetch complete chunks again
+ * @returns {Promise<{dir: string, sites: import("./sync.js").SiteSyncResult[], failures: {siteSlug: string, error: string}[]}>}
+ */
+export async function syncPelicanHistory({
+  clientId,
+  sites,
+  startDate,
+  endDate,
+  refetch = false,
+}) {
+  const { sync } = getConfig().pelican;
+  const range = {
+    startDate: startDate ?? sync.startDate,
+    endDate: endDate ?? sync.endDate,
+  };
+  if (range.startDate && range.endDate && range.startDate > range.endDate) {
+    throw new Error(`Start date ${range.startDate} is after ${range.endDate}`);
+  }
 
-async function main() {
-  const clientId = 1420;
   const buildings = await getBuildings(clientId);
 
-  // Define the date range once for all devices
-  const startDateTime = "2025-08-30";
-  const endDateTime = "2025-08-31";
+  // Unique Pelican subdomains; their logins come from the credential vault
+  const knownSlugs = [
+    ...new Set(
+      buildings
+        .map((b) => String(b?.PelicanSubdomain || "").trim())
+        .filter(Boolean)
+    ),
+  ];
+  const unknown = (sites ?? []).filter((slug) => !knownSlugs.includes(slug));
+  if (unknown.length > 0) {
+    throw new Error(
+      `No Pelican site ${unknown.join(", ")} for client ${clientId} (known: ${
+        knownSlugs.join(", ") || "none"
+      })`
+    );
+  }
+  const siteSlugs = sites?.length ? [...new Set(sites)] : knownSlugs;
 
-  const streamOutputDir = path.join(
-    process.cwd(),
-    "pelican",
-    "data",
-    "history-stream"
-  );
+  const streamOutputDir = historyStoreDir();
 
-  // Load existing metadata or create new
+  // Load existing metadata or create new; syncSiteHistory saves it as it goes
   const metadata = await loadMetadata(streamOutputDir);
+  const results = [];
+  const failures = [];
 
-  // Build unique list of Pelican subdomains with credentials from buildings
-  const seen = new Set();
-  const sites = [];
-  for (const b of buildings) {
-    const siteSlug = String(b?.PelicanSubdomain || "").trim();
-    if (!siteSlug || seen.has(siteSlug)) continue;
-    seen.add(siteSlug);
-    sites.push({
+  for (const [index, siteSlug] of siteSlugs.entries()) {
+    log.info("Fetching site", {
       siteSlug,
-      username: String(b?.PelicanUsername || "").trim(),
-      password: String(b?.PelicanPassword || "").trim(),
+      site: `${index + 1}/${siteSlugs.length}`,
+      ...range,
     });
-  }
-
-  for (const [index, site] of sites.entries()) {
-    console.log(`${index + 1}/${sites.length} fetching site ${site.siteSlug}`);
-    console.log("Resolved credentials", {
-      siteSlug: site.siteSlug,
-      username: site.username,
-      password: site.password ? "[REDACTED]" : "",
-    });
-    console.log(
-      `Starting fetch for site ${site.siteSlug} between ${startDateTime} and ${endDateTime}`
-    );
-    const fetchStartedAt = Date.now();
-
-    const result = await fetchThermostatHistory({
-      siteSlug: site.siteSlug,
-      startDateTime,
-      endDateTime,
-      username: site.username,
-      password: site.password,
-      streamOutputDir,
-      useDateOrganization: true, // Use new date-organized structure
-      onEntryWritten: async ({
+    try {
+      const credentials = await resolveSiteCredentials(clientId, siteSlug, {
+        actor: "pelican-api",
+        purpose: "history-sync",
+        fetchBuildings: async () => buildings,
+      });
+      const result = await syncSiteHistory({
         siteSlug,
-        serialNo,
-        date,
-        entryCount,
-        filePath,
-      }) => {
-        // Update metadata index as files are written
-        updateMetadataForEntry(metadata, {
-          siteSlug,
-          serialNo,
-          date,
-          entryCount,
-          filePath,
-          baseDir: streamOutputDir,
-        });
-      },
-    });
-
-    console.log(
-      `Completed fetch for site ${site.siteSlug} in ${(
-        (Date.now() - fetchStartedAt) /
-        1000
-      ).toFixed(2)}s`,
-      {
-        entriesProcessed: result.entriesProcessed,
-        rangesProcessed: result.rangesProcessed,
+        credentials,
+        metadata,
+        baseDir: streamOutputDir,
+        ...range,
+        refetch,
+      });
+      log.info("Fetched site", result);
+      results.push(result);
+      if (result.error) {
+        failures.push({ siteSlug, error: result.error });
       }
-    );
+    } catch (error) {
+      // One site's bad login shouldn't keep the others from syncing
+      log.error("Site sync failed", { siteSlug, error });
+      failures.push({ siteSlug, error: error.message });
+    }
   }
 
-  // Save metadata index
-  console.log("Saving metadata index...");
-  await saveMetadata(streamOutputDir, metadata);
-  console.log("Metadata index saved successfully");
+  log.info("Synced sites", {
+    sites: results.length,
+    failures: failures.length,
+    file: path.join(streamOutputDir, "metadata.json"),
+  });
+
+  return { dir: streamOutputDir, sites: results, failures };
+}
+
+async function main() {
+  const { clientId } = requireConfig("clientId");
+  const { dir, sites, failures } = await syncPelicanHistory({ clientId });
 
   console.log("\n=== Collection Complete ===");
   console.log(`Processed ${sites.length} sites`);
-  console.log(
-    `Metadata saved to: ${path.join(streamOutputDir, "metadata.json")}`
-  );
+  for (const { siteSlug, error } of failures) {
+    console.log(`${siteSlug} failed: ${error}`);
+  }
+  console.log(`Metadata saved to: ${path.join(dir, "metadata.json")}`);
+  if (failures.length > 0) process.exitCode = 1;
 }
 
-main();
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("pelican-api failed:", error);
+    process.exitCode = 1;
+  });
+}
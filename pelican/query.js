@@ -1,7 +1,10 @@
 import { readFile, readdir, stat } from "node:fs/promises";
 import path from "node:path";
+import { createLogger } from "../lib/logger.js";
 import { loadMetadata } from "./metadata.js";
 
+const log = createLogger("pelican-query");
+
 /**
  * Load the metadata index
  */
@@ -42,10 +45,12 @@ export function findFilesForQuery(metadata, { siteSlug, serialNo, startDate, end
 }
 
 /**
- * Query history files and return results with pagination
+ * Query history files and return results with pagination. Files that can't
+ * be read or parsed are skipped and listed in `failures`
  */
 export async function queryFiles(files, { page = 0, limit = 1000, baseDir }) {
   const results = [];
+  const failures = [];
   let skipped = 0;
   let yielded = 0;
   const skipCount = page * limit;
@@ -94,7 +99,8 @@ export async function queryFiles(files, { page = 0, limit = 1000, baseDir }) {
         yielded++;
       }
     } catch (error) {
-      console.error(`Error reading ${file.path}:`, error.message);
+      log.warn("Skipping unreadable history file", { file: file.path, error });
+      failures.push({ path: file.path, date: file.date, error: error.message });
     }
   }
 
@@ -106,6 +112,7 @@ export async function queryFiles(files, { page = 0, limit = 1000, baseDir }) {
       hasMore: yielded === limit && files.length > 0,
       totalReturned: results.length,
     },
+    failures,
   };
 }
 
@@ -0,0 +1,343 @@
+// Resumable Pelican history sync
+// Fetches a site's history one chunk at a time and records every chunk in
+// metadata.json as soon as it lands, so an interrupted two-year backfill
+// picks up at the chunk it stopped on instead of starting over. Chunk
+// records are day ranges and coverage is their union, so a backfill and the
+// daily incremental runs after it line up whatever their chunk boundaries.
+
+import { createLogger } from "../lib/logger.js";
+import { DEFAULT_HISTORY_YEARS, fetchThermostatHistory } from "./history.js";
+import {
+  getSyncState,
+  recordSyncChunk,
+  saveMetadata,
+  updateMetadataForEntry,
+} from "./metadata.js";
+
+const log = createLogger("pelican-sync");
+
+// Pelican answers at most 30 days per request
+export const SYNC_CHUNK_DAYS = 30;
+
+// YYYY-MM-DD arithmetic in UTC, so DST never shifts a day boundary
+function _addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function _yearsBefore(day, years) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+}
+
+function _daysBetween(startDate, endDate) {
+  const ms =
+    Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`);
+  return ms / 86_400_000 + 1;
+}
+
+// The host's local date. history.js sends chunk ranges in host-local time
+// too, and Pelican reads them in the site's, so day boundaries only line up
+// when the host runs in the sites' timezone (set TZ).
+function _today() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60_000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function _splitDays(startDate, endDate, chunkDays) {
+  const chunks = [];
+  for (let day = startDate; day <= endDate; day = _addDays(day, chunkDays)) {
+    const last = _addDays(day, chunkDays - 1);
+    chunks.push({ startDate: day, endDate: last < endDate ? last : endDate });
+  }
+  return chunks;
+}
+
+/**
+ * Days the complete chunks cover, merged into ascending ranges
+ * @param {{chunks: import("./metadata.js").SyncChunk[]}} state
+ * @returns {{startDate: string, endDate: string}[]}
+ */
+export function syncCoverage(state) {
+  const merged = [];
+  for (const chunk of state.chunks) {
+    if (chunk.status !== "complete") continue;
+    const last = merged[merged.length - 1];
+    if (last && chunk.startDate <= _addDays(last.endDate, 1)) {
+      if (chunk.endDate > last.endDate) last.endDate = chunk.endDate;
+    } else {
+      merged.push({ startDate: chunk.startDate, endDate: chunk.endDate });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Day ranges between startDate and endDate that no complete chunk covers
+ * @param {{chunks: import("./metadata.js").SyncChunk[]}} state
+ * @param {{startDate: string, endDate: string}} range - YYYY-MM-DD, inclusive
+ * @returns {{startDate: string, endDate: string, days: number}[]}
+ */
+export function findSyncGaps(state, { startDate, endDate }) {
+  const gaps = [];
+  let cursor = startDate;
+  for (const covered of syncCoverage(state)) {
+    if (cursor > endDate) break;
+    if (covered.endDate < cursor) continue;
+    if (covered.startDate > cursor) {
+      const last = _addDays(covered.startDate, -1);
+      const gapEnd = last < endDate ? last : endDate;
+      gaps.push({
+        startDate: cursor,
+        endDate: gapEnd,
+        days: _daysBetween(cursor, gapEnd),
+      });
+    }
+    cursor = _addDays(covered.endDate, 1);
+  }
+  if (cursor <= endDate) {
+    gaps.push({
+      startDate: cursor,
+      endDate,
+      days: _daysBetween(cursor, endDate),
+    });
+  }
+  return gaps;
+}
+
+/**
+ * Days a sync run covers. Without a startDate, sync since the last run: from
+ * the day after the latest complete chunk, or a DEFAULT_HISTORY_YEARS
+ * backfill the first time.
+ * @param {{chunks: import("./metadata.js").SyncChunk[]}} state
+ * @param {{startDate?: string, endDate?: string, today: string}} options -
+ *   YYYY-MM-DD
+ * @returns {{mode: "range"|"incremental"|"backfill", startDate: string,
+ *   endDate: string}}
+ */
+export function planSyncRange(state, { startDate, endDate, today }) {
+  const end = endDate ?? today;
+  if (startDate) {
+    return { mode: "range", startDate, endDate: end };
+  }
+  const coverage = syncCoverage(state);
+  const covered = coverage[coverage.length - 1];
+  return {
+    mode: covered ? "incremental" : "backfill",
+    startDate: covered
+      ? _addDays(covered.endDate, 1)
+      : _yearsBefore(end, DEFAULT_HISTORY_YEARS),
+    endDate: end,
+  };
+}
+
+function _isCovered(coverage, chunk) {
+  return coverage.some(
+    (covered) =>
+      covered.startDate <= chunk.startDate && covered.endDate >= chunk.endDate
+  );
+}
+
+/**
+ * @typedef {Object} SiteSyncResult
+ * @property {string} siteSlug
+ * @property {"range"|"incremental"|"backfill"} mode
+ * @property {string} startDate
+ * @property {string} endDate
+ * @property {"complete"|"failed"} status
+ * @property {number} chunksFetched
+ * @property {number} chunksSkipped - Already complete from an earlier run
+ * @property {number} entriesProcessed
+ * @property {number} durationMs
+ * @property {{startDate: string, endDate: string, days: number}[]} gaps -
+ *   Days before today in the range still missing after this run
+ * @property {string} [error]
+ */
+
+/**
+ * Sync one site's history into the store chunk by chunk, saving the
+ * metadata index after each one. A failed chunk stops the site, so the next
+ * run resumes from it.
+ * @param {Object} options
+ * @param {string} options.siteSlug
+ * @param {{username: string, password: string}} options.credentials
+ * @param {Object} options.metadata - Loaded with loadMetadata(baseDir)
+ * @param {string} options.baseDir - History store directory
+ * @param {string} [options.startDate] - YYYY-MM-DD (default: since the last
+ *   run)
+ * @param {string} [options.endDate] - YYYY-MM-DD (default: today)
+ * @param {boolean} [options.refetch] - Fetch chunks that are already complete
+ * @param {number} [options.chunkDays]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<SiteSyncResult>}
+ */
+export async function syncSiteHistory({
+  siteSlug,
+  credentials,
+  metadata,
+  baseDir,
+  startDate,
+  endDate,
+  refetch = false,
+  chunkDays = SYNC_CHUNK_DAYS,
+  signal,
+}) {
+  const startedAt = Date.now();
+  const today = _today();
+  const state = getSyncState(metadata, siteSlug);
+  const plan = planSyncRange(state, { startDate, endDate, today });
+  if (plan.startDate > plan.endDate && plan.mode === "range") {
+    throw new Error(`Start date ${plan.startDate} is after ${plan.endDate}`);
+  }
+
+  // Empty when an incremental run's endDate is already covered
+  const coverage = syncCoverage(state);
+  const chunks =
+    plan.startDate <= plan.endDate
+      ? _splitDays(plan.startDate, plan.endDate, chunkDays)
+      : [];
+  const pending = refetch
+    ? chunks
+    : chunks.filter((chunk) => !_isCovered(coverage, chunk));
+
+  const result = {
+    siteSlug,
+    ...plan,
+    status: "complete",
+    chunksFetched: 0,
+    chunksSkipped: chunks.length - pending.length,
+    entriesProcessed: 0,
+  };
+  state.lastRun = {
+    ...plan,
+    status: "running",
+    startedAt: new Date(startedAt).toISOString(),
+  };
+  await saveMetadata(baseDir, metadata);
+  log.info("Syncing site", {
+    siteSlug,
+    ...plan,
+    chunks: chunks.length,
+    pending: pending.length,
+  });
+
+  for (const chunk of pending) {
+    const fetchedAt = new Date().toISOString();
+    try {
+      let tailMessage = null;
+      const { entriesProcessed } = await fetchThermostatHistory({
+        siteSlug,
+        startDateTime: chunk.startDate,
+        endDateTime: chunk.endDate,
+        username: credentials.username,
+        password: credentials.password,
+        chunkDays,
+        signal,
+        streamOutputDir: baseDir,
+        useDateOrganization: true,
+        onChunk: ({ message }) => {
+          tailMessage ??= message;
+        },
+        onEntryWritten: async ({
+          siteSlug,
+          serialNo,
+          date,
+          entryCount,
+          filePath,
+        }) => {
+          updateMetadataForEntry(metadata, {
+            siteSlug,
+            serialNo,
+            date,
+            entryCount,
+            filePath,
+            baseDir,
+          });
+        },
+      });
+      // Pelican ends the array early and explains why in the tail
+      if (tailMessage) {
+        throw new Error(`Pelican stopped early: ${tailMessage}`);
+      }
+
+      recordSyncChunk(state, {
+        ...chunk,
+        status: chunk.endDate >= today ? "partial" : "complete",
+        entries: entriesProcessed,
+        fetchedAt,
+      });
+      result.chunksFetched += 1;
+      result.entriesProcessed += entriesProcessed;
+      log.info("Synced chunk", { siteSlug, ...chunk, entriesProcessed });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      recordSyncChunk(state, {
+        ...chunk,
+        status: "failed",
+        entries: 0,
+        fetchedAt,
+        error: error.message,
+      });
+      result.status = "failed";
+      result.error = `${chunk.startDate} to ${chunk.endDate}: ${error.message}`;
+      log.warn("Chunk failed; the next run resumes from it", {
+        siteSlug,
+        ...chunk,
+        error,
+      });
+      break;
+    } finally {
+      await saveMetadata(baseDir, metadata);
+    }
+  }
+
+  // Today is never complete, so it isn't a gap
+  const yesterday = _addDays(today, -1);
+  result.gaps = findSyncGaps(state, {
+    startDate: plan.startDate,
+    endDate: plan.endDate < yesterday ? plan.endDate : yesterday,
+  });
+  result.durationMs = Date.now() - startedAt;
+
+  // A lastRun still "running" means the process died mid-sync
+  const { siteSlug: _siteSlug, gaps, ...summary } = result;
+  state.lastRun = {
+    ...state.lastRun,
+    ...summary,
+    finishedAt: new Date().toISOString(),
+  };
+  await saveMetadata(baseDir, metadata);
+  return result;
+}
+
+/**
+ * What the store holds for a site: covered day ranges, the last run and the
+ * days missing between startDate (default: the first covered day) and
+ * endDate (default: yesterday)
+ * @param {Object} metadata
+ * @param {string} siteSlug
+ * @param {{startDate?: string, endDate?: string}} [range]
+ */
+export function siteSyncStatus(metadata, siteSlug, range = {}) {
+  const state = metadata.sites[siteSlug]?.sync ?? {
+    chunks: [],
+    lastRun: null,
+  };
+  const coverage = syncCoverage(state);
+  const startDate = range.startDate ?? coverage[0]?.startDate;
+  const endDate = range.endDate ?? _addDays(_today(), -1);
+  return {
+    siteSlug,
+    coverage,
+    lastRun: state.lastRun,
+    failedChunks: state.chunks.filter((chunk) => chunk.status === "failed"),
+    gaps:
+      startDate && startDate <= endDate
+        ? findSyncGaps(state, { startDate, endDate })
+        : [],
+  };
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Campus CLI
+// One entry point for the data operations (pnpm cli <command>, or
+// campus-cli once linked), built on the same functions as the pnpm scripts:
+//
+//   compile [clientId] [--full]
+//   report html [--input <file>] [--output <file>]
+//   report json [clientId] [--full]
+//   pelican sync [--client <id>] [--site <slug>]... [--from <date>] [--to <date>] [--refetch]
+//   pelican status [--site <slug>]... [--from <date>] [--to <date>]
+//   pelican query --site <slug> [--serial <serialNo> ...]
+//   cache warm [clientId...] | cache clear [--client <id>] | cache stats
+//   hierarchy show [clientId] [--node <categoryId:elementId>] [--depth <n>]
+//
+// clientId defaults to the configured one (CO_CLIENT_ID, see lib/config.js).
+// Every command takes --json to print its result as JSON, --verbose for
+// progress logs and --help. Logs go to stderr, so stdout is only the result.
+//
+// Exit codes: 0 done, 1 failed, 2 bad arguments or configuration, 3 done
+// but some items failed (e.g. report dates CO didn't answer for, or Pelican
+// history gaps).
+
+import { parseArgs } from "util";
+import { isUsageError } from "./cli/args.js";
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Words that select it (e.g. "pelican sync")
+ * @property {string} usage
+ * @property {string} summary
+ * @property {Object} [options] - util.parseArgs options besides the global ones
+ * @property {(args: {positionals: string[], values: Object}) => Promise<Object>} run -
+ *   Resolves with the result; a non-empty result.failures means exit code 3
+ * @property {(result: Object) => string} format - Result as text
+ */
+
+const COMMAND_MODULES = [
+  "./cli/reports.js",
+  "./cli/pelican.js",
+  "./cli/cache.js",
+  "./cli/hierarchy.js",
+];
+
+const GLOBAL_OPTIONS = {
+  json: { type: "boolean" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+
+function usage(commands) {
+  const width = Math.max(...commands.map((command) => command.name.length));
+  return [
+    "Usage: campus-cli <command> [options] [--json] [--verbose]",
+    "",
+    "Commands:",
+    ...commands.map(
+      (command) => `  ${command.name.padEnd(width)}  ${command.summary}`
+    ),
+    "",
+    "Run campus-cli <command> --help for its options.",
+  ].join("\n");
+}
+
+// The longest command name the arguments start with
+function findCommand(commands, argv) {
+  const words = argv.slice(0, 2);
+  return commands
+    .filter((command) => {
+      const name = command.name.split(" ");
+      return name.every((word, i) => words[i] === word);
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0];
+}
+
+function printResult(result, command, json) {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    console.log(command.format(result));
+  }
+}
+
+function printError(error, json) {
+  if (json) {
+    const { message, code } = error;
+    process.stdout.write(
+      `${JSON.stringify({ error: { message, code } }, null, 2)}\n`
+    );
+  } else {
+    console.error(`campus-cli: ${error.message}`);
+  }
+}
+
+async function main(argv) {
+  // Before the commands load: dotenv and the logger read these on import
+  // and per entry
+  process.env.DOTENV_CONFIG_QUIET ??= "true";
+  process.env.LOG_STREAM ??= "stderr";
+  const json = argv.includes("--json");
+  if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = argv.includes("--verbose") ? "info" : "warn";
+  }
+
+  const modules = await Promise.all(
+    COMMAND_MODULES.map((specifier) => import(specifier))
+  );
+  const commands = modules.flatMap((module) => module.commands);
+
+  const command = findCommand(commands, argv);
+  if (!command) {
+    const help = argv.length === 0 || argv[0] === "--help" || argv[0] === "-h";
+    if (!help) {
+      console.error(`campus-cli: unknown command "${argv.join(" ")}"\n`);
+    }
+    console.error(usage(commands));
+    return help ? 0 : EXIT_USAGE;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv.slice(command.name.split(" ").length),
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+    if (values.help) {
+      console.log(`Usage: campus-cli ${command.usage}\n\n${command.summary}`);
+      return 0;
+    }
+
+    const result = await command.run({ positionals, values });
+    printResult(result, command, json);
+    return result?.failures?.length > 0 ? EXIT_PARTIAL : 0;
+  } catch (error) {
+    printError(error, json);
+    if (isUsageError(error)) {
+      if (!json) console.error(`Usage: campus-cli ${command.usage}`);
+      return EXIT_USAGE;
+    }
+    if (error.code === "ERR_CONFIG") return EXIT_USAGE;
+    if (process.env.LOG_LEVEL === "debug" && error.stack) {
+      console.error(error.stack);
+    }
+    return EXIT_FAILED;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  // Exit explicitly, since cache drivers and rate limiters may hold timers
+  // open, but only once stdout has been flushed
+  process.stdout.write("", () => process.exit(code));
+});
@@ -0,0 +1,79 @@
+// Argument helpers for scripts/campus-cli.js
+// Errors thrown here carry code "ERR_USAGE", which the CLI reports with the
+// command's usage and exit code 2, like the ERR_PARSE_ARGS_* errors from
+// util.parseArgs.
+
+import { requireConfig } from "../../lib/config.js";
+
+/**
+ * An error caused by the command line rather than by the operation
+ * @param {string} message
+ * @returns {Error}
+ */
+export function usageError(message) {
+  const error = new Error(message);
+  error.code = "ERR_USAGE";
+  return error;
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUsageError(error) {
+  return (
+    error?.code === "ERR_USAGE" ||
+    String(error?.code ?? "").startsWith("ERR_PARSE_ARGS")
+  );
+}
+
+/**
+ * A positive integer option or argument
+ * @param {string|undefined} value
+ * @param {string} name - Shown in the error (e.g. "--limit")
+ * @returns {number|undefined} undefined when value is
+ */
+export function parsePositiveInt(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number <= 0) {
+    throw usageError(`${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * A client ID argument, or the configured clientId (CO_CLIENT_ID)
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+export function clientIdArg(value) {
+  return (
+    parsePositiveInt(value, "clientId") ?? requireConfig("clientId").clientId
+  );
+}
+
+/**
+ * A YYYY-MM-DD date option
+ * @param {string|undefined} value
+ * @param {string} name - e.g. "--from"
+ * @returns {string|undefined}
+ */
+export function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw usageError(`${name} must be a date (YYYY-MM-DD), got "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Refuse positionals a command doesn't take
+ * @param {string[]} positionals
+ * @param {number} max
+ */
+export function maxPositionals(positionals, max) {
+  if (positionals.length > max) {
+    throw usageError(`Unexpected argument "${positionals[max]}"`);
+  }
+}
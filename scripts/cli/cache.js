@@ -0,0 +1,134 @@
+// campus-cli cache: the Express server's cache (server/cache.js), so the
+// same CACHE_DRIVER settings apply. Warming runs the routes' own lookups,
+// which keeps keys, TTLs and tags identical to what the server reads.
+
+import { cache } from "../../server/cache.js";
+import { lookupBuildings } from "../../server/routes/buildings.js";
+import { lookupReportDates } from "../../server/routes/dates.js";
+import { lookupDevices } from "../../server/routes/devices.js";
+import { lookupHierarchySource } from "../../server/routes/hierarchy.js";
+import { lookupIntervals } from "../../server/routes/intervals.js";
+import { lookupMeters } from "../../server/routes/meters.js";
+import { lookupUnits } from "../../server/routes/units.js";
+import { clientIdArg, maxPositionals, parsePositiveInt } from "./args.js";
+
+const CLIENT_LOOKUPS = {
+  dates: lookupReportDates,
+  devices: lookupDevices,
+  buildings: lookupBuildings,
+  meters: lookupMeters,
+  intervals: lookupIntervals,
+  hierarchy: lookupHierarchySource,
+};
+
+const WARM_LABELS = {
+  hit: "already fresh",
+  stale: "refreshed",
+  miss: "fetched",
+};
+
+// A memory cache dies with this process, so there is nothing to warm, clear
+// or count; the server's own is in GET /api/health
+async function _sharedDriver() {
+  const { driver } = await cache.stats();
+  if (driver === "memory") {
+    const error = new Error(
+      "The memory cache only lives inside the server (see GET /api/health for its stats); set CACHE_DRIVER to filesystem, sqlite or kv"
+    );
+    error.code = "ERR_CONFIG";
+    throw error;
+  }
+  return driver;
+}
+
+async function _warm(clientIds) {
+  const driver = await _sharedDriver();
+  const lookups = [["units:all", () => lookupUnits()]];
+  for (const clientId of clientIds) {
+    for (const [name, lookup] of Object.entries(CLIENT_LOOKUPS)) {
+      lookups.push([`${name}:${clientId}`, () => lookup(String(clientId))]);
+    }
+  }
+
+  // One at a time; the CO rate limiter would queue them anyway
+  const keys = [];
+  const failures = [];
+  for (const [key, lookup] of lookups) {
+    try {
+      const { status } = await lookup();
+      keys.push({ key, status });
+    } catch (error) {
+      failures.push({ key, error: error.message });
+    }
+  }
+  // Stale entries are refreshed in the background; store them before exiting
+  await cache.settle();
+  return { driver, keys, failures };
+}
+
+/** @type {import("../campus-cli.js").Command[]} */
+export const commands = [
+  {
+    name: "cache warm",
+    usage: "cache warm [clientId...]",
+    summary:
+      "Fetch what the dashboard reads for each client into the server cache",
+    async run({ positionals }) {
+      const clientIds =
+        positionals.length > 0
+          ? positionals.map((value) => parsePositiveInt(value, "clientId"))
+          : [clientIdArg()];
+      return _warm(clientIds);
+    },
+    format(result) {
+      const lines = result.keys.map(
+        ({ key, status }) => `${key}: ${WARM_LABELS[status]}`
+      );
+      for (const { key, error } of result.failures) {
+        lines.push(`${key}: failed (${error})`);
+      }
+      lines.push(
+        `Warmed ${result.keys.length} keys in the ${result.driver} cache`
+      );
+      return lines.join("\n");
+    },
+  },
+  {
+    name: "cache clear",
+    usage: "cache clear [--client <id>]",
+    summary: "Drop every cached entry, or only one client's",
+    options: { client: { type: "string" } },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 0);
+      const driver = await _sharedDriver();
+      const clientId = parsePositiveInt(values.client, "--client");
+      if (clientId) {
+        const deleted = await cache.invalidateTag(`client:${clientId}`);
+        return { driver, clientId, deleted };
+      }
+      await cache.clear();
+      return { driver, clientId: null, deleted: null };
+    },
+    format(result) {
+      if (result.clientId) {
+        return `Deleted ${result.deleted} entries for client ${result.clientId} from the ${result.driver} cache`;
+      }
+      return `Cleared the ${result.driver} cache`;
+    },
+  },
+  {
+    name: "cache stats",
+    usage: "cache stats",
+    summary: "Show the cache driver, entry counts and limits",
+    async run({ positionals }) {
+      maxPositionals(positionals, 0);
+      await _sharedDriver();
+      return cache.stats();
+    },
+    format(result) {
+      return Object.entries(result)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join("\n");
+    },
+  },
+];
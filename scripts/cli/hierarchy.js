@@ -0,0 +1,70 @@
+// campus-cli hierarchy: the campus tree from lib/hierarchy.js
+
+import { HierarchyTree, parseNodeKey } from "../../lib/hierarchy.js";
+import {
+  clientIdArg,
+  maxPositionals,
+  parsePositiveInt,
+  usageError,
+} from "./args.js";
+
+// Drop children below depth (1 = just the roots); counts stay whole-subtree
+function _prune(nodes, depth) {
+  return nodes.map((node) => ({
+    ...node,
+    children: depth > 1 ? _prune(node.children, depth - 1) : [],
+  }));
+}
+
+function _countsLabel(counts) {
+  const parts = Object.entries(counts).map(
+    ([type, count]) => `${count} ${type}${count === 1 ? "" : "s"}`
+  );
+  return parts.length > 0 ? ` (${parts.join(", ")})` : "";
+}
+
+function _lines(nodes, indent = "") {
+  return nodes.flatMap((node) => [
+    `${indent}${node.type} ${node.category}:${node.id} ${
+      node.name ?? "(unnamed)"
+    }${_countsLabel(node.counts)}`,
+    ..._lines(node.children, `${indent}  `),
+  ]);
+}
+
+/** @type {import("../campus-cli.js").Command[]} */
+export const commands = [
+  {
+    name: "hierarchy show",
+    usage:
+      "hierarchy show [clientId] [--node <categoryId:elementId>] [--depth <n>]",
+    summary:
+      "Print the campus tree (campus → building → meter → device), or one subtree",
+    options: {
+      node: { type: "string" },
+      depth: { type: "string" },
+    },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 1);
+      const clientId = clientIdArg(positionals[0]);
+      const from = values.node ? parseNodeKey(values.node) : null;
+      if (values.node && !from) {
+        throw usageError("--node must look like <categoryId>:<elementId>");
+      }
+      const depth = parsePositiveInt(values.depth, "--depth");
+
+      const tree = await HierarchyTree.load(clientId);
+      if (from && !tree.get(from.id, from.category)) {
+        throw new Error(`Node ${values.node} not found for client ${clientId}`);
+      }
+      const roots = tree.toJSON(from ?? undefined);
+      return { clientId, tree: depth ? _prune(roots, depth) : roots };
+    },
+    format(result) {
+      if (result.tree.length === 0) {
+        return `Client ${result.clientId} has no hierarchy`;
+      }
+      return _lines(result.tree).join("\n");
+    },
+  },
+];
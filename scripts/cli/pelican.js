@@ -0,0 +1,290 @@
+// campus-cli pelican: history sync (pelican/pelican-api.js), its progress
+// (pelican/sync.js) and queries over the local history store
+// (pelican/query.js)
+
+import { historyStoreDir } from "../../pelican/history.js";
+import { syncPelicanHistory } from "../../pelican/pelican-api.js";
+import {
+  findFilesForQuery,
+  getQuerySummary,
+  loadMetadataIndex,
+  queryFiles,
+} from "../../pelican/query.js";
+import { siteSyncStatus } from "../../pelican/sync.js";
+import {
+  clientIdArg,
+  maxPositionals,
+  parseDate,
+  parsePositiveInt,
+  usageError,
+} from "./args.js";
+
+// Columns shown for each entry without --json
+const ENTRY_COLUMNS = [
+  "timestamp",
+  "temperature",
+  "heatSetting",
+  "coolSetting",
+  "system",
+  "runStatus",
+];
+
+function _deviceSummaries(site) {
+  return Object.entries(site.devices).map(([serialNo, device]) => {
+    const dates = device.dateRanges.map((range) => range.date);
+    return {
+      serialNo,
+      days: dates.length,
+      firstDate: dates[0] ?? null,
+      lastDate: dates[dates.length - 1] ?? null,
+      totalEntries: device.totalEntries,
+    };
+  });
+}
+
+function _table(rows, columns) {
+  const widths = columns.map((column) =>
+    Math.max(
+      column.length,
+      ...rows.map((row) => String(row[column] ?? "").length)
+    )
+  );
+  const line = (cells) =>
+    cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ");
+  return [
+    line(columns),
+    ...rows.map((row) => line(columns.map((column) => row[column] ?? ""))),
+  ].join("\n");
+}
+
+function _gapsLabel(gaps) {
+  if (gaps.length === 0) return "no gaps";
+  const days = gaps.reduce((sum, gap) => sum + gap.days, 0);
+  return `${days} days missing (${gaps
+    .map((gap) =>
+      gap.days === 1 ? gap.startDate : `${gap.startDate} to ${gap.endDate}`
+    )
+    .join(", ")})`;
+}
+
+async function _status({ site: sites, from, to }) {
+  const baseDir = historyStoreDir();
+  const metadata = await loadMetadataIndex(baseDir);
+  const siteSlugs = sites?.length ? sites : Object.keys(metadata.sites);
+  const range = {
+    startDate: parseDate(from, "--from"),
+    endDate: parseDate(to, "--to"),
+  };
+  const statuses = siteSlugs.map((siteSlug) =>
+    siteSyncStatus(metadata, siteSlug, range)
+  );
+  return {
+    dir: baseDir,
+    sites: statuses,
+    // Sites with history missing, so scripts can alert on exit code 3
+    failures: statuses
+      .filter((status) => status.gaps.length > 0)
+      .map(({ siteSlug, gaps }) => ({ siteSlug, gaps })),
+  };
+}
+
+async function _query({ site: siteSlug, serial: serialNo, ...values }) {
+  const baseDir = historyStoreDir();
+  const metadata = await loadMetadataIndex(baseDir);
+  const site = metadata.sites[siteSlug];
+  if (!site) {
+    const known = Object.keys(metadata.sites);
+    throw new Error(
+      `No history for site ${siteSlug} in ${baseDir} (has: ${
+        known.join(", ") || "none"
+      })`
+    );
+  }
+
+  // Without a serial number, list what the store has for the site
+  if (!serialNo) {
+    return { siteSlug, dir: baseDir, devices: _deviceSummaries(site) };
+  }
+
+  const device = site.devices[serialNo];
+  if (!device) {
+    throw new Error(`No history for ${serialNo} at site ${siteSlug}`);
+  }
+  const dates = device.dateRanges.map((range) => range.date);
+  const criteria = {
+    siteSlug,
+    serialNo,
+    startDate: parseDate(values.from, "--from") ?? dates[0],
+    endDate: parseDate(values.to, "--to") ?? dates[dates.length - 1],
+    baseDir,
+  };
+
+  const summary = await getQuerySummary(metadata, criteria);
+  if (values.summary) {
+    return { summary };
+  }
+  const files = findFilesForQuery(metadata, criteria);
+  const page = await queryFiles(files, {
+    page: (parsePositiveInt(values.page, "--page") ?? 1) - 1,
+    limit: parsePositiveInt(values.limit, "--limit") ?? 100,
+    baseDir,
+  });
+  return {
+    summary,
+    entries: page.data,
+    // 1-based, like --page
+    pagination: { ...page.pagination, page: page.pagination.page + 1 },
+    // Days whose file couldn't be read, so the command exits with code 3
+    failures: page.failures,
+  };
+}
+
+/** @type {import("../campus-cli.js").Command[]} */
+export const commands = [
+  {
+    name: "pelican sync",
+    usage:
+      "pelican sync [--client <id>] [--site <slug>]... [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>] [--refetch]",
+    summary:
+      "Fetch thermostat history into the local history store, resuming each site where its last run stopped",
+    options: {
+      client: { type: "string" },
+      site: { type: "string", multiple: true },
+      from: { type: "string" },
+      to: { type: "string" },
+      refetch: { type: "boolean" },
+    },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 0);
+      return syncPelicanHistory({
+        clientId: clientIdArg(values.client),
+        sites: values.site,
+        startDate: parseDate(values.from, "--from"),
+        endDate: parseDate(values.to, "--to"),
+        refetch: values.refetch,
+      });
+    },
+    format(result) {
+      const lines = result.sites.map((site) => {
+        let chunks = `${site.chunksFetched} chunk${
+          site.chunksFetched === 1 ? "" : "s"
+        }`;
+        if (site.chunksSkipped > 0) {
+          chunks += ` (${site.chunksSkipped} already synced)`;
+        }
+        return `${site.siteSlug}: ${site.mode} ${site.startDate} to ${
+          site.endDate
+        }, ${site.entriesProcessed} entries in ${chunks}, ${(
+          site.durationMs / 1000
+        ).toFixed(1)}s; ${_gapsLabel(site.gaps)}`;
+      });
+      for (const { siteSlug, error } of result.failures) {
+        lines.push(`${siteSlug}: failed (${error})`);
+      }
+      lines.push(`Synced ${result.sites.length} sites into ${result.dir}`);
+      return lines.join("\n");
+    },
+  },
+  {
+    name: "pelican status",
+    usage:
+      "pelican status [--site <slug>]... [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]",
+    summary:
+      "Show each site's synced days, last sync run and gaps (default: from its first synced day through yesterday)",
+    options: {
+      site: { type: "string", multiple: true },
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 0);
+      return _status(values);
+    },
+    format(result) {
+      if (result.sites.length === 0) {
+        return `No sites in ${result.dir}`;
+      }
+      return result.sites
+        .flatMap((site) => {
+          const { lastRun } = site;
+          const lines = [
+            `${site.siteSlug}: ${
+              site.coverage
+                .map((range) => `${range.startDate} to ${range.endDate}`)
+                .join(", ") || "nothing synced"
+            }`,
+          ];
+          if (lastRun) {
+            const state =
+              lastRun.status === "running"
+                ? "interrupted (or still running)"
+                : lastRun.status;
+            lines.push(
+              `  last run: ${lastRun.mode} ${lastRun.startDate} to ${lastRun.endDate}, ${state}, started ${lastRun.startedAt}`
+            );
+          }
+          for (const chunk of site.failedChunks) {
+            lines.push(
+              `  failed: ${chunk.startDate} to ${chunk.endDate} (${chunk.error})`
+            );
+          }
+          lines.push(`  ${_gapsLabel(site.gaps)}`);
+          return lines;
+        })
+        .join("\n");
+    },
+  },
+  {
+    name: "pelican query",
+    usage:
+      "pelican query --site <slug> [--serial <serialNo> [--from <date>] [--to <date>] [--page <n>] [--limit <n>] [--summary]]",
+    summary:
+      "List a site's thermostats in the history store, or page through one's entries",
+    options: {
+      site: { type: "string" },
+      serial: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      page: { type: "string" },
+      limit: { type: "string" },
+      summary: { type: "boolean" },
+    },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 0);
+      if (!values.site) {
+        throw usageError("--site is required");
+      }
+      return _query(values);
+    },
+    format(result) {
+      if (result.devices) {
+        if (result.devices.length === 0) {
+          return `No thermostats for ${result.siteSlug} in ${result.dir}`;
+        }
+        return _table(result.devices, [
+          "serialNo",
+          "days",
+          "firstDate",
+          "lastDate",
+          "totalEntries",
+        ]);
+      }
+
+      const { summary } = result;
+      const header = `${summary.siteSlug} ${summary.serialNo}: ${summary.totalEntries} entries in ${summary.totalFiles} days (${summary.dateRange.start} to ${summary.dateRange.end})`;
+      if (!result.entries) return header;
+
+      const { page, totalReturned, hasMore } = result.pagination;
+      return [
+        header,
+        _table(result.entries, ENTRY_COLUMNS),
+        `Page ${page}: ${totalReturned} entries${
+          hasMore ? `, more with --page ${page + 1}` : ""
+        }`,
+        ...result.failures.map(
+          ({ date, path, error }) => `${date}: skipped ${path} (${error})`
+        ),
+      ].join("\n");
+    },
+  },
+];
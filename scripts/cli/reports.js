@@ -0,0 +1,108 @@
+// campus-cli compile / report: campus-optimizer/compile-data.js,
+// campus-optimizer/generate-html.js and scripts/precompute-reports.js
+
+import { compileData } from "../../campus-optimizer/compile-data.js";
+import { generateHtmlReport } from "../../campus-optimizer/generate-html.js";
+import { createLogger } from "../../lib/logger.js";
+import { precomputeReport } from "../precompute-reports.js";
+import { clientIdArg, maxPositionals } from "./args.js";
+
+const log = createLogger("campus-cli");
+
+/** @type {import("../campus-cli.js").Command[]} */
+export const commands = [
+  {
+    name: "compile",
+    usage: "compile [clientId] [--full]",
+    summary:
+      "Compile device metrics and energy use into campus-optimizer/data/compiled.json",
+    options: { full: { type: "boolean" } },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 1);
+      const clientId = clientIdArg(positionals[0]);
+      const { outPath, meta } = await compileData(clientId, {
+        full: values.full,
+      });
+      return { clientId, file: outPath, ...meta };
+    },
+    format(result) {
+      if (result.reportsCount === 0) {
+        return `No report dates for client ${result.clientId}; wrote an empty ${result.file}`;
+      }
+      return `Wrote ${result.file} (${result.reportsCount} report dates, ${result.firstReportDate} to ${result.mostRecentDate})`;
+    },
+  },
+  {
+    name: "report html",
+    usage: "report html [--input <compiled.json>] [--output <report.html>]",
+    summary: "Render compiled.json as a standalone HTML report",
+    options: {
+      input: { type: "string" },
+      output: { type: "string" },
+    },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 0);
+      const { outPath, bytes } = generateHtmlReport({
+        input: values.input,
+        output: values.output,
+      });
+      return { file: outPath, bytes };
+    },
+    format: (result) => `Wrote ${result.file}`,
+  },
+  {
+    name: "report json",
+    usage: "report json [clientId] [--full]",
+    summary:
+      "Compile the dashboard report into campus-optimizer/data/compiled-<clientId>.json",
+    options: { full: { type: "boolean" } },
+    async run({ positionals, values }) {
+      maxPositionals(positionals, 1);
+      const clientId = clientIdArg(positionals[0]);
+      const { filename, data, durationMs } = await precomputeReport(clientId, {
+        full: values.full,
+        onProgress: ({ stage, progress, message }) => {
+          log.info(message, { stage, progress });
+        },
+      });
+      const { reportsCount, emptyDates, failedDates, failedDetailDates } =
+        data.meta;
+      return {
+        clientId,
+        file: filename,
+        devices: data.devices.length,
+        reportsCount,
+        emptyDates,
+        failedDates,
+        failedDetailDates,
+        durationMs,
+        // Dates CO failed to answer for, schedules or details; the report
+        // is incomplete
+        failures: [...new Set([...failedDates, ...failedDetailDates])].sort(),
+      };
+    },
+    format(result) {
+      const lines = [
+        `Wrote ${result.file} in ${(result.durationMs / 1000).toFixed(1)}s`,
+        `  ${result.devices} devices, ${result.reportsCount} dates, ${result.emptyDates.length} without schedules`,
+      ];
+      if (result.failedDates.length > 0) {
+        lines.push(
+          `  ${
+            result.failedDates.length
+          } dates failed to fetch: ${result.failedDates.join(", ")}`
+        );
+      }
+      if (result.failedDetailDates.length > 0) {
+        lines.push(
+          `  ${
+            result.failedDetailDates.length
+          } dates without schedule details, so expected energy is 0: ${result.failedDetailDates.join(
+            ", "
+          )}`
+        );
+      }
+      return lines.join("\n");
+    },
+  },
+];
@@ -0,0 +1,13 @@
+// Hash a password for the users file (AUTH_USERS_FILE, see server/auth.js)
+// Run with: node scripts/hash-password.js <password>
+//       or: echo -n <password> | node scripts/hash-password.js
+
+import { readFileSync } from "fs";
+import { hashPassword } from "../server/auth.js";
+
+const password = process.argv[2] ?? readFileSync(0, "utf8").replace(/\n$/, "");
+if (!password) {
+  console.error("Usage: node scripts/hash-password.js <password>");
+  process.exit(1);
+}
+console.log(hashPassword(password));
@@ -0,0 +1,78 @@
+// Manage the Pelican credential vault (lib/services/credential-vault.js)
+// Needs PELICAN_VAULT_KEY; the file is PELICAN_VAULT_FILE or the default.
+//
+//   node scripts/pelican-vault.js list
+//   echo -n <password> | node scripts/pelican-vault.js set <siteSlug> <username>
+//   node scripts/pelican-vault.js remove <siteSlug>
+//   node scripts/pelican-vault.js import <clientId>   # copy logins from CO buildings
+
+import { readFileSync } from "fs";
+import { getBuildings } from "../lib/co-client.js";
+import { defaultVault } from "../lib/services/credential-vault.js";
+
+const USAGE = `Usage:
+  node scripts/pelican-vault.js list
+  node scripts/pelican-vault.js set <siteSlug> <username>   (password on stdin)
+  node scripts/pelican-vault.js remove <siteSlug>
+  node scripts/pelican-vault.js import <clientId>`;
+
+async function importFromBuildings(vault, clientId) {
+  const buildings = await getBuildings(Number(clientId));
+  let imported = 0;
+  for (const building of buildings) {
+    const siteSlug = String(building?.PelicanSubdomain || "").trim();
+    const username = String(building?.PelicanUsername || "").trim();
+    const password = String(building?.PelicanPassword || "").trim();
+    if (!siteSlug || !username || !password) continue;
+
+    await vault.set(siteSlug, { username, password });
+    console.log(`✓ ${siteSlug} (${username})`);
+    imported += 1;
+  }
+  console.log(`Imported ${imported} sites for client ${clientId}`);
+}
+
+async function main([command, ...args]) {
+  const vault = defaultVault();
+  if (!vault) {
+    console.error("PELICAN_VAULT_KEY is not set");
+    process.exit(1);
+  }
+
+  switch (command) {
+    case "list": {
+      const sites = await vault.list();
+      for (const { siteSlug, username, updatedAt } of sites) {
+        console.log(`${siteSlug}\t${username}\t${updatedAt}`);
+      }
+      console.log(`${sites.length} sites in ${vault.file}`);
+      return;
+    }
+    case "set": {
+      const [siteSlug, username] = args;
+      const password = readFileSync(0, "utf8").replace(/\n$/, "");
+      if (!siteSlug || !username || !password) break;
+      await vault.set(siteSlug, { username, password });
+      console.log(`✓ Saved ${siteSlug}`);
+      return;
+    }
+    case "remove": {
+      if (!args[0]) break;
+      const removed = await vault.remove(args[0]);
+      console.log(removed ? `✓ Removed ${args[0]}` : `${args[0]} not found`);
+      return;
+    }
+    case "import":
+      if (!/^\d+$/.test(args[0] || "")) break;
+      await importFromBuildings(vault, args[0]);
+      return;
+  }
+
+  console.error(USAGE);
+  process.exit(1);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
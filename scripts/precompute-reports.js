@@ -1,70 +1,75 @@
 // Script to pre-compute report data
-// Run with: node scripts/precompute-reports.js [clientId]
+// Run with: node scripts/precompute-reports.js [clientId] [--full]
+// clientId defaults to the configured clientId (CO_CLIENT_ID; lib/config.js).
+//
+// Per-date results are checkpointed (REPORT_CHECKPOINT_DIR, default
+// campus-optimizer/data/checkpoints), so later runs only fetch new report
+// dates. --full refetches every date.
 
 import { writeFileSync } from "fs";
 import { mkdir } from "fs/promises";
-import {
-  actualEnergyUse,
-  expectedEnergyUse,
-  getDevices,
-  getReportDates,
-} from "../lib/co-client.js";
+import { pathToFileURL } from "url";
+import { requireConfig } from "../lib/config.js";
 import { DataAggregationService } from "../lib/services/aggregation.js";
+import { defaultCheckpointStore } from "../lib/services/checkpoints.js";
+import { compileReport } from "../lib/services/report-compiler.js";
 
-const aggregationService = new DataAggregationService();
+/**
+ * Compile a client's dashboard report and save it to
+ * campus-optimizer/data/compiled-<clientId>.json
+ * @param {string|number} clientId
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Refetch checkpointed dates
+ * @param {(progress: {stage: string, progress: number, message: string}) => void} [options.onProgress]
+ * @returns {Promise<{filename: string, data: Object, durationMs: number}>}
+ */
+export async function precomputeReport(
+  clientId,
+  { full = false, onProgress } = {}
+) {
+  // Same pipeline as POST /api/reports/:clientId/jobs
+  const startTime = Date.now();
+  const data = await compileReport(clientId, {
+    aggregationService: new DataAggregationService({
+      checkpoints: defaultCheckpointStore(),
+    }),
+    full,
+    onProgress,
+  });
+  const durationMs = Date.now() - startTime;
 
-async function precomputeReport(clientId) {
-  console.log(`\n=== Pre-computing report for clientId: ${clientId} ===\n`);
+  // Save to file
+  await mkdir("campus-optimizer/data", { recursive: true });
+  const filename = `campus-optimizer/data/compiled-${clientId}.json`;
+  writeFileSync(filename, JSON.stringify(data, null, 2));
 
-  try {
-    // Fetch all data in parallel where possible
-    console.log("Fetching devices and dates in parallel...");
-    const [devices, dates] = await Promise.all([
-      getDevices(Number(clientId)),
-      getReportDates(Number(clientId)),
-    ]);
-    console.log(`✓ Loaded ${devices.length} devices, ${dates.length} dates\n`);
-
-    // Fetch energy data in parallel
-    console.log("Fetching energy data in parallel...");
-    const [energyExpected, energyActual] = await Promise.all([
-      expectedEnergyUse(Number(clientId)),
-      actualEnergyUse(Number(clientId)),
-    ]);
-    console.log(`✓ Loaded energy data\n`);
+  return { filename, data, durationMs };
+}
 
-    // Aggregate device metrics (this is likely the slow part)
-    console.log("Aggregating device metrics...");
-    const startTime = Date.now();
-    const deviceMetrics = await aggregationService.aggregateDeviceMetrics(
-      devices,
-      dates,
-      Number(clientId)
-    );
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✓ Aggregation complete in ${duration}s\n`);
+// Get clientId and flags from command line
+async function main(args) {
+  try {
+    const clientId =
+      args.find((arg) => !arg.startsWith("--")) ||
+      String(requireConfig("clientId").clientId);
+    console.log(`\n=== Pre-computing report for clientId: ${clientId} ===\n`);
 
-    // Build response
-    const data = {
-      meta: {
-        clientId: Number(clientId),
-        reportsCount: dates.length,
-        firstReportDate: dates[0]?.report_date,
-        mostRecentDate: dates[dates.length - 1]?.report_date,
-        generatedAt: new Date().toISOString(),
-      },
-      devices: deviceMetrics,
-      energy: {
-        expected: energyExpected,
-        actual: energyActual,
+    const { filename, data, durationMs } = await precomputeReport(clientId, {
+      full: args.includes("--full"),
+      onProgress: ({ stage, progress, message }) => {
+        console.log(`[${stage} ${progress}%] ${message}`);
       },
-    };
-
-    // Save to file
-    await mkdir("campus-optimizer/data", { recursive: true });
-    const filename = `campus-optimizer/data/compiled-${clientId}.json`;
-    writeFileSync(filename, JSON.stringify(data, null, 2));
-
+    });
+    console.log(`\n✓ Compiled in ${(durationMs / 1000).toFixed(2)}s`);
+    console.log(
+      `  ${data.devices.length} devices, ${data.meta.reportsCount} dates`
+    );
+    console.log(
+      `  ${data.meta.emptyDates.length} dates without schedules, ${data.meta.failedDates.length} failed to fetch`
+    );
+    console.log(
+      `  ${data.meta.failedDetailDates.length} dates without schedule details (expected energy is 0)\n`
+    );
     console.log(`✓ Saved to ${filename}`);
     console.log(
       `✓ File size: ${(JSON.stringify(data).length / 1024 / 1024).toFixed(
@@ -72,14 +77,13 @@ async function precomputeReport(clientId) {
       )} MB`
     );
     console.log(`\n=== Complete! ===\n`);
-
-    return data;
   } catch (error) {
     console.error("Error pre-computing report:", error);
     process.exit(1);
   }
 }
 
-// Get clientId from command line
-const clientId = process.argv[2] || "1420";
-precomputeReport(clientId).then(() => process.exit(0));
+// Also imported by scripts/campus-cli.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).then(() => process.exit(0));
+}
@@ -0,0 +1,443 @@
+// Authentication and per-client authorization
+// Sessions are HMAC-signed tokens (compact JWT, HS256) carried in an HttpOnly
+// cookie, or as "Authorization: Bearer <token>" for scripts. Each token lists
+// the client IDs its user may access ("*" for all), checked by
+// requireClientAccess on every route with a :clientId parameter.
+//
+//   AUTH_MODE          - "local" (default), "oidc" or "none" (no login; every
+//                        caller may access every client)
+//   AUTH_SECRET        - Key that signs session tokens (required in
+//                        production; a random per-process key otherwise)
+//   AUTH_USERS_FILE    - Users and their client IDs (default: server/users.json)
+//   AUTH_SESSION_HOURS - Session lifetime (default: 12)
+//
+// The users file looks like:
+//
+//   { "users": [
+//     { "username": "facilities", "name": "Facilities Team",
+//       "password": "scrypt:...", "clients": [1420] },
+//     { "email": "ops@example.com", "clients": "*" }
+//   ] }
+//
+// Passwords are hashed with `pnpm auth:hash-password`. Entries without a
+// password map OIDC users (by subject or verified email) to clients when the
+// issuer doesn't send them in a claim; see oidc.js.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "../lib/logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SESSION_COOKIE = "co_session";
+
+const log = createLogger("auth");
+
+const DEFAULT_USERS_FILE = path.resolve(__dirname, "users.json");
+const TOKEN_ISSUER = "campus-optimizer";
+const SCRYPT_KEY_LENGTH = 64;
+
+const AUTH_MODES = ["local", "oidc", "none"];
+
+// Any origin works: only paths that stay on it are let through
+const RETURN_TO_BASE = "http://return-to.invalid";
+
+let _secret = null;
+let _usersCache = { file: null, mtimeMs: 0, users: [] };
+
+/**
+ * @typedef {Object} SessionUser
+ * @property {string} sub - Username, or the OIDC subject
+ * @property {string} [name] - Display name
+ * @property {string} [email]
+ * @property {Array<string>|"*"} clients - Client IDs the user may access
+ */
+
+/**
+ * @returns {"local"|"oidc"|"none"}
+ */
+export function authMode() {
+  const mode = process.env.AUTH_MODE || "local";
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown AUTH_MODE "${mode}" (expected ${AUTH_MODES.join(", ")})`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Problems that would make every login fail: a missing AUTH_SECRET in
+ * production, or local login without users. Shared by the startup check and
+ * the readiness probe; never throws.
+ * @returns {Array<string>} One message per problem, [] when logins can work
+ */
+export function authConfigProblems() {
+  let mode;
+  try {
+    mode = authMode();
+  } catch (error) {
+    return [error.message];
+  }
+  if (mode === "none") return [];
+
+  const problems = [];
+  if (!process.env.AUTH_SECRET && process.env.NODE_ENV === "production") {
+    problems.push("AUTH_SECRET is required in production");
+  }
+  if (mode === "local") {
+    try {
+      if (loadUsers().length === 0) {
+        problems.push(
+          `No users in ${usersFile()}; add some or set AUTH_MODE=none`
+        );
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check the auth configuration at startup, so a server that would reject
+ * every login fails before it listens
+ */
+export function checkAuthConfig() {
+  const problems = authConfigProblems();
+  if (problems.length > 0) {
+    throw new Error(problems.join("; "));
+  }
+
+  const mode = authMode();
+  if (mode === "none") {
+    log.warn("AUTH_MODE=none: the API is open to every caller");
+    return;
+  }
+  if (!process.env.AUTH_SECRET) {
+    log.warn("AUTH_SECRET not set; sessions won't survive a restart");
+  }
+  if (mode === "local") {
+    log.info("Local login enabled", { users: loadUsers().length });
+  }
+}
+
+function sessionSeconds() {
+  const hours = Number(process.env.AUTH_SESSION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 12) * 60 * 60;
+}
+
+function signingKey() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!_secret) _secret = crypto.randomBytes(32).toString("hex");
+  return _secret;
+}
+
+function _hmac(data) {
+  return crypto
+    .createHmac("sha256", signingKey())
+    .update(data)
+    .digest("base64url");
+}
+
+function _encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Sign a token
+ * @param {Object} claims - Payload; iss, iat and exp are added
+ * @param {number} [ttlSeconds] - Lifetime (default: AUTH_SESSION_HOURS)
+ * @returns {string}
+ */
+export function signToken(claims, ttlSeconds = sessionSeconds()) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = _encode({ alg: "HS256", typ: "JWT" });
+  const payload = _encode({
+    ...claims,
+    iss: TOKEN_ISSUER,
+    iat: now,
+    exp: now + ttlSeconds,
+  });
+  return `${header}.${payload}.${_hmac(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token
+ * @returns {Object|null} Payload, or null if invalid or expired
+ */
+export function verifyToken(token) {
+  const [header, payload, signature] = String(token || "").split(".");
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(_hmac(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (claims.iss !== TOKEN_ISSUER) return null;
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 < Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash a password for the users file
+ * @param {string} password
+ * @returns {string} "scrypt:<salt>:<hash>"
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - From hashPassword()
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  if (expected.length === 0) return false;
+  const actual = crypto.scryptSync(
+    String(password),
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function usersFile() {
+  return path.resolve(process.env.AUTH_USERS_FILE || DEFAULT_USERS_FILE);
+}
+
+/**
+ * Read the users file, re-reading it when it changes
+ * @returns {Array<Object>} Users, or [] if there is no file
+ */
+export function loadUsers() {
+  const file = usersFile();
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  if (_usersCache.file !== file || _usersCache.mtimeMs !== mtimeMs) {
+    const { users } = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(users)) {
+      throw new Error(`${file} must contain a "users" array`);
+    }
+    _usersCache = { file, mtimeMs, users };
+  }
+  return _usersCache.users;
+}
+
+/**
+ * Normalize a users-file or claim value to client IDs
+ * @param {any} clients - Array of IDs, a comma-separated string, or "*"
+ * @returns {Array<string>|"*"}
+ */
+export function normalizeClients(clients) {
+  if (clients === "*") return "*";
+  const list = Array.isArray(clients)
+    ? clients
+    : typeof clients === "string"
+    ? clients.split(",")
+    : [];
+  const ids = list.map((id) => String(id).trim()).filter(Boolean);
+  return ids.includes("*") ? "*" : ids;
+}
+
+/**
+ * Check a username and password against the users file
+ * @param {string} username
+ * @param {string} password
+ * @returns {SessionUser|null}
+ */
+export function authenticateLocal(username, password) {
+  const user = loadUsers().find(
+    (u) => u.username && u.username === String(username)
+  );
+  // Hash anyway for unknown users so timing doesn't reveal which exist
+  if (!user?.password) {
+    verifyPassword(password, hashPassword("unknown-user"));
+    return null;
+  }
+  if (!verifyPassword(password, user.password)) return null;
+
+  return {
+    sub: user.username,
+    name: user.name || user.username,
+    ...(user.email && { email: user.email }),
+    clients: normalizeClients(user.clients),
+  };
+}
+
+/**
+ * Find the users-file entry for an OIDC identity, by subject or by an email
+ * the issuer has verified. Usernames and unverified emails can often be set
+ * by the user at the issuer, so they never pick an entry.
+ * @param {{sub: string, email?: string, email_verified?: boolean}} claims
+ * @returns {Object|undefined}
+ */
+export function findMappedUser(claims) {
+  const email = claims.email_verified === true ? claims.email : undefined;
+  return loadUsers().find(
+    (u) => (u.sub && u.sub === claims.sub) || (u.email && u.email === email)
+  );
+}
+
+/**
+ * @param {SessionUser} user
+ * @param {string|number} clientId
+ * @returns {boolean}
+ */
+export function canAccessClient(user, clientId) {
+  if (!user) return false;
+  if (user.clients === "*") return true;
+  return (user.clients || []).includes(String(clientId));
+}
+
+/**
+ * Only same-origin paths, so the login can't be used as an open redirect.
+ * Browsers read "\" as "/" and drop tabs and newlines, so "/\evil.com" is
+ * protocol-relative; resolve the path the way they do and compare origins.
+ * @param {any} value - returnTo from the query or the OIDC state
+ * @returns {string} The path, or "/"
+ */
+export function safeReturnTo(value) {
+  const target = String(value || "");
+  if (!target.startsWith("/") || target.includes("\\")) return "/";
+  try {
+    const url = new URL(target, RETURN_TO_BASE);
+    if (url.origin !== RETURN_TO_BASE) return "/";
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return "/";
+  }
+}
+
+/**
+ * Issue a session for a user
+ * @param {import("express").Response} res
+ * @param {SessionUser} user
+ * @returns {string} The session token
+ */
+export function startSession(res, user) {
+  const token = signToken({
+    use: "session",
+    sub: user.sub,
+    name: user.name,
+    ...(user.email && { email: user.email }),
+    clients: user.clients,
+  });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: sessionSeconds() * 1000,
+    path: "/",
+  });
+  return token;
+}
+
+/**
+ * @param {import("express").Response} res
+ */
+export function endSession(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+/**
+ * Read one cookie from the request
+ * @param {import("express").Request} req
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * The session's user, from the bearer token or the session cookie
+ * @param {import("express").Request} req
+ * @returns {SessionUser|null}
+ */
+export function sessionUser(req) {
+  if (authMode() === "none") {
+    return { sub: "anonymous", name: "Anonymous", clients: "*" };
+  }
+
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice("Bearer ".length)
+    : readCookie(req, SESSION_COOKIE);
+  const claims = verifyToken(token);
+  if (claims?.use !== "session") return null;
+
+  return {
+    sub: claims.sub,
+    name: claims.name,
+    ...(claims.email && { email: claims.email }),
+    clients: normalizeClients(claims.clients),
+  };
+}
+
+/**
+ * Middleware: reject requests without a valid session, otherwise set req.user
+ */
+export function requireAuth(req, res, next) {
+  const user = sessionUser(req);
+  if (!user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Param middleware for :clientId (router.param("clientId", ...)): reject
+ * clients the session's user may not access
+ */
+export function requireClientAccess(req, res, next, clientId) {
+  if (!canAccessClient(req.user, clientId)) {
+    log.warn("Client access denied", {
+      user: req.user?.sub ?? "anonymous",
+      clientId,
+    });
+    return res
+      .status(403)
+      .json({ error: `Not authorized for client ${clientId}` });
+  }
+  next();
+}
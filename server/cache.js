@@ -1,85 +1,96 @@
-// Simple in-memory cache with TTL support
-// Can be replaced with Redis for production Coolify deployments
+// Server cache
+// The shared CacheService (lib/services/cache.js) over a driver picked by:
+//
+//   CACHE_DRIVER       - "memory" (default), "filesystem", "sqlite" or "kv"
+//   CACHE_DIR          - Where the filesystem/sqlite drivers keep their data
+//                        (default: .cache/server)
+//   CACHE_MAX_ENTRIES  - LRU entry limit (default: 1000, 0 = unlimited)
+//   CACHE_MAX_MB       - LRU size limit for the filesystem/sqlite drivers
+//                        (default: 512, 0 = unlimited)
+//
+// The driver is created on first use (or by cache.ready() at startup), after
+// dotenv has loaded .env.
 
-const cache = new Map();
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "../lib/logger.js";
+import { CacheService } from "../lib/services/cache.js";
+import { FileCacheDriver } from "../lib/services/cache/filesystem.js";
+import { KvCacheAdapter } from "../lib/services/cache/kv.js";
+import { MemoryCacheDriver } from "../lib/services/cache/memory.js";
 
-/**
- * Get a value from the cache
- * @param {string} key - Cache key
- * @returns {any|null} - Cached value or null if not found/expired
- */
-export function get(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-  if (Date.now() > entry.expiresAt) {
-    cache.delete(key);
-    return null;
-  }
+const DEFAULT_CACHE_DIR = path.resolve(__dirname, "../.cache/server");
 
-  return entry.value;
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
 }
 
-/**
- * Set a value in the cache
- * @param {string} key - Cache key
- * @param {any} value - Value to cache
- * @param {object} options - Options
- * @param {number} options.ex - Expiration time in seconds
- */
-export function set(key, value, options = {}) {
-  const ttl = options.ex || 300; // Default 5 minutes
-  const entry = {
-    value,
-    expiresAt: Date.now() + ttl * 1000,
-  };
-  cache.set(key, entry);
-}
+async function createDriver() {
+  const name = process.env.CACHE_DRIVER || "memory";
+  const dir = process.env.CACHE_DIR || DEFAULT_CACHE_DIR;
+  const maxEntries = numberFromEnv("CACHE_MAX_ENTRIES", 1000);
+  const maxBytes = numberFromEnv("CACHE_MAX_MB", 512) * 1024 * 1024;
 
-/**
- * Delete a value from the cache
- * @param {string} key - Cache key
- */
-export function del(key) {
-  cache.delete(key);
+  switch (name) {
+    case "memory":
+      return new MemoryCacheDriver({ maxEntries });
+    case "filesystem":
+      return new FileCacheDriver({ dir, maxEntries, maxBytes });
+    case "sqlite": {
+      // Loaded on demand: node:sqlite only exists on Node.js 22.5+
+      const { SqliteCacheDriver } = await import(
+        "../lib/services/cache/sqlite.js"
+      ).catch((error) => {
+        throw new Error(
+          `CACHE_DRIVER=sqlite needs node:sqlite (Node.js 22.5+): ${error.message}`
+        );
+      });
+      return new SqliteCacheDriver({
+        file: path.join(dir, "cache.sqlite"),
+        maxEntries,
+        maxBytes,
+      });
+    }
+    case "kv":
+      return new KvCacheAdapter();
+    default:
+      throw new Error(
+        `Unknown CACHE_DRIVER "${name}" (expected memory, filesystem, sqlite or kv)`
+      );
+  }
 }
 
-/**
- * Clear all entries from the cache
- */
-export function clear() {
-  cache.clear();
-}
+const log = createLogger("cache");
+
+export const cache = new CacheService(async () => {
+  const driver = await createDriver();
+  log.info("Cache driver ready", { driver: driver.name });
+  return driver;
+});
 
 /**
- * Get cache stats
- * @returns {object} - Cache statistics
+ * Log where a cache.lookup() value came from and expose it as X-Cache
+ * @param {import("express").Response} res
+ * @param {import("../lib/logger.js").Logger} routeLog - The route's logger
+ * @param {"hit"|"stale"|"miss"} status
+ * @returns {Object} { cached: true } for hits, to spread into the response
  */
-export function stats() {
-  let valid = 0;
-  let expired = 0;
-  const now = Date.now();
-
-  for (const [, entry] of cache) {
-    if (now > entry.expiresAt) {
-      expired++;
-    } else {
-      valid++;
-    }
-  }
+export function cacheStatus(res, routeLog, status) {
+  res.setHeader("X-Cache", status.toUpperCase());
+  if (status === "miss") return {};
 
-  return { valid, expired, total: cache.size };
+  const msg =
+    status === "stale" ? "Cache hit (stale, refreshing)" : "Cache hit";
+  routeLog.info(msg, { cache: status });
+  return { cached: true };
 }
 
 // Periodic cleanup of expired entries (every 5 minutes)
 setInterval(() => {
-  const now = Date.now();
-  for (const [key, entry] of cache) {
-    if (now > entry.expiresAt) {
-      cache.delete(key);
-    }
-  }
+  cache.prune();
 }, 5 * 60 * 1000);
 
-export default { get, set, del, clear, stats };
-
+export default cache;
@@ -1,14 +1,25 @@
 // Express.js API Server for Coolify Deployment
 // Replaces Vercel serverless functions with a standalone Express server
 //
-// Required Environment Variables:
+// Required Environment Variables (or the matching keys in the config file;
+// see lib/config.js):
 //   CO_ENVIRONMENT - Campus Optimizer environment (e.g., "portal")
 //   CO_MASTER_KEY  - API authorization key
 //
 // Optional Environment Variables:
+//   CONFIG_FILE    - Config file (default: campus.config.yaml if present)
+//   CONFIG_PROFILE - Profile from the config file (e.g., "staging")
 //   PORT           - Server port (default: 3001)
 //   NODE_ENV       - "production" to serve static frontend files
-
+//   CACHE_DRIVER   - "memory" (default), "filesystem", "sqlite" or "kv"; see cache.js
+//   AUTH_MODE      - "local" (default), "oidc" or "none"; see auth.js and oidc.js
+//   LOG_LEVEL      - "debug", "info" (default), "warn" or "error"; see lib/logger.js
+//   LOG_FORMAT     - "json" (default in production) or "pretty"
+//   METRICS_TOKEN  - Bearer token required by /api/metrics (open when unset)
+//   CORS_ORIGINS   - Allowed origins (default: "*"); see lib/http-policy.js for
+//                    the other CORS_* and SECURITY_* headers
+
+import crypto from "crypto";
 import dotenv from "dotenv";
 import express from "express";
 import { dirname, join } from "path";
@@ -22,69 +33,141 @@ dotenv.config({ path: join(__dirname, "..", ".env") });
 //test environment variables
 
 // Import route handlers
-import * as cache from "./cache.js";
+import { requireConfig } from "../lib/config.js";
+import { headerPolicyMiddleware } from "../lib/http-policy.js";
+import { createLogger, runWithRequestContext } from "../lib/logger.js";
+import { httpRequestDuration } from "../lib/metrics.js";
+import { authMode, checkAuthConfig, requireAuth } from "./auth.js";
+import { cache } from "./cache.js";
+import { oidcConfig } from "./oidc.js";
+import authRouter from "./routes/auth.js";
 import buildingsRouter from "./routes/buildings.js";
 import datesRouter from "./routes/dates.js";
 import devicesRouter from "./routes/devices.js";
+import healthRouter from "./routes/health.js";
+import hierarchyRouter from "./routes/hierarchy.js";
 import intervalsRouter from "./routes/intervals.js";
 import metersRouter from "./routes/meters.js";
+import metricsRouter from "./routes/metrics.js";
 import pelicanHistoryRouter from "./routes/pelican-history.js";
 import pelicanThermostatsRouter from "./routes/pelican-thermostats.js";
+import reportsRouter from "./routes/reports.js";
 import scheduleDetailsRouter from "./routes/schedule-details.js";
 import schedulesRouter from "./routes/schedules.js";
 import unitsRouter from "./routes/units.js";
 
+const log = createLogger("server");
+const requestLog = createLogger("http");
+
+// Validate configuration and create the cache driver now that .env is
+// loaded, failing fast on bad config
+const config = requireConfig("co.masterKey", "co.baseUrl");
+log.info("Configuration loaded", {
+  file: config.file,
+  profile: config.profile,
+  environment: config.co.environment,
+});
+await cache.ready();
+checkAuthConfig();
+if (authMode() === "oidc") {
+  log.info("OIDC login enabled", { issuer: oidcConfig().issuer });
+}
+
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.server.port;
+
+// Request IDs accepted from upstream proxies
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 // Middleware
 app.use(express.json());
 
-// CORS middleware
-app.use((req, res, next) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+// CORS and security headers, the same policy the Vercel functions apply
+app.use(headerPolicyMiddleware());
 
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+// Request ID middleware
+// Keeps a proxy's X-Request-Id (or makes one), echoes it back, and runs the
+// rest of the request in a logging context so every entry logged for it,
+// including the CO client's and Pelican calls, carries the ID
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  runWithRequestContext({ requestId: req.id }, next);
+});
 
+// Request cancellation middleware
+// req.signal aborts when the client disconnects before we respond, so routes
+// can pass it to the CO client and stop spending API quota on dead requests.
+// The response's close, not the request's: the request closes as soon as its
+// body has been read.
+app.use((req, res, next) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
   next();
 });
 
+// "/api/buildings/:clientId" for a matched route, otherwise "unmatched"
+function routeTemplate(req) {
+  if (!req.route) return "unmatched";
+  const path = req.route.path === "/" ? "" : req.route.path;
+  return `${req.baseUrl}${path}` || "/";
+}
+
 // Request logging middleware
+// Also times each response for /api/metrics, labelled with the matched route
+// template ("/api/buildings/:clientId") so client IDs don't become series
 app.use((req, res, next) => {
   const start = Date.now();
   res.on("finish", () => {
-    const duration = Date.now() - start;
-    console.log(
-      `[${new Date().toISOString()}] ${req.method} ${req.originalUrl} - ${
-        res.statusCode
-      } (${duration}ms)`
+    httpRequestDuration.observe(
+      {
+        method: req.method,
+        route: routeTemplate(req),
+        status: res.statusCode,
+      },
+      (Date.now() - start) / 1000
     );
+    const fields = {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+    };
+    if (res.statusCode >= 500) {
+      requestLog.error("Request failed", fields);
+    } else {
+      requestLog.info("Request completed", fields);
+    }
   });
   next();
 });
 
-// Health check endpoint
-app.get("/api/health", (req, res) => {
-  const cacheStats = cache.stats();
-  res.json({
-    status: "ok",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.CO_ENVIRONMENT || "unknown",
-    cache: cacheStats,
-  });
-});
+// Liveness and readiness checks
+app.use("/api/health", healthRouter);
+
+// Prometheus metrics; METRICS_TOKEN guards it instead of a session
+app.use("/api/metrics", metricsRouter);
+
+// Login endpoints, then a session for everything else under /api
+app.use("/api/auth", authRouter);
+app.use("/api", requireAuth);
 
 // Mount API routes
 app.use("/api/buildings", buildingsRouter);
 app.use("/api/dates", datesRouter);
 app.use("/api/devices", devicesRouter);
+app.use("/api/hierarchy", hierarchyRouter);
 app.use("/api/intervals", intervalsRouter);
 app.use("/api/meters", metersRouter);
+app.use("/api/reports", reportsRouter);
 app.use("/api/schedules", schedulesRouter);
 app.use("/api/schedule-details", scheduleDetailsRouter);
 app.use("/api/units", unitsRouter);
@@ -111,12 +194,12 @@ if (process.env.NODE_ENV === "production") {
     res.sendFile(join(distPath, "index.html"));
   });
 
-  console.log(`[Server] Serving static files from: ${distPath}`);
+  log.info("Serving static files", { distPath });
 }
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error("[Server Error]", err);
+  log.error("Unhandled error", err);
   res.status(500).json({
     error: err.message || "Internal server error",
   });
@@ -124,29 +207,10 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════════════════════════╗
-║                                                            ║
-║   🚀 Campus Optimizer API Server                           ║
-║                                                            ║
-║   Server running on port ${PORT}                              ║
-║   Environment: ${(process.env.CO_ENVIRONMENT || "unknown").padEnd(38)}║
-║                                                            ║
-║   API Endpoints:                                           ║
-║   - GET /api/health                                        ║
-║   - GET /api/buildings/:clientId                           ║
-║   - GET /api/dates/:clientId                               ║
-║   - GET /api/devices/:clientId                             ║
-║   - GET /api/intervals/:clientId                           ║
-║   - GET /api/meters/:clientId                              ║
-║   - GET /api/schedules/:clientId/:date                     ║
-║   - GET /api/schedule-details/:clientId/:date              ║
-║   - GET /api/units                                         ║
-║   - GET /api/pelican/thermostats/:clientId                 ║
-   ║   - GET /api/pelican/history/:clientId                     ║
-   ║                                                            ║
-╚════════════════════════════════════════════════════════════╝
-  `);
+  log.info("Campus Optimizer API server listening", {
+    port: PORT,
+    environment: config.co.environment || "unknown",
+  });
 });
 
 export default app;
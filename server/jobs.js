@@ -0,0 +1,227 @@
+// In-process background job queue
+// Jobs run one at a time by default (they share the CO rate limit anyway),
+// report progress to subscribers, and are kept for a while after they
+// finish so clients can reconnect and fetch the result. A job's log entries
+// carry the ID of the request that queued it.
+
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import {
+  createLogger,
+  currentRequestId,
+  runWithRequestContext,
+} from "../lib/logger.js";
+
+const log = createLogger("jobs");
+
+/**
+ * @typedef {"queued"|"running"|"succeeded"|"failed"|"cancelled"} JobStatus
+ */
+
+/**
+ * @typedef {Object} JobSummary
+ * @property {string} id
+ * @property {string} clientId
+ * @property {JobStatus} status
+ * @property {string} createdAt
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ * @property {Object<string, {progress: number, message: string}>} progress -
+ *   Latest progress per stage
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} JobEvent
+ * @property {"progress"|"done"} type
+ * @property {Object} data - { stage, progress, message } or a JobSummary
+ */
+
+const FINISHED = new Set(["succeeded", "failed", "cancelled"]);
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {(job: Object, context: {onProgress: Function, signal: AbortSignal}) => Promise<any>} options.run -
+   *   Does the work; resolves with the job result
+   * @param {number} [options.concurrency] - Jobs running at once (default: 1)
+   * @param {number} [options.retentionMs] - How long finished jobs are kept
+   *   (default: 30 minutes)
+   */
+  constructor({ run, concurrency = 1, retentionMs = 30 * 60 * 1000 }) {
+    this._run = run;
+    this._concurrency = Math.max(1, concurrency);
+    this._retentionMs = retentionMs;
+    this._jobs = new Map(); // id -> job
+    this._pending = []; // queued job ids, oldest first
+    this._running = 0;
+    this._finishedCounts = { succeeded: 0, failed: 0, cancelled: 0 };
+    this._events = new EventEmitter();
+    this._events.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a job for a client. While a job for the same client is queued or
+   * running, that job is returned instead of starting another.
+   * @param {string} clientId
+   * @param {Object} [options] - Passed to run() as job.options
+   * @returns {{job: JobSummary, existing: boolean}}
+   */
+  enqueue(clientId, options = {}) {
+    const active = this._activeFor(clientId);
+    if (active) {
+      return { job: this.summary(active), existing: true };
+    }
+
+    const job = {
+      id: randomUUID(),
+      clientId: String(clientId),
+      options,
+      requestId: currentRequestId() ?? null,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: {},
+      error: null,
+      result: null,
+      controller: new AbortController(),
+    };
+    this._jobs.set(job.id, job);
+    this._pending.push(job.id);
+    this._drain();
+    return { job: this.summary(job), existing: false };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} Job record, including result once succeeded
+   */
+  get(id) {
+    return this._jobs.get(id) ?? null;
+  }
+
+  /**
+   * @param {Object} job - Job record from get()
+   * @returns {JobSummary}
+   */
+  summary(job) {
+    return {
+      id: job.id,
+      clientId: job.clientId,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      error: job.error,
+    };
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id
+   * @returns {boolean} Whether the job was still active
+   */
+  cancel(id) {
+    const job = this._jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return false;
+    if (job.status === "queued") {
+      this._pending = this._pending.filter((pendingId) => pendingId !== id);
+      this._finish(job, "cancelled");
+    } else {
+      job.controller.abort();
+    }
+    return true;
+  }
+
+  /**
+   * Listen for a job's progress and completion
+   * @param {string} id
+   * @param {(event: JobEvent) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(id, listener) {
+    this._events.on(id, listener);
+    return () => this._events.off(id, listener);
+  }
+
+  /**
+   * @returns {{queued: number, running: number, total: number, finished: Object<string, number>}}
+   *   `finished` counts every job that ended since startup, by status
+   */
+  stats() {
+    return {
+      queued: this._pending.length,
+      running: this._running,
+      total: this._jobs.size,
+      finished: { ...this._finishedCounts },
+    };
+  }
+
+  _activeFor(clientId) {
+    for (const job of this._jobs.values()) {
+      if (job.clientId === String(clientId) && !FINISHED.has(job.status)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  _drain() {
+    while (this._running < this._concurrency && this._pending.length > 0) {
+      const job = this._jobs.get(this._pending.shift());
+      if (job) {
+        runWithRequestContext({ requestId: job.requestId }, () =>
+          this._start(job)
+        );
+      }
+    }
+  }
+
+  async _start(job) {
+    this._running += 1;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    log.info("Job started", { jobId: job.id, clientId: job.clientId });
+
+    const onProgress = ({ stage, progress, message }) => {
+      job.progress[stage] = { progress, message };
+      this._events.emit(job.id, {
+        type: "progress",
+        data: { stage, progress, message },
+      });
+    };
+
+    try {
+      job.result = await this._run(job, {
+        onProgress,
+        signal: job.controller.signal,
+      });
+      this._finish(job, "succeeded");
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this._finish(job, "cancelled");
+      } else {
+        log.error("Job failed", { jobId: job.id, error });
+        this._finish(job, "failed", error.message || String(error));
+      }
+    } finally {
+      this._running -= 1;
+      this._drain();
+    }
+  }
+
+  _finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    this._finishedCounts[status] += 1;
+    log.info("Job finished", { jobId: job.id, status });
+    this._events.emit(job.id, { type: "done", data: this.summary(job) });
+
+    setTimeout(() => {
+      this._jobs.delete(job.id);
+    }, this._retentionMs).unref();
+  }
+}
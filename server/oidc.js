@@ -0,0 +1,241 @@
+// OpenID Connect login
+// Authorization code flow with PKCE against a configurable issuer. The ID
+// token is verified against the issuer's JWKS (RS256), and the user's client
+// IDs come from a claim or, failing that, the users file (see auth.js).
+//
+//   AUTH_OIDC_ISSUER        - Issuer URL (its /.well-known/openid-configuration
+//                             is discovered on first use)
+//   AUTH_OIDC_CLIENT_ID     - Client registered with the issuer
+//   AUTH_OIDC_CLIENT_SECRET - Its secret (omit for public clients)
+//   AUTH_OIDC_REDIRECT_URI  - Callback URL (default: this server's
+//                             /api/auth/oidc/callback)
+//   AUTH_OIDC_SCOPES        - Requested scopes (default: "openid profile email")
+//   AUTH_OIDC_CLIENTS_CLAIM - ID token claim listing client IDs
+//                             (default: "campus_clients")
+//
+// `pnpm mock:oidc` runs a local stand-in issuer.
+
+import crypto from "crypto";
+import { findMappedUser, normalizeClients } from "./auth.js";
+
+// Clock skew tolerated on exp/iat
+const SKEW_SECONDS = 60;
+
+/**
+ * @returns {{issuer: string, clientId: string, clientSecret?: string, redirectUri?: string, scopes: string, clientsClaim: string}}
+ */
+export function oidcConfig() {
+  const issuer = process.env.AUTH_OIDC_ISSUER;
+  const clientId = process.env.AUTH_OIDC_CLIENT_ID;
+  if (!issuer || !clientId) {
+    throw new Error(
+      "AUTH_MODE=oidc needs AUTH_OIDC_ISSUER and AUTH_OIDC_CLIENT_ID"
+    );
+  }
+  return {
+    issuer: issuer.replace(/\/$/, ""),
+    clientId,
+    clientSecret: process.env.AUTH_OIDC_CLIENT_SECRET,
+    redirectUri: process.env.AUTH_OIDC_REDIRECT_URI,
+    scopes: process.env.AUTH_OIDC_SCOPES || "openid profile email",
+    clientsClaim: process.env.AUTH_OIDC_CLIENTS_CLAIM || "campus_clients",
+  };
+}
+
+/**
+ * PKCE verifier and its S256 challenge
+ * @returns {{verifier: string, challenge: string}}
+ */
+export function createPkce() {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+}
+
+export class OidcClient {
+  /**
+   * @param {ReturnType<typeof oidcConfig>} config
+   */
+  constructor(config) {
+    this.config = config;
+    this._discovery = null;
+    this._keys = new Map(); // kid -> KeyObject
+  }
+
+  /**
+   * The issuer's metadata, fetched once
+   * @returns {Promise<Object>}
+   */
+  async discover() {
+    if (!this._discovery) {
+      this._discovery = this._fetchJson(
+        `${this.config.issuer}/.well-known/openid-configuration`
+      ).catch((error) => {
+        this._discovery = null;
+        throw error;
+      });
+    }
+    return this._discovery;
+  }
+
+  /**
+   * URL to send the browser to
+   * @param {Object} params
+   * @param {string} params.redirectUri
+   * @param {string} params.state
+   * @param {string} params.nonce
+   * @param {string} params.codeChallenge - From createPkce()
+   * @returns {Promise<string>}
+   */
+  async authorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const { authorization_endpoint } = await this.discover();
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: this.config.clientId,
+      redirect_uri: redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    }).toString();
+    return url.toString();
+  }
+
+  /**
+   * Exchange the callback's code and verify the ID token
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.redirectUri
+   * @param {string} params.codeVerifier
+   * @param {string} params.nonce - Must match the ID token's nonce
+   * @returns {Promise<Object>} Verified ID token claims
+   */
+  async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+    const { token_endpoint } = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: codeVerifier,
+      ...(this.config.clientSecret && {
+        client_secret: this.config.clientSecret,
+      }),
+    });
+
+    const tokens = await this._fetchJson(token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    if (!tokens.id_token) {
+      throw new Error("Token response has no id_token");
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token);
+    if (claims.nonce !== nonce) {
+      throw new Error("ID token nonce mismatch");
+    }
+    return claims;
+  }
+
+  /**
+   * Check an ID token's signature, issuer, audience and expiry
+   * @param {string} idToken
+   * @returns {Promise<Object>} Claims
+   */
+  async verifyIdToken(idToken) {
+    const [header, payload, signature] = String(idToken).split(".");
+    if (!header || !payload || !signature) {
+      throw new Error("Malformed ID token");
+    }
+
+    const { alg, kid } = JSON.parse(
+      Buffer.from(header, "base64url").toString()
+    );
+    if (alg !== "RS256") {
+      throw new Error(`Unsupported ID token algorithm: ${alg}`);
+    }
+
+    const key = await this._key(kid);
+    const valid = crypto.verify(
+      "RSA-SHA256",
+      Buffer.from(`${header}.${payload}`),
+      key,
+      Buffer.from(signature, "base64url")
+    );
+    if (!valid) throw new Error("Invalid ID token signature");
+
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    const now = Math.floor(Date.now() / 1000);
+    const audience = [].concat(claims.aud);
+    if (claims.iss?.replace(/\/$/, "") !== this.config.issuer) {
+      throw new Error(`ID token from unexpected issuer ${claims.iss}`);
+    }
+    if (!audience.includes(this.config.clientId)) {
+      throw new Error("ID token not issued for this client");
+    }
+    if (!(claims.exp + SKEW_SECONDS > now)) {
+      throw new Error("ID token expired");
+    }
+    return claims;
+  }
+
+  /**
+   * Map verified claims to a session user
+   * @param {Object} claims
+   * @returns {import("./auth.js").SessionUser}
+   */
+  sessionUser(claims) {
+    const claimed = claims[this.config.clientsClaim];
+    const clients = normalizeClients(
+      claimed ?? findMappedUser(claims)?.clients
+    );
+    return {
+      sub: claims.sub,
+      name: claims.name || claims.preferred_username || claims.email,
+      ...(claims.email && { email: claims.email }),
+      clients,
+    };
+  }
+
+  // Signing key by kid, refetching the JWKS once for unknown kids (rotation)
+  async _key(kid) {
+    if (!this._keys.has(kid)) {
+      const { jwks_uri } = await this.discover();
+      const { keys = [] } = await this._fetchJson(jwks_uri);
+      this._keys = new Map(
+        keys
+          .filter((jwk) => jwk.kty === "RSA" && (!jwk.use || jwk.use === "sig"))
+          .map((jwk) => [
+            jwk.kid,
+            crypto.createPublicKey({ key: jwk, format: "jwk" }),
+          ])
+      );
+    }
+    const key = this._keys.get(kid);
+    if (!key) throw new Error(`No signing key ${kid} at the issuer`);
+    return key;
+  }
+
+  async _fetchJson(url, options) {
+    const response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(10000),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `OIDC ${url} failed: ${
+          data.error_description || data.error || `HTTP ${response.status}`
+        }`
+      );
+    }
+    return data;
+  }
+}
@@ -0,0 +1,202 @@
+// Express Route: /api/auth
+// Login and session endpoints; the only /api routes besides /api/health that
+// don't need a session
+//
+//   GET  /session        - { authenticated, mode, user? }
+//   POST /login          - { username, password } → session (AUTH_MODE=local)
+//   POST /logout         - Clear the session cookie
+//   GET  /oidc/login     - Redirect to the issuer (AUTH_MODE=oidc)
+//   GET  /oidc/callback  - Issuer redirects back here with ?code&state
+//
+// Successful logins set the session cookie and also return the token, for
+// scripts that send it as a bearer token.
+
+import crypto from "crypto";
+import { Router } from "express";
+import { cache } from "../cache.js";
+import {
+  authMode,
+  authenticateLocal,
+  endSession,
+  readCookie,
+  safeReturnTo,
+  sessionUser,
+  signToken,
+  startSession,
+  verifyToken,
+} from "../auth.js";
+import { OidcClient, createPkce, oidcConfig } from "../oidc.js";
+import { createLogger } from "../../lib/logger.js";
+
+const router = Router();
+const log = createLogger("auth-api");
+
+// Login attempts allowed per address in LOGIN_WINDOW_SECONDS
+const LOGIN_ATTEMPTS = 20;
+const LOGIN_WINDOW_SECONDS = 15 * 60;
+
+// State, nonce and PKCE verifier between /oidc/login and /oidc/callback
+const OIDC_STATE_COOKIE = "co_oidc";
+const OIDC_STATE_SECONDS = 10 * 60;
+
+let _oidcClient = null;
+
+function oidcClient() {
+  if (!_oidcClient) _oidcClient = new OidcClient(oidcConfig());
+  return _oidcClient;
+}
+
+function redirectUri(req) {
+  return (
+    oidcClient().config.redirectUri ||
+    `${req.protocol}://${req.get("host")}${req.baseUrl}/oidc/callback`
+  );
+}
+
+function loginFailed(res, returnTo, message) {
+  const params = new URLSearchParams({ error: message, returnTo });
+  return res.redirect(`/login?${params}`);
+}
+
+router.get("/session", (req, res) => {
+  const mode = authMode();
+  const user = sessionUser(req);
+  return res.status(200).json({
+    authenticated: !!user,
+    mode,
+    ...(user && { user }),
+  });
+});
+
+router.post("/login", async (req, res) => {
+  if (authMode() !== "local") {
+    return res
+      .status(400)
+      .json({ error: `Password login is disabled (AUTH_MODE=${authMode()})` });
+  }
+
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res
+      .status(400)
+      .json({ error: "username and password are required" });
+  }
+
+  const attempts = await cache.incr(
+    `auth:attempts:${req.ip}`,
+    LOGIN_WINDOW_SECONDS
+  );
+  if (attempts > LOGIN_ATTEMPTS) {
+    log.warn("Too many login attempts", { ip: req.ip });
+    res.setHeader("Retry-After", LOGIN_WINDOW_SECONDS);
+    return res
+      .status(429)
+      .json({ error: "Too many login attempts, try again later" });
+  }
+
+  try {
+    const user = authenticateLocal(username, password);
+    if (!user) {
+      log.warn("Failed login", { username, ip: req.ip });
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const token = startSession(res, user);
+    log.info("Logged in", { user: user.sub });
+    return res.status(200).json({ user, token });
+  } catch (error) {
+    log.error("Login failed", error);
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+});
+
+router.post("/logout", (req, res) => {
+  endSession(res);
+  return res.status(200).json({ authenticated: false });
+});
+
+router.get("/oidc/login", async (req, res) => {
+  const returnTo = safeReturnTo(req.query.returnTo);
+  if (authMode() !== "oidc") {
+    return loginFailed(res, returnTo, "Single sign-on is not enabled");
+  }
+
+  try {
+    const state = crypto.randomBytes(16).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    const { verifier, challenge } = createPkce();
+
+    res.cookie(
+      OIDC_STATE_COOKIE,
+      signToken(
+        { use: "oidc-state", state, nonce, verifier, returnTo },
+        OIDC_STATE_SECONDS
+      ),
+      {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: process.env.NODE_ENV === "production",
+        maxAge: OIDC_STATE_SECONDS * 1000,
+        path: `${req.baseUrl}/oidc`,
+      }
+    );
+
+    return res.redirect(
+      await oidcClient().authorizationUrl({
+        redirectUri: redirectUri(req),
+        state,
+        nonce,
+        codeChallenge: challenge,
+      })
+    );
+  } catch (error) {
+    log.error("OIDC login failed", error);
+    return loginFailed(res, returnTo, "Single sign-on is unavailable");
+  }
+});
+
+router.get("/oidc/callback", async (req, res) => {
+  const pending = verifyToken(readCookie(req, OIDC_STATE_COOKIE));
+  res.clearCookie(OIDC_STATE_COOKIE, { path: `${req.baseUrl}/oidc` });
+  const returnTo = safeReturnTo(pending?.returnTo);
+
+  if (req.query.error) {
+    return loginFailed(
+      res,
+      returnTo,
+      String(req.query.error_description || req.query.error)
+    );
+  }
+  if (
+    pending?.use !== "oidc-state" ||
+    pending.state !== req.query.state ||
+    !req.query.code
+  ) {
+    return loginFailed(res, returnTo, "Sign-in expired, please try again");
+  }
+
+  try {
+    const claims = await oidcClient().exchangeCode({
+      code: String(req.query.code),
+      redirectUri: redirectUri(req),
+      codeVerifier: pending.verifier,
+      nonce: pending.nonce,
+    });
+    const user = oidcClient().sessionUser(claims);
+    if (user.clients !== "*" && user.clients.length === 0) {
+      log.warn("No clients assigned", { user: user.sub });
+      return loginFailed(res, returnTo, "Your account has no clients assigned");
+    }
+
+    startSession(res, user);
+    log.info("Logged in via OIDC", { user: user.sub });
+    return res.redirect(returnTo);
+  } catch (error) {
+    log.error("OIDC callback failed", error);
+    return loginFailed(res, returnTo, "Single sign-on failed");
+  }
+});
+
+export default router;
@@ -2,10 +2,46 @@
 // Returns buildings for a specific client
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
 import { getBuildings } from "../../lib/co-client.js";
+import { stripBuildingSecrets } from "../../lib/co-schema.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("buildings-api");
+
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached buildings for a client, without their Pelican logins
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export async function lookupBuildings(clientId, signal) {
+  const result = await cache.lookup(
+    `buildings:${clientId}`,
+    async (upstreamSignal) => {
+      log.debug("Cache miss, fetching fresh data");
+      const buildings = await getBuildings(Number(clientId), {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched buildings", { count: buildings.length });
+      // Pelican logins stay server-side (see credential-vault.js)
+      return stripBuildingSecrets(buildings);
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+  // Entries cached before the credential vault still hold the logins
+  return { ...result, value: stripBuildingSecrets(result.value) };
+}
 
 router.get("/:clientId", async (req, res) => {
   try {
@@ -15,30 +51,22 @@ router.get("/:clientId", async (req, res) => {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Buildings API] Fetching buildings for clientId: ${clientId}`);
+    log.info("Fetching buildings", { clientId });
 
-    const cacheKey = `buildings:${clientId}`;
-
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Buildings API] ✓ Cache hit!`);
-      return res.status(200).json({ buildings: cachedData, cached: true });
-    }
+    const { value: buildings, status } = await lookupBuildings(
+      clientId,
+      req.signal
+    );
 
-    console.log(`[Buildings API] Cache miss, fetching fresh data`);
-
-    // Fetch buildings
-    const buildings = await getBuildings(Number(clientId));
-    console.log(`[Buildings API] ✓ Fetched ${buildings.length} buildings`);
-
-    // Cache for 5 minutes
-    cache.set(cacheKey, buildings, { ex: 300 });
-    console.log(`[Buildings API] ✓ Cached for 5 minutes`);
-
-    return res.status(200).json({ buildings });
+    return res
+      .status(200)
+      .json({ buildings, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Buildings API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
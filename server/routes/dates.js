@@ -2,10 +2,42 @@
 // Returns report dates for a specific client
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
 import { getReportDates } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("dates-api");
+
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached report dates for a client, shared with the date-range routes
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupReportDates(clientId, signal) {
+  return cache.lookup(
+    `dates:${clientId}`,
+    async (upstreamSignal) => {
+      log.debug("Cache miss, fetching fresh data");
+      const dates = await getReportDates(Number(clientId), {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched dates", { count: dates.length });
+      return dates;
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
 
 router.get("/:clientId", async (req, res) => {
   try {
@@ -15,30 +47,20 @@ router.get("/:clientId", async (req, res) => {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Dates API] Fetching dates for clientId: ${clientId}`);
+    log.info("Fetching dates", { clientId });
 
-    const cacheKey = `dates:${clientId}`;
-
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Dates API] ✓ Cache hit!`);
-      return res.status(200).json({ dates: cachedData, cached: true });
-    }
+    const { value: dates, status } = await lookupReportDates(
+      clientId,
+      req.signal
+    );
 
-    console.log(`[Dates API] Cache miss, fetching fresh data`);
-
-    // Fetch dates
-    const dates = await getReportDates(Number(clientId));
-    console.log(`[Dates API] ✓ Fetched ${dates.length} dates`);
-
-    // Cache for 5 minutes
-    cache.set(cacheKey, dates, { ex: 300 });
-    console.log(`[Dates API] ✓ Cached for 5 minutes`);
-
-    return res.status(200).json({ dates });
+    return res.status(200).json({ dates, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Dates API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
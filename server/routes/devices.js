@@ -2,10 +2,42 @@
 // Returns devices for a specific client
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
 import { getDevices } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("devices-api");
+
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached devices for a client
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupDevices(clientId, signal) {
+  return cache.lookup(
+    `devices:${clientId}`,
+    async (upstreamSignal) => {
+      log.debug("Cache miss, fetching fresh data");
+      const devices = await getDevices(Number(clientId), {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched devices", { count: devices.length });
+      return devices;
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
 
 router.get("/:clientId", async (req, res) => {
   try {
@@ -15,30 +47,20 @@ router.get("/:clientId", async (req, res) => {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Devices API] Fetching devices for clientId: ${clientId}`);
+    log.info("Fetching devices", { clientId });
 
-    const cacheKey = `devices:${clientId}`;
-
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Devices API] ✓ Cache hit!`);
-      return res.status(200).json({ devices: cachedData, cached: true });
-    }
+    const { value: devices, status } = await lookupDevices(
+      clientId,
+      req.signal
+    );
 
-    console.log(`[Devices API] Cache miss, fetching fresh data`);
-
-    // Fetch devices
-    const devices = await getDevices(Number(clientId));
-    console.log(`[Devices API] ✓ Fetched ${devices.length} devices`);
-
-    // Cache for 5 minutes
-    cache.set(cacheKey, devices, { ex: 300 });
-    console.log(`[Devices API] ✓ Cached for 5 minutes`);
-
-    return res.status(200).json({ devices });
+    return res.status(200).json({ devices, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Devices API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
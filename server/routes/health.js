@@ -0,0 +1,229 @@
+// Express Route: /api/health
+// Liveness and readiness; neither needs a session.
+//
+//   GET /        - Liveness: the process is up (uptime, cache counts)
+//   GET /ready   - Readiness: probes each dependency and reports
+//                  { status, checks: { config, co, cache, pelicanStore } }
+//
+// Readiness is "ok" when every check passes, "degraded" (still 200) when
+// only the cache or the Pelican history store fails, since requests are
+// still served without them, and "fail" (503) when the configuration is
+// invalid or the Campus Optimizer API can't be reached with CO_MASTER_KEY.
+// Each probe has its own timeout (HEALTH_CHECK_TIMEOUT_MS, default 5000),
+// and a result is reused for a few seconds so frequent polling doesn't
+// hammer CO.
+
+import crypto from "crypto";
+import { mkdir, unlink, writeFile } from "fs/promises";
+import path from "path";
+import { Router } from "express";
+import { authConfigProblems, authMode } from "../auth.js";
+import { cache } from "../cache.js";
+import { oidcConfig } from "../oidc.js";
+import { CampusOptimizerClient } from "../../lib/co-client.js";
+import { getConfig, requireConfig } from "../../lib/config.js";
+import { headerPolicy } from "../../lib/http-policy.js";
+import { createLogger } from "../../lib/logger.js";
+import { historyStoreDir } from "../../pelican/history.js";
+
+const router = Router();
+const log = createLogger("health-api");
+
+// Dependencies the API can't serve requests without
+const CRITICAL = new Set(["config", "co"]);
+
+const RESULT_TTL_MS = 5000;
+
+// One cheap, client-independent request that needs a valid key
+const CO_PROBE_PATH = "/types/cool-units";
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {"ok"|"fail"} status
+ * @property {number} durationMs
+ * @property {string} [error]
+ */
+
+let _lastResult = null; // { expiresAt, promise }
+let _coProbeClient = null;
+
+function checkTimeoutMs() {
+  const value = Number(process.env.HEALTH_CHECK_TIMEOUT_MS);
+  return Number.isFinite(value) && value > 0 ? value : 5000;
+}
+
+// A client of its own: no retries, so a failing probe answers quickly
+function coProbeClient() {
+  if (!_coProbeClient) {
+    _coProbeClient = new CampusOptimizerClient({
+      retry: { retries: 0 },
+      timeoutMs: checkTimeoutMs(),
+    });
+  }
+  return _coProbeClient;
+}
+
+function environmentLabel() {
+  try {
+    return getConfig().co.environment || "unknown";
+  } catch {
+    return "unknown";
+  }
+}
+
+async function checkConfig() {
+  const problems = [];
+  let config = null;
+  try {
+    config = requireConfig("co.masterKey", "co.baseUrl");
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  problems.push(...authConfigProblems());
+  try {
+    if (authMode() === "oidc") {
+      oidcConfig();
+    }
+  } catch (error) {
+    // An unknown AUTH_MODE is already among the auth problems
+    if (!problems.includes(error.message)) problems.push(error.message);
+  }
+
+  try {
+    headerPolicy();
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(problems.join("; "));
+  }
+  return { authMode: authMode(), profile: config.profile };
+}
+
+async function checkCo(signal) {
+  const response = await coProbeClient().coFetch(CO_PROBE_PATH, { signal });
+  await response.body?.cancel?.().catch(() => {});
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`CO rejected CO_MASTER_KEY (${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`CO answered ${response.status} ${response.statusText}`);
+  }
+  return { httpStatus: response.status };
+}
+
+// Round-trip a key, since the cache itself logs and swallows errors
+async function checkCache() {
+  const key = `health:${crypto.randomUUID()}`;
+  const token = crypto.randomUUID();
+  await cache.set(key, token, { ex: 30 });
+  const readBack = await cache.get(key);
+  await cache.delete(key);
+  const { driver } = await cache.stats();
+  if (readBack !== token) {
+    throw new Error(`The ${driver} cache did not return a value just written`);
+  }
+  return { driver };
+}
+
+async function checkPelicanStore() {
+  const dir = historyStoreDir();
+  const file = path.join(dir, `.health-${process.pid}-${Date.now()}`);
+  await mkdir(dir, { recursive: true });
+  await writeFile(file, "ok");
+  await unlink(file);
+  return { dir };
+}
+
+/**
+ * Run one probe with a timeout; never throws
+ * @param {(signal: AbortSignal) => Promise<Object>} probe - Resolves with
+ *   details to report, rejects when the dependency is unusable
+ * @returns {Promise<CheckResult>}
+ */
+async function runCheck(probe) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${checkTimeoutMs()}ms`));
+    }, checkTimeoutMs());
+  });
+
+  try {
+    const details = await Promise.race([probe(controller.signal), timeout]);
+    return { status: "ok", durationMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return {
+      status: "fail",
+      durationMs: Date.now() - startedAt,
+      error: error.message || String(error),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkReadiness() {
+  const probes = {
+    config: checkConfig,
+    co: checkCo,
+    cache: checkCache,
+    pelicanStore: checkPelicanStore,
+  };
+  const names = Object.keys(probes);
+  const results = await Promise.all(
+    names.map((name) => runCheck(probes[name]))
+  );
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  const failed = names.filter((name) => checks[name].status === "fail");
+  let status = "ok";
+  if (failed.some((name) => CRITICAL.has(name))) {
+    status = "fail";
+  } else if (failed.length > 0) {
+    status = "degraded";
+  }
+
+  if (failed.length > 0) {
+    log.warn("Readiness check failed", {
+      status,
+      failed: Object.fromEntries(
+        failed.map((name) => [name, checks[name].error])
+      ),
+    });
+  }
+  return { status, timestamp: new Date().toISOString(), checks };
+}
+
+router.get("/", async (req, res) => {
+  const cacheStats = await cache.stats();
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: environmentLabel(),
+    cache: cacheStats,
+  });
+});
+
+router.get("/ready", async (req, res) => {
+  // Concurrent and back-to-back polls share one round of probes
+  if (!_lastResult || _lastResult.expiresAt < Date.now()) {
+    const entry = { promise: checkReadiness(), expiresAt: Infinity };
+    entry.promise.then(() => {
+      entry.expiresAt = Date.now() + RESULT_TTL_MS;
+    });
+    _lastResult = entry;
+  }
+
+  const result = await _lastResult.promise;
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(result.status === "fail" ? 503 : 200).json(result);
+});
+
+export default router;
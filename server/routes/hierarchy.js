@@ -0,0 +1,103 @@
+// Express Route: GET /api/hierarchy/:clientId
+// Returns the campus hierarchy as a nested tree (campus → building → meter → device)
+//
+// Query params:
+//   node - "<categoryId>:<elementId>" to return only that subtree plus its path
+
+import { Router } from "express";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
+import { HierarchyTree, parseNodeKey } from "../../lib/hierarchy.js";
+import { createLogger } from "../../lib/logger.js";
+
+const router = Router();
+const log = createLogger("hierarchy-api");
+
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached payloads a client's HierarchyTree is built from. The raw CO
+ * payloads are cached rather than the tree, since only plain JSON survives
+ * the disk and KV drivers.
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupHierarchySource(clientId, signal) {
+  return cache.lookup(
+    `hierarchy:${clientId}`,
+    async (upstreamSignal) => {
+      log.debug("Cache miss, fetching fresh data");
+      return HierarchyTree.fetchSource(Number(clientId), {
+        signal: upstreamSignal,
+      });
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
+
+router.get("/:clientId", async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { node } = req.query;
+
+    if (!clientId) {
+      return res.status(400).json({ error: "clientId is required" });
+    }
+
+    const from = node ? parseNodeKey(node) : null;
+    if (node && !from) {
+      return res
+        .status(400)
+        .json({ error: "node must look like <categoryId>:<elementId>" });
+    }
+
+    log.info("Fetching hierarchy", { clientId });
+
+    const { value: source, status } = await lookupHierarchySource(
+      clientId,
+      req.signal
+    );
+    const cached = cacheStatus(res, log, status);
+
+    const tree = HierarchyTree.fromSource(source);
+    log.info("Built tree", { nodes: tree.size });
+
+    if (from) {
+      if (!tree.get(from.id, from.category)) {
+        return res.status(404).json({ error: `Node ${node} not found` });
+      }
+      return res.status(200).json({
+        tree: tree.toJSON(from),
+        path: tree.path(from.id, from.category).map((n) => ({
+          id: n.elementId,
+          category: n.categoryId,
+          name: tree.element(n.elementId, n.categoryId)?.Name ?? n.name,
+        })),
+        ...cached,
+      });
+    }
+
+    return res.status(200).json({
+      tree: tree.toJSON(),
+      ...cached,
+    });
+  } catch (error) {
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+});
+
+export default router;
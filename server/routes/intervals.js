@@ -2,11 +2,41 @@
 // Returns trend interval data for a specific client
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
+import { getIntervals } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("intervals-api");
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached trend interval data for a client
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupIntervals(clientId, signal) {
+  return cache.lookup(
+    `intervals:${clientId}`,
+    async (upstreamSignal) => {
+      const intervals = await getIntervals(Number(clientId), {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched interval data");
+      return intervals;
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
 
 router.get("/:clientId", async (req, res) => {
   try {
@@ -16,40 +46,22 @@ router.get("/:clientId", async (req, res) => {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Intervals API] Fetching intervals for clientId: ${clientId}`);
-
-    const cacheKey = `intervals:${clientId}`;
+    log.info("Fetching intervals", { clientId });
 
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Intervals API] ✓ Cache hit!`);
-      return res.status(200).json({ intervals: cachedData, cached: true });
-    }
-
-    // Fetch trend intervals
-    const url = `${uri}/trends/interval?client=${clientId}`;
-    const response = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
-      },
-    });
+    const { value: intervals, status } = await lookupIntervals(
+      clientId,
+      req.signal
+    );
 
-    if (!response.ok) {
-      throw new Error(
-        `Failed to fetch intervals: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const intervals = await response.json();
-    console.log(`[Intervals API] ✓ Fetched interval data`);
-
-    // Cache for 5 minutes
-    cache.set(cacheKey, intervals, { ex: 300 });
-
-    return res.status(200).json({ intervals });
+    return res
+      .status(200)
+      .json({ intervals, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Intervals API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
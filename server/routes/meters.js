@@ -2,11 +2,42 @@
 // Returns meters list for a specific client
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
+import { getMeters } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("meters-api");
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
+router.param("clientId", requireClientAccess);
+
+/**
+ * Cached meters for a client (active ones only)
+ * @param {string} clientId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupMeters(clientId, signal) {
+  return cache.lookup(
+    `meters:${clientId}`,
+    async (upstreamSignal) => {
+      const meters = await getMeters(Number(clientId), {
+        all: false,
+        signal: upstreamSignal,
+      });
+      log.info("Fetched meters", { count: meters.length });
+      return meters;
+    },
+    {
+      // Fresh for 5 minutes, then stale for up to 10 more
+      ex: 300,
+      swr: 600,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
 
 router.get("/:clientId", async (req, res) => {
   try {
@@ -16,40 +47,17 @@ router.get("/:clientId", async (req, res) => {
       return res.status(400).json({ error: "clientId is required" });
     }
 
-    console.log(`[Meters API] Fetching meters for clientId: ${clientId}`);
-
-    const cacheKey = `meters:${clientId}`;
+    log.info("Fetching meters", { clientId });
 
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Meters API] ✓ Cache hit!`);
-      return res.status(200).json({ meters: cachedData, cached: true });
-    }
-
-    // Fetch meters
-    const url = `${uri}/project/meters?client=${clientId}`;
-    const response = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
-      },
-    });
+    const { value: meters, status } = await lookupMeters(clientId, req.signal);
 
-    if (!response.ok) {
-      throw new Error(
-        `Failed to fetch meters: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const meters = await response.json();
-    console.log(`[Meters API] ✓ Fetched ${meters.length} meters`);
-
-    // Cache for 5 minutes
-    cache.set(cacheKey, meters, { ex: 300 });
-
-    return res.status(200).json({ meters });
+    return res.status(200).json({ meters, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Meters API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
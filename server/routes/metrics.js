@@ -0,0 +1,110 @@
+// Express Route: GET /api/metrics
+// Prometheus scrape endpoint (lib/metrics.js). Like /api/health it needs no
+// session; set METRICS_TOKEN to require "Authorization: Bearer <token>".
+//
+// Besides the counters and histograms updated as requests run, each scrape
+// reads the CO rate limiter's queues, the cache's entry counts and the
+// report job queue.
+
+import crypto from "crypto";
+import { Router } from "express";
+import { cache } from "../cache.js";
+import { getSharedLimiter } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
+import { METRICS_CONTENT_TYPE, metrics } from "../../lib/metrics.js";
+import { reportJobs } from "./reports.js";
+
+const router = Router();
+const log = createLogger("metrics-api");
+
+metrics.gauge({
+  name: "co_rate_limiter_queue_depth",
+  help: "CO API requests waiting for a rate limiter token, by client",
+  labelNames: ["key"],
+  collect(gauge) {
+    const queues = getSharedLimiter().stats();
+    for (const [key, { queued }] of Object.entries(queues)) {
+      gauge.set({ key }, queued);
+    }
+  },
+});
+
+metrics.gauge({
+  name: "co_rate_limiter_in_flight",
+  help: "CO API requests in flight, by client",
+  labelNames: ["key"],
+  collect(gauge) {
+    const queues = getSharedLimiter().stats();
+    for (const [key, { inFlight }] of Object.entries(queues)) {
+      gauge.set({ key }, inFlight);
+    }
+  },
+});
+
+metrics.gauge({
+  name: "cache_entries",
+  help: "Entries in the server cache (valid and expired where the driver knows)",
+  labelNames: ["driver", "state"],
+  async collect(gauge) {
+    const { driver, valid, expired, total } = await cache.stats();
+    if (valid !== undefined) gauge.set({ driver, state: "valid" }, valid);
+    if (expired !== undefined) gauge.set({ driver, state: "expired" }, expired);
+    if (total !== undefined) gauge.set({ driver, state: "total" }, total);
+  },
+});
+
+metrics.gauge({
+  name: "report_jobs",
+  help: "Report compile jobs queued or running",
+  labelNames: ["state"],
+  collect(gauge) {
+    const { queued, running } = reportJobs.stats();
+    gauge.set({ state: "queued" }, queued);
+    gauge.set({ state: "running" }, running);
+  },
+});
+
+metrics.counter({
+  name: "report_jobs_finished_total",
+  help: "Report compile jobs finished since startup, by outcome",
+  labelNames: ["status"],
+  collect(counter) {
+    const { finished } = reportJobs.stats();
+    for (const [status, count] of Object.entries(finished)) {
+      counter.set({ status }, count);
+    }
+  },
+});
+
+function authorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+
+  const header = req.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+router.get("/", async (req, res) => {
+  if (!authorized(req)) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const body = await metrics.render();
+    res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).send(body);
+  } catch (error) {
+    log.error("Request failed", error);
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+});
+
+export default router;
@@ -3,10 +3,18 @@
 // The Pelican API always returns all thermostats, so we pass them all to the client.
 
 import { Router } from "express";
-import { getBuildings } from "../../campus-optimizer/co-api.js";
+import { requireClientAccess } from "../auth.js";
+import { cache } from "../cache.js";
+import { createLogger } from "../../lib/logger.js";
+import { fetchWithMetrics, recordPelicanStream } from "../../lib/metrics.js";
+import { pelicanApiUrl } from "../../lib/pelican-url.js";
+import { resolveSiteCredentials } from "../../lib/services/credential-vault.js";
 import { DEFAULT_HISTORY_FIELDS } from "../../pelican/history.js";
 
 const router = Router();
+const log = createLogger("pelican-history-api");
+
+router.param("clientId", requireClientAccess);
 
 // History value template (matching pelican/history.js)
 const HISTORY_VALUE_TEMPLATE = Object.freeze({
@@ -77,46 +85,6 @@ function parseLocalDate(dateStr) {
   return new Date(year, month - 1, day); // month is 0-indexed
 }
 
-/**
- * Fetch credentials for a site from buildings
- */
-async function getCredentialsForSite(clientId, siteSlug) {
-  const startTime = Date.now();
-  console.log(
-    `[Pelican History API] ⏱️ Fetching buildings for client ${clientId}...`
-  );
-
-  const buildings = await getBuildings(clientId);
-
-  const buildingsFetchTime = Date.now() - startTime;
-  console.log(
-    `[Pelican History API] ⏱️ Buildings fetch completed in ${buildingsFetchTime}ms (${
-      buildings?.length || 0
-    } buildings)`
-  );
-
-  // Find building with matching PelicanSubdomain
-  const building = buildings.find(
-    (b) =>
-      String(b?.PelicanSubdomain || "")
-        .trim()
-        .toLowerCase() === siteSlug.toLowerCase()
-  );
-
-  if (!building) {
-    throw new Error(`No building found for siteSlug: ${siteSlug}`);
-  }
-
-  const username = String(building?.PelicanUsername || "").trim();
-  const password = String(building?.PelicanPassword || "").trim();
-
-  if (!username || !password) {
-    throw new Error(`Missing credentials for siteSlug: ${siteSlug}`);
-  }
-
-  return { username, password };
-}
-
 /**
  * Fetch ALL thermostat history for a site/date using streaming.
  * Returns a Map of serialNo -> history entries (already filtered by date).
@@ -125,7 +93,8 @@ async function fetchAllThermostatsForSiteDate(
   siteSlug,
   username,
   password,
-  date
+  date,
+  signal
 ) {
   const overallStart = Date.now();
 
@@ -149,38 +118,44 @@ async function fetchAllThermostatsForSiteDate(
     DEFAULT_HISTORY_FIELDS
   );
 
-  console.log(`[Pelican History API] 🔍 DEBUG: Requesting date range:`, {
+  log.debug("Requesting date range", {
     requestedDate: date,
     startDateTime,
     endDateTime,
   });
 
-  const pelicanUrl = `https://${siteSlug}.officeclimatecontrol.net/api.cgi`;
+  const pelicanUrl = pelicanApiUrl(siteSlug);
   const requestBody = JSON.stringify({ username, password, transactions });
 
-  console.log(
-    `[Pelican History API] ⏱️ Making Pelican API request to ${pelicanUrl}`
-  );
-  console.log(
-    `[Pelican History API] ⏱️ Request body size: ${requestBody.length} bytes`
-  );
+  log.debug("Calling Pelican API", {
+    url: pelicanUrl,
+    bodyBytes: requestBody.length,
+  });
 
   const fetchStart = Date.now();
 
   // Call Pelican API
-  const response = await fetch(pelicanUrl, {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-      accept: "application/json",
-    },
-    body: requestBody,
-  });
+  const response = await fetchWithMetrics(
+    "pelican",
+    "ThermostatHistory",
+    pelicanUrl,
+    {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        accept: "application/json",
+      },
+      body: requestBody,
+      signal,
+    }
+  );
 
   const fetchTime = Date.now() - fetchStart;
-  console.log(
-    `[Pelican History API] ⏱️ Pelican API response received in ${fetchTime}ms (status: ${response.status})`
-  );
+  log.info("Pelican API responded", {
+    siteSlug,
+    status: response.status,
+    durationMs: fetchTime,
+  });
 
   if (!response.ok) {
     const details = await response.text().catch(() => "");
@@ -198,9 +173,7 @@ async function fetchAllThermostatsForSiteDate(
 
   if (!reader) {
     // Fallback to non-streaming if reader not available
-    console.log(
-      `[Pelican History API] ⏱️ Streaming not available, falling back to buffered read`
-    );
+    log.debug("Streaming not available, falling back to buffered read");
     const responseText = await response.text();
     const parsed = JSON.parse(responseText);
     return processFullResponse(parsed, date, overallStart);
@@ -211,7 +184,7 @@ async function fetchAllThermostatsForSiteDate(
   let totalBytes = 0;
   let chunkCount = 0;
 
-  console.log(`[Pelican History API] ⏱️ Starting streaming read...`);
+  log.debug("Starting streaming read");
 
   // Read all chunks and accumulate
   while (true) {
@@ -230,9 +203,11 @@ async function fetchAllThermostatsForSiteDate(
         elapsed > 0
           ? (totalBytes / 1024 / 1024 / (elapsed / 1000)).toFixed(2)
           : 0;
-      console.log(
-        `[Pelican History API] ⏱️ Streaming: ${mbReceived}MB received (${mbps} MB/s, ${chunkCount} chunks)`
-      );
+      log.debug("Streaming progress", {
+        mbReceived: Number(mbReceived),
+        mbps: Number(mbps),
+        chunks: chunkCount,
+      });
     }
   }
 
@@ -240,19 +215,17 @@ async function fetchAllThermostatsForSiteDate(
   buffer += decoder.decode();
 
   const streamTime = Date.now() - streamStart;
-  console.log(
-    `[Pelican History API] ⏱️ Streaming complete: ${(
-      totalBytes /
-      1024 /
-      1024
-    ).toFixed(2)}MB in ${streamTime}ms`
-  );
+  recordPelicanStream(totalBytes, streamTime);
+  log.debug("Streaming complete", {
+    bytes: totalBytes,
+    durationMs: streamTime,
+  });
 
   // Parse JSON
   const parseStart = Date.now();
   const parsed = JSON.parse(buffer);
   const parseTime = Date.now() - parseStart;
-  console.log(`[Pelican History API] ⏱️ JSON parsed in ${parseTime}ms`);
+  log.debug("JSON parsed", { durationMs: parseTime });
 
   return processFullResponse(parsed, date, overallStart);
 }
@@ -267,9 +240,9 @@ function processFullResponse(parsed, date, overallStart) {
   const thermostatHistory = parsed?.result?.[0]?.ThermostatHistory;
 
   if (Array.isArray(thermostatHistory)) {
-    console.log(
-      `[Pelican History API] ⏱️ Processing ${thermostatHistory.length} thermostat(s) from response`
-    );
+    log.debug("Processing thermostats", {
+      thermostats: thermostatHistory.length,
+    });
 
     for (const entry of thermostatHistory) {
       const serialNo = String(entry?.serialNo || "").trim();
@@ -302,12 +275,12 @@ function processFullResponse(parsed, date, overallStart) {
 
   const totalEntries = thermostats.reduce((sum, t) => sum + t.entryCount, 0);
 
-  console.log(
-    `[Pelican History API] ⏱️ Processed ${thermostats.length} thermostats with ${totalEntries} total entries in ${processTime}ms`
-  );
-  console.log(
-    `[Pelican History API] ⏱️ Total fetchAllThermostats time: ${totalTime}ms`
-  );
+  log.debug("Processed thermostats", {
+    thermostats: thermostats.length,
+    entries: totalEntries,
+    durationMs: processTime,
+    totalMs: totalTime,
+  });
 
   return thermostats;
 }
@@ -337,13 +310,19 @@ router.get("/:clientId", async (req, res) => {
       });
     }
 
-    console.log(`\n[Pelican History API] ========== NEW REQUEST ==========`);
-    console.log(`[Pelican History API] Query:`, { clientId, siteSlug, date });
+    log.info("Fetching thermostat history", { clientId, siteSlug, date });
 
     // Get credentials for this site
-    const { username, password } = await getCredentialsForSite(
+    const { username, password } = await resolveSiteCredentials(
       Number(clientId),
-      siteSlug
+      siteSlug,
+      {
+        signal: req.signal,
+        actor: req.user?.sub,
+        purpose: "thermostat-history",
+        // Same buildings entry as /api/buildings
+        cache,
+      }
     );
 
     // Fetch ALL thermostats for this site/date
@@ -351,7 +330,8 @@ router.get("/:clientId", async (req, res) => {
       siteSlug,
       username,
       password,
-      date
+      date,
+      req.signal
     );
 
     const totalEntries = thermostats.reduce((sum, t) => sum + t.entryCount, 0);
@@ -364,19 +344,26 @@ router.get("/:clientId", async (req, res) => {
     };
 
     const totalTime = Date.now() - requestStart;
-    console.log(`[Pelican History API] ========== REQUEST COMPLETE ==========`);
-    console.log(`[Pelican History API] ⏱️ TOTAL REQUEST TIME: ${totalTime}ms`);
-    console.log(
-      `[Pelican History API] ⏱️ Returned ${thermostats.length} thermostats with ${totalEntries} entries`
-    );
-    console.log(
-      `[Pelican History API] ===========================================\n`
-    );
+    log.info("Fetched thermostat history", {
+      thermostats: thermostats.length,
+      entries: totalEntries,
+      durationMs: totalTime,
+    });
 
     return res.status(200).json(responseData);
   } catch (error) {
     const totalTime = Date.now() - requestStart;
-    console.error(`[Pelican History API] Error after ${totalTime}ms:`, error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled", {
+        durationMs: totalTime,
+      });
+      return;
+    }
+    // The site isn't on one of this client's buildings
+    if (error.code === "UNKNOWN_SITE") {
+      return res.status(404).json({ error: error.message });
+    }
+    log.error("Request failed", { durationMs: totalTime, error });
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -2,10 +2,18 @@
 // Discover all thermostats for a site by querying Pelican API
 
 import { Router } from "express";
-import { getBuildings } from "../../campus-optimizer/co-api.js";
+import { requireClientAccess } from "../auth.js";
+import { cache } from "../cache.js";
+import { createLogger } from "../../lib/logger.js";
+import { fetchWithMetrics } from "../../lib/metrics.js";
+import { pelicanApiUrl } from "../../lib/pelican-url.js";
+import { resolveSiteCredentials } from "../../lib/services/credential-vault.js";
 import { DEFAULT_HISTORY_FIELDS } from "../../pelican/history.js";
 
 const router = Router();
+const log = createLogger("pelican-thermostats-api");
+
+router.param("clientId", requireClientAccess);
 
 /**
  * Build history transaction for Pelican API (without serialNo filter to discover all thermostats)
@@ -37,38 +45,16 @@ function toPelicanDateTime(date) {
   return local.toISOString().slice(0, 19);
 }
 
-/**
- * Fetch credentials for a site from buildings
- */
-async function getCredentialsForSite(clientId, siteSlug) {
-  const buildings = await getBuildings(clientId);
-
-  // Find building with matching PelicanSubdomain
-  const building = buildings.find(
-    (b) =>
-      String(b?.PelicanSubdomain || "")
-        .trim()
-        .toLowerCase() === siteSlug.toLowerCase()
-  );
-
-  if (!building) {
-    throw new Error(`No building found for siteSlug: ${siteSlug}`);
-  }
-
-  const username = String(building?.PelicanUsername || "").trim();
-  const password = String(building?.PelicanPassword || "").trim();
-
-  if (!username || !password) {
-    throw new Error(`Missing credentials for siteSlug: ${siteSlug}`);
-  }
-
-  return { username, password };
-}
-
 /**
  * Discover all thermostats for a site by querying Pelican API
  */
-async function discoverThermostats(siteSlug, username, password, date) {
+async function discoverThermostats(
+  siteSlug,
+  username,
+  password,
+  date,
+  signal
+) {
   // Use a single day query to discover thermostats
   const dateObj = new Date(date);
   dateObj.setHours(0, 0, 0, 0);
@@ -89,8 +75,11 @@ async function discoverThermostats(siteSlug, username, password, date) {
   );
 
   // Call Pelican API
-  const response = await fetch(
-    `https://${siteSlug}.officeclimatecontrol.net/api.cgi`,
+  const fetchStart = Date.now();
+  const response = await fetchWithMetrics(
+    "pelican",
+    "ThermostatHistory",
+    pelicanApiUrl(siteSlug),
     {
       method: "POST",
       headers: {
@@ -98,8 +87,14 @@ async function discoverThermostats(siteSlug, username, password, date) {
         accept: "application/json",
       },
       body: JSON.stringify({ username, password, transactions }),
+      signal,
     }
   );
+  log.info("Pelican API responded", {
+    siteSlug,
+    status: response.status,
+    durationMs: Date.now() - fetchStart,
+  });
 
   if (!response.ok) {
     const details = await response.text().catch(() => "");
@@ -155,16 +150,23 @@ router.get("/:clientId", async (req, res) => {
       });
     }
 
-    console.log(`[Pelican Thermostats API] Discovering thermostats for:`, {
+    log.info("Discovering thermostats", {
       clientId,
       siteSlug,
       date: queryDate,
     });
 
     // Get credentials for this site
-    const { username, password } = await getCredentialsForSite(
+    const { username, password } = await resolveSiteCredentials(
       Number(clientId),
-      siteSlug
+      siteSlug,
+      {
+        signal: req.signal,
+        actor: req.user?.sub,
+        purpose: "thermostat-discovery",
+        // Same buildings entry as /api/buildings
+        cache,
+      }
     );
 
     // Discover thermostats
@@ -172,12 +174,11 @@ router.get("/:clientId", async (req, res) => {
       siteSlug,
       username,
       password,
-      queryDate
+      queryDate,
+      req.signal
     );
 
-    console.log(
-      `[Pelican Thermostats API] Found ${serialNos.length} thermostats for ${siteSlug}`
-    );
+    log.info("Found thermostats", { siteSlug, count: serialNos.length });
 
     return res.status(200).json({
       siteSlug,
@@ -186,7 +187,15 @@ router.get("/:clientId", async (req, res) => {
       date: queryDate,
     });
   } catch (error) {
-    console.error("[Pelican Thermostats API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    // The site isn't on one of this client's buildings
+    if (error.code === "UNKNOWN_SITE") {
+      return res.status(404).json({ error: error.message });
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -0,0 +1,195 @@
+// Express Route: /api/reports/:clientId/jobs
+// Compiles the full report on the server as a background job, instead of
+// the browser fetching every date's schedules itself
+//
+//   POST   /:clientId/jobs             - Start (or join) a compile job → 202
+//   GET    /:clientId/jobs/:id         - Job status
+//   GET    /:clientId/jobs/:id/events  - Progress as Server-Sent Events
+//   GET    /:clientId/jobs/:id/result  - Compiled report once succeeded
+//   DELETE /:clientId/jobs/:id         - Cancel
+//
+// Query params (POST):
+//   refresh - "true" to recompile even if a cached report exists, "full" to
+//             also refetch every date instead of using checkpoints and drop
+//             the client's other cached API responses
+
+import { Router } from "express";
+import { requireClientAccess } from "../auth.js";
+import { cache } from "../cache.js";
+import { JobQueue } from "../jobs.js";
+import { createLogger } from "../../lib/logger.js";
+import { DataAggregationService } from "../../lib/services/aggregation.js";
+import { defaultCheckpointStore } from "../../lib/services/checkpoints.js";
+import { compileReport } from "../../lib/services/report-compiler.js";
+
+const router = Router();
+const log = createLogger("reports-api");
+
+router.param("clientId", requireClientAccess);
+
+// SSE comment sent periodically so proxies don't close idle streams
+const HEARTBEAT_MS = 15000;
+
+// Per-date checkpoints: recompiles only fetch report dates added since the
+// last run
+const aggregationService = new DataAggregationService({
+  checkpoints: defaultCheckpointStore(),
+});
+
+export const reportJobs = new JobQueue({
+  run: async (job, { onProgress, signal }) => {
+    const cacheKey = `report:${job.clientId}`;
+
+    if (!job.options.refresh) {
+      const cachedReport = await cache.get(cacheKey);
+      if (cachedReport) {
+        log.info("Cache hit", { clientId: job.clientId });
+        return { ...cachedReport, cached: true };
+      }
+    }
+
+    if (job.options.full) {
+      // Drop the client's cached API responses along with the checkpoints
+      const dropped = await cache.invalidateTag(`client:${job.clientId}`);
+      log.info("Dropped cached entries", {
+        clientId: job.clientId,
+        dropped,
+      });
+    }
+
+    const report = await compileReport(job.clientId, {
+      onProgress,
+      signal,
+      aggregationService,
+      full: job.options.full,
+    });
+
+    // Cache for 1 hour
+    await cache.set(cacheKey, report, {
+      ex: 3600,
+      tags: [`client:${job.clientId}`],
+    });
+    return report;
+  },
+});
+
+// Looks up a job and checks it belongs to the client in the URL
+function findJob(req, res) {
+  const job = reportJobs.get(req.params.id);
+  if (!job || job.clientId !== req.params.clientId) {
+    res.status(404).json({ error: `Job ${req.params.id} not found` });
+    return null;
+  }
+  return job;
+}
+
+function jobUrl(req, job) {
+  return `${req.baseUrl}/${job.clientId}/jobs/${job.id}`;
+}
+
+router.post("/:clientId/jobs", (req, res) => {
+  const { clientId } = req.params;
+  const refresh = ["true", "full"].includes(req.query.refresh);
+  const full = req.query.refresh === "full";
+
+  if (!/^\d+$/.test(clientId)) {
+    return res.status(400).json({ error: "clientId must be numeric" });
+  }
+
+  const { job, existing } = reportJobs.enqueue(clientId, { refresh, full });
+  log.info(existing ? "Joined job" : "Queued job", { jobId: job.id, clientId });
+
+  res.setHeader("Location", jobUrl(req, job));
+  return res.status(202).json({
+    job,
+    links: {
+      self: jobUrl(req, job),
+      events: `${jobUrl(req, job)}/events`,
+      result: `${jobUrl(req, job)}/result`,
+    },
+    ...(existing && { existing: true }),
+  });
+});
+
+router.get("/:clientId/jobs/:id", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  return res.status(200).json({ job: reportJobs.summary(job) });
+});
+
+router.get("/:clientId/jobs/:id/events", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay the latest progress per stage so late subscribers catch up
+  for (const [stage, { progress, message }] of Object.entries(job.progress)) {
+    send("progress", { stage, progress, message });
+  }
+
+  const summary = reportJobs.summary(job);
+  if (!["queued", "running"].includes(summary.status)) {
+    send("done", summary);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    HEARTBEAT_MS
+  );
+  const unsubscribe = reportJobs.subscribe(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === "done") {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+  });
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // The job keeps running when the browser goes away
+  req.on("close", cleanup);
+});
+
+router.get("/:clientId/jobs/:id/result", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  if (job.status !== "succeeded") {
+    return res.status(409).json({
+      error:
+        job.status === "failed"
+          ? `Job failed: ${job.error}`
+          : `Job is ${job.status}`,
+      job: reportJobs.summary(job),
+    });
+  }
+
+  return res.status(200).json(job.result);
+});
+
+router.delete("/:clientId/jobs/:id", (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  const cancelled = reportJobs.cancel(job.id);
+  log.info(cancelled ? "Cancelled job" : "Job already finished", {
+    jobId: job.id,
+  });
+  return res.status(200).json({ job: reportJobs.summary(job) });
+});
+
+export default router;
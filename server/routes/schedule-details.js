@@ -1,12 +1,90 @@
 // Express Route: GET /api/schedule-details/:clientId/:date
 // Returns schedule details for a specific date
+//
+// GET /api/schedule-details/:clientId?start=&end= returns every report date
+// in the range in one response (format=ndjson streams it), like schedules
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
+import { lookupReportDates } from "./dates.js";
+import { getScheduleDetails } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
+import {
+  datesInRange,
+  parseDateRange,
+  sendDateBatch,
+  wantsNdjson,
+} from "../../lib/services/date-batch.js";
 
 const router = Router();
+const log = createLogger("schedule-details-api");
+
+router.param("clientId", requireClientAccess);
+
+// One cache entry per date, shared by the single-date and range routes
+function lookupScheduleDetails(clientId, date, signal) {
+  return cache.lookup(
+    `schedule-details:${clientId}:${date}`,
+    async (upstreamSignal) => {
+      // Fetch schedule details for this ONE date
+      const scheduleDetails = await getScheduleDetails(clientId, date, {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched schedule detail rows", {
+        count: scheduleDetails.length,
+      });
+      return scheduleDetails;
+    },
+    {
+      // Fresh for 1 hour (historical data doesn't change), then stale for 2 more
+      ex: 3600,
+      swr: 7200,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
+
+router.get("/:clientId", async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const range = parseDateRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
+    log.info("Fetching schedule details", {
+      clientId,
+      start: range.start,
+      end: range.end,
+    });
+
+    const { value: reportDates } = await lookupReportDates(
+      clientId,
+      req.signal
+    );
+    await sendDateBatch(res, {
+      dates: datesInRange(reportDates, range),
+      field: "scheduleDetails",
+      lookupDate: (date) => lookupScheduleDetails(clientId, date, req.signal),
+      ndjson: wantsNdjson(req),
+      signal: req.signal,
+      log,
+    });
+  } catch (error) {
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+});
 
 router.get("/:clientId/:date", async (req, res) => {
   try {
@@ -20,77 +98,24 @@ router.get("/:clientId/:date", async (req, res) => {
       return res.status(400).json({ error: "date is required" });
     }
 
-    console.log(
-      `[Schedule Details API] Fetching schedule details for clientId: ${clientId}, date: ${date}`
-    );
-
-    const cacheKey = `schedule-details:${clientId}:${date}`;
+    log.info("Fetching schedule details", { clientId, date });
 
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Schedule Details API] ✓ Cache hit!`);
-      return res
-        .status(200)
-        .json({ scheduleDetails: cachedData, cached: true });
-    }
-
-    // Fetch schedule details for this ONE date
-    const url = `${uri}/schedule-details?client=${clientId}&date=${date}`;
-    console.log(`[Schedule Details API] Fetching from URL: ${url}`);
-
-    const response = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
-      },
-    });
-
-    if (!response.ok) {
-      console.error(
-        `[Schedule Details API] ✗ HTTP ${response.status}: ${response.statusText}`
-      );
-      throw new Error(
-        `Failed to fetch schedule details: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const bodyText = await response.text();
-    console.log(
-      `[Schedule Details API] Response body length: ${bodyText.length} chars`
-    );
-    console.log(
-      `[Schedule Details API] Response body preview: ${bodyText.substring(
-        0,
-        200
-      )}`
+    const { value: scheduleDetails, status } = await lookupScheduleDetails(
+      clientId,
+      date,
+      req.signal
     );
 
-    // Handle "no schedule" or empty response
-    if (bodyText === "no schedule" || bodyText === "" || bodyText === "null") {
-      console.log(
-        `[Schedule Details API] ✓ No schedule details for date ${date}, returning empty array`
-      );
-      return res.status(200).json({ scheduleDetails: [] });
-    }
-
-    const scheduleDetails = JSON.parse(bodyText);
-    console.log(
-      `[Schedule Details API] ✓ Fetched ${scheduleDetails.length} schedule detail rows`
-    );
-
-    if (scheduleDetails.length > 0) {
-      console.log(
-        `[Schedule Details API] First row sample:`,
-        JSON.stringify(scheduleDetails[0]).substring(0, 200)
-      );
-    }
-
-    // Cache for 1 hour (historical data doesn't change)
-    cache.set(cacheKey, scheduleDetails, { ex: 3600 });
-
-    return res.status(200).json({ scheduleDetails });
+    return res.status(200).json({
+      scheduleDetails,
+      ...cacheStatus(res, log, status),
+    });
   } catch (error) {
-    console.error("[Schedule Details API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
@@ -1,12 +1,89 @@
 // Express Route: GET /api/schedules/:clientId/:date
 // Returns optimal schedules for a specific date
+//
+// GET /api/schedules/:clientId?start=&end= returns every report date in the
+// range (YYYY-MM-DD, both optional) in one response; add format=ndjson to
+// stream one line per date as it resolves
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { requireClientAccess } from "../auth.js";
+import { cache, cacheStatus } from "../cache.js";
+import { lookupReportDates } from "./dates.js";
+import { getOptimalSchedules } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
+import {
+  datesInRange,
+  parseDateRange,
+  sendDateBatch,
+  wantsNdjson,
+} from "../../lib/services/date-batch.js";
 
 const router = Router();
+const log = createLogger("schedules-api");
+
+router.param("clientId", requireClientAccess);
+
+// One cache entry per date, shared by the single-date and range routes
+function lookupSchedules(clientId, date, signal) {
+  return cache.lookup(
+    `schedules:${clientId}:${date}`,
+    async (upstreamSignal) => {
+      // Fetch optimal schedules for this ONE date
+      const schedules = await getOptimalSchedules(clientId, date, {
+        signal: upstreamSignal,
+      });
+      log.info("Fetched schedules", { count: schedules.length });
+      return schedules;
+    },
+    {
+      // Fresh for 1 hour (historical data doesn't change), then stale for 2 more
+      ex: 3600,
+      swr: 7200,
+      tags: [`client:${clientId}`],
+      signal,
+    }
+  );
+}
+
+router.get("/:clientId", async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const range = parseDateRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    log.info("Fetching schedules", {
+      clientId,
+      start: range.start,
+      end: range.end,
+    });
 
-const uri = `https://${process.env.CO_ENVIRONMENT}.idealimpactinc.com/api`;
+    const { value: reportDates } = await lookupReportDates(
+      clientId,
+      req.signal
+    );
+    await sendDateBatch(res, {
+      dates: datesInRange(reportDates, range),
+      field: "schedules",
+      lookupDate: (date) => lookupSchedules(clientId, date, req.signal),
+      ndjson: wantsNdjson(req),
+      signal: req.signal,
+      log,
+    });
+  } catch (error) {
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      error: error.message || "Internal server error",
+    });
+  }
+});
 
 router.get("/:clientId/:date", async (req, res) => {
   try {
@@ -20,60 +97,23 @@ router.get("/:clientId/:date", async (req, res) => {
       return res.status(400).json({ error: "date is required" });
     }
 
-    console.log(
-      `[Schedules API] Fetching schedules for clientId: ${clientId}, date: ${date}`
-    );
-
-    const cacheKey = `schedules:${clientId}:${date}`;
-
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Schedules API] ✓ Cache hit!`);
-      return res.status(200).json({ schedules: cachedData, cached: true });
-    }
-
-    // Fetch optimal schedules for this ONE date
-    const url = `${uri}/optimal-schedules?client=${clientId}&date=${date}`;
-    console.log(`[Schedules API] Fetching from URL: ${url}`);
-
-    const response = await fetch(url, {
-      headers: {
-        Authorization: `${process.env.CO_MASTER_KEY}`,
-      },
-    });
+    log.info("Fetching schedules", { clientId, date });
 
-    if (!response.ok) {
-      console.error(
-        `[Schedules API] ✗ HTTP ${response.status}: ${response.statusText}`
-      );
-      throw new Error(
-        `Failed to fetch schedules: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const bodyText = await response.text();
-    console.log(
-      `[Schedules API] Response body length: ${bodyText.length} chars`
+    const { value: schedules, status } = await lookupSchedules(
+      clientId,
+      date,
+      req.signal
     );
 
-    // Handle "no schedule" or empty response
-    if (bodyText === "no schedule" || bodyText === "" || bodyText === "null") {
-      console.log(
-        `[Schedules API] ✓ No schedules for date ${date}, returning empty array`
-      );
-      return res.status(200).json({ schedules: [] });
-    }
-
-    const schedules = JSON.parse(bodyText);
-    console.log(`[Schedules API] ✓ Fetched ${schedules.length} schedules`);
-
-    // Cache for 1 hour (historical data doesn't change)
-    cache.set(cacheKey, schedules, { ex: 3600 });
-
-    return res.status(200).json({ schedules });
+    return res
+      .status(200)
+      .json({ schedules, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Schedules API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
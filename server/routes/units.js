@@ -2,39 +2,52 @@
 // Returns units (cooling and heating conversion factors)
 
 import { Router } from "express";
-import * as cache from "../cache.js";
+import { cache, cacheStatus } from "../cache.js";
 import { getUnits } from "../../lib/co-client.js";
+import { createLogger } from "../../lib/logger.js";
 
 const router = Router();
+const log = createLogger("units-api");
+
+/**
+ * Cached cooling and heating units; the same for every client
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import("../../lib/services/cache.js").CacheLookup>}
+ */
+export function lookupUnits(signal) {
+  return cache.lookup(
+    "units:all",
+    async (upstreamSignal) => {
+      log.debug("Cache miss, fetching fresh data");
+      const units = await getUnits({ signal: upstreamSignal });
+      log.info("Fetched units", {
+        cooling: units.cool?.length,
+        heating: units.heat?.length,
+      });
+      return units;
+    },
+    {
+      // Fresh for 1 hour (units rarely change), then stale for 2 more
+      ex: 3600,
+      swr: 7200,
+      signal,
+    }
+  );
+}
 
 router.get("/", async (req, res) => {
   try {
-    console.log(`[Units API] Fetching units...`);
-
-    const cacheKey = `units:all`;
-
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Units API] ✓ Cache hit!`);
-      return res.status(200).json({ units: cachedData, cached: true });
-    }
+    log.info("Fetching units");
 
-    console.log(`[Units API] Cache miss, fetching fresh data`);
+    const { value: units, status } = await lookupUnits(req.signal);
 
-    // Fetch units
-    const units = await getUnits();
-    console.log(
-      `[Units API] ✓ Fetched ${units.cool?.length} cooling units, ${units.heat?.length} heating units`
-    );
-
-    // Cache for 1 hour (units rarely change)
-    cache.set(cacheKey, units, { ex: 3600 });
-    console.log(`[Units API] ✓ Cached for 1 hour`);
-
-    return res.status(200).json({ units });
+    return res.status(200).json({ units, ...cacheStatus(res, log, status) });
   } catch (error) {
-    console.error("[Units API] Error:", error);
+    if (req.signal.aborted) {
+      log.info("Client disconnected, upstream work cancelled");
+      return;
+    }
+    log.error("Request failed", error);
     return res.status(500).json({
       error: error.message || "Internal server error",
     });
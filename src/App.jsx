@@ -1,16 +1,39 @@
 import { Route, BrowserRouter as Router, Routes } from "react-router-dom";
+import AuthProvider from "./components/AuthProvider";
+import RequireAuth from "./components/RequireAuth";
 import Dashboard from "./pages/Dashboard";
+import DrillDown from "./pages/DrillDown";
+import Login from "./pages/Login";
 
 function App() {
   return (
-    <Router>
-      <div className="min-h-screen bg-gray-50">
-        <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/client/:clientId" element={<Dashboard />} />
-        </Routes>
-      </div>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <div className="min-h-screen bg-gray-50">
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route element={<RequireAuth />}>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/client/:clientId">
+                <Route index element={<Dashboard />} />
+                <Route
+                  path="building/:buildingId"
+                  element={<DrillDown key="building" type="building" />}
+                />
+                <Route
+                  path="meter/:meterId"
+                  element={<DrillDown key="meter" type="meter" />}
+                />
+                <Route
+                  path="device/:deviceId"
+                  element={<DrillDown key="device" type="device" />}
+                />
+              </Route>
+            </Route>
+          </Routes>
+        </div>
+      </Router>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,70 @@
+import { createContext, useCallback, useEffect, useState } from "react";
+import {
+  UNAUTHORIZED_EVENT,
+  fetchSession,
+  login as loginRequest,
+  logout as logoutRequest,
+} from "../services/auth";
+
+export const AuthContext = createContext(null);
+
+/**
+ * Loads the session once and keeps it current: login/logout update it, and
+ * any API call rejected with 401 clears it
+ */
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetchSession(controller.signal)
+      .then((result) => setSession(result))
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    const onUnauthorized = () =>
+      setSession((current) =>
+        current ? { ...current, authenticated: false, user: null } : current
+      );
+    window.addEventListener(UNAUTHORIZED_EVENT, onUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, onUnauthorized);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const user = await loginRequest(username, password);
+    setSession((current) => ({ ...current, authenticated: true, user }));
+    return user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await logoutRequest();
+    setSession((current) => ({ ...current, authenticated: false, user: null }));
+  }, []);
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user: session?.user ?? null,
+        mode: session?.mode ?? null,
+        authenticated: Boolean(session?.authenticated),
+        loading,
+        error,
+        login,
+        logout,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+}
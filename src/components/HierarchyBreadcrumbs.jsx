@@ -0,0 +1,47 @@
+import { Link } from "react-router-dom";
+import { drillDownPath } from "../utils/hierarchy";
+
+/**
+ * Campus → building → meter → device trail for a drill-down page
+ */
+export default function HierarchyBreadcrumbs({ clientId, path }) {
+  return (
+    <nav className="text-sm text-gray-500" aria-label="Breadcrumb">
+      <ol className="flex flex-wrap items-center gap-2">
+        <li>
+          <Link
+            to={`/client/${clientId}`}
+            className="text-blue-600 hover:text-blue-800 hover:underline"
+          >
+            Campus {clientId}
+          </Link>
+        </li>
+        {(path || []).map((node, index) => {
+          const name = node.name || `${node.type} ${node.id}`;
+          const to = drillDownPath(clientId, node);
+          const isLast = index === path.length - 1;
+          return (
+            <li
+              key={`${node.category}:${node.id}`}
+              className="flex items-center gap-2"
+            >
+              <span aria-hidden="true">/</span>
+              {to && !isLast ? (
+                <Link
+                  to={to}
+                  className="text-blue-600 hover:text-blue-800 hover:underline"
+                >
+                  {name}
+                </Link>
+              ) : (
+                <span className={isLast ? "text-gray-900 font-medium" : ""}>
+                  {name}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
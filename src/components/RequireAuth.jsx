@@ -0,0 +1,62 @@
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+
+/**
+ * Layout route for pages that need a session: sends signed-out visitors to
+ * /login (and back afterwards) and shows who is signed in
+ */
+export default function RequireAuth() {
+  const { user, mode, authenticated, loading, error, logout } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-gray-500">
+        Loading…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="bg-red-50 border border-red-200 rounded-md p-4 text-red-800">
+          Couldn't check your session: {error}
+        </div>
+      </div>
+    );
+  }
+
+  if (!authenticated) {
+    const returnTo = `${location.pathname}${location.search}`;
+    return (
+      <Navigate
+        to={`/login?returnTo=${encodeURIComponent(returnTo)}`}
+        replace
+      />
+    );
+  }
+
+  return (
+    <>
+      {mode !== "none" && user && (
+        <div className="bg-gray-800 text-gray-200 text-sm">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex justify-end items-center gap-4">
+            <span>
+              Signed in as{" "}
+              <span className="font-medium text-white">{user.name}</span>
+            </span>
+            <button
+              type="button"
+              onClick={() => logout()}
+              className="text-gray-300 hover:text-white underline"
+            >
+              Sign out
+            </button>
+          </div>
+        </div>
+      )}
+      <Outlet />
+    </>
+  );
+}
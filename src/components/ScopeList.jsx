@@ -0,0 +1,94 @@
+import { Link } from "react-router-dom";
+import { drillDownPath } from "../utils/hierarchy";
+import Sparkline from "./Sparkline";
+
+function countsLabel(counts) {
+  return Object.entries(counts || {})
+    .map(([type, count]) => `${count} ${type}${count === 1 ? "" : "s"}`)
+    .join(", ");
+}
+
+/**
+ * Table of hierarchy nodes linking to their drill-down pages, each with a
+ * sparkline from trendFor(node)
+ */
+export default function ScopeList({
+  clientId,
+  title,
+  nodes,
+  trendFor,
+  trendLabel,
+}) {
+  if (!nodes?.length) return null;
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900">{title}</h3>
+        {trendLabel && (
+          <p className="mt-1 max-w-2xl text-sm text-gray-500">{trendLabel}</p>
+        )}
+      </div>
+      <div className="border-t border-gray-200">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th
+                  scope="col"
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  Name
+                </th>
+                <th
+                  scope="col"
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  Contains
+                </th>
+                <th
+                  scope="col"
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  Trend
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {nodes.map((node) => {
+                const to = drillDownPath(clientId, node);
+                const name = node.name || `${node.type} ${node.id}`;
+                return (
+                  <tr key={`${node.category}:${node.id}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {to ? (
+                        <Link
+                          to={to}
+                          className="text-blue-600 hover:text-blue-800 hover:underline"
+                        >
+                          {name}
+                        </Link>
+                      ) : (
+                        name
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {countsLabel(node.counts) || "—"}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <Sparkline
+                        values={trendFor?.(node)}
+                        width={120}
+                        height={28}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+import { useContext } from "react";
+import { AuthContext } from "../components/AuthProvider";
+
+export function useAuth() {
+  const auth = useContext(AuthContext);
+  if (!auth) {
+    throw new Error("useAuth must be used inside <AuthProvider>");
+  }
+  return auth;
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { fetchHierarchy } from "../services/api";
+
+export function useHierarchy(clientId) {
+  const [tree, setTree] = useState(null);
+  const [loading, setLoading] = useState(Boolean(clientId));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!clientId) {
+      setTree(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    async function loadTree() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchHierarchy(clientId, controller.signal);
+        if (!controller.signal.aborted) {
+          setTree(result);
+        }
+      } catch (err) {
+        if (!controller.signal.aborted && err.name !== "AbortError") {
+          setError(err.message);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    loadTree();
+
+    return () => {
+      controller.abort();
+    };
+  }, [clientId]);
+
+  return { tree, loading, error };
+}
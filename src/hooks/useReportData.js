@@ -1,7 +1,13 @@
 import { useEffect, useRef, useState } from "react";
 import { fetchCompiledReportStream } from "../services/api";
 
-export function useReportData(clientId) {
+/**
+ * Load the compiled report for a client
+ * @param {string} clientId - Empty to stay idle
+ * @param {{deviceIds: Set<number>, meterIds: Set<number>}} [scope] - Limit
+ *   the report to part of the campus; keep it referentially stable
+ */
+export function useReportData(clientId, scope) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -50,7 +56,8 @@ export function useReportData(clientId) {
               },
             }));
           },
-          currentController.signal
+          currentController.signal,
+          { scope }
         );
 
         if (!currentController.signal.aborted) {
@@ -76,7 +83,7 @@ export function useReportData(clientId) {
     return () => {
       currentController.abort();
     };
-  }, [clientId]);
+  }, [clientId, scope]);
 
   return { data, loading, error, progress };
 }
@@ -11,13 +11,21 @@ import MeterSnapshotTable from "../components/MeterSnapshotTable";
 import PeakDemandChart from "../components/PeakDemandChart";
 import RuntimeByOccupancyCard from "../components/RuntimeByOccupancyCard";
 import ScheduledVsOccupancyChart from "../components/ScheduledVsOccupancyChart";
+import ScopeList from "../components/ScopeList";
 import TopRuntimeChart from "../components/TopRuntimeChart";
 import WeeklyRuntimeChart from "../components/WeeklyRuntimeChart";
+import { useAuth } from "../hooks/useAuth";
+import { useHierarchy } from "../hooks/useHierarchy";
 import { usePelicanData } from "../hooks/usePelicanData";
 import { useReportData } from "../hooks/useReportData";
+import { dailyTotalSeries } from "../utils/chartData";
+import { collectNodes } from "../utils/hierarchy";
 
 export default function Dashboard() {
   const { clientId: urlClientId } = useParams();
+  const { user } = useAuth();
+  // Clients the signed-in user may open, offered as suggestions
+  const allowedClients = Array.isArray(user?.clients) ? user.clients : [];
   const [clientId, setClientId] = useState(urlClientId || "");
   const [clientIdInput, setClientIdInput] = useState(urlClientId || "");
   const [shouldLoadReport, setShouldLoadReport] = useState(false);
@@ -29,6 +37,20 @@ export default function Dashboard() {
     shouldLoadReport ? clientId : ""
   );
 
+  // Buildings to drill into, loaded alongside the report
+  const { tree } = useHierarchy(shouldLoadReport ? clientId : "");
+  const buildings = (tree || []).flatMap((root) =>
+    collectNodes(root, "building")
+  );
+  const buildingEnergy = (building) => {
+    const meterIds = new Set(
+      collectNodes(building, "meter").map((meter) => meter.id)
+    );
+    return dailyTotalSeries(
+      (data?.energy?.actual || []).filter((m) => meterIds.has(m.Id))
+    );
+  };
+
   const {
     data: pelicanData,
     loading: pelicanLoading,
@@ -100,7 +122,15 @@ export default function Dashboard() {
                   }}
                   className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-4 py-2 border"
                   placeholder="Enter client ID (e.g., 1420)"
+                  list={allowedClients.length ? "allowed-clients" : undefined}
                 />
+                {allowedClients.length > 0 && (
+                  <datalist id="allowed-clients">
+                    {allowedClients.map((id) => (
+                      <option key={id} value={id} />
+                    ))}
+                  </datalist>
+                )}
               </div>
               <button
                 type="button"
@@ -236,9 +266,26 @@ export default function Dashboard() {
                       </dd>
                     </div>
                   </dl>
+                  {data.meta?.failedDetailDates?.length > 0 && (
+                    <p className="mt-6 text-sm text-yellow-600">
+                      Schedule details failed to load for{" "}
+                      {data.meta.failedDetailDates.length} report dates (
+                      {data.meta.failedDetailDates.join(", ")}); their expected
+                      energy shows as 0.
+                    </p>
+                  )}
                 </div>
               </div>
 
+              {/* Building Drill-Down Links */}
+              <ScopeList
+                clientId={clientId}
+                title="Buildings"
+                trendLabel="Actual daily energy — select a building to drill down"
+                nodes={buildings}
+                trendFor={buildingEnergy}
+              />
+
               {/* Runtime Charts */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div className="bg-white shadow overflow-hidden sm:rounded-lg p-6">
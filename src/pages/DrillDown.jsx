@@ -0,0 +1,208 @@
+import { useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import DeviceMetricsTable from "../components/DeviceMetricsTable";
+import EnergyUsageChart from "../components/EnergyUsageChart";
+import HierarchyBreadcrumbs from "../components/HierarchyBreadcrumbs";
+import LoadingProgress from "../components/LoadingProgress";
+import MeterSnapshotTable from "../components/MeterSnapshotTable";
+import PeakDemandChart from "../components/PeakDemandChart";
+import ScopeList from "../components/ScopeList";
+import WeeklyRuntimeChart from "../components/WeeklyRuntimeChart";
+import { useHierarchy } from "../hooks/useHierarchy";
+import { useReportData } from "../hooks/useReportData";
+import { dailyTotalSeries } from "../utils/chartData";
+import { collectNodes, findNodePath, scopeFor } from "../utils/hierarchy";
+
+const TITLES = {
+  building: "Building",
+  meter: "Meter",
+  device: "Device",
+};
+
+/**
+ * Report for one building, meter or device. The hierarchy decides which
+ * devices and meters are in scope; only those are aggregated.
+ * Routes: /client/:clientId/building/:buildingId (and meter/:meterId,
+ * device/:deviceId)
+ */
+export default function DrillDown({ type }) {
+  const params = useParams();
+  const { clientId } = params;
+  const id = params[`${type}Id`];
+  const {
+    tree,
+    loading: treeLoading,
+    error: treeError,
+  } = useHierarchy(clientId);
+
+  const path = useMemo(() => findNodePath(tree, type, id), [tree, type, id]);
+  const node = path[path.length - 1];
+  const scope = useMemo(() => scopeFor(path), [path]);
+
+  const { data, loading, error, progress } = useReportData(
+    scope ? clientId : "",
+    scope
+  );
+
+  const meters = useMemo(() => {
+    if (!node) return [];
+    // A device page lists the meters supplying it instead of any below it
+    if (type === "device") {
+      const building = path.findLast((n) => n.type === "building");
+      return collectNodes(building, "meter").filter((n) =>
+        scope.meterIds.has(n.id)
+      );
+    }
+    return collectNodes(node, "meter").filter((n) => n !== node);
+  }, [node, path, scope, type]);
+  const devices = useMemo(
+    () => (node ? collectNodes(node, "device").filter((n) => n !== node) : []),
+    [node]
+  );
+
+  const energyFor = (meterNode) =>
+    dailyTotalSeries(
+      (data?.energy?.actual || []).filter((m) => m.Id === meterNode.id)
+    );
+  const runtimeFor = (deviceNode) =>
+    (data?.devices || [])
+      .find((d) => d.id === deviceNode.id)
+      ?.runtimeWeekly?.map((p) => p.minutes) || [];
+
+  const hasEnergy = Boolean(
+    data?.energy?.expected?.length || data?.energy?.actual?.length
+  );
+  const energyScope = type === "device" ? "Supplying Meters" : "All Meters";
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+          <HierarchyBreadcrumbs clientId={clientId} path={path} />
+          <h1 className="mt-2 text-3xl font-bold text-gray-900">
+            {TITLES[type]}: {node?.name || id}
+          </h1>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <LoadingProgress progress={progress} isVisible={loading} />
+
+          {/* Error State */}
+          {(treeError || error) && (
+            <div className="rounded-md bg-red-50 p-4 mb-6">
+              <div className="flex">
+                <div className="ml-3">
+                  <h3 className="text-sm font-medium text-red-800">
+                    Error loading {treeError ? "hierarchy" : "report data"}
+                  </h3>
+                  <p className="mt-2 text-sm text-red-700">
+                    {treeError || error}
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {treeLoading && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">Loading campus hierarchy...</p>
+            </div>
+          )}
+
+          {/* Not Found State */}
+          {tree && !node && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">
+                No {type} {id} in the hierarchy for client {clientId}.{" "}
+                <Link
+                  to={`/client/${clientId}`}
+                  className="text-blue-600 hover:text-blue-800 hover:underline"
+                >
+                  Back to campus
+                </Link>
+              </p>
+            </div>
+          )}
+
+          {/* Data Display */}
+          {node && data && !loading && (
+            <div className="space-y-6">
+              {/* Energy Charts */}
+              {hasEnergy && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="bg-white shadow overflow-hidden sm:rounded-lg p-6">
+                      <h3 className="text-lg font-semibold mb-2">
+                        Daily Energy Use ({energyScope})
+                      </h3>
+                      <p className="text-xs text-gray-500 mb-4">
+                        Expected vs Actual (sum of interval values per day)
+                      </p>
+                      <div className="h-80">
+                        <EnergyUsageChart
+                          energyExpected={data.energy?.expected}
+                          energyActual={data.energy?.actual}
+                        />
+                      </div>
+                    </div>
+                    <div className="bg-white shadow overflow-hidden sm:rounded-lg p-6">
+                      <h3 className="text-lg font-semibold mb-2">
+                        Daily Peak Demand ({energyScope})
+                      </h3>
+                      <p className="text-xs text-gray-500 mb-4">
+                        Expected vs Actual (max interval kW per day)
+                      </p>
+                      <div className="h-80">
+                        <PeakDemandChart
+                          energyExpected={data.energy?.expected}
+                          energyActual={data.energy?.actual}
+                        />
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Meter Snapshot Table */}
+                  <MeterSnapshotTable
+                    energyExpected={data.energy?.expected}
+                    energyActual={data.energy?.actual}
+                  />
+                </>
+              )}
+
+              {/* Runtime Chart */}
+              <div className="bg-white shadow overflow-hidden sm:rounded-lg p-6">
+                <h3 className="text-lg font-semibold mb-4">
+                  Total Runtime per Week (min)
+                </h3>
+                <div className="h-80">
+                  <WeeklyRuntimeChart devices={data.devices} />
+                </div>
+              </div>
+
+              <ScopeList
+                clientId={clientId}
+                title={type === "device" ? "Supplying Meters" : "Meters"}
+                trendLabel="Actual daily energy"
+                nodes={meters}
+                trendFor={energyFor}
+              />
+              <ScopeList
+                clientId={clientId}
+                title="Devices"
+                trendLabel="Runtime per week (min)"
+                nodes={devices}
+                trendFor={runtimeFor}
+              />
+
+              {/* Device Metrics Table */}
+              <DeviceMetricsTable devices={data.devices} />
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
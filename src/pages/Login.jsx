@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { Navigate, useSearchParams } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import { oidcLoginUrl } from "../services/auth";
+
+// Only app paths, so ?returnTo= can't send users to another site
+function safeReturnTo(value) {
+  return value && value.startsWith("/") && !value.startsWith("//")
+    ? value
+    : "/";
+}
+
+export default function Login() {
+  const { mode, authenticated, loading, login } = useAuth();
+  const [searchParams] = useSearchParams();
+  const returnTo = safeReturnTo(searchParams.get("returnTo"));
+
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(searchParams.get("error"));
+
+  if (loading) return null;
+  if (authenticated) return <Navigate to={returnTo} replace />;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center px-4">
+      <div className="bg-white shadow rounded-lg p-8 w-full max-w-sm">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6 text-center">
+          Campus Optimizer Reports
+        </h1>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-800">
+            {error}
+          </div>
+        )}
+
+        {mode === "oidc" ? (
+          <a
+            href={oidcLoginUrl(returnTo)}
+            className="block w-full text-center bg-blue-600 text-white font-medium rounded-md px-4 py-2 hover:bg-blue-700"
+          >
+            Sign in with single sign-on
+          </a>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label
+                htmlFor="username"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Username
+              </label>
+              <input
+                id="username"
+                type="text"
+                autoComplete="username"
+                autoFocus
+                required
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-4 py-2 border"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="password"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Password
+              </label>
+              <input
+                id="password"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md px-4 py-2 border"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full bg-blue-600 text-white font-medium rounded-md px-4 py-2 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? "Signing in…" : "Sign in"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
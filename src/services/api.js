@@ -2,6 +2,13 @@
  * API service for fetching report data from separate endpoints
  */
 
+import {
+  computeActualEnergy,
+  computeExpectedEnergy,
+  toReportDays,
+} from "../../lib/energy.js";
+import { apiFetch } from "./auth.js";
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "/api";
 
 /**
@@ -14,7 +21,7 @@ async function fetchDevices(clientId, signal) {
   const url = `${API_BASE_URL}/devices/${clientId}`;
   console.log(`[API] Fetching devices from:`, url);
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -37,7 +44,7 @@ async function fetchDates(clientId, signal) {
   const url = `${API_BASE_URL}/dates/${clientId}`;
   console.log(`[API] Fetching dates from:`, url);
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -59,7 +66,7 @@ async function fetchDates(clientId, signal) {
 async function fetchMeters(clientId, signal) {
   const url = `${API_BASE_URL}/meters/${clientId}`;
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -81,7 +88,7 @@ async function fetchMeters(clientId, signal) {
 async function fetchIntervals(clientId, signal) {
   const url = `${API_BASE_URL}/intervals/${clientId}`;
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -94,29 +101,6 @@ async function fetchIntervals(clientId, signal) {
   return data.intervals;
 }
 
-/**
- * Fetch schedule details for a single date
- * @param {string|number} clientId - The client ID
- * @param {string} date - The date
- * @param {AbortSignal} signal - Optional abort signal
- * @returns {Promise<Array>} The schedule details
- */
-async function fetchScheduleDetailsForDate(clientId, date, signal) {
-  const url = `${API_BASE_URL}/schedule-details/${clientId}/${date}`;
-
-  const response = await fetch(url, { signal });
-
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(
-      error.error || `HTTP ${response.status}: ${response.statusText}`
-    );
-  }
-
-  const data = await response.json();
-  return data.scheduleDetails;
-}
-
 /**
  * Fetch units (cooling and heating conversion factors)
  * @param {AbortSignal} signal - Optional abort signal
@@ -126,7 +110,7 @@ async function fetchUnits(signal) {
   const url = `${API_BASE_URL}/units`;
   console.log(`[API] Fetching units from:`, url);
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -140,16 +124,28 @@ async function fetchUnits(signal) {
 }
 
 /**
- * Fetch optimal schedules for a single date
+ * Fetch per-date data (schedules or schedule details) for a range of dates
+ * in one request, streamed as NDJSON so progress can be shown per date
+ * @param {"schedules"|"schedule-details"} resource - Endpoint name
  * @param {string|number} clientId - The client ID
- * @param {string} date - The date (YYYY-MM-DD format)
+ * @param {string[]} dates - Ascending YYYY-MM-DD dates; their first and last
+ *   bound the range
+ * @param {(result: Object) => void} onResult - Called with each date's
+ *   { date, [rows], cached } or { date, error } as it arrives
  * @param {AbortSignal} signal - Optional abort signal
- * @returns {Promise<Array>} The schedules for this date
+ * @returns {Promise<void>}
  */
-async function fetchSchedulesForDate(clientId, date, signal) {
-  const url = `${API_BASE_URL}/schedules/${clientId}/${date}`;
+async function fetchDateRange(resource, clientId, dates, onResult, signal) {
+  if (dates.length === 0) return;
+
+  const params = new URLSearchParams({
+    start: dates[0],
+    end: dates[dates.length - 1],
+    format: "ndjson",
+  });
+  const url = `${API_BASE_URL}/${resource}/${clientId}?${params}`;
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -158,195 +154,36 @@ async function fetchSchedulesForDate(clientId, date, signal) {
     );
   }
 
-  const data = await response.json();
-  return data.schedules;
-}
-
-/**
- * Compute actual energy usage client-side
- * @param {Array} meters - Meters list
- * @param {Array} intervalData - Raw interval data
- * @returns {Array} Actual energy data
- */
-function computeActualEnergy(meters, intervalData) {
-  function pad(n) {
-    const num = Number(n);
-    return num.toString().padStart(2, "0");
-  }
-
-  function normalizedDate(y, m, d) {
-    const yearNum = Number(y);
-    const monthZero = Number(m);
-    const dayZero = Number(d);
-    if (
-      !Number.isFinite(yearNum) ||
-      !Number.isFinite(monthZero) ||
-      !Number.isFinite(dayZero)
-    )
-      return null;
-    const monthNum = monthZero + 1;
-    const dayNum = dayZero + 1;
-    const dt = new Date(Date.UTC(yearNum, monthNum - 1, dayNum));
-    if (
-      dt.getUTCFullYear() !== yearNum ||
-      dt.getUTCMonth() + 1 !== monthNum ||
-      dt.getUTCDate() !== dayNum
-    ) {
-      return null;
-    }
-    return `${yearNum}-${pad(monthNum)}-${pad(dayNum)}`;
-  }
-
-  return meters.map(({ Id, Name }) => {
-    const meterIntervals = intervalData.find(
-      ({ meterName }) => meterName === Name
-    );
-    const byYear = meterIntervals?.data || {};
-    const flat = [];
-
-    for (const [year, byMonth] of Object.entries(byYear)) {
-      for (const [month, byDay] of Object.entries(byMonth)) {
-        for (const [day, byInterval] of Object.entries(byDay)) {
-          const date = normalizedDate(year, month, day);
-          if (!date) continue;
-          for (const [intervalKey, value] of Object.entries(byInterval)) {
-            const interval = Number.isFinite(Number(intervalKey))
-              ? Number(intervalKey)
-              : intervalKey;
-            flat.push({ date, interval, value });
-          }
-        }
-      }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let done = false;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const result = JSON.parse(line);
+    if (result.done) {
+      done = true;
+    } else {
+      onResult(result);
     }
+  };
 
-    return {
-      Id,
-      Name,
-      Interval: flat,
-    };
-  });
-}
-
-/**
- * Compute expected energy usage client-side
- * @param {Array} meters - Meters list
- * @param {Array} actualEnergy - Actual energy data (for output shape)
- * @param {Array} dates - Report dates
- * @param {Array} scheduleDetailsByDate - Schedule details grouped by date
- * @returns {Array} Expected energy data
- */
-function computeExpectedEnergy(
-  meters,
-  actualEnergy,
-  dates,
-  scheduleDetailsByDate
-) {
-  const reportDays = dates
-    .map((d) => d.report_date)
-    .filter(Boolean)
-    .map((s) => String(s).split("T")[0])
-    .sort((a, b) => new Date(a) - new Date(b));
-
-  if (reportDays.length === 0) {
-    return actualEnergy.map(({ Id, Name, Interval }) => ({
-      Id,
-      Name,
-      Interval: (Interval || []).map(({ date, interval }) => ({
-        date,
-        interval,
-        value: 0,
-      })),
-    }));
-  }
-
-  function valueFromRow(row) {
-    const candidates = [row?.total_demand_LR, row?.total_demand];
-    for (const v of candidates) {
-      const n = Number(v);
-      if (Number.isFinite(n)) return n;
-    }
-    return 0;
+  for (;;) {
+    const { value, done: streamDone } = await reader.read();
+    if (streamDone) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.forEach(handleLine);
   }
+  handleLine(buffered + decoder.decode());
 
-  // Build: reportDate -> Map(meterId -> first96Values[])
-  const reportToMeterValues = new Map();
-  console.log(
-    "[DEBUG] computeExpectedEnergy: Processing",
-    scheduleDetailsByDate.length,
-    "schedule detail dates"
-  );
-
-  scheduleDetailsByDate.forEach(({ date, details }, idx) => {
-    const perMeter = new Map();
-    const byMeter = new Map();
-    console.log(
-      `[DEBUG] Date ${idx}: ${date}, Details count: ${details?.length || 0}`
-    );
-
-    for (const row of details || []) {
-      const id = row?.meter_id;
-      if (!id) {
-        if (idx === 0) {
-          console.log("[DEBUG] Row missing meter_id:", row);
-        }
-        continue;
-      }
-      if (!byMeter.has(id)) byMeter.set(id, []);
-      byMeter.get(id).push(row);
-    }
-
-    for (const [id, meterRows] of byMeter.entries()) {
-      const values = meterRows.slice(0, 96).map(valueFromRow);
-      perMeter.set(id, values);
-      if (idx === 0) {
-        console.log(
-          `[DEBUG] Meter ${id}: ${values.length} values, first value: ${values[0]}`
-        );
-      }
-    }
-    reportToMeterValues.set(date, perMeter);
-  });
-
-  // Build a map: calendar-day -> nearest-report-day
-  const allDaysSet = new Set();
-  for (const { Interval } of actualEnergy) {
-    for (const { date } of Interval || []) {
-      allDaysSet.add(date);
-    }
+  // The summary line only comes after every date, so its absence means
+  // the stream was cut short
+  if (!done) {
+    throw new Error(`${resource} stream ended early`);
   }
-  const allDays = Array.from(allDaysSet).sort(
-    (a, b) => new Date(a) - new Date(b)
-  );
-  const dateToReport = new Map();
-  allDays.forEach((day) => {
-    let closest = reportDays[0];
-    let minDiff = Math.abs(new Date(day) - new Date(reportDays[0]));
-    for (let j = 1; j < reportDays.length; j++) {
-      const diff = Math.abs(new Date(day) - new Date(reportDays[j]));
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = reportDays[j];
-      }
-    }
-    dateToReport.set(day, closest);
-  });
-
-  // Build expected output
-  return actualEnergy.map(({ Id, Name, Interval }) => {
-    const out = [];
-    for (const { date, interval } of Interval || []) {
-      const reportForDay = dateToReport.get(date) || reportDays[0];
-      const perMeter = reportToMeterValues.get(reportForDay);
-      const values96 = perMeter?.get(Id) || [];
-      const idx = Number(interval);
-      const value =
-        Number.isFinite(idx) && idx >= 0 && idx < values96.length
-          ? values96[idx] * 0.25 // convert kW (15-min) to kWh
-          : 0;
-      out.push({ date, interval, value });
-    }
-    return { Id, Name, Interval: out };
-  });
 }
 
 /**
@@ -438,6 +275,7 @@ function aggregateDeviceMetrics(devices, dates, units, historyData) {
   return Array.from(deviceAggregates.values()).map((agg) => {
     const days = Math.max(1, agg.daysCounted);
     return {
+      id: agg.id,
       name: agg.name,
       description: agg.description,
       coolingKW: agg.coolingKW,
@@ -452,17 +290,126 @@ function aggregateDeviceMetrics(devices, dates, units, historyData) {
   });
 }
 
+/**
+ * Compile the report with a server-side job, following progress over SSE
+ * @param {string|number} clientId - The client ID
+ * @param {Function} onProgress - Progress callback receiving {stage, progress, message}
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object|null>} The report, or null when the API has no
+ *   report jobs (e.g. the Vercel deployment)
+ */
+export async function fetchCompiledReportJob(clientId, onProgress, signal) {
+  const url = `${API_BASE_URL}/reports/${clientId}/jobs`;
+  console.log(`[API] Starting report job at:`, url);
+
+  const response = await apiFetch(url, { method: "POST", signal });
+
+  if (response.status === 404 || response.status === 405) {
+    return null;
+  }
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(
+      error.error || `HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+
+  const { job } = await response.json();
+  const jobUrl = `${url}/${job.id}`;
+
+  await new Promise((resolve, reject) => {
+    const source = new EventSource(`${jobUrl}/events`);
+    const onAbort = () => {
+      source.close();
+      reject(new DOMException("Request aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    source.addEventListener("progress", (event) => {
+      onProgress?.(JSON.parse(event.data));
+    });
+    source.addEventListener("done", (event) => {
+      source.close();
+      signal?.removeEventListener("abort", onAbort);
+      const job = JSON.parse(event.data);
+      if (job.status === "succeeded") {
+        resolve();
+      } else {
+        reject(new Error(job.error || `Report job ${job.status}`));
+      }
+    });
+    // EventSource reconnects by itself on network errors; CLOSED means the
+    // server refused the stream (e.g. the job expired)
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        signal?.removeEventListener("abort", onAbort);
+        reject(new Error("Lost connection to report job"));
+      }
+    };
+  });
+
+  const resultResponse = await apiFetch(`${jobUrl}/result`, { signal });
+
+  if (!resultResponse.ok) {
+    const error = await resultResponse.json().catch(() => ({}));
+    throw new Error(
+      error.error ||
+        `HTTP ${resultResponse.status}: ${resultResponse.statusText}`
+    );
+  }
+
+  return resultResponse.json();
+}
+
+/**
+ * Limit a compiled report to the devices and meters in a scope
+ * @param {Object} report - Compiled report
+ * @param {{deviceIds: Set<number>, meterIds: Set<number>}} scope
+ * @returns {Object} The scoped report
+ */
+function scopeReport(report, scope) {
+  const inScope = (list) =>
+    (list || []).filter((m) => scope.meterIds.has(m.Id));
+  return {
+    ...report,
+    devices: (report.devices || []).filter((d) => scope.deviceIds.has(d.id)),
+    energy: {
+      expected: inScope(report.energy?.expected),
+      actual: inScope(report.energy?.actual),
+    },
+  };
+}
+
 /**
  * Fetch compiled report data using separate endpoints with progress tracking
  * @param {string|number} clientId - The client ID
  * @param {Function} onProgress - Progress callback receiving {stage, progress, message}
  * @param {AbortSignal} signal - Optional abort signal
+ * @param {Object} [options]
+ * @param {{deviceIds: Set<number>, meterIds: Set<number>}} [options.scope] -
+ *   Only aggregate these devices and meters (see utils/hierarchy scopeFor)
  * @returns {Promise<Object>} The complete report data
  */
-export async function fetchCompiledReportStream(clientId, onProgress, signal) {
+export async function fetchCompiledReportStream(
+  clientId,
+  onProgress,
+  signal,
+  { scope } = {}
+) {
   console.log("[API] Fetching report data for clientId:", clientId);
 
   try {
+    // Prefer compiling on the server; fall back to compiling in the browser
+    // when the API has no report jobs
+    const serverReport = await fetchCompiledReportJob(
+      clientId,
+      onProgress,
+      signal
+    );
+    if (serverReport) {
+      return scope ? scopeReport(serverReport, scope) : serverReport;
+    }
+
     // Stage 1: Fetch metadata in parallel
     onProgress?.({
       stage: "metadata",
@@ -470,11 +417,14 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
       message: "Loading metadata...",
     });
 
-    const [devices, dates, units] = await Promise.all([
+    const [allDevices, dates, units] = await Promise.all([
       fetchDevices(clientId, signal),
       fetchDates(clientId, signal),
       fetchUnits(signal),
     ]);
+    const devices = scope
+      ? allDevices.filter((d) => scope.deviceIds.has(d.Id))
+      : allDevices;
 
     onProgress?.({
       stage: "metadata",
@@ -504,41 +454,36 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
     );
 
     const historyResults = [];
-    let completedCount = 0;
-
-    // Batch requests to avoid browser connection limits (process 20 at a time)
-    const BATCH_SIZE = 20;
-    for (let i = 0; i < sortedDates.length; i += BATCH_SIZE) {
-      const batch = sortedDates.slice(i, i + BATCH_SIZE);
-      const batchPromises = batch.map(async (date) => {
-        try {
-          const schedules = await fetchSchedulesForDate(clientId, date, signal);
-          completedCount++;
-
-          // Update progress after each request completes
-          if (
-            completedCount % 10 === 0 ||
-            completedCount === 1 ||
-            completedCount === sortedDates.length
-          ) {
-            onProgress?.({
-              stage: "history",
-              progress: Math.round((completedCount / sortedDates.length) * 100),
-              message: `Loading schedule ${completedCount}/${sortedDates.length}...`,
-            });
-          }
-
-          return { date, schedules };
-        } catch (error) {
-          completedCount++;
-          console.error(`Error fetching schedule for ${date}:`, error.message);
-          return { date, schedules: [], error: error.message };
+
+    await fetchDateRange(
+      "schedules",
+      clientId,
+      sortedDates,
+      ({ date, schedules, error }) => {
+        if (error) {
+          console.error(`Error fetching schedule for ${date}:`, error);
+        }
+        historyResults.push({ date, schedules: schedules ?? [], error });
+        const completedCount = historyResults.length;
+
+        // Update progress as each date arrives
+        if (
+          completedCount % 10 === 0 ||
+          completedCount === 1 ||
+          completedCount === sortedDates.length
+        ) {
+          onProgress?.({
+            stage: "history",
+            progress: Math.round((completedCount / sortedDates.length) * 100),
+            message: `Loading schedule ${completedCount}/${sortedDates.length}...`,
+          });
         }
-      });
+      },
+      signal
+    );
 
-      const batchResults = await Promise.all(batchPromises);
-      historyResults.push(...batchResults);
-    }
+    // Dates arrive as they resolve; aggregation expects them in order
+    historyResults.sort((a, b) => a.date.localeCompare(b.date));
     const historyData = {
       history: historyResults,
     };
@@ -576,10 +521,13 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
       message: "Loading energy base data...",
     });
 
-    const [meters, intervals] = await Promise.all([
+    const [allMeters, intervals] = await Promise.all([
       fetchMeters(clientId, signal),
       fetchIntervals(clientId, signal),
     ]);
+    const meters = scope
+      ? allMeters.filter((m) => scope.meterIds.has(m.Id))
+      : allMeters;
 
     onProgress?.({
       stage: "energy",
@@ -587,58 +535,58 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
       message: "Computing actual energy...",
     });
 
-    const actualEnergy = computeActualEnergy(meters, intervals);
+    const logSchemaWarning = (warning) =>
+      console.warn("[API] Schema warning:", warning);
+    const actualEnergy = computeActualEnergy(meters, intervals, {
+      onWarning: logSchemaWarning,
+    });
+
+    // A scope without meters (e.g. a device with no meter above it) has no
+    // expected energy to compute, so skip the per-date detail requests
+    const detailDates = meters.length > 0 ? sortedDates : [];
 
     onProgress?.({
       stage: "energy",
       progress: 50,
-      message: `Fetching schedule details for ${sortedDates.length} dates...`,
+      message: `Fetching schedule details for ${detailDates.length} dates...`,
     });
 
-    // Fetch schedule details for each date (batched)
-    let detailsCompletedCount = 0;
+    // Fetch schedule details for every date in one streamed request
     const scheduleDetailsByDate = [];
 
-    for (let i = 0; i < sortedDates.length; i += BATCH_SIZE) {
-      const batch = sortedDates.slice(i, i + BATCH_SIZE);
-      const batchPromises = batch.map(async (date) => {
-        try {
-          const details = await fetchScheduleDetailsForDate(
-            clientId,
-            date,
-            signal
-          );
-          detailsCompletedCount++;
-
-          // Update progress after each request completes
-          if (
-            detailsCompletedCount % 10 === 0 ||
-            detailsCompletedCount === 1 ||
-            detailsCompletedCount === sortedDates.length
-          ) {
-            onProgress?.({
-              stage: "energy",
-              progress:
-                50 +
-                Math.round((detailsCompletedCount / sortedDates.length) * 33),
-              message: `Fetching schedule details ${detailsCompletedCount}/${sortedDates.length}...`,
-            });
-          }
-
-          return { date, details };
-        } catch (error) {
-          detailsCompletedCount++;
-          console.error(
-            `Error fetching schedule details for ${date}:`,
-            error.message
-          );
-          return { date, details: [], error: error.message };
+    await fetchDateRange(
+      "schedule-details",
+      clientId,
+      detailDates,
+      ({ date, scheduleDetails, error }) => {
+        if (error) {
+          console.error(`Error fetching schedule details for ${date}:`, error);
         }
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-      scheduleDetailsByDate.push(...batchResults);
-    }
+        scheduleDetailsByDate.push({
+          date,
+          details: scheduleDetails ?? [],
+          error,
+        });
+        const detailsCompletedCount = scheduleDetailsByDate.length;
+
+        // Update progress as each date arrives
+        if (
+          detailsCompletedCount % 10 === 0 ||
+          detailsCompletedCount === 1 ||
+          detailsCompletedCount === detailDates.length
+        ) {
+          onProgress?.({
+            stage: "energy",
+            progress:
+              50 +
+              Math.round((detailsCompletedCount / detailDates.length) * 33),
+            message: `Fetching schedule details ${detailsCompletedCount}/${detailDates.length}...`,
+          });
+        }
+      },
+      signal
+    );
+    scheduleDetailsByDate.sort((a, b) => a.date.localeCompare(b.date));
 
     // Debug logging for schedule details
     console.log(
@@ -663,10 +611,10 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
     });
 
     const expectedEnergy = computeExpectedEnergy(
-      meters,
       actualEnergy,
-      dates,
-      scheduleDetailsByDate
+      toReportDays(dates),
+      scheduleDetailsByDate,
+      { onWarning: logSchemaWarning }
     );
 
     // Debug logging for expected energy
@@ -696,6 +644,9 @@ export async function fetchCompiledReportStream(clientId, onProgress, signal) {
         firstReportDate: dates[0]?.report_date,
         mostRecentDate: dates[dates.length - 1]?.report_date,
         generatedAt: new Date().toISOString(),
+        failedDetailDates: scheduleDetailsByDate
+          .filter(({ error }) => error)
+          .map(({ date }) => date),
       },
       devices: deviceMetrics,
       energy: { expected: expectedEnergy, actual: actualEnergy },
@@ -722,6 +673,29 @@ export async function fetchCompiledReport(clientId) {
   return fetchCompiledReportStream(clientId, null, null);
 }
 
+/**
+ * Fetch the campus hierarchy tree for a client
+ * @param {string|number} clientId - The client ID
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Array>} Root nodes ({ id, category, type, name, counts, children })
+ */
+export async function fetchHierarchy(clientId, signal) {
+  const url = `${API_BASE_URL}/hierarchy/${clientId}`;
+  console.log(`[API] Fetching hierarchy from:`, url);
+
+  const response = await apiFetch(url, { signal });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(
+      error.error || `HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+
+  const data = await response.json();
+  return data.tree || [];
+}
+
 /**
  * Fetch buildings to get Pelican sites
  * @param {string|number} clientId - The client ID
@@ -732,7 +706,7 @@ async function fetchBuildings(clientId, signal) {
   const url = `${API_BASE_URL}/buildings/${clientId}`;
   console.log(`[API] Fetching buildings from:`, url);
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
@@ -758,7 +732,7 @@ async function fetchPelicanHistoryForSite(clientId, siteSlug, date, signal) {
     siteSlug
   )}&date=${date}`;
 
-  const response = await fetch(url, { signal });
+  const response = await apiFetch(url, { signal });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
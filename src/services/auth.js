@@ -0,0 +1,91 @@
+/**
+ * Session service: login, logout and the current user, against /api/auth
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "/api";
+
+// Fired on window when an API call is rejected for lack of a session
+export const UNAUTHORIZED_EVENT = "auth:unauthorized";
+
+/**
+ * fetch() for API calls: sends the session cookie and announces expired
+ * sessions so the app can return to the login page
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(url, options = {}) {
+  const response = await fetch(url, { credentials: "same-origin", ...options });
+  if (response.status === 401) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+  return response;
+}
+
+async function _json(response) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      data.error || `HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+  return data;
+}
+
+/**
+ * The current session
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<{authenticated: boolean, mode: "local"|"oidc"|"none", user?: Object}>}
+ */
+export async function fetchSession(signal) {
+  const response = await fetch(`${API_BASE_URL}/auth/session`, {
+    credentials: "same-origin",
+    signal,
+  });
+  // APIs without login (e.g. the Vercel deployment) have no auth endpoints
+  if (response.status === 404) {
+    return { authenticated: true, mode: "none" };
+  }
+  return _json(response);
+}
+
+/**
+ * Log in with a username and password (AUTH_MODE=local)
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} The session's user
+ */
+export async function login(username, password) {
+  const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    method: "POST",
+    credentials: "same-origin",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await _json(response);
+  return data.user;
+}
+
+/**
+ * End the session
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+  await _json(
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: "POST",
+      credentials: "same-origin",
+    })
+  );
+}
+
+/**
+ * Where to send the browser for single sign-on (AUTH_MODE=oidc)
+ * @param {string} returnTo - App path to come back to
+ * @returns {string}
+ */
+export function oidcLoginUrl(returnTo = "/") {
+  return `${API_BASE_URL}/auth/oidc/login?returnTo=${encodeURIComponent(
+    returnTo
+  )}`;
+}
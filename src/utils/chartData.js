@@ -85,6 +85,11 @@ export function uniqueSortedDatesFromMaps(...maps) {
   return Array.from(s).sort((a, b) => new Date(a) - new Date(b));
 }
 
+export function dailyTotalSeries(list) {
+  const { totals } = dailyAggregates(list);
+  return uniqueSortedDatesFromMaps(totals).map((date) => totals.get(date));
+}
+
 export function seriesForDate(intervalMap, date, intervalKeys) {
   const map = intervalMap.get(date) || new Map();
   return intervalKeys.map((key) => map.get(key) || 0);
@@ -0,0 +1,79 @@
+/**
+ * Helpers for the nested hierarchy returned by /api/hierarchy/:clientId
+ * Nodes look like { id, category, type, name, counts, children }, where type
+ * is "building", "meter", "group", "device" or "room".
+ */
+
+/**
+ * Path from a root down to the first node of a type with the given id
+ * @param {Array} roots - Root nodes
+ * @param {string} type - Node type (e.g. "building")
+ * @param {string|number} id - Element id
+ * @returns {Array} Nodes from root to target, or [] when not found
+ */
+export function findNodePath(roots, type, id) {
+  const target = Number(id);
+  const stack = (roots || []).map((node) => [node, [node]]);
+  while (stack.length > 0) {
+    const [node, path] = stack.pop();
+    if (node.type === type && node.id === target) return path;
+    for (const child of node.children || []) {
+      stack.push([child, [...path, child]]);
+    }
+  }
+  return [];
+}
+
+/**
+ * Every node of a type in a subtree, including the node itself
+ * @param {Object} node - Subtree root
+ * @param {string} type - Node type (e.g. "meter")
+ * @returns {Array} Matching nodes in depth-first order
+ */
+export function collectNodes(node, type) {
+  const out = [];
+  const visit = (n) => {
+    if (n.type === type) out.push(n);
+    (n.children || []).forEach(visit);
+  };
+  if (node) visit(node);
+  return out;
+}
+
+/**
+ * Devices and meters a drill-down page covers. Devices are the ones in the
+ * subtree; meters are the ones in the subtree plus any above the target, so
+ * a device page still shows the meter it sits under. A device with no meter
+ * above it (e.g. one filed under a room) falls back to its building's meters.
+ * @param {Array} path - Output of findNodePath
+ * @returns {{deviceIds: Set<number>, meterIds: Set<number>}|null}
+ */
+export function scopeFor(path) {
+  const node = path[path.length - 1];
+  if (!node) return null;
+  const meterIds = new Set(collectNodes(node, "meter").map((n) => n.id));
+  for (const ancestor of path.slice(0, -1)) {
+    if (ancestor.type === "meter") meterIds.add(ancestor.id);
+  }
+  if (meterIds.size === 0) {
+    const building = path.findLast((n) => n.type === "building");
+    for (const meter of collectNodes(building, "meter")) {
+      meterIds.add(meter.id);
+    }
+  }
+  return {
+    deviceIds: new Set(collectNodes(node, "device").map((n) => n.id)),
+    meterIds,
+  };
+}
+
+/**
+ * Dashboard route for a node, or null for types without a drill-down page
+ * @param {string|number} clientId - The client ID
+ * @param {Object} node - Hierarchy node
+ * @returns {string|null}
+ */
+export function drillDownPath(clientId, node) {
+  if (!["building", "meter", "device"].includes(node?.type)) return null;
+  return `/client/${clientId}/${node.type}/${node.id}`;
+}
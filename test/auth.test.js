@@ -0,0 +1,191 @@
+// Tests for server/auth.js: session tokens, OIDC user mapping, client access
+// and the login's returnTo check
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import path from "node:path";
+import { afterEach, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const SECRET = "test-auth-secret";
+process.env.AUTH_SECRET = SECRET;
+process.env.AUTH_MODE = "local";
+process.env.AUTH_USERS_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../mock/fixtures/auth/users.json"
+);
+
+const {
+  authConfigProblems,
+  canAccessClient,
+  findMappedUser,
+  safeReturnTo,
+  sessionUser,
+  signToken,
+  verifyToken,
+} = await import("../server/auth.js");
+
+const ENV = { ...process.env };
+
+afterEach(() => {
+  for (const name of [
+    "AUTH_MODE",
+    "AUTH_SECRET",
+    "AUTH_USERS_FILE",
+    "NODE_ENV",
+  ]) {
+    if (ENV[name] === undefined) delete process.env[name];
+    else process.env[name] = ENV[name];
+  }
+});
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// A token signed with the server's key, with exactly these claims
+function rawToken(claims) {
+  const header = encode({ alg: "HS256", typ: "JWT" });
+  const payload = encode(claims);
+  const signature = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${header}.${payload}`)
+    .digest("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+const bearer = (token) => ({
+  headers: { authorization: `Bearer ${token}` },
+});
+
+test("verifyToken accepts a token it signed", () => {
+  const claims = verifyToken(signToken({ use: "session", sub: "demo" }, 60));
+  assert.equal(claims.sub, "demo");
+  assert.equal(claims.iss, "campus-optimizer");
+});
+
+test("verifyToken rejects a tampered token", () => {
+  const [header, , signature] = signToken(
+    { use: "session", sub: "demo", clients: ["1420"] },
+    60
+  ).split(".");
+  const payload = encode({
+    use: "session",
+    sub: "demo",
+    clients: "*",
+    iss: "campus-optimizer",
+    exp: Math.floor(Date.now() / 1000) + 60,
+  });
+  assert.equal(verifyToken(`${header}.${payload}.${signature}`), null);
+  assert.equal(verifyToken("not-a-token"), null);
+  assert.equal(verifyToken(undefined), null);
+});
+
+test("verifyToken rejects an expired token", () => {
+  assert.equal(
+    verifyToken(signToken({ use: "session", sub: "demo" }, -1)),
+    null
+  );
+});
+
+test("verifyToken rejects a token from another issuer", () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  assert.equal(
+    verifyToken(rawToken({ use: "session", sub: "demo", iss: "other", exp })),
+    null
+  );
+  assert.equal(
+    verifyToken(rawToken({ use: "session", sub: "demo", exp })),
+    null
+  );
+});
+
+test("sessionUser only accepts session tokens", () => {
+  const session = signToken({ use: "session", sub: "demo", clients: [1420] });
+  assert.deepEqual(sessionUser(bearer(session)), {
+    sub: "demo",
+    name: undefined,
+    clients: ["1420"],
+  });
+
+  // The OIDC state cookie is signed with the same key
+  const state = signToken({ use: "oidc-state", sub: "demo", clients: "*" });
+  assert.equal(sessionUser(bearer(state)), null);
+  assert.equal(sessionUser(bearer(signToken({ sub: "demo" }))), null);
+  assert.equal(sessionUser({ headers: {} }), null);
+});
+
+test("findMappedUser matches a verified email or the subject only", () => {
+  const email = "admin@example.com";
+  assert.equal(
+    findMappedUser({ sub: "x", email, email_verified: true })?.username,
+    "admin"
+  );
+  assert.equal(findMappedUser({ sub: "x", email }), undefined);
+  assert.equal(
+    findMappedUser({ sub: "x", email, email_verified: false }),
+    undefined
+  );
+  assert.equal(
+    findMappedUser({ sub: "x", email, email_verified: "true" }),
+    undefined
+  );
+  assert.equal(
+    findMappedUser({ sub: "x", preferred_username: "admin" }),
+    undefined
+  );
+});
+
+test("canAccessClient allows only the user's clients", () => {
+  assert.equal(canAccessClient({ clients: ["1420"] }, 1420), true);
+  assert.equal(canAccessClient({ clients: ["1420"] }, "1421"), false);
+  assert.equal(canAccessClient({ clients: "*" }, 9999), true);
+  assert.equal(canAccessClient({ clients: [] }, 1420), false);
+  assert.equal(canAccessClient(null, 1420), false);
+});
+
+test("safeReturnTo keeps same-origin paths", () => {
+  assert.equal(safeReturnTo("/dashboard?x=1#h"), "/dashboard?x=1#h");
+  assert.equal(safeReturnTo("/a/../b"), "/b");
+});
+
+test("safeReturnTo falls back to / for anything leaving the origin", () => {
+  for (const value of [
+    "//evil.com",
+    "/\\evil.com",
+    "\\\\evil.com",
+    "/\t/evil.com",
+    "https://evil.com/",
+    "javascript:alert(1)",
+    "evil.com",
+    "",
+    undefined,
+  ]) {
+    assert.equal(safeReturnTo(value), "/", JSON.stringify(value));
+  }
+});
+
+test("authConfigProblems accepts the test configuration", () => {
+  assert.deepEqual(authConfigProblems(), []);
+});
+
+test("authConfigProblems reports a missing secret and an empty users file", () => {
+  delete process.env.AUTH_SECRET;
+  process.env.NODE_ENV = "production";
+  process.env.AUTH_USERS_FILE = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "missing-users.json"
+  );
+  const problems = authConfigProblems();
+  assert.equal(problems.length, 2);
+  assert.equal(problems[0], "AUTH_SECRET is required in production");
+  assert.match(problems[1], /^No users in .*missing-users\.json/);
+
+  // Neither matters when there is no login
+  process.env.AUTH_MODE = "none";
+  assert.deepEqual(authConfigProblems(), []);
+
+  process.env.AUTH_MODE = "ldap";
+  assert.deepEqual(authConfigProblems(), [
+    'Unknown AUTH_MODE "ldap" (expected local, oidc, none)',
+  ]);
+});
@@ -0,0 +1,89 @@
+// Tests for the single-flight behaviour of lib/services/cache.js and for
+// sharing the filesystem driver between processes
+
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { setImmediate } from "node:timers/promises";
+import { test } from "node:test";
+import { CacheService } from "../lib/services/cache.js";
+import { FileCacheDriver } from "../lib/services/cache/filesystem.js";
+import { MemoryCacheDriver } from "../lib/services/cache/memory.js";
+
+// A fetch that settles when the test says so, whatever its signal does
+function gatedFetch() {
+  const calls = [];
+  const fetchFn = () =>
+    new Promise((resolve, reject) => {
+      calls.push({ resolve, reject });
+    });
+  return { fetchFn, calls };
+}
+
+test("concurrent misses share one fetch", async () => {
+  const cache = new CacheService(new MemoryCacheDriver());
+  const { fetchFn, calls } = gatedFetch();
+
+  const first = cache.lookup("units:all", fetchFn);
+  const second = cache.lookup("units:all", fetchFn);
+  await setImmediate();
+  assert.equal(calls.length, 1);
+
+  calls[0].resolve(["kWh"]);
+  assert.deepEqual(await first, { value: ["kWh"], status: "miss" });
+  assert.deepEqual(await second, { value: ["kWh"], status: "miss" });
+});
+
+test("callers after an abort and refetch still share one fetch", async () => {
+  const cache = new CacheService(new MemoryCacheDriver());
+  const { fetchFn, calls } = gatedFetch();
+
+  // The only caller leaves, which aborts the first fetch
+  const controller = new AbortController();
+  const abandoned = cache.lookup("units:all", fetchFn, {
+    signal: controller.signal,
+  });
+  await setImmediate();
+  controller.abort();
+  await assert.rejects(abandoned);
+
+  // A new caller starts a second fetch while the first is winding down
+  const refetch = cache.lookup("units:all", fetchFn);
+  await setImmediate();
+  assert.equal(calls.length, 2);
+
+  // The first fetch settling must not drop the second from the in-flight map
+  calls[0].reject(new Error("aborted"));
+  await setImmediate();
+
+  const joined = cache.lookup("units:all", fetchFn);
+  await setImmediate();
+  assert.equal(calls.length, 2);
+
+  calls[1].resolve(["kWh"]);
+  assert.deepEqual(await refetch, { value: ["kWh"], status: "miss" });
+  assert.deepEqual(await joined, { value: ["kWh"], status: "miss" });
+  assert.equal(cache._inflight.size, 0);
+});
+
+test("a filesystem driver sees entries another one wrote after it started", async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), "file-cache-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  // The server's driver builds its index before the CLI warms anything
+  const server = new FileCacheDriver({ dir });
+  const cli = new FileCacheDriver({ dir });
+
+  cli.set("units:all", ["kWh"], Date.now() + 60_000);
+  assert.deepEqual(server.get("units:all"), ["kWh"]);
+  assert.equal(server.stats().valid, 1);
+
+  // A rewrite's expiry wins over the one in the server's index
+  cli.set("units:all", ["kWh"], Date.now() - 1);
+  assert.equal(server.get("units:all"), null);
+
+  cli.set("units:all", ["therm"], Date.now() + 60_000);
+  cli.del("units:all");
+  assert.equal(server.get("units:all"), null);
+});
@@ -0,0 +1,147 @@
+// Tests for the retries in lib/co-client.js: retryable statuses, Retry-After,
+// network errors and bodies that stall past the timeout, against a stubbed
+// fetch
+
+import assert from "node:assert/strict";
+import { afterEach, before, test } from "node:test";
+import { CampusOptimizerClient } from "../lib/co-client.js";
+import { TokenBucketLimiter } from "../lib/rate-limiter.js";
+
+const realFetch = globalThis.fetch;
+
+before(() => {
+  // Every retry logs a warning
+  process.env.LOG_LEVEL = "silent";
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Answers each call with the next of `replies` (a Response, an Error to
+// throw, or a function of the request's signal); records the calls
+function stubFetch(...replies) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(url);
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    return typeof reply === "function" ? reply(init.signal) : reply;
+  };
+  return calls;
+}
+
+function client(options = {}) {
+  return new CampusOptimizerClient({
+    baseUrl: "http://co.test/api",
+    authKey: "test-key",
+    recorder: null,
+    limiter: new TokenBucketLimiter({ rate: 1000 }),
+    retry: { baseDelayMs: 1, maxDelayMs: 5, jitter: false },
+    ...options,
+  });
+}
+
+const json = (body, init) =>
+  new Response(JSON.stringify(body), {
+    ...init,
+    headers: { "Content-Type": "application/json", ...init?.headers },
+  });
+
+test("a 429 is retried no earlier than its Retry-After", async () => {
+  const calls = stubFetch(
+    json(
+      { error: "slow down" },
+      { status: 429, headers: { "Retry-After": "1" } }
+    ),
+    json([{ Id: 1 }])
+  );
+
+  const startedAt = Date.now();
+  const response = await client().coFetch("/buildings?client=1420");
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), [{ Id: 1 }]);
+  assert.equal(calls.length, 2);
+  // Longer than maxDelayMs: the server's wait wins over the backoff
+  assert.ok(Date.now() - startedAt >= 950, `${Date.now() - startedAt}`);
+});
+
+test("a Retry-After beyond maxRetryAfterMs returns the 429 without retrying", async () => {
+  const calls = stubFetch(
+    json(
+      { error: "slow down" },
+      { status: 429, headers: { "Retry-After": "120" } }
+    ),
+    json([{ Id: 1 }])
+  );
+
+  const result = await client()._requestWithRetry(
+    "http://co.test/api/buildings?client=1420",
+    {}
+  );
+  assert.equal(result.response.status, 429);
+  assert.equal(result.attempts, 1);
+  assert.equal(calls.length, 1);
+});
+
+test("a retryable 5xx is retried, a 404 isn't", async () => {
+  const calls = stubFetch(
+    new Response("unavailable", { status: 503 }),
+    new Response("bad gateway", { status: 502 }),
+    json([{ Id: 1 }])
+  );
+  const result = await client()._requestWithRetry(
+    "http://co.test/api/buildings?client=1420",
+    {}
+  );
+  assert.equal(result.response.status, 200);
+  assert.equal(result.attempts, 3);
+  assert.equal(calls.length, 3);
+
+  const notFound = stubFetch(new Response("not found", { status: 404 }));
+  const response = await client().coFetch("/buildings?client=1420");
+  assert.equal(response.status, 404);
+  assert.equal(notFound.length, 1);
+});
+
+test("network errors are retried, then thrown with the attempts made", async () => {
+  const calls = stubFetch(new TypeError("fetch failed"));
+  await assert.rejects(
+    client({ retry: { retries: 2, baseDelayMs: 1, jitter: false } }).coFetch(
+      "/buildings?client=1420"
+    ),
+    { message: "fetch failed", attempts: 3 }
+  );
+  assert.equal(calls.length, 3);
+});
+
+test("a body that stalls mid-stream times out and is retried", async () => {
+  // Headers arrive, then the body never finishes until the request aborts
+  const stalled = (signal) =>
+    new Response(
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode("[{"));
+          signal.addEventListener("abort", () =>
+            controller.error(signal.reason)
+          );
+        },
+      }),
+      { status: 200 }
+    );
+
+  const calls = stubFetch(stalled, json([{ Id: 1 }]));
+  const response = await client({ timeoutMs: 50 }).coFetch(
+    "/buildings?client=1420"
+  );
+  assert.deepEqual(await response.json(), [{ Id: 1 }]);
+  assert.equal(calls.length, 2);
+
+  stubFetch(stalled);
+  await assert.rejects(
+    client({ timeoutMs: 50, retry: { retries: 0 } }).coFetch(
+      "/buildings?client=1420"
+    ),
+    { message: "Request timeout after 0.05s", attempts: 1 }
+  );
+});
@@ -0,0 +1,109 @@
+// Tests for lib/services/credential-vault.js: site ownership and reloads
+
+import assert from "node:assert/strict";
+import { copyFile, mkdtemp, rm, utimes } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { CacheService } from "../lib/services/cache.js";
+import { MemoryCacheDriver } from "../lib/services/cache/memory.js";
+import {
+  CredentialVault,
+  resolveSiteCredentials,
+} from "../lib/services/credential-vault.js";
+
+let dir;
+let vault;
+
+// Client 1420 owns sample-isd; other-isd belongs to someone else
+const fetchBuildings = async () => [
+  {
+    Id: 1,
+    PelicanSubdomain: "sample-isd",
+    PelicanUsername: "building-user",
+    PelicanPassword: "building-pass",
+  },
+];
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "credential-vault-"));
+  vault = new CredentialVault({
+    secret: "test-secret",
+    file: path.join(dir, "credentials.vault.json"),
+  });
+  await vault.set("sample-isd", { username: "vault-user", password: "a" });
+  await vault.set("other-isd", { username: "other-user", password: "b" });
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("resolves a site on the client's buildings from the vault", async () => {
+  const credentials = await resolveSiteCredentials(1420, "Sample-ISD", {
+    vault,
+    fetchBuildings,
+  });
+  assert.deepEqual(credentials, { username: "vault-user", password: "a" });
+});
+
+test("rejects a site from another client even when the vault has it", async () => {
+  await assert.rejects(
+    resolveSiteCredentials(1420, "other-isd", { vault, fetchBuildings }),
+    { code: "UNKNOWN_SITE" }
+  );
+});
+
+test("checks ownership against the cached buildings without calling CO", async () => {
+  const cache = new CacheService(new MemoryCacheDriver());
+  await cache.set("buildings:1420", [
+    { Id: 1, PelicanSubdomain: "sample-isd" },
+  ]);
+
+  // No fetchBuildings and no CO to reach: only the cache can answer
+  const credentials = await resolveSiteCredentials(1420, "sample-isd", {
+    vault,
+    cache,
+  });
+  assert.deepEqual(credentials, { username: "vault-user", password: "a" });
+  await assert.rejects(
+    resolveSiteCredentials(1420, "other-isd", { vault, cache }),
+    { code: "UNKNOWN_SITE" }
+  );
+});
+
+test("falls back to the building records for sites missing from the vault", async () => {
+  const empty = new CredentialVault({
+    secret: "test-secret",
+    file: path.join(dir, "empty.vault.json"),
+  });
+  const credentials = await resolveSiteCredentials(1420, "sample-isd", {
+    vault: empty,
+    fetchBuildings,
+  });
+  assert.deepEqual(credentials, {
+    username: "building-user",
+    password: "building-pass",
+  });
+});
+
+test("keeps failing after the vault file is replaced with one it can't decrypt", async () => {
+  const file = path.join(dir, "replaced.vault.json");
+  const replaced = new CredentialVault({ secret: "test-secret", file });
+  await replaced.set("sample-isd", { username: "old", password: "old" });
+  assert.equal((await replaced.get("sample-isd")).password, "old");
+
+  // Same file, written under another key (e.g. a rotated PELICAN_VAULT_KEY)
+  const foreignFile = path.join(dir, "foreign.vault.json");
+  const foreign = new CredentialVault({
+    secret: "other-secret",
+    file: foreignFile,
+  });
+  await foreign.set("sample-isd", { username: "new", password: "new" });
+  await copyFile(foreignFile, file);
+  const later = new Date(Date.now() + 60_000);
+  await utimes(file, later, later);
+
+  await assert.rejects(replaced.get("sample-isd"), /Can't decrypt/);
+  await assert.rejects(replaced.get("sample-isd"), /Can't decrypt/);
+});
@@ -0,0 +1,221 @@
+// Golden-file tests for lib/energy.js
+// Each case builds raw CO payloads, runs them through computeActualEnergy and
+// computeExpectedEnergy the way lib/co-client.js and the dashboard do, and
+// compares the result with test/golden/energy/<case>.json. After an intended
+// change, regenerate with UPDATE_GOLDEN=1 pnpm test and review the diff.
+
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  INTERVALS_PER_DAY,
+  computeActualEnergy,
+  computeExpectedEnergy,
+  mapDaysToReports,
+  toReportDays,
+} from "../lib/energy.js";
+
+const GOLDEN_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "golden/energy"
+);
+
+// /trends/interval series: nests 0-indexed month and day keys
+function trends(meterName, days) {
+  const data = {};
+  for (const [date, intervals] of Object.entries(days)) {
+    const [year, month, day] = date.split("-").map(Number);
+    data[year] ??= {};
+    data[year][month - 1] ??= {};
+    data[year][month - 1][day - 1] = intervals;
+  }
+  return { meterName, data };
+}
+
+// Intervals first..last of one day, all with the same reading
+function intervalRange(first, last, value = 1) {
+  const intervals = {};
+  for (let i = first; i <= last; i += 1) intervals[i] = value;
+  return intervals;
+}
+
+// /schedule-details rows for one meter, demand in kW per row
+function detailRows(meterId, demands) {
+  return demands.map((demand) => ({
+    meter_id: meterId,
+    ...(demand !== null && { total_demand_LR: demand }),
+  }));
+}
+
+// Demand i for interval i, so a point's value shows which slot it came from
+function slotDemands(count = INTERVALS_PER_DAY, offset = 0) {
+  return Array.from({ length: count }, (_, i) => offset + i);
+}
+
+function compute({ meters, intervals, dates, details }) {
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning);
+  const actual = computeActualEnergy(meters, intervals, { onWarning });
+  const expected = computeExpectedEnergy(
+    actual,
+    toReportDays(dates, { onWarning }),
+    details,
+    { onWarning }
+  );
+  return {
+    actual,
+    expected,
+    warnings: warnings.map(({ resource, code, field }) => ({
+      resource,
+      code,
+      field,
+    })),
+  };
+}
+
+// One point per line keeps the golden files reviewable
+function formatGolden(value) {
+  return `${JSON.stringify(value, null, 2).replace(
+    /\{\n\s+([^{}[\]]*?)\n\s+\}/g,
+    (_, body) => `{ ${body.replace(/,\n\s+/g, ", ")} }`
+  )}\n`;
+}
+
+function assertGolden(name, value) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(file, formatGolden(value));
+  }
+  assert.deepEqual(value, JSON.parse(readFileSync(file, "utf8")));
+}
+
+const CASES = {
+  // A meter without trends gets no points; one missing from the report's
+  // details gets zeros; rows without demand keep their slot
+  "missing-meters": {
+    meters: [
+      { Id: 1, Name: "Main" },
+      { Id: 2, Name: "Gym" },
+      { Id: 3, Name: "No Trends" },
+    ],
+    intervals: [
+      trends("Main", { "2025-01-06": intervalRange(0, 3) }),
+      trends("Gym", { "2025-01-06": intervalRange(0, 3) }),
+    ],
+    dates: [{ report_date: "2025-01-06" }],
+    details: [
+      {
+        date: "2025-01-06",
+        details: detailRows(1, [4, null, 8, 12, ...slotDemands(92)]),
+      },
+    ],
+  },
+
+  // Actuals for part of a day, and a report with fewer than 96 rows
+  "partial-days": {
+    meters: [
+      { Id: 1, Name: "Main" },
+      { Id: 2, Name: "Gym" },
+    ],
+    intervals: [
+      trends("Main", { "2025-01-06": intervalRange(40, 43) }),
+      trends("Gym", { "2025-01-06": intervalRange(0, 3) }),
+    ],
+    dates: [{ report_date: "2025-01-06" }],
+    details: [
+      {
+        date: "2025-01-06",
+        details: [
+          ...detailRows(1, slotDemands()),
+          ...detailRows(2, slotDemands(2, 100)),
+        ],
+      },
+    ],
+  },
+
+  // The long day when DST ends has 100 intervals and the short day 92; the
+  // report only has 96 values, and rows past them are ignored
+  "dst-days": {
+    meters: [{ Id: 1, Name: "Main" }],
+    intervals: [
+      trends("Main", {
+        "2025-03-09": intervalRange(88, 91),
+        "2025-11-02": intervalRange(94, 99),
+      }),
+    ],
+    dates: [
+      { report_date: "2025-03-09T00:00:00" },
+      { report_date: "2025-11-02T00:00:00" },
+    ],
+    details: [
+      { date: "2025-03-09T00:00:00", details: detailRows(1, slotDemands()) },
+      {
+        date: "2025-11-02T00:00:00",
+        details: detailRows(1, slotDemands(100, 1000)),
+      },
+    ],
+  },
+
+  // Days before the first report use the first report
+  "reports-after-first-interval": {
+    meters: [{ Id: 1, Name: "Main" }],
+    intervals: [
+      trends("Main", {
+        "2025-01-04": intervalRange(0, 1),
+        "2025-01-05": intervalRange(0, 1),
+        "2025-01-06": intervalRange(0, 1),
+      }),
+    ],
+    dates: [{ report_date: "2025-01-06" }],
+    details: [{ date: "2025-01-06", details: detailRows(1, slotDemands()) }],
+  },
+
+  // Each day uses the latest report on or before it, even when a later
+  // report is nearer (the dashboard used the nearest report until the
+  // computations moved to lib/energy.js)
+  "latest-report-not-nearest": {
+    meters: [{ Id: 1, Name: "Main" }],
+    intervals: [
+      trends("Main", {
+        "2025-01-01": intervalRange(0, 0),
+        "2025-01-09": intervalRange(0, 0),
+        "2025-01-10": intervalRange(0, 0),
+        "2025-01-12": intervalRange(0, 0),
+      }),
+    ],
+    dates: [{ report_date: "2025-01-10" }, { report_date: "2025-01-01" }],
+    details: [
+      { date: "2025-01-01", details: detailRows(1, slotDemands(96, 10)) },
+      { date: "2025-01-10", details: detailRows(1, slotDemands(96, 20)) },
+    ],
+  },
+
+  // No report dates at all: every expected value is 0
+  "no-reports": {
+    meters: [{ Id: 1, Name: "Main" }],
+    intervals: [trends("Main", { "2025-01-06": intervalRange(0, 2) })],
+    dates: [],
+    details: [],
+  },
+};
+
+for (const [name, input] of Object.entries(CASES)) {
+  test(`energy: ${name}`, () => {
+    assertGolden(name, compute(input));
+  });
+}
+
+test("mapDaysToReports picks the latest report on or before each day", () => {
+  const mapping = mapDaysToReports(
+    ["2025-01-12", "2025-01-01", "2025-01-09", "2024-12-31"],
+    ["2025-01-01", "2025-01-10"]
+  );
+  assert.deepEqual(Object.fromEntries(mapping), {
+    "2024-12-31": "2025-01-01",
+    "2025-01-01": "2025-01-01",
+    "2025-01-09": "2025-01-01",
+    "2025-01-12": "2025-01-10",
+  });
+});
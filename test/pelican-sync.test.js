@@ -0,0 +1,164 @@
+// Tests for the resumable Pelican sync bookkeeping: chunk records
+// (pelican/metadata.js), and the coverage, gaps and run plans built from
+// them (pelican/sync.js)
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { recordSyncChunk } from "../pelican/metadata.js";
+import { findSyncGaps, planSyncRange, syncCoverage } from "../pelican/sync.js";
+
+function chunk(startDate, endDate, status = "complete") {
+  return {
+    startDate,
+    endDate,
+    status,
+    entries: status === "failed" ? 0 : 10,
+    fetchedAt: "2025-02-01T00:00:00.000Z",
+    ...(status === "failed" && { error: "Pelican request failed (503)" }),
+  };
+}
+
+function stateWith(...chunks) {
+  const state = { chunks: [], lastRun: null };
+  for (const record of chunks) recordSyncChunk(state, record);
+  return state;
+}
+
+const ranges = (chunks) =>
+  chunks.map(({ startDate, endDate, status }) => [startDate, endDate, status]);
+
+test("a first run without dates backfills DEFAULT_HISTORY_YEARS", () => {
+  assert.deepEqual(planSyncRange(stateWith(), { today: "2025-03-10" }), {
+    mode: "backfill",
+    startDate: "2023-03-10",
+    endDate: "2025-03-10",
+  });
+});
+
+test("later runs continue from the day after the covered days", () => {
+  const state = stateWith(
+    chunk("2025-01-01", "2025-01-30"),
+    chunk("2025-01-31", "2025-03-01")
+  );
+  assert.deepEqual(planSyncRange(state, { today: "2025-03-10" }), {
+    mode: "incremental",
+    startDate: "2025-03-02",
+    endDate: "2025-03-10",
+  });
+});
+
+test("an explicit start date plans that range, up to today by default", () => {
+  const state = stateWith(chunk("2025-01-01", "2025-01-30"));
+  assert.deepEqual(
+    planSyncRange(state, { startDate: "2024-12-01", today: "2025-03-10" }),
+    { mode: "range", startDate: "2024-12-01", endDate: "2025-03-10" }
+  );
+  assert.deepEqual(
+    planSyncRange(state, {
+      startDate: "2024-12-01",
+      endDate: "2024-12-31",
+      today: "2025-03-10",
+    }),
+    { mode: "range", startDate: "2024-12-01", endDate: "2024-12-31" }
+  );
+});
+
+test("a run resumes at the chunk that failed", () => {
+  // The backfill stopped at its third chunk
+  const state = stateWith(
+    chunk("2025-01-01", "2025-01-30"),
+    chunk("2025-01-31", "2025-03-01"),
+    chunk("2025-03-02", "2025-03-31", "failed")
+  );
+  assert.deepEqual(syncCoverage(state), [
+    { startDate: "2025-01-01", endDate: "2025-03-01" },
+  ]);
+  assert.deepEqual(planSyncRange(state, { today: "2025-04-20" }), {
+    mode: "incremental",
+    startDate: "2025-03-02",
+    endDate: "2025-04-20",
+  });
+
+  // Fetching it again replaces the failed record
+  recordSyncChunk(state, chunk("2025-03-02", "2025-03-31"));
+  assert.deepEqual(ranges(state.chunks), [
+    ["2025-01-01", "2025-01-30", "complete"],
+    ["2025-01-31", "2025-03-01", "complete"],
+    ["2025-03-02", "2025-03-31", "complete"],
+  ]);
+});
+
+test("a partial chunk reaching today isn't coverage, so it is fetched again", () => {
+  const state = stateWith(
+    chunk("2025-03-01", "2025-03-09"),
+    chunk("2025-03-10", "2025-03-12", "partial")
+  );
+  assert.deepEqual(syncCoverage(state), [
+    { startDate: "2025-03-01", endDate: "2025-03-09" },
+  ]);
+  assert.deepEqual(planSyncRange(state, { today: "2025-03-14" }), {
+    mode: "incremental",
+    startDate: "2025-03-10",
+    endDate: "2025-03-14",
+  });
+});
+
+test("a complete chunk drops the failed and partial records it covers", () => {
+  const state = stateWith(
+    chunk("2025-01-01", "2025-01-10", "failed"),
+    chunk("2025-01-11", "2025-01-20", "partial"),
+    chunk("2025-01-21", "2025-02-10", "failed")
+  );
+  recordSyncChunk(state, chunk("2025-01-01", "2025-01-30"));
+
+  // The failed record running past the new chunk stays
+  assert.deepEqual(ranges(state.chunks), [
+    ["2025-01-01", "2025-01-30", "complete"],
+    ["2025-01-21", "2025-02-10", "failed"],
+  ]);
+  assert.deepEqual(syncCoverage(state), [
+    { startDate: "2025-01-01", endDate: "2025-01-30" },
+  ]);
+});
+
+test("a complete chunk keeps the complete records it overlaps", () => {
+  const state = stateWith(chunk("2025-01-05", "2025-01-06"));
+  recordSyncChunk(state, chunk("2025-01-01", "2025-01-10"));
+  assert.deepEqual(ranges(state.chunks), [
+    ["2025-01-01", "2025-01-10", "complete"],
+    ["2025-01-05", "2025-01-06", "complete"],
+  ]);
+  assert.deepEqual(syncCoverage(state), [
+    { startDate: "2025-01-01", endDate: "2025-01-10" },
+  ]);
+});
+
+test("gaps at the start, middle and end of a range", () => {
+  const state = stateWith(
+    chunk("2025-01-05", "2025-01-10"),
+    // Adjacent chunks merge into one covered range
+    chunk("2025-01-11", "2025-01-12"),
+    chunk("2025-01-15", "2025-01-20"),
+    chunk("2025-01-21", "2025-01-25", "failed")
+  );
+  assert.deepEqual(
+    findSyncGaps(state, { startDate: "2025-01-01", endDate: "2025-01-31" }),
+    [
+      { startDate: "2025-01-01", endDate: "2025-01-04", days: 4 },
+      { startDate: "2025-01-13", endDate: "2025-01-14", days: 2 },
+      { startDate: "2025-01-21", endDate: "2025-01-31", days: 11 },
+    ]
+  );
+});
+
+test("no gaps inside covered days, and gaps clipped to the range", () => {
+  const state = stateWith(chunk("2025-01-01", "2025-01-31"));
+  assert.deepEqual(
+    findSyncGaps(state, { startDate: "2025-01-10", endDate: "2025-01-20" }),
+    []
+  );
+  assert.deepEqual(
+    findSyncGaps(state, { startDate: "2025-01-20", endDate: "2025-02-02" }),
+    [{ startDate: "2025-02-01", endDate: "2025-02-02", days: 2 }]
+  );
+});
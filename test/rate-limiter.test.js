@@ -0,0 +1,137 @@
+// Tests for lib/rate-limiter.js: bursts, concurrency, aborts while queued
+// and the shared KV budget
+
+import assert from "node:assert/strict";
+import { setImmediate } from "node:timers/promises";
+import { test } from "node:test";
+import {
+  KvLimiterStore,
+  MemoryLimiterStore,
+  TokenBucketLimiter,
+} from "../lib/rate-limiter.js";
+
+// Tasks that finish when the test says so
+function gatedTasks() {
+  const started = [];
+  const task = (name) => () =>
+    new Promise((resolve) => {
+      started.push({ name, resolve });
+    });
+  return { task, started };
+}
+
+test("a full bucket lets burst tasks through at once, then paces the rest", async () => {
+  const limiter = new TokenBucketLimiter({ rate: 20, burst: 3 });
+  const startedAt = [];
+  const runs = Array.from({ length: 5 }, (_, i) =>
+    limiter.schedule("1420", async () => {
+      startedAt[i] = Date.now();
+    })
+  );
+
+  await setImmediate();
+  assert.equal(startedAt.filter(Boolean).length, 3);
+
+  await Promise.all(runs);
+  // 20 tokens per second: the 4th waits about 50ms for one
+  assert.ok(
+    startedAt[3] - startedAt[0] >= 40,
+    `${startedAt[3] - startedAt[0]}`
+  );
+});
+
+test("no more than maxConcurrent tasks per key run at once", async () => {
+  const limiter = new TokenBucketLimiter({ rate: 1000, maxConcurrent: 2 });
+  const { task, started } = gatedTasks();
+  const runs = ["a", "b", "c"].map((name) =>
+    limiter.schedule("1420", task(name))
+  );
+
+  await setImmediate();
+  assert.deepEqual(
+    started.map(({ name }) => name),
+    ["a", "b"]
+  );
+  assert.deepEqual(limiter.stats()["1420"], { queued: 1, inFlight: 2 });
+
+  started[0].resolve();
+  await setImmediate();
+  assert.deepEqual(
+    started.map(({ name }) => name),
+    ["a", "b", "c"]
+  );
+
+  started[1].resolve();
+  started[2].resolve();
+  await Promise.all(runs);
+  assert.deepEqual(limiter.stats()["1420"], { queued: 0, inFlight: 0 });
+});
+
+test("aborting a queued task drops it without running it", async () => {
+  const limiter = new TokenBucketLimiter({ rate: 1000, maxConcurrent: 1 });
+  const { task, started } = gatedTasks();
+  const first = limiter.schedule("1420", task("first"));
+  const controller = new AbortController();
+  const queued = limiter.schedule(
+    "1420",
+    task("queued"),
+    {},
+    {
+      signal: controller.signal,
+    }
+  );
+
+  await setImmediate();
+  assert.deepEqual(limiter.stats()["1420"], { queued: 1, inFlight: 1 });
+
+  controller.abort();
+  await assert.rejects(queued, { name: "AbortError" });
+  assert.deepEqual(limiter.stats()["1420"], { queued: 0, inFlight: 1 });
+
+  started[0].resolve();
+  await first;
+  await setImmediate();
+  assert.deepEqual(
+    started.map(({ name }) => name),
+    ["first"]
+  );
+
+  // Already aborted: never queued at all
+  await assert.rejects(
+    limiter.schedule("1420", task("late"), {}, { signal: controller.signal }),
+    { name: "AbortError" }
+  );
+});
+
+test("the memory store refills at rate up to burst", async () => {
+  const store = new MemoryLimiterStore();
+  const limits = { rate: 2, burst: 2 };
+  assert.equal(await store.take("k", limits, 0), 0);
+  assert.equal(await store.take("k", limits, 0), 0);
+  assert.equal(await store.take("k", limits, 0), 500);
+  assert.equal(await store.take("k", limits, 500), 0);
+});
+
+test("a denial from the shared KV window doesn't cost a local token", async () => {
+  let count = 0;
+  let allowed = false;
+  const cache = { incr: async () => (allowed ? 1 : ++count + 10) };
+  const store = new KvLimiterStore(cache);
+  const limits = { rate: 2, burst: 2 };
+
+  // Another instance spent this second's budget
+  assert.equal(await store.take("k", limits, 1_250), 750);
+  assert.equal(await store.take("k", limits, 1_250), 750);
+
+  // Once KV allows again, the local bucket still holds its full burst
+  allowed = true;
+  assert.equal(await store.take("k", limits, 2_000), 0);
+  assert.equal(await store.take("k", limits, 2_000), 0);
+});
+
+test("the local bucket decides alone when KV is unavailable", async () => {
+  const store = new KvLimiterStore({ incr: async () => null });
+  const limits = { rate: 1, burst: 1 };
+  assert.equal(await store.take("k", limits, 0), 0);
+  assert.equal(await store.take("k", limits, 0), 1000);
+});